@@ -0,0 +1,270 @@
+/**
+ * syncServer.js - 직원 PC 간 작업 공간 동기화 서버 (선택 사항)
+ *
+ * 실행: npm run sync-server
+ *   PORT                - 기본 8787
+ *   HOST                - 기본 127.0.0.1 (이 PC에서만 접속). 다른 PC와 공유하려면 0.0.0.0
+ *   SYNC_TOKEN          - 공유 토큰. 설정하면 작업 공간 요청에 Authorization: Bearer <토큰> 필요
+ *                         (HOST가 127.0.0.1 / localhost / ::1 이 아니면 필수)
+ *   SYNC_ALLOWED_ORIGIN - CORS 허용 출처 (기본 *)
+ *   SYNC_DATA_DIR       - 작업 공간 파일 폴더 (기본 ./sync-data)
+ * 외부 패키지 없이 Node 내장 모듈만 사용합니다. 테스트에서는 createSyncServer()로 띄웁니다.
+ *
+ * 작업 공간 하나를 JSON 파일 하나로 저장합니다.
+ *   {SYNC_DATA_DIR}/{작업 공간}.json
+ *     → { seq, entries: { [저장소 키]: { value, rev, seq, schema, updatedAt, updatedBy } } }
+ *   rev - 키별 리비전 (쓸 때마다 1 증가)
+ *   seq - 작업 공간 전체 변경 순번 (since 이후 바뀐 키만 내려받기 위함)
+ *   value가 null이면 삭제된 키
+ *
+ * API (/health 외에는 SYNC_TOKEN 설정 시 토큰 필요, 틀리면 401)
+ *   GET  /health
+ *   GET  /workspaces/:id?since=n  → { seq, entries }  (entry.seq > since 인 키만)
+ *   POST /workspaces/:id/entries  { clientId, changes: [{ key, value, baseRev, schema }] }
+ *                                 → { seq, accepted: [{ key, rev }], rejected: [{ key, value, rev, schema }] }
+ *     baseRev가 서버 리비전과 다르면(그 사이 다른 PC가 저장) 기록하지 않고 서버 값을 돌려줍니다.
+ *     병합은 클라이언트(src/utils/syncClient.js)가 합니다.
+ */
+
+import { createServer } from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+import { mkdir, readFile, writeFile, rename } from 'node:fs/promises';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+const MAX_BODY_BYTES = 20 * 1024 * 1024;
+const WORKSPACE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const KEY_PATTERN = /^vans-.{1,200}$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ── 작업 공간 파일 ──
+
+function createWorkspaceStore(dataDir) {
+  const cache = new Map();
+  const queues = new Map();
+
+  const fileOf = (id) => join(dataDir, `${id}.json`);
+
+  async function load(id) {
+    if (cache.has(id)) return cache.get(id);
+    let workspace;
+    try {
+      workspace = JSON.parse(await readFile(fileOf(id), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      workspace = { seq: 0, entries: {} };
+    }
+    cache.set(id, workspace);
+    return workspace;
+  }
+
+  /** 임시 파일에 쓴 뒤 바꿔치기 (쓰는 도중 중단돼도 이전 파일 유지) */
+  async function save(id, workspace) {
+    await mkdir(dataDir, { recursive: true });
+    const tmp = `${fileOf(id)}.${process.pid}.tmp`;
+    await writeFile(tmp, JSON.stringify(workspace), 'utf8');
+    await rename(tmp, fileOf(id));
+  }
+
+  /** 작업 공간별로 변경을 한 번에 하나씩 처리 */
+  function update(id, fn) {
+    const run = (queues.get(id) || Promise.resolve()).then(async () => {
+      const workspace = await load(id);
+      const result = fn(workspace);
+      try {
+        await save(id, workspace);
+      } catch (err) {
+        // 메모리에만 반영된 변경을 버리고 다음 요청에서 파일을 다시 읽음
+        cache.delete(id);
+        throw err;
+      }
+      return result;
+    });
+    queues.set(id, run.catch(() => {}));
+    return run;
+  }
+
+  return { load, update };
+}
+
+// ── 요청 처리 ──
+
+function readJsonBody(req) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, '요청이 너무 큽니다.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolveBody(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch {
+        reject(new HttpError(400, 'JSON 형식이 아닙니다.'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body, allowedOrigin) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Access-Control-Allow-Origin': allowedOrigin,
+  });
+  res.end(JSON.stringify(body));
+}
+
+/** Authorization: Bearer <토큰> 확인 (고정 시간 비교) */
+function isAuthorized(req, token) {
+  if (!token) return true;
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+  if (!match) return false;
+  const given = Buffer.from(match[1]);
+  const expected = Buffer.from(token);
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+function pullEntries(workspace, since) {
+  const entries = {};
+  for (const [key, entry] of Object.entries(workspace.entries)) {
+    if (entry.seq > since) entries[key] = entry;
+  }
+  return { seq: workspace.seq, entries };
+}
+
+function validateChanges(body) {
+  const changes = body?.changes;
+  if (!Array.isArray(changes)) throw new HttpError(400, 'changes 배열이 필요합니다.');
+  for (const change of changes) {
+    if (typeof change?.key !== 'string' || !KEY_PATTERN.test(change.key)) {
+      throw new HttpError(400, `허용되지 않는 키입니다: ${change?.key}`);
+    }
+    if (change.value !== null && typeof change.value !== 'string') {
+      throw new HttpError(400, `${change.key}: 값은 문자열 또는 null이어야 합니다.`);
+    }
+    if (!Number.isInteger(change.baseRev) || change.baseRev < 0) {
+      throw new HttpError(400, `${change.key}: baseRev가 올바르지 않습니다.`);
+    }
+  }
+  return changes;
+}
+
+/** 리비전이 맞는 변경만 기록 */
+function applyChanges(workspace, changes, clientId) {
+  const accepted = [];
+  const rejected = [];
+  const now = new Date().toISOString();
+
+  for (const { key, value, baseRev, schema } of changes) {
+    const current = workspace.entries[key];
+    const currentRev = current?.rev || 0;
+    if (baseRev !== currentRev) {
+      rejected.push({ key, value: current?.value ?? null, rev: currentRev, schema: current?.schema ?? null });
+      continue;
+    }
+    workspace.seq += 1;
+    workspace.entries[key] = {
+      value,
+      rev: currentRev + 1,
+      seq: workspace.seq,
+      schema: Number.isInteger(schema) ? schema : null,
+      updatedAt: now,
+      updatedBy: typeof clientId === 'string' ? clientId.slice(0, 100) : null,
+    };
+    accepted.push({ key, rev: currentRev + 1 });
+  }
+
+  return { seq: workspace.seq, accepted, rejected };
+}
+
+/**
+ * 동기화 서버 생성 (listen은 호출하는 쪽에서)
+ * @param {{ dataDir?: string, token?: string, allowedOrigin?: string }} [options]
+ *   token         - 공유 토큰 (비우면 인증 없음)
+ *   allowedOrigin - CORS 허용 출처
+ * @returns {import('node:http').Server}
+ */
+export function createSyncServer({ dataDir = resolve('sync-data'), token = '', allowedOrigin = '*' } = {}) {
+  const store = createWorkspaceStore(dataDir);
+
+  return createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': allowedOrigin,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Max-Age': '86400',
+      });
+      res.end();
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const parts = url.pathname.split('/').filter(Boolean);
+
+      if (req.method === 'GET' && url.pathname === '/health') {
+        sendJson(res, 200, { ok: true }, allowedOrigin);
+        return;
+      }
+      if (parts[0] !== 'workspaces' || !parts[1]) throw new HttpError(404, '없는 경로입니다.');
+      if (!isAuthorized(req, token)) throw new HttpError(401, '동기화 토큰이 맞지 않습니다.');
+
+      const id = decodeURIComponent(parts[1]);
+      if (!WORKSPACE_ID_PATTERN.test(id)) {
+        throw new HttpError(400, '작업 공간 이름은 영문, 숫자, -, _ 로 64자 이내여야 합니다.');
+      }
+
+      if (req.method === 'GET' && parts.length === 2) {
+        const since = Number(url.searchParams.get('since')) || 0;
+        sendJson(res, 200, pullEntries(await store.load(id), since), allowedOrigin);
+        return;
+      }
+      if (req.method === 'POST' && parts.length === 3 && parts[2] === 'entries') {
+        const body = await readJsonBody(req);
+        const changes = validateChanges(body);
+        const result = await store.update(id, (workspace) => applyChanges(workspace, changes, body.clientId));
+        sendJson(res, 200, result, allowedOrigin);
+        return;
+      }
+      throw new HttpError(404, '없는 경로입니다.');
+    } catch (err) {
+      if (!(err instanceof HttpError)) console.error('동기화 서버 오류:', err);
+      sendJson(res, err.status || 500, { error: err instanceof HttpError ? err.message : '서버 오류' }, allowedOrigin);
+    }
+  });
+}
+
+// ── 직접 실행 ──
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  const host = process.env.HOST || DEFAULT_HOST;
+  const token = process.env.SYNC_TOKEN || '';
+  const allowedOrigin = process.env.SYNC_ALLOWED_ORIGIN || '*';
+  const dataDir = resolve(process.env.SYNC_DATA_DIR || 'sync-data');
+
+  if (!LOOPBACK_HOSTS.includes(host) && !token) {
+    console.error(`HOST=${host} 로 다른 PC에 열려면 SYNC_TOKEN을 설정하세요.`);
+    process.exit(1);
+  }
+  createSyncServer({ dataDir, token, allowedOrigin }).listen(port, host, () => {
+    console.log(`동기화 서버: http://${host}:${port} (데이터: ${dataDir}${token ? ', 토큰 필요' : ''})`);
+  });
+}
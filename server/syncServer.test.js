@@ -0,0 +1,116 @@
+/**
+ * syncServer.test.js - 동기화 서버 토큰 확인 / 리비전 충돌 / seq 증가 확인
+ *
+ * 실행: npm test (임시 폴더와 빈 포트에 서버를 띄움)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { once } from 'node:events';
+import { createSyncServer } from './syncServer.js';
+
+const TOKEN = 'test-token';
+const KEY = 'vans-pricing-presets';
+
+let server;
+let dataDir;
+let baseUrl;
+
+before(async () => {
+  dataDir = await mkdtemp(join(tmpdir(), 'vans-sync-'));
+  server = createSyncServer({ dataDir, token: TOKEN });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await once(server, 'close');
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+async function call(path, { body, token = TOKEN } = {}) {
+  const headers = {};
+  if (body) headers['Content-Type'] = 'application/json';
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: body ? 'POST' : 'GET',
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+const push = (workspace, changes) => call(`/workspaces/${workspace}/entries`, { body: { clientId: 'pc-test', changes } });
+
+test('health는 토큰 없이 응답', async () => {
+  const res = await call('/health', { token: '' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { ok: true });
+});
+
+test('작업 공간 요청은 토큰이 없거나 틀리면 401', async () => {
+  assert.equal((await call('/workspaces/auth', { token: '' })).status, 401);
+  assert.equal((await call('/workspaces/auth', { token: 'wrong' })).status, 401);
+  const rejected = await call('/workspaces/auth/entries', { token: '', body: { changes: [] } });
+  assert.equal(rejected.status, 401);
+  assert.equal((await call('/workspaces/auth')).status, 200);
+});
+
+test('baseRev가 서버 리비전과 다르면 기록하지 않고 서버 값을 돌려줌', async () => {
+  const first = await push('conflict', [{ key: KEY, value: '["a"]', baseRev: 0, schema: 1 }]);
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body, { seq: 1, accepted: [{ key: KEY, rev: 1 }], rejected: [] });
+
+  // 다른 PC가 아직 rev 0을 기준으로 올림
+  const stale = await push('conflict', [{ key: KEY, value: '["b"]', baseRev: 0, schema: 1 }]);
+  assert.equal(stale.status, 200);
+  assert.deepEqual(stale.body, {
+    seq: 1,
+    accepted: [],
+    rejected: [{ key: KEY, value: '["a"]', rev: 1, schema: 1 }],
+  });
+
+  // 서버 값을 받아 병합한 뒤 rev 1 기준으로 다시 올리면 기록됨
+  const retry = await push('conflict', [{ key: KEY, value: '["a","b"]', baseRev: 1, schema: 1 }]);
+  assert.deepEqual(retry.body, { seq: 2, accepted: [{ key: KEY, rev: 2 }], rejected: [] });
+
+  const pulled = await call('/workspaces/conflict?since=0');
+  assert.equal(pulled.body.entries[KEY].value, '["a","b"]');
+  assert.equal(pulled.body.entries[KEY].rev, 2);
+});
+
+test('seq는 기록될 때만 올라가고 since 이후 바뀐 키만 내려줌', async () => {
+  const other = 'vans-pricing-procedures';
+  await push('seq', [
+    { key: KEY, value: '[]', baseRev: 0, schema: null },
+    { key: other, value: '[]', baseRev: 0, schema: null },
+  ]);
+  const mixed = await push('seq', [
+    { key: KEY, value: '[1]', baseRev: 1, schema: null },
+    { key: other, value: '[2]', baseRev: 0, schema: null },
+  ]);
+  assert.equal(mixed.body.seq, 3);
+  assert.deepEqual(mixed.body.accepted, [{ key: KEY, rev: 2 }]);
+  assert.deepEqual(mixed.body.rejected.map((entry) => entry.key), [other]);
+
+  const since2 = await call('/workspaces/seq?since=2');
+  assert.equal(since2.body.seq, 3);
+  assert.deepEqual(Object.keys(since2.body.entries), [KEY]);
+  assert.equal(since2.body.entries[KEY].seq, 3);
+
+  const latest = await call('/workspaces/seq?since=3');
+  assert.deepEqual(latest.body.entries, {});
+});
+
+test('삭제(null)도 리비전을 올림', async () => {
+  await push('delete', [{ key: KEY, value: '[]', baseRev: 0 }]);
+  const removed = await push('delete', [{ key: KEY, value: null, baseRev: 1 }]);
+  assert.deepEqual(removed.body.accepted, [{ key: KEY, rev: 2 }]);
+  const pulled = await call('/workspaces/delete?since=0');
+  assert.equal(pulled.body.entries[KEY].value, null);
+});
@@ -0,0 +1,152 @@
+/**
+ * CommandHistoryPanel.jsx - 실행 취소 / 다시 실행 도구 막대 + 편집 기록 목록
+ *
+ * 단축키: Ctrl(⌘)+Z 실행 취소, Ctrl(⌘)+Shift+Z 또는 Ctrl+Y 다시 실행
+ *   - 글자 입력칸(input, textarea), 선택 상자(select)와 한글 조합 중에는 브라우저 기본 동작을 그대로 둡니다.
+ *     (입력칸의 글자 되돌리기를 막지 않고, 보이지 않는 탭의 편집을 되돌리지 않도록)
+ *   - 체크박스·라디오·버튼에 초점이 있을 때는 전체 실행 취소로 처리합니다.
+ * 기록 항목을 누르면 그 시점까지 한 번에 되돌리거나 다시 실행합니다.
+ */
+
+import { useState, useEffect, useCallback, useSyncExternalStore } from 'react';
+import {
+  undo,
+  redo,
+  undoTo,
+  redoTo,
+  subscribeCommandHistory,
+  getCommandHistory,
+  UNDO_SCOPE_LABELS,
+} from '../utils/commandHistory';
+
+/** 글자를 입력하지 않는 input (단축키를 전체 실행 취소로 처리) */
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'];
+
+function isEditableTarget(target) {
+  if (!target) return false;
+  if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+  return target.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.includes(target.type);
+}
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+export default function CommandHistoryPanel({ onToast }) {
+  const history = useSyncExternalStore(subscribeCommandHistory, getCommandHistory);
+  const [open, setOpen] = useState(false);
+
+  const handleUndo = useCallback(() => {
+    const command = undo();
+    if (command) onToast?.(`실행 취소: [${UNDO_SCOPE_LABELS[command.scope]}] ${command.label}`);
+  }, [onToast]);
+
+  const handleRedo = useCallback(() => {
+    const command = redo();
+    if (command) onToast?.(`다시 실행: [${UNDO_SCOPE_LABELS[command.scope]}] ${command.label}`);
+  }, [onToast]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey || e.isComposing) return;
+      if (isEditableTarget(e.target)) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  const handleJumpUndo = (id) => {
+    const count = undoTo(id);
+    if (count > 0) onToast?.(`${count}개 편집을 실행 취소했습니다`);
+  };
+
+  const handleJumpRedo = (id) => {
+    const count = redoTo(id);
+    if (count > 0) onToast?.(`${count}개 편집을 다시 실행했습니다`);
+  };
+
+  const canUndo = history.undo.length > 0;
+  const canRedo = history.redo.length > 0;
+  const lastUndo = history.undo[history.undo.length - 1];
+  const lastRedo = history.redo[history.redo.length - 1];
+
+  return (
+    <div className="relative flex justify-end mb-2 print:hidden">
+      <div className="flex items-center gap-1 text-xs">
+        <button
+          onClick={handleUndo}
+          disabled={!canUndo}
+          title={lastUndo ? `실행 취소: ${lastUndo.label} (Ctrl+Z)` : '실행 취소 (Ctrl+Z)'}
+          className="px-2 py-1 rounded border border-gray-300 bg-white text-gray-600
+                     hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          ↶ 실행 취소
+        </button>
+        <button
+          onClick={handleRedo}
+          disabled={!canRedo}
+          title={lastRedo ? `다시 실행: ${lastRedo.label} (Ctrl+Shift+Z)` : '다시 실행 (Ctrl+Shift+Z)'}
+          className="px-2 py-1 rounded border border-gray-300 bg-white text-gray-600
+                     hover:bg-gray-100 disabled:opacity-40 disabled:cursor-not-allowed transition-colors"
+        >
+          ↷ 다시 실행
+        </button>
+        <button
+          onClick={() => setOpen(!open)}
+          className={`px-2 py-1 rounded border transition-colors
+            ${open ? 'border-blue-300 bg-blue-50 text-blue-600' : 'border-gray-300 bg-white text-gray-500 hover:bg-gray-100'}`}
+        >
+          편집 기록 {history.undo.length + history.redo.length > 0 && `(${history.undo.length})`} {open ? '▲' : '▼'}
+        </button>
+      </div>
+
+      {open && (
+        <div className="absolute right-0 top-full mt-1 z-40 w-80 max-h-80 overflow-y-auto
+                        bg-white rounded-lg shadow-lg border border-gray-200 text-xs">
+          {!canUndo && !canRedo ? (
+            <p className="p-4 text-center text-gray-400">아직 편집 기록이 없습니다</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {/* 다시 실행 가능한 항목 (가장 나중에 취소한 것이 아래) */}
+              {history.redo.map((command) => (
+                <li key={command.id}>
+                  <button
+                    onClick={() => handleJumpRedo(command.id)}
+                    className="w-full flex items-center gap-2 px-3 py-1.5 text-left text-gray-400 hover:bg-gray-50"
+                    title="여기까지 다시 실행"
+                  >
+                    <span className="shrink-0">↷</span>
+                    <span className="flex-1 min-w-0 truncate line-through">{command.label}</span>
+                    <span className="shrink-0">{UNDO_SCOPE_LABELS[command.scope]}</span>
+                  </button>
+                </li>
+              ))}
+              {/* 실행 취소 가능한 항목 (최신이 위) */}
+              {[...history.undo].reverse().map((command, idx) => (
+                <li key={command.id}>
+                  <button
+                    onClick={() => handleJumpUndo(command.id)}
+                    className={`w-full flex items-center gap-2 px-3 py-1.5 text-left hover:bg-blue-50
+                      ${idx === 0 ? 'font-medium text-gray-800' : 'text-gray-600'}`}
+                    title="여기까지 실행 취소"
+                  >
+                    <span className="shrink-0 text-gray-400">{formatTime(command.at)}</span>
+                    <span className="flex-1 min-w-0 truncate">{command.label}</span>
+                    <span className="shrink-0 text-gray-400">{UNDO_SCOPE_LABELS[command.scope]}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
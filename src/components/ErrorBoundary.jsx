@@ -3,9 +3,12 @@
  *
  * 하위 컴포넌트에서 에러 발생 시 전체 앱 크래시를 방지하고
  * 사용자에게 복구 옵션을 제공합니다.
+ * "데이터 초기화"는 수가 책정 데이터를 지우지 않고 격리 목록으로 옮깁니다.
  */
 
 import { Component } from 'react';
+import { kvStore } from '../utils/kvStore';
+import { quarantineStore } from '../utils/schema';
 
 export default class ErrorBoundary extends Component {
   constructor(props) {
@@ -26,12 +29,11 @@ export default class ErrorBoundary extends Component {
   };
 
   handleClearAndReset = () => {
-    try {
-      localStorage.removeItem('vans-pricing-data');
-    } catch {
-      // ignore
-    }
-    window.location.reload();
+    quarantineStore('vans-pricing-data', `오류 화면에서 초기화: ${this.state.error?.message || '알 수 없는 오류'}`)
+      .catch((err) => window.alert(err.message))
+      // IndexedDB 기록이 끝난 뒤 새로고침
+      .then(() => kvStore.flush())
+      .finally(() => window.location.reload());
   };
 
   render() {
@@ -11,11 +11,11 @@
 import { useCallback } from 'react';
 import { generateKakaoText, generateExcelText, copyToClipboard } from '../utils/export';
 
-export default function ExportButtons({ items, roundUnit, onToast }) {
+export default function ExportButtons({ items, rounding, vatMode, onToast }) {
   // ── 카카오톡 복사 ──
   const handleKakaoCopy = useCallback(async () => {
     try {
-      const text = generateKakaoText(items, roundUnit);
+      const text = generateKakaoText(items, rounding, vatMode);
       const success = await copyToClipboard(text);
       if (success) {
         onToast?.('📱 카톡용 텍스트가 복사되었습니다!');
@@ -26,12 +26,12 @@ export default function ExportButtons({ items, roundUnit, onToast }) {
       console.error('카톡 복사 오류:', err);
       onToast?.('복사 중 오류가 발생했습니다.');
     }
-  }, [items, roundUnit, onToast]);
+  }, [items, rounding, vatMode, onToast]);
 
   // ── 엑셀 복사 ──
   const handleExcelCopy = useCallback(async () => {
     try {
-      const text = generateExcelText(items, roundUnit);
+      const text = generateExcelText(items, rounding, vatMode);
       const success = await copyToClipboard(text);
       if (success) {
         onToast?.('📊 엑셀용 텍스트(TSV)가 복사되었습니다!');
@@ -42,7 +42,7 @@ export default function ExportButtons({ items, roundUnit, onToast }) {
       console.error('엑셀 복사 오류:', err);
       onToast?.('복사 중 오류가 발생했습니다.');
     }
-  }, [items, roundUnit, onToast]);
+  }, [items, rounding, vatMode, onToast]);
 
   // ── 인쇄 ──
   const handlePrint = useCallback(() => {
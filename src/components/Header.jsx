@@ -1,4 +1,13 @@
-export default function Header({ roundUnit, onRoundUnitChange }) {
+import {
+  VAT_MODE_LABELS,
+  ROUND_UNITS,
+  ROUNDING_PRESETS,
+  findRoundingPreset,
+} from '../utils/pricing';
+
+export default function Header({ rounding, onRoundingChange, vatMode, onVatModeChange }) {
+  const preset = findRoundingPreset(rounding);
+
   return (
     <header
       className="text-white px-4 py-4 shadow-lg print:bg-white print:text-black print:shadow-none"
@@ -14,15 +23,51 @@ export default function Header({ roundUnit, onRoundUnitChange }) {
           </label>
           <select
             id="roundUnit"
-            value={roundUnit}
-            onChange={(e) => onRoundUnitChange(Number(e.target.value))}
+            value={rounding.unit}
+            onChange={(e) => onRoundingChange({ ...rounding, unit: Number(e.target.value) })}
             className="bg-white/10 border border-white/20 rounded px-2 py-1 text-white text-sm
                        focus:outline-none focus:ring-2 focus:ring-blue-400
                        print:bg-white print:text-black print:border-gray-300"
           >
-            <option value={100} className="text-black">100원 단위</option>
-            <option value={1000} className="text-black">1,000원 단위</option>
-            <option value={10000} className="text-black">10,000원 단위</option>
+            {ROUND_UNITS.map((unit) => (
+              <option key={unit} value={unit} className="text-black">
+                {unit.toLocaleString('ko-KR')}원 단위
+              </option>
+            ))}
+          </select>
+          <select
+            id="roundingPreset"
+            value={preset}
+            onChange={(e) => {
+              const { price, unitPrice } = ROUNDING_PRESETS[e.target.value];
+              onRoundingChange({ ...rounding, price, unitPrice });
+            }}
+            title="반올림 방식"
+            className="bg-white/10 border border-white/20 rounded px-2 py-1 text-white text-sm
+                       focus:outline-none focus:ring-2 focus:ring-blue-400
+                       print:bg-white print:text-black print:border-gray-300"
+          >
+            {Object.entries(ROUNDING_PRESETS).map(([key, { label }]) => (
+              <option key={key} value={key} className="text-black">{label}</option>
+            ))}
+            {preset === 'custom' && (
+              <option value="custom" disabled className="text-black">사용자 지정</option>
+            )}
+          </select>
+          <label htmlFor="vatMode" className="text-gray-300 print:text-gray-600 ml-2">
+            가격 기준:
+          </label>
+          <select
+            id="vatMode"
+            value={vatMode}
+            onChange={(e) => onVatModeChange(e.target.value)}
+            className="bg-white/10 border border-white/20 rounded px-2 py-1 text-white text-sm
+                       focus:outline-none focus:ring-2 focus:ring-blue-400
+                       print:bg-white print:text-black print:border-gray-300"
+          >
+            {Object.entries(VAT_MODE_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode} className="text-black">{label}</option>
+            ))}
           </select>
         </div>
       </div>
@@ -2,17 +2,23 @@
  * ItemForm.jsx - 시술 입력 폼
  *
  * 역할:
- *   - 상품명, 유형(회차/샷수/혼합), 체험가, 이벤트가 입력
+ *   - 상품명, 유형(회차/샷수/혼합/용량/부위), 체험가, 이벤트가 입력
  *   - 유형에 따라 옵션 입력 폼 변경
  *     - 회차: sessions + price
  *     - 샷수: shots + price
  *     - 혼합: shots + sessions + price
+ *     - 용량: units(cc/유닛) + price
+ *     - 부위: areas + sessions + price
  *   - 옵션 추가/삭제 버튼
- *   - 경쟁사 비교 토글 + 입력
+ *   - 경쟁사 목록 (경쟁사별 회차/샷수 가격 사다리) 입력
+ *   - 원가/마진 분석 토글 + 입력 (소모품, 팁/카트리지, 인건비, 최소 마진율)
+ *   - 과세 여부 토글, 가격은 VAT 모드 기준으로 입력 (저장은 공급가)
  */
 
 import { useCallback } from 'react';
 import { generateOptionId } from './pricing/PricingTab';
+import VatPriceInput from './VatPriceInput';
+import { getItemCompetitors, getVatFactor, UNIT_NAMES, VAT_MODE_LABELS } from '../utils/pricing';
 
 /** 숫자 입력값 처리 (빈 문자열 허용) */
 function numVal(val) {
@@ -21,7 +27,7 @@ function numVal(val) {
 }
 
 /** 유형별 옵션 입력 필드 정의 */
-function getOptionFields(type) {
+function getOptionFields(type, unitName = 'cc') {
   switch (type) {
     case 'session':
       return [
@@ -39,12 +45,47 @@ function getOptionFields(type) {
         { key: 'sessions', label: '회차', placeholder: '3', min: '1' },
         { key: 'price', label: '가격 (원)', placeholder: '780000', min: '0' },
       ];
+    case 'unit':
+      return [
+        { key: 'units', label: unitName, placeholder: unitName === '유닛' ? '100' : '2', min: '1' },
+        { key: 'price', label: '가격 (원)', placeholder: '590000', min: '0' },
+      ];
+    case 'area':
+      return [
+        { key: 'areas', label: '부위 수', placeholder: '2', min: '1' },
+        { key: 'sessions', label: '회차', placeholder: '5', min: '1' },
+        { key: 'price', label: '가격 (원)', placeholder: '450000', min: '0' },
+      ];
     default:
       return [];
   }
 }
 
-export default function ItemForm({ item, onChange }) {
+/** 유형에 맞는 빈 구간 (옵션 / 경쟁사 가격 사다리 공용) */
+function createTierEntry(type) {
+  const entry = { _id: generateOptionId(), price: '' };
+  for (const field of getOptionFields(type)) {
+    if (field.key !== 'price') entry[field.key] = '';
+  }
+  return entry;
+}
+
+/** 원가 입력 필드 정의 (shotOnly: 샷수/혼합/용량 기반에서만 표시) */
+const COST_FIELDS = [
+  { key: 'consumable', label: '소모품비 (원/회)', placeholder: '15000' },
+  { key: 'perShot', label: '팁·카트리지 (원/샷)', placeholder: '80', shotOnly: true },
+  { key: 'doctorMinutes', label: '의사 시간 (분/회)', placeholder: '10' },
+  { key: 'doctorHourly', label: '의사 인건비 (원/시간)', placeholder: '200000' },
+  { key: 'nurseMinutes', label: '간호사 시간 (분/회)', placeholder: '30' },
+  { key: 'nurseHourly', label: '간호사 인건비 (원/시간)', placeholder: '25000' },
+  { key: 'minMargin', label: '최소 마진율 (%)', placeholder: '30' },
+];
+
+export default function ItemForm({ item, onChange, vatMode = 'excluded' }) {
+  const taxable = item.taxable !== false;
+  const vatFactor = getVatFactor(vatMode, taxable);
+  const priceBasis = taxable ? VAT_MODE_LABELS[vatMode] : '면세';
+
   // ── 필드 변경 핸들러 ──
   const handleField = useCallback(
     (field, value) => {
@@ -69,7 +110,8 @@ export default function ItemForm({ item, onChange }) {
         ...item,
         type: newType,
         options: [],
-        baseShots: newType === 'session' ? 0 : item.baseShots || 100,
+        baseShots: newType === 'shot' || newType === 'mixed' ? item.baseShots || 100 : 0,
+        baseUnits: newType === 'unit' ? item.baseUnits || 1 : item.baseUnits,
       });
     },
     [item, onChange],
@@ -77,14 +119,7 @@ export default function ItemForm({ item, onChange }) {
 
   // ── 옵션 관리 ──
   const addOption = useCallback(() => {
-    const base = { _id: generateOptionId(), price: '' };
-    const newOpt =
-      item.type === 'session'
-        ? { ...base, sessions: '' }
-        : item.type === 'shot'
-          ? { ...base, shots: '' }
-          : { ...base, shots: '', sessions: '' }; // mixed
-    onChange({ ...item, options: [...(item.options || []), newOpt] });
+    onChange({ ...item, options: [...(item.options || []), createTierEntry(item.type)] });
   }, [item, onChange]);
 
   const updateOption = useCallback(
@@ -103,22 +138,83 @@ export default function ItemForm({ item, onChange }) {
     [item, onChange],
   );
 
-  // ── 경쟁사 관리 ──
-  const toggleCompetitor = useCallback(() => {
+  // ── 경쟁사 관리 (경쟁사별 가격 사다리) ──
+  const competitors = getItemCompetitors(item);
+
+  const setCompetitors = useCallback(
+    (next) => {
+      onChange({ ...item, competitors: next });
+    },
+    [item, onChange],
+  );
+
+  const addCompetitor = useCallback(() => {
+    setCompetitors([
+      ...competitors,
+      { _id: generateOptionId(), name: '', ladder: [createTierEntry(item.type)] },
+    ]);
+  }, [competitors, item.type, setCompetitors]);
+
+  const updateCompetitorName = useCallback(
+    (compIdx, name) => {
+      setCompetitors(competitors.map((c, i) => (i === compIdx ? { ...c, name } : c)));
+    },
+    [competitors, setCompetitors],
+  );
+
+  const removeCompetitor = useCallback(
+    (compIdx) => {
+      setCompetitors(competitors.filter((_, i) => i !== compIdx));
+    },
+    [competitors, setCompetitors],
+  );
+
+  const addLadderEntry = useCallback(
+    (compIdx) => {
+      setCompetitors(competitors.map((c, i) => (
+        i === compIdx ? { ...c, ladder: [...(c.ladder || []), createTierEntry(item.type)] } : c
+      )));
+    },
+    [competitors, item.type, setCompetitors],
+  );
+
+  const updateLadderEntry = useCallback(
+    (compIdx, entryIdx, field, value) => {
+      setCompetitors(competitors.map((c, i) => {
+        if (i !== compIdx) return c;
+        const ladder = [...c.ladder];
+        ladder[entryIdx] = { ...ladder[entryIdx], [field]: value };
+        return { ...c, ladder };
+      }));
+    },
+    [competitors, setCompetitors],
+  );
+
+  const removeLadderEntry = useCallback(
+    (compIdx, entryIdx) => {
+      setCompetitors(competitors.map((c, i) => (
+        i === compIdx ? { ...c, ladder: c.ladder.filter((_, j) => j !== entryIdx) } : c
+      )));
+    },
+    [competitors, setCompetitors],
+  );
+
+  // ── 원가 관리 ──
+  const toggleCost = useCallback(() => {
     onChange({
       ...item,
-      competitor: {
-        ...item.competitor,
-        enabled: !item.competitor.enabled,
+      cost: {
+        ...item.cost,
+        enabled: !item.cost?.enabled,
       },
     });
   }, [item, onChange]);
 
-  const updateCompetitor = useCallback(
+  const updateCost = useCallback(
     (field, value) => {
       onChange({
         ...item,
-        competitor: { ...item.competitor, [field]: value },
+        cost: { ...item.cost, [field]: value },
       });
     },
     [item, onChange],
@@ -128,7 +224,11 @@ export default function ItemForm({ item, onChange }) {
     session: '회차 기반',
     shot: '샷수 기반',
     mixed: '혼합형 (샷×회)',
+    unit: '용량 (cc/유닛)',
+    area: '부위 (부위×회)',
   };
+  const unitName = item.unitName || 'cc';
+  const optionFields = getOptionFields(item.type, unitName);
 
   return (
     <div className="space-y-4">
@@ -146,17 +246,26 @@ export default function ItemForm({ item, onChange }) {
             className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm
                        focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent"
           />
+          <label className="flex items-center gap-1.5 mt-1.5 cursor-pointer text-xs text-gray-500">
+            <input
+              type="checkbox"
+              checked={taxable}
+              onChange={() => handleField('taxable', !taxable)}
+              className="w-3.5 h-3.5 rounded border-gray-300"
+            />
+            과세 시술 (해제 시 면세)
+          </label>
         </div>
         <div>
           <label className="block text-sm font-medium text-gray-600 mb-1">
             시술 유형
           </label>
-          <div className="flex gap-1">
+          <div className="flex flex-wrap gap-1">
             {Object.entries(typeLabels).map(([key, label]) => (
               <button
                 key={key}
                 onClick={() => handleTypeChange(key)}
-                className={`flex-1 px-2 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors border
+                className={`flex-1 whitespace-nowrap px-2 py-2 rounded-lg text-xs sm:text-sm font-medium transition-colors border
                   ${
                     item.type === key
                       ? 'bg-blue-600 text-white border-blue-600'
@@ -174,12 +283,12 @@ export default function ItemForm({ item, onChange }) {
       <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
         <div>
           <label className="block text-sm font-medium text-gray-600 mb-1">
-            1회 체험가 (원)
+            1회 체험가 (원, {priceBasis})
           </label>
-          <input
-            type="number"
+          <VatPriceInput
+            factor={vatFactor}
             value={numVal(item.trialPrice)}
-            onChange={(e) => handleField('trialPrice', e.target.value)}
+            onChange={(v) => handleField('trialPrice', v)}
             placeholder="99000"
             min="0"
             className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm
@@ -189,13 +298,13 @@ export default function ItemForm({ item, onChange }) {
         </div>
         <div>
           <label className="block text-sm font-medium text-gray-600 mb-1">
-            이벤트가 (원)
+            이벤트가 (원, {priceBasis})
             {item.type === 'session' ? ' - 1회' : ''}
           </label>
-          <input
-            type="number"
+          <VatPriceInput
+            factor={vatFactor}
             value={numVal(item.eventPrice)}
-            onChange={(e) => handleField('eventPrice', e.target.value)}
+            onChange={(v) => handleField('eventPrice', v)}
             placeholder="150000"
             min="0"
             className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm
@@ -219,6 +328,34 @@ export default function ItemForm({ item, onChange }) {
             />
           </div>
         )}
+        {item.type === 'unit' && (
+          <div>
+            <label className="block text-sm font-medium text-gray-600 mb-1">
+              기준 용량 (이벤트가 기준)
+            </label>
+            <div className="flex gap-1">
+              <input
+                type="number"
+                value={numVal(item.baseUnits)}
+                onChange={(e) => handleField('baseUnits', e.target.value)}
+                placeholder="1"
+                min="1"
+                className="flex-1 min-w-0 border border-gray-300 rounded-lg px-3 py-2 text-sm
+                           focus:outline-none focus:ring-2 focus:ring-blue-400 focus:border-transparent"
+              />
+              <select
+                value={unitName}
+                onChange={(e) => handleField('unitName', e.target.value)}
+                className="border border-gray-300 rounded-lg px-2 py-2 text-sm bg-white
+                           focus:outline-none focus:ring-2 focus:ring-blue-400"
+              >
+                {UNIT_NAMES.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
       </div>
 
       {/* 옵션 목록 */}
@@ -249,18 +386,30 @@ export default function ItemForm({ item, onChange }) {
               className="flex items-end gap-2 p-3 bg-gray-50 rounded-lg border border-gray-200"
             >
               {/* 유형별 필드를 데이터 기반으로 렌더링 */}
-              {getOptionFields(item.type).map((field) => (
+              {optionFields.map((field) => (
                 <div key={field.key} className="flex-1 min-w-0">
                   <label className="block text-xs text-gray-500 mb-1">{field.label}</label>
-                  <input
-                    type="number"
-                    value={numVal(opt[field.key])}
-                    onChange={(e) => updateOption(idx, field.key, e.target.value)}
-                    placeholder={field.placeholder}
-                    min={field.min}
-                    className="w-full border border-gray-300 rounded px-2 py-1.5 text-sm
-                               focus:outline-none focus:ring-2 focus:ring-blue-400"
-                  />
+                  {field.key === 'price' ? (
+                    <VatPriceInput
+                      factor={vatFactor}
+                      value={numVal(opt.price)}
+                      onChange={(v) => updateOption(idx, 'price', v)}
+                      placeholder={field.placeholder}
+                      min={field.min}
+                      className="w-full border border-gray-300 rounded px-2 py-1.5 text-sm
+                                 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    />
+                  ) : (
+                    <input
+                      type="number"
+                      value={numVal(opt[field.key])}
+                      onChange={(e) => updateOption(idx, field.key, e.target.value)}
+                      placeholder={field.placeholder}
+                      min={field.min}
+                      className="w-full border border-gray-300 rounded px-2 py-1.5 text-sm
+                                 focus:outline-none focus:ring-2 focus:ring-blue-400"
+                    />
+                  )}
                 </div>
               ))}
 
@@ -280,75 +429,147 @@ export default function ItemForm({ item, onChange }) {
 
       {/* 경쟁사 비교 */}
       <div className="border-t border-gray-200 pt-4">
-        <label className="flex items-center gap-2 cursor-pointer">
-          <input
-            type="checkbox"
-            checked={item.competitor?.enabled || false}
-            onChange={toggleCompetitor}
-            className="w-4 h-4 rounded border-gray-300 text-purple-600
-                       focus:ring-purple-400"
-          />
+        <div className="flex items-center justify-between">
           <span className="text-sm font-semibold" style={{ color: 'var(--color-competitor)' }}>
-            경쟁사 비교
+            경쟁사 비교 {competitors.length > 0 && `(${competitors.length}곳)`}
           </span>
-        </label>
+          <button
+            onClick={addCompetitor}
+            className="text-xs px-3 py-1 bg-purple-50 text-purple-600 rounded-full
+                       hover:bg-purple-100 transition-colors font-medium"
+          >
+            + 경쟁사 추가
+          </button>
+        </div>
+        {competitors.length === 0 && (
+          <p className="text-xs text-gray-400 italic mt-2">
+            주변 병원 가격을 구간별로 입력하면 시장 최저/중앙/최고 단가와 비교합니다.
+          </p>
+        )}
 
-        {item.competitor?.enabled && (
-          <div className="mt-3 p-3 rounded-lg border-2 border-dashed"
-               style={{ borderColor: 'var(--color-competitor)', backgroundColor: '#faf5ff' }}>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
-              <div>
-                <label className="block text-xs text-gray-500 mb-1">경쟁사명</label>
+        <div className="space-y-3 mt-3">
+          {competitors.map((comp, compIdx) => (
+            <div
+              key={comp._id || compIdx}
+              className="p-3 rounded-lg border-2 border-dashed"
+              style={{ borderColor: 'var(--color-competitor)', backgroundColor: '#faf5ff' }}
+            >
+              <div className="flex items-center gap-2 mb-2">
                 <input
                   type="text"
-                  value={item.competitor.name || ''}
-                  onChange={(e) => updateCompetitor('name', e.target.value)}
+                  value={comp.name || ''}
+                  onChange={(e) => updateCompetitorName(compIdx, e.target.value)}
                   placeholder="경쟁 병원명"
-                  className="w-full border border-purple-200 rounded px-2 py-1.5 text-sm
+                  className="flex-1 border border-purple-200 rounded px-2 py-1.5 text-sm
                              focus:outline-none focus:ring-2 focus:ring-purple-300"
                 />
+                <button
+                  onClick={() => addLadderEntry(compIdx)}
+                  className="text-xs px-2 py-1 text-purple-600 hover:bg-purple-100 rounded transition-colors shrink-0"
+                >
+                  + 구간
+                </button>
+                <button
+                  onClick={() => removeCompetitor(compIdx)}
+                  className="px-2 py-1 text-red-400 hover:text-red-600 hover:bg-red-50
+                             rounded transition-colors text-sm font-bold shrink-0"
+                  title="경쟁사 삭제"
+                >
+                  ×
+                </button>
               </div>
-              <div>
-                <label className="block text-xs text-gray-500 mb-1">가격 (원)</label>
-                <input
-                  type="number"
-                  value={numVal(item.competitor.price)}
-                  onChange={(e) => updateCompetitor('price', e.target.value)}
-                  placeholder="200000"
-                  min="0"
-                  className="w-full border border-purple-200 rounded px-2 py-1.5 text-sm
-                             focus:outline-none focus:ring-2 focus:ring-purple-300"
-                />
+
+              <div className="space-y-1.5">
+                {(comp.ladder || []).map((entry, entryIdx) => (
+                  <div key={entry._id || entryIdx} className="flex items-end gap-2">
+                    {optionFields.map((field) => (
+                      <div key={field.key} className="flex-1 min-w-0">
+                        {entryIdx === 0 && (
+                          <label className="block text-xs text-gray-500 mb-1">
+                            {field.key === 'price' ? `가격 (원, ${priceBasis})` : field.label}
+                          </label>
+                        )}
+                        {field.key === 'price' ? (
+                          <VatPriceInput
+                            factor={vatFactor}
+                            value={numVal(entry.price)}
+                            onChange={(v) => updateLadderEntry(compIdx, entryIdx, 'price', v)}
+                            placeholder="200000"
+                            min="0"
+                            className="w-full border border-purple-200 rounded px-2 py-1.5 text-sm
+                                       focus:outline-none focus:ring-2 focus:ring-purple-300"
+                          />
+                        ) : (
+                          <input
+                            type="number"
+                            value={numVal(entry[field.key])}
+                            onChange={(e) => updateLadderEntry(compIdx, entryIdx, field.key, e.target.value)}
+                            placeholder={field.placeholder}
+                            min={field.min}
+                            className="w-full border border-purple-200 rounded px-2 py-1.5 text-sm
+                                       focus:outline-none focus:ring-2 focus:ring-purple-300"
+                          />
+                        )}
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => removeLadderEntry(compIdx, entryIdx)}
+                      disabled={comp.ladder.length <= 1}
+                      className="px-2 py-1.5 text-red-400 hover:text-red-600 hover:bg-red-50
+                                 rounded transition-colors text-sm font-bold shrink-0
+                                 disabled:opacity-30 disabled:hover:bg-transparent"
+                      title="구간 삭제"
+                    >
+                      ×
+                    </button>
+                  </div>
+                ))}
               </div>
-              {(item.type === 'session' || item.type === 'mixed') && (
-                <div>
-                  <label className="block text-xs text-gray-500 mb-1">회차</label>
-                  <input
-                    type="number"
-                    value={numVal(item.competitor.sessions)}
-                    onChange={(e) => updateCompetitor('sessions', e.target.value)}
-                    placeholder="1"
-                    min="1"
-                    className="w-full border border-purple-200 rounded px-2 py-1.5 text-sm
-                               focus:outline-none focus:ring-2 focus:ring-purple-300"
-                  />
-                </div>
-              )}
-              {(item.type === 'shot' || item.type === 'mixed') && (
-                <div>
-                  <label className="block text-xs text-gray-500 mb-1">샷수</label>
-                  <input
-                    type="number"
-                    value={numVal(item.competitor.shots)}
-                    onChange={(e) => updateCompetitor('shots', e.target.value)}
-                    placeholder="100"
-                    min="1"
-                    className="w-full border border-purple-200 rounded px-2 py-1.5 text-sm
-                               focus:outline-none focus:ring-2 focus:ring-purple-300"
-                  />
-                </div>
-              )}
             </div>
+          ))}
+        </div>
+      </div>
+
+      {/* 원가 / 마진 분석 */}
+      <div className="border-t border-gray-200 pt-4">
+        <label className="flex items-center gap-2 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={item.cost?.enabled || false}
+            onChange={toggleCost}
+            className="w-4 h-4 rounded border-gray-300 text-amber-600
+                       focus:ring-amber-400"
+          />
+          <span className="text-sm font-semibold text-amber-700">
+            원가 / 마진 분석
+          </span>
+        </label>
+
+        {item.cost?.enabled && (
+          <div className="mt-3 p-3 rounded-lg border-2 border-dashed border-amber-300 bg-amber-50">
+            <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-3">
+              {COST_FIELDS
+                .filter((field) => !field.shotOnly || ['shot', 'mixed', 'unit'].includes(item.type))
+                .map((field) => (
+                  <div key={field.key}>
+                    <label className="block text-xs text-gray-500 mb-1">
+                      {field.shotOnly && item.type === 'unit' ? `제품 원가 (원/${unitName})` : field.label}
+                    </label>
+                    <input
+                      type="number"
+                      value={numVal(item.cost[field.key])}
+                      onChange={(e) => updateCost(field.key, e.target.value)}
+                      placeholder={field.placeholder}
+                      min="0"
+                      className="w-full border border-amber-200 rounded px-2 py-1.5 text-sm
+                                 focus:outline-none focus:ring-2 focus:ring-amber-300"
+                    />
+                  </div>
+                ))}
+            </div>
+            <p className="text-xs text-amber-600 mt-2">
+              마진율이 최소 마진율보다 낮은 옵션은 경고로 표시됩니다. 원가·마진은 공급가(VAT 별도) 기준입니다.
+            </p>
           </div>
         )}
       </div>
@@ -1,7 +1,8 @@
 /**
  * MainApp.jsx - 최상위 앱 셸
  *
- * 3탭 구조: 수가 책정 | 한정 이벤트 | 지점 수가
+ * 4탭 구조: 수가 책정 | 한정 이벤트 | 지점 수가 | 회원권
+ * 탭 공통: 저장 데이터 격리 안내, 실행 취소 / 다시 실행 기록
  */
 
 import { useState, useCallback, useEffect } from 'react';
@@ -13,27 +14,52 @@ import EventTab from './event/EventTab';
 import FloatingNotepad from './event/FloatingNotepad';
 import FloatingCalculator from './event/FloatingCalculator';
 import BranchTab from './branch/BranchTab';
-import { autoLoad, saveRoundUnit, loadRoundUnit } from '../utils/storage';
+import MembershipTab from './membership/MembershipTab';
+import QuarantineNotice from './QuarantineNotice';
+import CommandHistoryPanel from './CommandHistoryPanel';
+import {
+  saveRounding,
+  loadRounding,
+  saveVatMode,
+  loadVatMode,
+  saveRuleSettings,
+  loadRuleSettings,
+} from '../utils/storage';
+import { subscribeWriteErrors } from '../utils/kvStore';
 
 export default function MainApp() {
   const [mainTab, setMainTab] = useState('pricing');
-  const [roundUnit, setRoundUnit] = useState(() => loadRoundUnit());
+  const [rounding, setRounding] = useState(() => loadRounding());
+  const [vatMode, setVatMode] = useState(() => loadVatMode());
+  const [ruleSettings, setRuleSettings] = useState(() => loadRuleSettings());
   const [toast, setToast] = useState(null);
   const [undoAction, setUndoAction] = useState(null);
 
-  // 기존 데이터 로드 (PricingTab에 전달)
-  const [initialPricingData] = useState(() => autoLoad());
+  // 반올림 전략 저장
+  useEffect(() => {
+    saveRounding(rounding);
+  }, [rounding]);
+
+  // VAT 모드 저장
+  useEffect(() => {
+    saveVatMode(vatMode);
+  }, [vatMode]);
 
-  // 반올림 단위 저장
+  // 검증 규칙 설정 저장
   useEffect(() => {
-    saveRoundUnit(roundUnit);
-  }, [roundUnit]);
+    saveRuleSettings(ruleSettings);
+  }, [ruleSettings]);
 
   const showToast = useCallback((msg, undo) => {
     setToast(msg);
     setUndoAction(undo ? () => undo : null);
   }, []);
 
+  // IndexedDB 기록 실패(용량 초과 등)는 화면에 바로 반영된 것처럼 보이므로 알림
+  useEffect(() => subscribeWriteErrors(({ error }) => {
+    showToast(error.message);
+  }), [showToast]);
+
   const clearToast = useCallback(() => {
     setToast(null);
     setUndoAction(null);
@@ -41,9 +67,19 @@ export default function MainApp() {
 
   return (
     <div className="min-h-screen bg-gray-50">
-      <Header roundUnit={roundUnit} onRoundUnitChange={setRoundUnit} />
+      <Header
+        rounding={rounding}
+        onRoundingChange={setRounding}
+        vatMode={vatMode}
+        onVatModeChange={setVatMode}
+      />
 
       <main className="max-w-6xl mx-auto px-4 py-4">
+        <QuarantineNotice onToast={showToast} />
+
+        {/* 실행 취소 / 다시 실행 (모든 탭 공통) */}
+        <CommandHistoryPanel onToast={showToast} />
+
         {/* 메인 탭 */}
         <MainTabBar activeTab={mainTab} onTabChange={setMainTab} />
 
@@ -51,14 +87,22 @@ export default function MainApp() {
         <div className="mt-0">
           {mainTab === 'pricing' && (
             <PricingTab
-              roundUnit={roundUnit}
+              rounding={rounding}
+              vatMode={vatMode}
               onToast={showToast}
-              initialData={initialPricingData}
+              ruleSettings={ruleSettings}
+              onRuleSettingsChange={setRuleSettings}
             />
           )}
           {mainTab === 'event' && (
             <>
-              <EventTab onToast={showToast} roundUnit={roundUnit} />
+              <EventTab
+                onToast={showToast}
+                rounding={rounding}
+                vatMode={vatMode}
+                ruleSettings={ruleSettings}
+                onRuleSettingsChange={setRuleSettings}
+              />
               <FloatingNotepad />
               <FloatingCalculator />
             </>
@@ -66,6 +110,9 @@ export default function MainApp() {
           {mainTab === 'branch' && (
             <BranchTab onToast={showToast} />
           )}
+          {mainTab === 'membership' && (
+            <MembershipTab onToast={showToast} rounding={rounding} vatMode={vatMode} />
+          )}
         </div>
       </main>
 
@@ -0,0 +1,86 @@
+/**
+ * PassphraseDialog.jsx - 파일 암호화/복호화 비밀번호 입력 창
+ *
+ * encrypt: 비밀번호 + 확인 (최소 길이 검사) / decrypt: 비밀번호 하나
+ * Enter로 확인, Esc로 취소합니다. usePassphrasePrompt와 함께 사용합니다.
+ */
+
+import { useState } from 'react';
+import { MIN_PASSPHRASE_LENGTH } from '../utils/fileCrypto';
+
+export default function PassphraseDialog({ mode, title, onSubmit, onCancel }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirm, setConfirm] = useState('');
+  const encrypting = mode === 'encrypt';
+
+  let error = '';
+  if (encrypting && passphrase && passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    error = `${MIN_PASSPHRASE_LENGTH}자 이상 입력하세요`;
+  } else if (encrypting && confirm && confirm !== passphrase) {
+    error = '비밀번호가 일치하지 않습니다';
+  }
+  const canSubmit = encrypting
+    ? passphrase.length >= MIN_PASSPHRASE_LENGTH && confirm === passphrase
+    : passphrase.length > 0;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && canSubmit) onSubmit(passphrase);
+    else if (e.key === 'Escape') onCancel();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 print:hidden" onClick={onCancel}>
+      <div
+        className="w-80 bg-white rounded-lg shadow-lg border border-gray-200 p-4 space-y-3"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 className="text-sm font-bold text-gray-800">
+          🔒 {title} {encrypting ? '암호화' : '비밀번호 입력'}
+        </h3>
+        <p className="text-xs text-gray-500">
+          {encrypting
+            ? '받는 사람에게 비밀번호를 파일과 다른 경로로 알려 주세요. 비밀번호를 잊으면 파일을 열 수 없습니다.'
+            : '암호화된 파일입니다. 내보낼 때 정한 비밀번호를 입력하세요.'}
+        </p>
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="비밀번호"
+          autoFocus
+          className="w-full px-3 py-2 border border-gray-300 rounded text-sm
+                     focus:outline-none focus:ring-2 focus:ring-blue-400"
+        />
+        {encrypting && (
+          <input
+            type="password"
+            value={confirm}
+            onChange={(e) => setConfirm(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="비밀번호 확인"
+            className="w-full px-3 py-2 border border-gray-300 rounded text-sm
+                       focus:outline-none focus:ring-2 focus:ring-blue-400"
+          />
+        )}
+        {error && <p className="text-xs text-red-500">{error}</p>}
+        <div className="flex justify-end gap-2">
+          <button
+            onClick={onCancel}
+            className="px-3 py-1.5 text-xs text-gray-500 bg-white border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+          >
+            취소
+          </button>
+          <button
+            onClick={() => onSubmit(passphrase)}
+            disabled={!canSubmit}
+            className="px-3 py-1.5 text-xs font-bold text-white bg-blue-600 rounded hover:bg-blue-700 transition-colors
+                       disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {encrypting ? '암호화해 내보내기' : '열기'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,96 @@
+/**
+ * PresetDiffPreview.jsx - 프리셋 불러오기 전 비교
+ *
+ * 전체 불러오기 시 현재 시술 목록에서 추가 / 삭제 / 변경되는 시술을 보여 주고,
+ * 추가·변경 시술은 하나씩 현재 목록에 병합할 수 있습니다 (onLoadItem이 있을 때).
+ */
+
+import { useMemo, useState } from 'react';
+import { diffPresetItems } from '../utils/presetLibrary';
+
+const STATUS_STYLES = {
+  added: { label: '추가', className: 'text-green-700 bg-green-50' },
+  removed: { label: '삭제', className: 'text-red-600 bg-red-50' },
+  changed: { label: '변경', className: 'text-amber-800 bg-amber-50' },
+  same: { label: '동일', className: 'text-gray-400 bg-gray-50' },
+};
+
+export default function PresetDiffPreview({ preset, currentItems, onLoadAll, onLoadItem, onClose }) {
+  const [showSame, setShowSame] = useState(false);
+  const presetItems = useMemo(() => preset.data?.items || [], [preset]);
+  const diff = useMemo(() => diffPresetItems(currentItems, presetItems), [currentItems, presetItems]);
+
+  const counts = diff.reduce((acc, entry) => ({ ...acc, [entry.status]: acc[entry.status] + 1 }), {
+    added: 0, removed: 0, changed: 0, same: 0,
+  });
+  const visible = showSame ? diff : diff.filter((entry) => entry.status !== 'same');
+
+  return (
+    <div className="border border-gray-200 rounded p-2 mb-3 text-xs">
+      <div className="flex items-center justify-between mb-2">
+        <span className="font-bold text-gray-700 truncate">"{preset.name}" 불러오기 미리보기</span>
+        <button onClick={onClose} className="text-gray-400 hover:text-gray-600 shrink-0 ml-2">✕</button>
+      </div>
+
+      <div className="flex flex-wrap gap-1 mb-2">
+        {['added', 'changed', 'removed', 'same'].map((status) => (
+          <span key={status} className={`px-1.5 py-0.5 rounded ${STATUS_STYLES[status].className}`}>
+            {STATUS_STYLES[status].label} {counts[status]}
+          </span>
+        ))}
+        {counts.same > 0 && (
+          <label className="flex items-center gap-1 ml-auto text-gray-500 cursor-pointer">
+            <input type="checkbox" checked={showSame} onChange={(e) => setShowSame(e.target.checked)} />
+            동일 시술 보기
+          </label>
+        )}
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="text-gray-400 text-center py-2">현재 상태와 차이가 없습니다</p>
+      ) : (
+        <ul className="max-h-56 overflow-y-auto divide-y divide-gray-100 border border-gray-100 rounded">
+          {visible.map((entry) => (
+            <li key={entry.key} className="flex items-start gap-2 px-2 py-1.5">
+              <span className={`px-1 rounded shrink-0 ${STATUS_STYLES[entry.status].className}`}>
+                {STATUS_STYLES[entry.status].label}
+              </span>
+              <div className="flex-1 min-w-0">
+                <span className={`font-medium text-gray-800 ${entry.status === 'removed' ? 'line-through' : ''}`}>
+                  {entry.name}
+                </span>
+                {entry.changes.length > 0 && (
+                  <span className="block text-gray-500">{entry.changes.join(' · ')}</span>
+                )}
+              </div>
+              {onLoadItem && (entry.status === 'added' || entry.status === 'changed') && (
+                <button
+                  onClick={() => onLoadItem(presetItems[entry.presetIndex])}
+                  className="px-2 py-0.5 bg-blue-50 text-blue-600 rounded hover:bg-blue-100 transition-colors shrink-0"
+                >
+                  이 시술만 가져오기
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="flex justify-end gap-1 mt-2">
+        <button
+          onClick={onClose}
+          className="px-3 py-1.5 text-gray-500 bg-white border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+        >
+          닫기
+        </button>
+        <button
+          onClick={onLoadAll}
+          className="px-3 py-1.5 font-bold text-white rounded hover:opacity-90 transition-colors"
+          style={{ backgroundColor: 'var(--color-preset)' }}
+        >
+          전체 불러오기 (현재 상태 교체)
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -2,32 +2,101 @@
  * PresetManager.jsx - 프리셋 저장/불러오기/삭제 + JSON 내보내기/가져오기
  *
  * 역할:
- *   - 현재 전체 구성을 이름 지정해 저장
- *   - 프리셋 목록에서 불러오기/삭제
- *   - JSON 파일 다운로드 / 파일 선택해서 복원
+ *   - 현재 전체 구성을 이름 지정해 저장 (설명 / 태그 / 작성자 / 지점 정보 포함)
+ *   - 프리셋 목록 검색 (이름·설명·태그·작성자·시술명) + 태그 / 지점 필터
+ *   - 불러오기 전 현재 상태와 비교 (PresetDiffPreview) → 전체 교체 또는 시술 하나만 병합
+ *   - 프리셋 정보 수정 / 삭제
+ *   - JSON 파일 다운로드 / 파일 선택해서 복원 (외부 공유용 비밀번호 암호화, 암호화 파일은 불러올 때 비밀번호 입력)
+ *     가져온 파일에 형식 문제가 있으면 검증 결과를 보여 주고 자동 복구본으로 불러오기
+ *   - 다른 탭에서 저장/삭제한 프리셋 목록 실시간 반영
+ *     (저장/삭제는 매번 최신 목록을 읽어 고치므로 동시에 써도 서로 덮어쓰지 않음)
  */
 
-import { useState, useCallback, useRef } from 'react';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import {
   loadPresets,
   savePreset,
+  updatePresetMeta,
   deletePreset,
   getPresetData,
   exportToJSON,
   importFromJSON,
 } from '../utils/storage';
+import { subscribeChanges } from '../utils/kvStore';
+import { undoCommand } from '../utils/commandHistory';
+import { getActiveBranch } from '../utils/branchStorage';
+import { parseTags, collectPresetFacets, filterPresets } from '../utils/presetLibrary';
+import usePassphrasePrompt from '../hooks/usePassphrasePrompt';
+import PassphraseDialog from './PassphraseDialog';
+import PresetDiffPreview from './PresetDiffPreview';
+import ValidationReport from './ValidationReport';
 
-export default function PresetManager({ currentData, onLoad, onToast }) {
+const inputClass = 'w-full border border-gray-300 rounded px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-blue-400';
+
+/** 입력 폼 값 → savePreset / updatePresetMeta 메타데이터 */
+const toMeta = (form) => ({ ...form, tags: parseTags(form.tagsText) });
+
+/** 프리셋 → 입력 폼 값 */
+const toForm = (preset) => ({
+  description: preset?.description || '',
+  tagsText: (preset?.tags || []).join(', '),
+  author: preset?.author || '',
+  branch: preset?.branch ?? (getActiveBranch() || ''),
+});
+
+/** 설명 / 태그 / 작성자 / 지점 입력 */
+function PresetMetaFields({ form, onChange }) {
+  const update = (field) => (e) => onChange({ ...form, [field]: e.target.value });
+  return (
+    <div className="grid grid-cols-2 gap-1">
+      <input
+        type="text"
+        value={form.description}
+        onChange={update('description')}
+        placeholder="설명"
+        className={`${inputClass} col-span-2`}
+      />
+      <input
+        type="text"
+        value={form.tagsText}
+        onChange={update('tagsText')}
+        placeholder="태그 (쉼표로 구분)"
+        className={`${inputClass} col-span-2`}
+      />
+      <input type="text" value={form.author} onChange={update('author')} placeholder="작성자" className={inputClass} />
+      <input type="text" value={form.branch} onChange={update('branch')} placeholder="지점" className={inputClass} />
+    </div>
+  );
+}
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString('ko-KR');
+
+export default function PresetManager({ currentData, onLoad, onLoadItem, onToast }) {
   const [presetName, setPresetName] = useState('');
+  const [metaForm, setMetaForm] = useState(() => toForm(null));
+  const [showMeta, setShowMeta] = useState(false);
   const [presets, setPresets] = useState(() => loadPresets());
   const [showPresets, setShowPresets] = useState(false);
+  const [filter, setFilter] = useState({ query: '', tag: '', branch: '' });
+  const [previewName, setPreviewName] = useState(null);
+  const [editing, setEditing] = useState(null); // { name, form }
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, report }
   const fileInputRef = useRef(null);
+  const { request: requestPassphrase, dialog: passphraseDialog } = usePassphrasePrompt();
 
   // 프리셋 목록 새로고침
   const refreshPresets = useCallback(() => {
     setPresets(loadPresets());
   }, []);
 
+  useEffect(() => subscribeChanges((change) => {
+    if (change.key === 'vans-pricing-presets') refreshPresets();
+  }), [refreshPresets]);
+
+  const facets = useMemo(() => collectPresetFacets(presets), [presets]);
+  const visiblePresets = useMemo(() => filterPresets(presets, filter), [presets, filter]);
+  const previewPreset = presets.find((p) => p.name === previewName) || null;
+
   // ── 프리셋 저장 ──
   const handleSavePreset = useCallback(() => {
     const name = presetName.trim();
@@ -36,23 +105,25 @@ export default function PresetManager({ currentData, onLoad, onToast }) {
       return;
     }
 
-    const success = savePreset(name, currentData);
+    const success = savePreset(name, currentData, toMeta(metaForm));
     if (success) {
       onToast?.(`"${name}" 프리셋이 저장되었습니다.`);
       setPresetName('');
+      setMetaForm((prev) => ({ ...toForm(null), author: prev.author }));
       refreshPresets();
     } else {
       onToast?.('프리셋 저장에 실패했습니다.');
     }
-  }, [presetName, currentData, onToast, refreshPresets]);
+  }, [presetName, metaForm, currentData, onToast, refreshPresets]);
 
-  // ── 프리셋 불러오기 ──
+  // ── 프리셋 불러오기 (전체 교체) ──
   const handleLoadPreset = useCallback(
     (name) => {
       const data = getPresetData(name);
       if (data) {
-        onLoad(data);
-        onToast?.(`"${name}" 프리셋을 불러왔습니다.`);
+        const id = onLoad(data, `프리셋 불러오기: ${name}`);
+        onToast?.(`"${name}" 프리셋을 불러왔습니다.`, id ? () => undoCommand(id) : undefined);
+        setPreviewName(null);
       } else {
         onToast?.('프리셋 데이터를 찾을 수 없습니다.');
       }
@@ -60,6 +131,27 @@ export default function PresetManager({ currentData, onLoad, onToast }) {
     [onLoad, onToast],
   );
 
+  // ── 프리셋에서 시술 하나만 가져오기 (현재 목록에 병합) ──
+  const handleLoadItem = useCallback(
+    (presetName, item) => {
+      const id = onLoadItem(item, presetName);
+      onToast?.(`"${item.name || '이름 없는 시술'}"을(를) 가져왔습니다.`, id ? () => undoCommand(id) : undefined);
+    },
+    [onLoadItem, onToast],
+  );
+
+  // ── 프리셋 정보 수정 ──
+  const handleSaveMeta = useCallback(() => {
+    if (!editing) return;
+    if (updatePresetMeta(editing.name, toMeta(editing.form))) {
+      onToast?.(`"${editing.name}" 프리셋 정보를 수정했습니다.`);
+      setEditing(null);
+      refreshPresets();
+    } else {
+      onToast?.('프리셋 정보 수정에 실패했습니다.');
+    }
+  }, [editing, onToast, refreshPresets]);
+
   // ── 프리셋 삭제 ──
   const handleDeletePreset = useCallback(
     (name) => {
@@ -74,16 +166,18 @@ export default function PresetManager({ currentData, onLoad, onToast }) {
   );
 
   // ── JSON 내보내기 ──
-  const handleExportJSON = useCallback(() => {
+  const handleExportJSON = useCallback(async (encrypt) => {
+    const passphrase = encrypt ? await requestPassphrase('encrypt', '수가 데이터') : undefined;
+    if (passphrase === null) return;
     try {
       const now = new Date();
       const dateStr = `${now.getFullYear()}${String(now.getMonth() + 1).padStart(2, '0')}${String(now.getDate()).padStart(2, '0')}`;
-      exportToJSON(currentData, `vans-pricing-${dateStr}.json`);
-      onToast?.('JSON 파일이 다운로드되었습니다.');
+      await exportToJSON(currentData, `vans-pricing-${dateStr}${encrypt ? '-encrypted' : ''}.json`, { passphrase });
+      onToast?.(encrypt ? '암호화된 JSON 파일이 다운로드되었습니다.' : 'JSON 파일이 다운로드되었습니다.');
     } catch {
       onToast?.('JSON 내보내기에 실패했습니다.');
     }
-  }, [currentData, onToast]);
+  }, [currentData, requestPassphrase, onToast]);
 
   // ── JSON 가져오기 ──
   const handleImportJSON = useCallback(
@@ -92,9 +186,16 @@ export default function PresetManager({ currentData, onLoad, onToast }) {
       if (!file) return;
 
       try {
-        const data = await importFromJSON(file);
-        onLoad(data);
-        onToast?.('JSON 파일에서 데이터를 복원했습니다.');
+        const result = await importFromJSON(file, {
+          requestPassphrase: () => requestPassphrase('decrypt', file.name),
+        });
+        if (result && result.report.issues.length > 0) {
+          // 형식 문제가 있으면 검증 결과를 먼저 보여 줌
+          setPendingImport({ fileName: file.name, report: result.report });
+        } else if (result) {
+          onLoad(result.data, `JSON 가져오기: ${file.name}`);
+          onToast?.('JSON 파일에서 데이터를 복원했습니다.');
+        }
       } catch (err) {
         onToast?.(`가져오기 실패: ${err.message}`);
       }
@@ -102,9 +203,20 @@ export default function PresetManager({ currentData, onLoad, onToast }) {
       // 파일 입력 초기화 (같은 파일 다시 선택 가능)
       if (fileInputRef.current) fileInputRef.current.value = '';
     },
-    [onLoad, onToast],
+    [onLoad, requestPassphrase, onToast],
   );
 
+  // 자동 복구본으로 불러오기
+  const handleConfirmImport = useCallback(() => {
+    const { fileName, report } = pendingImport;
+    const id = onLoad(report.value, `JSON 가져오기 (자동 복구): ${fileName}`);
+    onToast?.(
+      `JSON 파일에서 데이터를 복원했습니다. (문제 ${report.issues.length}건 자동 복구)`,
+      id ? () => undoCommand(id) : undefined,
+    );
+    setPendingImport(null);
+  }, [pendingImport, onLoad, onToast]);
+
   return (
     <div className="bg-white rounded-lg shadow border border-gray-200 p-4">
       <h3
@@ -136,6 +248,17 @@ export default function PresetManager({ currentData, onLoad, onToast }) {
           저장
         </button>
       </div>
+      <button
+        onClick={() => setShowMeta(!showMeta)}
+        className="text-xs text-gray-500 hover:text-gray-700 mb-2"
+      >
+        {showMeta ? '▲' : '▼'} 설명 · 태그 · 작성자 · 지점
+      </button>
+      {showMeta && (
+        <div className="mb-3">
+          <PresetMetaFields form={metaForm} onChange={setMetaForm} />
+        </div>
+      )}
 
       {/* 프리셋 목록 토글 */}
       <button
@@ -157,39 +280,141 @@ export default function PresetManager({ currentData, onLoad, onToast }) {
               저장된 프리셋이 없습니다.
             </p>
           ) : (
-            <div className="space-y-1 max-h-40 overflow-y-auto">
-              {presets.map((preset) => (
-                <div
-                  key={preset.name}
-                  className="flex items-center justify-between p-2 bg-gray-50 rounded border border-gray-100"
-                >
-                  <div className="flex-1 min-w-0">
-                    <span className="text-sm font-medium text-gray-700 truncate block">
-                      {preset.name}
-                    </span>
-                    <span className="text-xs text-gray-400">
-                      {new Date(preset.createdAt).toLocaleDateString('ko-KR')}
-                    </span>
-                  </div>
-                  <div className="flex gap-1 shrink-0 ml-2">
+            <>
+              {/* 검색 / 필터 */}
+              <div className="flex gap-1 mb-1">
+                <input
+                  type="search"
+                  value={filter.query}
+                  onChange={(e) => setFilter({ ...filter, query: e.target.value })}
+                  placeholder="이름, 설명, 태그, 작성자, 시술명 검색"
+                  className={inputClass}
+                />
+                {facets.branches.length > 0 && (
+                  <select
+                    value={filter.branch}
+                    onChange={(e) => setFilter({ ...filter, branch: e.target.value })}
+                    className="border border-gray-300 rounded px-1 py-1 text-xs shrink-0"
+                  >
+                    <option value="">전체 지점</option>
+                    {facets.branches.map((branch) => (
+                      <option key={branch} value={branch}>{branch}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+              {facets.tags.length > 0 && (
+                <div className="flex flex-wrap gap-1 mb-2">
+                  {facets.tags.map((tag) => (
                     <button
-                      onClick={() => handleLoadPreset(preset.name)}
-                      className="px-2 py-1 text-xs bg-blue-50 text-blue-600 rounded
-                                 hover:bg-blue-100 transition-colors font-medium"
+                      key={tag}
+                      onClick={() => setFilter({ ...filter, tag: filter.tag === tag ? '' : tag })}
+                      className={`px-1.5 py-0.5 text-xs rounded transition-colors
+                        ${filter.tag === tag ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-600 hover:bg-gray-200'}`}
                     >
-                      불러오기
+                      #{tag}
                     </button>
-                    <button
-                      onClick={() => handleDeletePreset(preset.name)}
-                      className="px-2 py-1 text-xs bg-red-50 text-red-500 rounded
-                                 hover:bg-red-100 transition-colors font-medium"
+                  ))}
+                </div>
+              )}
+
+              {previewPreset && (
+                <PresetDiffPreview
+                  preset={previewPreset}
+                  currentItems={currentData.items}
+                  onLoadAll={() => handleLoadPreset(previewPreset.name)}
+                  onLoadItem={onLoadItem ? (item) => handleLoadItem(previewPreset.name, item) : undefined}
+                  onClose={() => setPreviewName(null)}
+                />
+              )}
+
+              {visiblePresets.length === 0 ? (
+                <p className="text-xs text-gray-400 italic py-2">
+                  조건에 맞는 프리셋이 없습니다.
+                </p>
+              ) : (
+                <div className="space-y-1 max-h-64 overflow-y-auto">
+                  {visiblePresets.map((preset) => (
+                    <div
+                      key={preset.name}
+                      className={`p-2 rounded border
+                        ${preset.name === previewName ? 'bg-blue-50 border-blue-200' : 'bg-gray-50 border-gray-100'}`}
                     >
-                      삭제
-                    </button>
-                  </div>
+                      <div className="flex items-center justify-between">
+                        <div className="flex-1 min-w-0">
+                          <span className="text-sm font-medium text-gray-700 truncate block">
+                            {preset.name}
+                          </span>
+                          <span className="text-xs text-gray-400">
+                            {formatDate(preset.updatedAt || preset.createdAt)} 수정
+                            {preset.author && ` · ${preset.author}`}
+                            {preset.branch && ` · ${preset.branch}`}
+                            {` · 시술 ${preset.data?.items?.length || 0}개`}
+                          </span>
+                        </div>
+                        <div className="flex gap-1 shrink-0 ml-2">
+                          <button
+                            onClick={() => setPreviewName(preset.name === previewName ? null : preset.name)}
+                            className="px-2 py-1 text-xs bg-blue-50 text-blue-600 rounded
+                                       hover:bg-blue-100 transition-colors font-medium"
+                          >
+                            불러오기
+                          </button>
+                          <button
+                            onClick={() => setEditing(
+                              editing?.name === preset.name ? null : { name: preset.name, form: toForm(preset) },
+                            )}
+                            className="px-2 py-1 text-xs bg-gray-100 text-gray-600 rounded
+                                       hover:bg-gray-200 transition-colors font-medium"
+                          >
+                            정보
+                          </button>
+                          <button
+                            onClick={() => handleDeletePreset(preset.name)}
+                            className="px-2 py-1 text-xs bg-red-50 text-red-500 rounded
+                                       hover:bg-red-100 transition-colors font-medium"
+                          >
+                            삭제
+                          </button>
+                        </div>
+                      </div>
+                      {preset.description && (
+                        <p className="text-xs text-gray-600 mt-1">{preset.description}</p>
+                      )}
+                      {preset.tags?.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {preset.tags.map((tag) => (
+                            <span key={tag} className="px-1 text-xs text-blue-600 bg-blue-50 rounded">#{tag}</span>
+                          ))}
+                        </div>
+                      )}
+                      {editing?.name === preset.name && (
+                        <div className="mt-2 space-y-1">
+                          <PresetMetaFields
+                            form={editing.form}
+                            onChange={(form) => setEditing({ ...editing, form })}
+                          />
+                          <div className="flex justify-end gap-1">
+                            <button
+                              onClick={() => setEditing(null)}
+                              className="px-2 py-1 text-xs text-gray-500 bg-white border border-gray-300 rounded hover:bg-gray-100"
+                            >
+                              취소
+                            </button>
+                            <button
+                              onClick={handleSaveMeta}
+                              className="px-2 py-1 text-xs text-white bg-blue-600 rounded hover:bg-blue-700"
+                            >
+                              정보 저장
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  ))}
                 </div>
-              ))}
-            </div>
+              )}
+            </>
           )}
         </div>
       )}
@@ -197,12 +422,20 @@ export default function PresetManager({ currentData, onLoad, onToast }) {
       {/* JSON 내보내기/가져오기 */}
       <div className="flex flex-wrap gap-2 pt-2 border-t border-gray-100">
         <button
-          onClick={handleExportJSON}
+          onClick={() => handleExportJSON(false)}
           className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 rounded-lg
                      hover:bg-gray-200 transition-colors"
         >
           📥 JSON 저장
         </button>
+        <button
+          onClick={() => handleExportJSON(true)}
+          title="외부로 보낼 파일은 비밀번호로 암호화하세요"
+          className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 rounded-lg
+                     hover:bg-gray-200 transition-colors"
+        >
+          🔒 암호화 저장
+        </button>
         <button
           onClick={() => fileInputRef.current?.click()}
           className="px-3 py-1.5 text-xs font-medium text-gray-600 bg-gray-100 rounded-lg
@@ -218,6 +451,34 @@ export default function PresetManager({ currentData, onLoad, onToast }) {
           className="hidden"
         />
       </div>
+
+      {pendingImport && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/30 print:hidden">
+          <div className="w-[28rem] max-w-[95vw] bg-white rounded-lg shadow-lg border border-gray-200 p-4 space-y-3">
+            <h3 className="text-sm font-bold text-gray-800">⚠️ {pendingImport.fileName} 형식 검사</h3>
+            <p className="text-xs text-gray-500">
+              파일에 잘못된 값이 있습니다. 아래처럼 고쳐서 불러올 수 있습니다. (원본 파일은 바뀌지 않습니다)
+            </p>
+            <ValidationReport issues={pendingImport.report.issues} />
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => setPendingImport(null)}
+                className="px-3 py-1.5 text-xs text-gray-500 bg-white border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+              >
+                취소
+              </button>
+              <button
+                onClick={handleConfirmImport}
+                className="px-3 py-1.5 text-xs font-bold text-white bg-blue-600 rounded hover:bg-blue-700 transition-colors"
+              >
+                자동 복구 후 불러오기
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {passphraseDialog && <PassphraseDialog {...passphraseDialog} />}
     </div>
   );
 }
@@ -0,0 +1,108 @@
+/**
+ * QuarantineNotice.jsx - 격리된 저장 데이터 안내
+ *
+ * 스키마 마이그레이션에 실패했거나 오류 화면에서 초기화한 데이터는 지우지 않고 격리됩니다.
+ * 원본 내려받기 / 원래 위치로 복원(새로고침) / 삭제를 제공합니다.
+ * 격리 사본조차 저장하지 못한 데이터는 원본을 그대로 두었다고 알립니다.
+ */
+
+import { useState, useCallback } from 'react';
+import { kvStore } from '../utils/kvStore';
+import { loadQuarantine, removeQuarantined, restoreQuarantined, getMigrationReport } from '../utils/schema';
+
+export default function QuarantineNotice({ onToast }) {
+  const [entries, setEntries] = useState(() => loadQuarantine());
+  const [open, setOpen] = useState(false);
+  const [failed] = useState(() => getMigrationReport().failed);
+
+  const handleDownload = useCallback((entry) => {
+    const blob = new Blob([entry.raw], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${entry.key}-${entry.quarantinedAt.slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  }, []);
+
+  const handleRestore = useCallback((idx) => {
+    const entry = entries[idx];
+    if (!window.confirm(`"${entry.label}" 데이터를 복원하시겠습니까?\n현재 데이터를 덮어쓰고 새로고침합니다.`)) return;
+    restoreQuarantined(idx);
+    kvStore.flush().finally(() => window.location.reload());
+  }, [entries]);
+
+  const handleRemove = useCallback((idx) => {
+    const entry = entries[idx];
+    if (!window.confirm(`격리된 "${entry.label}" 데이터를 완전히 삭제하시겠습니까?`)) return;
+    removeQuarantined(idx);
+    setEntries(loadQuarantine());
+    onToast?.('격리된 데이터를 삭제했습니다');
+  }, [entries, onToast]);
+
+  if (entries.length === 0 && failed.length === 0) return null;
+
+  return (
+    <div className="mb-4 p-3 rounded-lg border border-amber-300 bg-amber-50 text-sm print:hidden">
+      {failed.map((entry) => (
+        <div key={entry.key} className="mb-1 text-xs text-red-600 break-all">
+          ⚠️ "{entry.label}" 데이터를 변환하지 못했고 격리 사본도 저장하지 못해 원본을 그대로 두었습니다: {entry.reason}
+        </div>
+      ))}
+      {entries.length > 0 && (
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-amber-800">
+            🗄️ 불러오지 못한 저장 데이터 {entries.length}건을 격리해 두었습니다.
+          </span>
+          <button
+            onClick={() => setOpen(!open)}
+            className="text-xs text-amber-700 hover:text-amber-900 underline shrink-0"
+          >
+            {open ? '닫기' : '자세히'}
+          </button>
+        </div>
+      )}
+
+      {open && (
+        <ul className="mt-2 space-y-1.5">
+          {entries.map((entry, idx) => (
+            <li
+              key={`${entry.key}-${entry.quarantinedAt}`}
+              className="flex flex-wrap items-center gap-2 p-2 bg-white rounded border border-amber-200"
+            >
+              <div className="flex-1 min-w-0">
+                <div className="text-xs font-bold text-gray-800">
+                  {entry.label}
+                  <span className="ml-1 font-normal text-gray-400">
+                    {new Date(entry.quarantinedAt).toLocaleString('ko-KR')}
+                  </span>
+                </div>
+                <div className="text-xs text-gray-500 break-all">{entry.reason}</div>
+              </div>
+              <div className="flex gap-1 shrink-0">
+                <button
+                  onClick={() => handleDownload(entry)}
+                  className="px-2 py-1 text-xs bg-blue-50 text-blue-600 rounded hover:bg-blue-100 transition-colors"
+                >
+                  내려받기
+                </button>
+                <button
+                  onClick={() => handleRestore(idx)}
+                  className="px-2 py-1 text-xs bg-gray-50 text-gray-600 rounded hover:bg-gray-100 transition-colors"
+                >
+                  복원
+                </button>
+                <button
+                  onClick={() => handleRemove(idx)}
+                  className="px-2 py-1 text-xs bg-red-50 text-red-500 rounded hover:bg-red-100 transition-colors"
+                >
+                  삭제
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
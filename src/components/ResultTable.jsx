@@ -4,8 +4,11 @@
  * 역할:
  *   - 계산 결과를 테이블로 실시간 표시
  *   - 행 유형별 배경색 적용 (체험가/이벤트가/경쟁사/위반)
- *   - Monotonic Rule 위반 행 빨간 배경 + 펄스 애니메이션
+ *   - Monotonic Rule / 최소 마진 위반 행 빨간 배경 + 펄스 애니메이션
  *   - 컬럼: 옵션 | 가격 | 단가 | 체험가대비 | 이벤트가대비 | 규칙체크
+ *   - 원가 분석 시: 원가 | 마진 | 마진율 | 손익분기가
+ *   - 경쟁사 입력 시: 구간별 시장 단가(최저/중앙/최고) | 중앙값 대비 포지션
+ *   - Monotonic 위반 행: 수정 제안 버튼 (onApplyFix 전달 시 클릭 한 번으로 적용)
  */
 
 import { formatNumber, getUnitLabel } from '../utils/pricing';
@@ -16,7 +19,7 @@ import { formatNumber, getUnitLabel } from '../utils/pricing';
  * @returns {string} CSS 클래스
  */
 function getRowStyle(row) {
-  if (row.violation) return 'row-warning';
+  if (row.violation || row.marginViolation) return 'row-warning';
   switch (row.rowType) {
     case 'trial':
       return 'row-trial';
@@ -81,11 +84,78 @@ function AdvantageBadge({ advantage }) {
   );
 }
 
-export default function ResultTable({ rows, type }) {
+/**
+ * 구간별 시장 단가 범위 (경쟁사별 단가는 툴팁)
+ * @param {{ market: object|null }} props
+ * @returns {JSX.Element}
+ */
+function MarketRange({ market }) {
+  if (!market) return <span className="text-gray-300">-</span>;
+
+  const tooltip = market.perCompetitor
+    .map((c) => {
+      const diff = c.advantage === null ? '' : ` (우리가 ${Math.abs(c.advantage)}% ${c.advantage > 0 ? '저렴' : '비쌈'})`;
+      return `${c.name}: ${formatNumber(c.unitPrice)}원${diff}`;
+    })
+    .join('\n');
+
+  return (
+    <span className="font-mono text-xs text-gray-600 whitespace-nowrap" title={tooltip}>
+      {formatNumber(market.min)} / <strong>{formatNumber(market.median)}</strong> / {formatNumber(market.max)}
+    </span>
+  );
+}
+
+/**
+ * 마진율 표시
+ * @param {{ percent: number|null, violation: boolean }} props
+ * @returns {JSX.Element}
+ */
+function MarginBadge({ percent, violation }) {
+  if (percent === null || percent === undefined) {
+    return <span className="text-gray-300">-</span>;
+  }
+
+  return (
+    <span
+      className={`inline-block px-1.5 py-0.5 rounded text-xs font-semibold
+        ${violation ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-700'}`}
+    >
+      {percent}%
+    </span>
+  );
+}
+
+/**
+ * 수정 제안 버튼 목록 (규칙 열)
+ * 다른 행을 고치는 제안은 행 이름을 함께 표시합니다.
+ */
+function FixButtons({ row, onApplyFix }) {
+  return (
+    <div className="flex flex-col items-center gap-0.5 mt-1 print:hidden">
+      {row.fixes.map((fix) => (
+        <button
+          key={`${fix.rowLabel}-${fix.price}`}
+          onClick={() => onApplyFix(fix)}
+          title={fix.text}
+          className="px-1.5 py-0.5 text-[11px] font-medium text-blue-700 bg-blue-50 border border-blue-200
+                     rounded hover:bg-blue-100 transition-colors whitespace-nowrap"
+        >
+          {fix.rowLabel === row.label ? '' : `${fix.rowLabel} `}
+          → {formatNumber(fix.displayPrice)}원
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default function ResultTable({ rows, type, unitName, onApplyFix }) {
   if (!rows || rows.length === 0) return null;
 
-  const unitLabel = getUnitLabel(type);
+  const unitLabel = getUnitLabel(type, unitName);
   const hasCompetitor = rows.some((r) => r.rowType === 'competitor');
+  const hasCost = rows.some((r) => r.cost !== null && r.cost !== undefined);
+  const hasMarket = rows.some((r) => r.market);
 
   return (
     <div className="overflow-x-auto">
@@ -109,6 +179,22 @@ export default function ResultTable({ rows, type }) {
                 경쟁사 비교
               </th>
             )}
+            {hasMarket && (
+              <>
+                <th className="text-center py-2 px-3 font-semibold text-gray-600">
+                  시장 단가 (최저/중앙/최고)
+                </th>
+                <th className="text-center py-2 px-3 font-semibold text-gray-600">중앙값 대비</th>
+              </>
+            )}
+            {hasCost && (
+              <>
+                <th className="text-right py-2 px-3 font-semibold text-gray-600">원가</th>
+                <th className="text-right py-2 px-3 font-semibold text-gray-600">마진</th>
+                <th className="text-center py-2 px-3 font-semibold text-gray-600">마진율</th>
+                <th className="text-right py-2 px-3 font-semibold text-gray-600">손익분기가</th>
+              </>
+            )}
           </tr>
         </thead>
         <tbody>
@@ -130,7 +216,7 @@ export default function ResultTable({ rows, type }) {
                   {row.rowType === 'competitor' && (
                     <span style={{ color: 'var(--color-competitor)' }}>● </span>
                   )}
-                  {row.violation && <span className="text-red-600">⚠ </span>}
+                  {(row.violation || row.marginViolation) && <span className="text-red-600">⚠ </span>}
                   {row.label}
                 </td>
 
@@ -158,8 +244,13 @@ export default function ResultTable({ rows, type }) {
                 <td className="py-2.5 px-3 text-center">
                   {row.rowType === 'competitor' ? (
                     <span className="text-gray-300">-</span>
-                  ) : row.violation ? (
-                    <span className="text-red-600 font-bold text-base">⚠</span>
+                  ) : row.violation || row.marginViolation ? (
+                    <>
+                      <span className="text-red-600 font-bold text-base">⚠</span>
+                      {onApplyFix && row.fixes?.length > 0 && (
+                        <FixButtons row={row} onApplyFix={onApplyFix} />
+                      )}
+                    </>
                   ) : row.price > 0 ? (
                     <span style={{ color: 'var(--color-success)' }} className="font-bold text-base">✓</span>
                   ) : (
@@ -177,6 +268,46 @@ export default function ResultTable({ rows, type }) {
                     )}
                   </td>
                 )}
+
+                {/* 시장 포지션 */}
+                {hasMarket && (
+                  <>
+                    <td className="py-2.5 px-3 text-center">
+                      <MarketRange market={row.market} />
+                    </td>
+                    <td className="py-2.5 px-3 text-center">
+                      {row.market ? (
+                        <span title={`우리 포함 ${row.market.count + 1}곳 중 저렴한 순 ${row.market.rank}위`}>
+                          <AdvantageBadge advantage={row.market.medianAdvantage} />
+                        </span>
+                      ) : (
+                        <span className="text-gray-300">-</span>
+                      )}
+                    </td>
+                  </>
+                )}
+
+                {/* 원가 분석 */}
+                {hasCost && (
+                  <>
+                    <td className="py-2.5 px-3 text-right font-mono text-gray-500">
+                      {row.cost !== null && row.cost !== undefined ? `${formatNumber(row.cost)}원` : '-'}
+                    </td>
+                    <td
+                      className={`py-2.5 px-3 text-right font-mono ${row.margin < 0 ? 'text-red-600' : ''}`}
+                    >
+                      {row.margin !== null && row.margin !== undefined && row.price > 0
+                        ? `${formatNumber(row.margin)}원`
+                        : '-'}
+                    </td>
+                    <td className="py-2.5 px-3 text-center">
+                      <MarginBadge percent={row.marginPercent} violation={row.marginViolation} />
+                    </td>
+                    <td className="py-2.5 px-3 text-right font-mono text-gray-500">
+                      {row.breakEvenPrice > 0 ? `${formatNumber(row.breakEvenPrice)}원` : '-'}
+                    </td>
+                  </>
+                )}
               </tr>
             );
           })}
@@ -0,0 +1,92 @@
+/**
+ * RuleSettingsPanel.jsx - 검증 규칙 설정
+ *
+ * 규칙별 사용 여부 / 심각도 / 임계값을 조정합니다.
+ * settings는 저장된 원본 설정(입력 중인 문자열 포함)이며, 표시용 기본값은 resolveRuleSettings로 채웁니다.
+ * scope를 넘기면 해당 범위(item | package) 규칙만 보여줍니다.
+ */
+
+import { useState } from 'react';
+import { VALIDATION_RULES, SEVERITY_LABELS, resolveRuleSettings } from '../utils/validation';
+
+export default function RuleSettingsPanel({ settings = {}, onChange, scope }) {
+  const [open, setOpen] = useState(false);
+
+  const resolved = resolveRuleSettings(settings);
+  const rules = scope ? VALIDATION_RULES.filter((r) => r.scope === scope) : VALIDATION_RULES;
+  const enabledCount = rules.filter((r) => resolved[r.id].enabled).length;
+
+  const updateRule = (ruleId, patch) => {
+    onChange({ ...settings, [ruleId]: { ...settings[ruleId], ...patch } });
+  };
+
+  const updateParam = (ruleId, key, value) => {
+    updateRule(ruleId, { params: { ...settings[ruleId]?.params, [key]: value } });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 p-4">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-sm font-bold text-gray-700"
+      >
+        <span>🛡️ 검증 규칙 설정</span>
+        <span className="text-xs font-normal text-gray-400">
+          {enabledCount}/{rules.length}개 사용 {open ? '▲' : '▼'}
+        </span>
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-2">
+          {rules.map((rule) => {
+            const setting = resolved[rule.id];
+            const rawParams = settings[rule.id]?.params || {};
+            return (
+              <div
+                key={rule.id}
+                className={`p-2 rounded border ${setting.enabled ? 'border-gray-200 bg-gray-50' : 'border-gray-100 opacity-60'}`}
+              >
+                <div className="flex flex-wrap items-center gap-2">
+                  <label className="flex items-center gap-1.5 flex-1 min-w-[180px] cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={setting.enabled}
+                      onChange={(e) => updateRule(rule.id, { enabled: e.target.checked })}
+                    />
+                    <span className="text-sm font-medium text-gray-800">{rule.label}</span>
+                  </label>
+                  <select
+                    value={setting.severity}
+                    onChange={(e) => updateRule(rule.id, { severity: e.target.value })}
+                    disabled={!setting.enabled}
+                    className="px-2 py-1 border border-gray-300 rounded text-xs
+                               focus:outline-none focus:ring-2 focus:ring-blue-400"
+                  >
+                    {Object.entries(SEVERITY_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  {rule.params.map((param) => (
+                    <label key={param.key} className="flex items-center gap-1 text-xs text-gray-600">
+                      {param.label}
+                      <input
+                        type="number"
+                        value={rawParams[param.key] ?? setting.params[param.key]}
+                        onChange={(e) => updateParam(rule.id, param.key, e.target.value)}
+                        disabled={!setting.enabled}
+                        min="0"
+                        className="w-16 px-2 py-1 border border-gray-300 rounded text-xs
+                                   focus:outline-none focus:ring-2 focus:ring-blue-400"
+                      />
+                    </label>
+                  ))}
+                </div>
+                <p className="text-xs text-gray-400 mt-1 pl-5">{rule.description}</p>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+/**
+ * SyncConflictNotice.jsx - 다른 탭과의 저장 충돌 안내
+ *
+ * useSyncedList / useSyncedDraft가 연 충돌을 보여 주고 해결 방법을 고르게 합니다.
+ *   병합                 - 양쪽 변경을 합침 (같은 항목을 양쪽에서 고쳤으면 이 탭 내용 유지)
+ *   이 탭 내용 유지       - 다른 탭의 변경을 덮어씀
+ *   다른 탭 변경 불러오기 - 이 탭의 저장되지 않은 변경을 버림
+ */
+
+export default function SyncConflictNotice({ label, conflict, onResolve }) {
+  if (!conflict) return null;
+
+  return (
+    <div className="mb-3 p-3 rounded-lg border border-orange-300 bg-orange-50 text-sm print:hidden">
+      <div className="text-orange-800">
+        🔀 다른 브라우저 탭에서 <b>{label}</b>을(를) 먼저 저장해 이 탭의 변경을 저장하지 못했습니다.
+      </div>
+      <div className="mt-1 text-xs text-orange-700">
+        다른 탭 {conflict.remote.length}개 · 이 탭 {conflict.localCount}개
+        {conflict.conflicts > 0 && ` · 양쪽에서 함께 고친 항목 ${conflict.conflicts}개 (병합 시 이 탭 내용 유지)`}
+      </div>
+      <div className="mt-2 flex flex-wrap gap-1">
+        <button
+          onClick={() => onResolve('merge')}
+          className="px-2 py-1 text-xs bg-orange-500 text-white rounded hover:bg-orange-600 transition-colors"
+        >
+          병합
+        </button>
+        <button
+          onClick={() => onResolve('local')}
+          className="px-2 py-1 text-xs bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+        >
+          이 탭 내용 유지
+        </button>
+        <button
+          onClick={() => onResolve('remote')}
+          className="px-2 py-1 text-xs bg-white text-gray-700 border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+        >
+          다른 탭 변경 불러오기
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,167 @@
+/**
+ * SyncServerPanel.jsx - 동기화 서버 설정 (직원 PC 간 데이터 공유)
+ *
+ * 같은 작업 공간 이름을 쓰는 PC끼리 프리셋, 시술 라이브러리, 패키지, 아카이브, 회원권, 지점 수가를 공유합니다.
+ * 서버는 저장소에 포함된 server/syncServer.js (npm run sync-server)를 사무실 PC 한 대에서 실행합니다.
+ * 다른 PC에서 접속하려면 서버를 HOST=0.0.0.0 SYNC_TOKEN=... 으로 띄우고 같은 토큰을 여기에 입력합니다.
+ */
+
+import { useState, useCallback, useSyncExternalStore } from 'react';
+import {
+  loadSyncSettings,
+  saveSyncSettings,
+  syncNow,
+  checkSyncServer,
+  subscribeSyncStatus,
+  getSyncStatus,
+  SYNC_INTERVAL,
+} from '../utils/syncClient';
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+function describeResult(result) {
+  const parts = [];
+  if (result.pulled > 0) parts.push(`받음 ${result.pulled}`);
+  if (result.pushed > 0) parts.push(`올림 ${result.pushed}`);
+  if (result.merged > 0) parts.push(`병합 ${result.merged}`);
+  if (result.conflicts > 0) parts.push(`충돌 ${result.conflicts}건은 이 PC 내용 유지`);
+  return parts.length > 0 ? parts.join(' · ') : '변경 없음';
+}
+
+export default function SyncServerPanel({ onToast }) {
+  const [settings, setSettings] = useState(() => loadSyncSettings());
+  const [open, setOpen] = useState(false);
+  const status = useSyncExternalStore(subscribeSyncStatus, getSyncStatus);
+
+  const update = (field, value) => setSettings((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = useCallback(() => {
+    if (settings.workspace && !/^[A-Za-z0-9_-]{1,64}$/.test(settings.workspace.trim())) {
+      onToast?.('작업 공간 이름은 영문, 숫자, -, _ 로 입력하세요');
+      return;
+    }
+    saveSyncSettings(settings);
+    setSettings(loadSyncSettings());
+    onToast?.('동기화 설정이 저장되었습니다');
+  }, [settings, onToast]);
+
+  const handleCheck = useCallback(() => {
+    if (!settings.serverUrl.trim()) return;
+    checkSyncServer(settings.serverUrl, { workspace: settings.workspace, token: settings.token })
+      .then(() => onToast?.('서버에 연결되었습니다'))
+      .catch((err) => onToast?.(`연결 실패: ${err.message}`));
+  }, [settings.serverUrl, settings.workspace, settings.token, onToast]);
+
+  const handleSync = useCallback(() => {
+    syncNow()
+      .then((result) => onToast?.(`동기화 완료: ${describeResult(result)}`))
+      .catch((err) => onToast?.(`동기화 실패: ${err.message}`));
+  }, [onToast]);
+
+  const saved = loadSyncSettings();
+  const configured = Boolean(saved.serverUrl && saved.workspace);
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-300 p-4">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-sm font-bold text-gray-700"
+      >
+        <span>🔄 PC 간 동기화</span>
+        <span className="text-xs font-normal text-gray-400">
+          {configured
+            ? `${saved.workspace} · ${saved.autoSync ? '자동' : '수동'}`
+            : '사용 안 함'} {open ? '▲' : '▼'}
+        </span>
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-2 text-sm">
+          <label className="block">
+            <span className="text-xs text-gray-500">서버 주소</span>
+            <input
+              type="text"
+              value={settings.serverUrl}
+              onChange={(e) => update('serverUrl', e.target.value)}
+              placeholder="http://192.168.0.10:8787"
+              className="mt-0.5 w-full px-2 py-1.5 border border-gray-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-blue-400"
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-500">작업 공간 이름 (같은 이름을 쓰는 PC끼리 공유)</span>
+            <input
+              type="text"
+              value={settings.workspace}
+              onChange={(e) => update('workspace', e.target.value)}
+              placeholder="vans-gangnam"
+              className="mt-0.5 w-full px-2 py-1.5 border border-gray-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-blue-400"
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs text-gray-500">동기화 토큰 (서버의 SYNC_TOKEN, 없으면 비움)</span>
+            <input
+              type="password"
+              value={settings.token}
+              onChange={(e) => update('token', e.target.value)}
+              autoComplete="off"
+              className="mt-0.5 w-full px-2 py-1.5 border border-gray-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-blue-400"
+            />
+          </label>
+          <label className="flex items-center gap-1.5 text-xs text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.autoSync}
+              onChange={(e) => update('autoSync', e.target.checked)}
+            />
+            자동 동기화 ({SYNC_INTERVAL / 1000}초마다 + 편집 직후)
+          </label>
+
+          <div className="flex flex-wrap gap-1 pt-1">
+            <button
+              onClick={handleSave}
+              className="px-3 py-1.5 text-xs bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
+            >
+              설정 저장
+            </button>
+            <button
+              onClick={handleCheck}
+              disabled={!settings.serverUrl.trim()}
+              className="px-3 py-1.5 text-xs bg-gray-50 text-gray-600 rounded hover:bg-gray-100
+                         disabled:opacity-40 transition-colors"
+            >
+              연결 확인
+            </button>
+            <button
+              onClick={handleSync}
+              disabled={!configured || status.running}
+              className="px-3 py-1.5 text-xs bg-blue-50 text-blue-600 rounded hover:bg-blue-100
+                         disabled:opacity-40 transition-colors"
+            >
+              {status.running ? '동기화 중...' : '지금 동기화'}
+            </button>
+          </div>
+
+          {status.error && (
+            <p className="text-xs text-red-500">마지막 동기화 실패: {status.error}</p>
+          )}
+          {status.lastSyncedAt && (
+            <p className="text-xs text-gray-500">
+              {formatTime(status.lastSyncedAt)} 동기화 — {describeResult(status.lastResult)}
+              {status.lastResult.skipped.length > 0 && (
+                <span className="block text-amber-600">
+                  건너뜀: {status.lastResult.skipped.map((s) => `${s.key} (${s.reason})`).join(', ')}
+                </span>
+              )}
+            </p>
+          )}
+          <p className="text-xs text-gray-400">
+            서버 실행: 사무실 PC 한 대에서 <code>npm run sync-server</code> (기본 포트 8787)
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
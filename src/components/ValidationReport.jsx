@@ -0,0 +1,52 @@
+/**
+ * ValidationReport.jsx - 가져온 데이터 검증 결과 (복구 방식별 건수 + 필드별 목록)
+ *
+ * dataValidation.js의 issues를 받아 표시만 합니다. 가져오기 확인 / 취소 버튼은 쓰는 쪽에서 둡니다.
+ */
+
+import { useState } from 'react';
+import { FIX_LABELS, summarizeIssues } from '../utils/dataValidation';
+
+const FIX_STYLES = {
+  coerced: 'text-blue-700 bg-blue-50',
+  defaulted: 'text-amber-800 bg-amber-50',
+  dropped: 'text-red-600 bg-red-50',
+};
+
+/** 처음에 보여 줄 최대 건수 */
+const INITIAL_LIMIT = 30;
+
+export default function ValidationReport({ issues }) {
+  const [showAll, setShowAll] = useState(false);
+  const summary = summarizeIssues(issues);
+  const visible = showAll ? issues : issues.slice(0, INITIAL_LIMIT);
+
+  return (
+    <div className="text-xs space-y-1">
+      <div className="flex flex-wrap gap-1">
+        <span className="text-gray-600">문제 {summary.total}건 →</span>
+        {Object.keys(FIX_LABELS).map((fix) => summary[fix] > 0 && (
+          <span key={fix} className={`px-1.5 py-0.5 rounded ${FIX_STYLES[fix]}`}>
+            {FIX_LABELS[fix]} {summary[fix]}
+          </span>
+        ))}
+      </div>
+      <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded bg-white">
+        {visible.map((issue, idx) => (
+          <li key={idx} className="flex items-start gap-2 px-2 py-1">
+            <span className={`px-1 rounded shrink-0 ${FIX_STYLES[issue.fix]}`}>{FIX_LABELS[issue.fix]}</span>
+            <span className="min-w-0 break-all">
+              <span className="text-gray-800">{issue.key ? `${issue.key} › ` : ''}{issue.path}</span>
+              <span className="ml-1 text-gray-500">{issue.message}</span>
+            </span>
+          </li>
+        ))}
+      </ul>
+      {issues.length > INITIAL_LIMIT && (
+        <button onClick={() => setShowAll(!showAll)} className="text-blue-500 hover:text-blue-700 underline">
+          {showAll ? '접기' : `나머지 ${issues.length - INITIAL_LIMIT}건 더 보기`}
+        </button>
+      )}
+    </div>
+  );
+}
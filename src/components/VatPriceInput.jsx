@@ -0,0 +1,36 @@
+/**
+ * VatPriceInput.jsx - VAT 모드 인식 가격 입력
+ *
+ * 저장값은 항상 공급가(VAT 별도)이고, 화면에는 표시 배율(factor)을 곱한 값을 보여줍니다.
+ * 입력 중에는 사용자가 친 문자열을 그대로 유지하고, 포커스가 빠지면 환산값으로 되돌립니다.
+ */
+
+import { useState } from 'react';
+
+export default function VatPriceInput({ value, onChange, factor = 1, ...inputProps }) {
+  const [draft, setDraft] = useState(null);
+
+  const stored = value === '' || value === undefined || value === null ? '' : Number(value);
+  const displayValue =
+    draft !== null ? draft : stored === '' ? '' : Math.round(stored * factor);
+
+  const handleChange = (e) => {
+    const raw = e.target.value;
+    if (factor === 1) {
+      onChange(raw);
+      return;
+    }
+    setDraft(raw);
+    onChange(raw === '' ? '' : String(Math.round(Number(raw) / factor)));
+  };
+
+  return (
+    <input
+      type="number"
+      {...inputProps}
+      value={displayValue}
+      onChange={handleChange}
+      onBlur={() => setDraft(null)}
+    />
+  );
+}
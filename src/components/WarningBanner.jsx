@@ -1,13 +1,37 @@
 /**
  * WarningBanner.jsx - 규칙 위반 경고 배너
  *
- * violations 배열이 비어있지 않으면 상단에 빨간 경고 배너를 표시합니다.
- * Monotonic Discount Rule 위반 내역을 리스트로 보여줍니다.
+ * results (규칙 레지스트리 결과)가 있으면 규칙별로 묶어 심각도 배지와 함께 보여줍니다.
+ *   - 오류가 하나라도 있으면 빨간 배너, 경고만 있으면 주황, 참고만 있으면 파란 배너
+ * violations (문자열 배열)만 넘기면 기존처럼 빨간 경고 리스트로 표시합니다.
+ * onApplyFix를 넘기면 수정 제안(fixes)이 있는 항목에 적용 버튼을 보여줍니다.
  */
 
-export default function WarningBanner({ violations }) {
-  if (!violations || violations.length === 0) return null;
+import { groupResultsByRule, SEVERITY_LABELS } from '../utils/validation';
 
+const SEVERITY_STYLES = {
+  error: {
+    background: '#fef2f2',
+    border: 'var(--color-warning)',
+    badge: 'bg-red-100 text-red-700',
+    text: 'text-red-700',
+  },
+  warning: {
+    background: '#fffbeb',
+    border: '#f59e0b',
+    badge: 'bg-amber-100 text-amber-700',
+    text: 'text-amber-800',
+  },
+  info: {
+    background: '#eff6ff',
+    border: '#60a5fa',
+    badge: 'bg-blue-100 text-blue-700',
+    text: 'text-blue-800',
+  },
+};
+
+/** 기존 문자열 violations 목록 */
+function LegacyBanner({ violations }) {
   return (
     <div
       className="mb-4 p-4 rounded-lg border-2 shadow-sm animate-pulse-slow print:animate-none"
@@ -23,10 +47,10 @@ export default function WarningBanner({ violations }) {
             className="font-bold text-sm mb-1"
             style={{ color: 'var(--color-warning)' }}
           >
-            Monotonic Discount Rule 위반 감지!
+            가격 규칙 위반 감지!
           </h3>
           <p className="text-xs text-red-600 mb-2">
-            수량이 증가하면 단가가 반드시 내려가야 합니다. 아래 항목을 확인하세요.
+            수량이 증가하면 단가가 반드시 내려가야 하며, 마진율은 최소 마진율 이상이어야 합니다. 아래 항목을 확인하세요.
           </p>
           <ul className="space-y-1">
             {violations.map((msg, idx) => (
@@ -44,3 +68,76 @@ export default function WarningBanner({ violations }) {
     </div>
   );
 }
+
+export default function WarningBanner({ violations, results, onApplyFix }) {
+  if (!results) {
+    if (!violations || violations.length === 0) return null;
+    return <LegacyBanner violations={violations} />;
+  }
+  if (results.length === 0) return null;
+
+  // 그룹은 심각도 순으로 정렬되어 있으므로 첫 그룹이 배너 색을 결정
+  const groups = groupResultsByRule(results);
+  const top = groups[0].severity;
+  const style = SEVERITY_STYLES[top];
+  const errorCount = results.filter((r) => r.severity === 'error').length;
+
+  return (
+    <div
+      className={`mb-4 p-4 rounded-lg border-2 shadow-sm print:animate-none
+        ${top === 'error' ? 'animate-pulse-slow' : ''}`}
+      style={{ backgroundColor: style.background, borderColor: style.border }}
+    >
+      <div className="flex items-start gap-2">
+        <span className="text-2xl leading-none shrink-0">{top === 'info' ? 'ℹ️' : '⚠️'}</span>
+        <div className="flex-1 min-w-0">
+          <h3 className="font-bold text-sm mb-2" style={{ color: style.border }}>
+            {top === 'error'
+              ? `가격 규칙 위반 감지! (오류 ${errorCount}건)`
+              : `가격 규칙 확인 필요 (${results.length}건)`}
+          </h3>
+          <div className="space-y-2">
+            {groups.map((group) => {
+              const groupStyle = SEVERITY_STYLES[group.severity];
+              return (
+                <div key={group.ruleId}>
+                  <div className="flex items-center gap-1.5 mb-0.5">
+                    <span className={`text-[10px] font-bold px-1.5 py-0.5 rounded ${groupStyle.badge}`}>
+                      {SEVERITY_LABELS[group.severity]}
+                    </span>
+                    <span className="text-xs font-bold text-gray-700">{group.label}</span>
+                    <span className="text-xs text-gray-400">{group.messages.length}건</span>
+                  </div>
+                  <ul className="space-y-0.5 pl-1">
+                    {group.results.map((result, idx) => (
+                      <li key={idx} className={`text-xs flex items-start gap-1 ${groupStyle.text}`}>
+                        <span className="shrink-0 mt-0.5">•</span>
+                        <div className="min-w-0">
+                          <span>{result.message}</span>
+                          {onApplyFix && result.fixes?.length > 0 && (
+                            <div className="flex flex-wrap gap-1 mt-1 print:hidden">
+                              {result.fixes.map((fix) => (
+                                <button
+                                  key={`${fix.rowLabel}-${fix.price}`}
+                                  onClick={() => onApplyFix(result, fix)}
+                                  className="px-2 py-0.5 text-[11px] font-medium text-blue-700 bg-white
+                                             border border-blue-200 rounded hover:bg-blue-50 transition-colors"
+                                >
+                                  🔧 {fix.text}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,318 @@
+/**
+ * WorkspaceBackup.jsx - 작업 공간 전체 백업 / 복원
+ *
+ * 백업: 모든 저장 데이터(수가, 프리셋, 패키지, 아카이브, 지점, 메모, 설정 등)를 JSON 1개로 내려받기
+ * 복원: 파일 검증 → 섹션 선택 + 병합/교체 미리보기 → 적용 후 새로고침
+ *   필드 검증에서 잘못된 값이 나오면 섹션별로 보여 주고, 자동 복구(기본)를 끄면 그 항목은 복원하지 않습니다.
+ * 외부로 보낼 백업은 비밀번호로 암호화할 수 있고, 암호화 파일은 복원할 때 비밀번호를 묻습니다.
+ */
+
+import { useState, useMemo, useRef, useCallback } from 'react';
+import { kvStore } from '../utils/kvStore';
+import {
+  BACKUP_SECTIONS,
+  downloadWorkspaceBackup,
+  parseWorkspaceBackup,
+  previewRestore,
+  applyRestore,
+} from '../utils/workspaceBackup';
+import { decryptIfNeeded } from '../utils/fileCrypto';
+import usePassphrasePrompt from '../hooks/usePassphrasePrompt';
+import PassphraseDialog from './PassphraseDialog';
+import ValidationReport from './ValidationReport';
+
+const MODE_LABELS = {
+  merge: '병합 (현재 데이터 유지, 없는 항목만 추가)',
+  replace: '교체 (선택한 섹션을 백업 내용으로 덮어쓰기)',
+};
+
+const ACTION_LABELS = {
+  add: { label: '추가', className: 'text-green-600' },
+  replace: { label: '교체', className: 'text-amber-600' },
+  merge: { label: '병합', className: 'text-blue-600' },
+  remove: { label: '삭제', className: 'text-red-500' },
+  keep: { label: '변경 없음', className: 'text-gray-400' },
+};
+
+export default function WorkspaceBackup({ onToast }) {
+  const [parsed, setParsed] = useState(null);
+  const [fileName, setFileName] = useState('');
+  const [selected, setSelected] = useState([]);
+  const [mode, setMode] = useState('merge');
+  const [sourceText, setSourceText] = useState('');
+  const [repair, setRepair] = useState(true);
+  const fileRef = useRef(null);
+  const { request: requestPassphrase, dialog: passphraseDialog } = usePassphrasePrompt();
+
+  const handleBackup = useCallback(async (encrypt) => {
+    const passphrase = encrypt ? await requestPassphrase('encrypt', '작업 공간 백업') : undefined;
+    if (passphrase === null) return;
+    try {
+      const { keyCount } = await downloadWorkspaceBackup({ passphrase });
+      onToast?.(`작업 공간 전체(${keyCount}개 항목)가 ${encrypt ? '암호화해 ' : ''}백업되었습니다`);
+    } catch (err) {
+      onToast?.(`백업 실패: ${err.message}`);
+    }
+  }, [requestPassphrase, onToast]);
+
+  const applyParsed = useCallback((result) => {
+    setParsed(result);
+    // 오류 없는 섹션만 기본 선택
+    setSelected(result.sections.filter((s) => s.errors.length === 0 && s.keyCount > 0).map((s) => s.id));
+  }, []);
+
+  const handleFile = useCallback((e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = async (ev) => {
+      try {
+        const text = await decryptIfNeeded(ev.target.result, () => requestPassphrase('decrypt', file.name));
+        if (text === null) return;
+        applyParsed(parseWorkspaceBackup(text));
+        setSourceText(text);
+        setRepair(true);
+        setFileName(file.name);
+        setMode('merge');
+      } catch (err) {
+        onToast?.(`복원 파일을 열 수 없습니다: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+    // 같은 파일 재선택 허용
+    if (fileRef.current) fileRef.current.value = '';
+  }, [applyParsed, requestPassphrase, onToast]);
+
+  const handleRepairChange = useCallback((next) => {
+    setRepair(next);
+    applyParsed(parseWorkspaceBackup(sourceText, { repair: next }));
+  }, [sourceText, applyParsed]);
+
+  const preview = useMemo(
+    () => (parsed?.backup ? previewRestore(parsed.backup, selected, mode) : []),
+    [parsed, selected, mode]
+  );
+
+  const changeCount = preview.reduce((sum, s) => sum + s.changes.length - s.counts.keep, 0);
+
+  const toggleSection = useCallback((id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]));
+  }, []);
+
+  const handleCancel = useCallback(() => {
+    setParsed(null);
+    setFileName('');
+    setSourceText('');
+  }, []);
+
+  const handleApply = useCallback(() => {
+    const removeCount = preview.reduce((sum, s) => sum + s.counts.remove, 0);
+    const message = mode === 'replace'
+      ? `선택한 ${selected.length}개 섹션을 백업 내용으로 교체합니다.${removeCount > 0 ? `\n백업에 없는 ${removeCount}개 항목은 삭제됩니다.` : ''}\n계속하시겠습니까?`
+      : `선택한 ${selected.length}개 섹션을 현재 데이터와 병합합니다. 계속하시겠습니까?`;
+    if (!window.confirm(message)) return;
+
+    try {
+      const { written, removed } = applyRestore(parsed.backup, selected, mode);
+      onToast?.(`복원 완료: ${written}개 기록, ${removed}개 삭제 — 새로고침합니다`);
+      // 각 탭이 들고 있는 상태를 새로 읽도록 새로고침
+      kvStore.flush().finally(() => window.location.reload());
+    } catch (err) {
+      onToast?.(`복원 실패: ${err.message}`);
+    }
+  }, [parsed, selected, mode, preview, onToast]);
+
+  const validSections = parsed?.sections || [];
+  const issueCount = validSections.reduce((sum, s) => sum + s.issues.length, 0);
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-300 p-4 sm:p-6">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <h3 className="text-sm font-bold text-gray-700">작업 공간 백업</h3>
+          <p className="text-xs text-gray-400 mt-0.5">
+            수가 책정, 프리셋, 패키지, 아카이브, 지점 수가, 회원권, 메모, 설정을 파일 하나로 보관합니다
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => handleBackup(false)}
+            className="px-3 py-1.5 text-xs font-medium bg-teal-600 text-white rounded hover:bg-teal-700 transition-colors"
+          >
+            전체 백업
+          </button>
+          <button
+            onClick={() => handleBackup(true)}
+            title="외부로 보낼 백업은 비밀번호로 암호화하세요"
+            className="px-3 py-1.5 text-xs font-medium text-teal-600 border border-teal-300 rounded
+                       hover:bg-teal-50 transition-colors"
+          >
+            🔒 암호화 백업
+          </button>
+          <label className="px-3 py-1.5 text-xs font-medium text-teal-600 border border-teal-300 rounded
+                            hover:bg-teal-50 transition-colors cursor-pointer">
+            복원…
+            <input
+              ref={fileRef}
+              type="file"
+              accept=".json"
+              onChange={handleFile}
+              className="hidden"
+            />
+          </label>
+        </div>
+      </div>
+
+      {parsed && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-lg border border-gray-200 text-xs space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <span className="font-bold text-gray-700 truncate">
+              📄 {fileName}
+              {parsed.backup?.exportedAt && (
+                <span className="ml-1 font-normal text-gray-400">
+                  {new Date(parsed.backup.exportedAt).toLocaleString('ko-KR')} 백업
+                  {parsed.backup.version === 1 && ' (지점 탭 구버전 백업)'}
+                </span>
+              )}
+            </span>
+            <button onClick={handleCancel} className="text-gray-400 hover:text-gray-600 shrink-0">
+              닫기
+            </button>
+          </div>
+
+          {parsed.errors.length > 0 && (
+            <ul className="p-2 rounded bg-red-50 border border-red-200 text-red-700 space-y-0.5">
+              {parsed.errors.map((msg) => <li key={msg}>⚠️ {msg}</li>)}
+            </ul>
+          )}
+
+          {validSections.length > 0 && (
+            <>
+              {/* 섹션 선택 */}
+              <div>
+                <div className="font-medium text-gray-600 mb-1">복원할 섹션</div>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-1">
+                  {BACKUP_SECTIONS.map((section) => {
+                    const info = validSections.find((s) => s.id === section.id);
+                    if (!info) return null;
+                    return (
+                      <label
+                        key={section.id}
+                        className={`flex items-start gap-2 p-1.5 rounded bg-white border
+                          ${info.errors.length > 0 ? 'border-red-200' : 'border-gray-200'}`}
+                      >
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(section.id)}
+                          disabled={info.keyCount === 0}
+                          onChange={() => toggleSection(section.id)}
+                          className="mt-0.5"
+                        />
+                        <span className="min-w-0">
+                          <span className="text-gray-800">{section.label}</span>
+                          <span className="ml-1 text-gray-400">{info.keyCount}개 항목</span>
+                          {info.errors.map((msg) => (
+                            <span key={msg} className="block text-red-600 break-all">{msg}</span>
+                          ))}
+                          {info.issues.length > 0 && (
+                            <details className="mt-0.5">
+                              <summary className="text-amber-700 cursor-pointer">
+                                잘못된 값 {info.issues.length}건 {repair ? '자동 복구' : '(복원 제외)'}
+                              </summary>
+                              <div className="mt-1">
+                                <ValidationReport issues={info.issues} />
+                              </div>
+                            </details>
+                          )}
+                        </span>
+                      </label>
+                    );
+                  })}
+                </div>
+              </div>
+
+              {/* 필드 검증 */}
+              {issueCount > 0 && (
+                <label className="flex items-start gap-1.5 p-2 rounded bg-amber-50 border border-amber-200 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={repair}
+                    onChange={(e) => handleRepairChange(e.target.checked)}
+                    className="mt-0.5"
+                  />
+                  <span className="text-amber-800">
+                    자동 복구
+                    {repair
+                      ? ` — 잘못된 값 ${issueCount}건을 고쳐서 복원합니다 (숫자 변환 · 기본값 채움 · 살릴 수 없는 행 제외)`
+                      : ' 꺼짐 — 잘못된 값이 있는 항목은 복원하지 않습니다'}
+                  </span>
+                </label>
+              )}
+
+              {/* 모드 */}
+              <div className="flex flex-wrap gap-3">
+                {Object.entries(MODE_LABELS).map(([value, label]) => (
+                  <label key={value} className="flex items-center gap-1 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="workspace-restore-mode"
+                      value={value}
+                      checked={mode === value}
+                      onChange={() => setMode(value)}
+                    />
+                    <span className="text-gray-700">{label}</span>
+                  </label>
+                ))}
+              </div>
+
+              {/* 미리보기 */}
+              {preview.length > 0 && (
+                <div className="space-y-1">
+                  <div className="font-medium text-gray-600">미리보기</div>
+                  {preview.map((section) => (
+                    <div key={section.id} className="p-1.5 bg-white rounded border border-gray-200">
+                      <span className="font-bold text-gray-700">{section.label}</span>
+                      <ul className="mt-0.5 space-y-0.5">
+                        {section.changes.map((change) => (
+                          <li key={change.key} className="flex gap-2">
+                            <span className={`shrink-0 w-14 ${ACTION_LABELS[change.action].className}`}>
+                              {ACTION_LABELS[change.action].label}
+                            </span>
+                            <span className="text-gray-500 break-all">
+                              {change.key}
+                              {change.action === 'merge' && ` (+${change.added}개)`}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="flex justify-end gap-2">
+                <button
+                  onClick={handleCancel}
+                  className="px-3 py-1.5 text-gray-500 bg-white border border-gray-300 rounded hover:bg-gray-100 transition-colors"
+                >
+                  취소
+                </button>
+                <button
+                  onClick={handleApply}
+                  disabled={changeCount === 0}
+                  className="px-3 py-1.5 font-bold text-white bg-teal-600 rounded hover:bg-teal-700 transition-colors
+                             disabled:opacity-40 disabled:cursor-not-allowed"
+                >
+                  {changeCount === 0 ? '변경 사항 없음' : `${changeCount}개 항목 복원`}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {passphraseDialog && <PassphraseDialog {...passphraseDialog} />}
+    </div>
+  );
+}
@@ -1,11 +1,46 @@
 /**
- * BranchImport.jsx - CSV 파일 업로드 + 미리보기 + 저장
+ * BranchImport.jsx - CSV / XLSX 파일 업로드 + 미리보기 + 저장
+ *
+ * XLSX는 시트가 여러 개면 시트를 고를 수 있고, 처음에는 수가표로 읽히는 첫 번째 보이는 시트를 엽니다.
+ * 항목명 / 가격 컬럼을 자동으로 찾지 못하면 컬럼 지정 단계를 띄우고,
+ * 지정한 매핑은 가져올 때 파일 양식과 지점별로 기억합니다 (branchStorage.saveColumnMapping).
+ * 저장 전 검사(importValidation)에서 문제가 있는 행은 하나씩 포함 / 제외할 수 있습니다.
+ * 이미 있는 지점은 기본으로 병합 가져오기(branchMerge)를 하며, 변경 / 추가 / 삭제 시술을 하나씩 고릅니다.
  */
 
 import { useState, useRef, useMemo } from 'react';
-import { parseCSVFile } from '../../utils/csvParser';
-import { saveBranchData, hasBranch, loadManifest, loadBranchData } from '../../utils/branchStorage';
+import { readCSVFile, processTableRows, ENCODING_LABELS } from '../../utils/csvParser';
+import { parseXlsxFile, processXlsxSheet, readXlsxTable, isXlsxFile } from '../../utils/xlsxParser';
+import {
+  saveBranchData, hasBranch, loadManifest, loadBranchData, resolveColumnMapping, saveColumnMapping,
+} from '../../utils/branchStorage';
+import { loadImportContext, buildImportReport, DEFAULT_OUTLIER_RATIO } from '../../utils/importValidation';
+import { planBranchMerge, applyBranchMerge, isDefaultAccepted } from '../../utils/branchMerge';
 import { formatNumber } from '../../utils/pricing';
+import ColumnMappingStep from './ColumnMappingStep';
+import ImportReport from './ImportReport';
+import MergeReview from './MergeReview';
+
+/** 보이는 시트 중 수가표로 읽히는 첫 시트 → 표가 있는 첫 시트 → 첫 시트 */
+function pickDefaultSheet(sheets) {
+  const readable = (read) => sheets.findIndex((sheet) => {
+    if (sheet.hidden) return false;
+    try {
+      read(sheet);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+  const idx = readable(processXlsxSheet);
+  if (idx >= 0) return idx;
+  return Math.max(readable(readXlsxTable), 0);
+}
+
+const MAPPING_SOURCE_LABELS = {
+  file: '이 양식에 지정했던 컬럼을 적용했습니다',
+  branch: '이 지점에서 마지막으로 지정한 컬럼을 적용했습니다',
+};
 
 const DEFAULT_BRANCH_NAMES = [
   '대전', '구월', '여의도', '동대문', '제주',
@@ -25,61 +60,157 @@ export default function BranchImport({ onImported, onToast }) {
   }, []);
   const [branchName, setBranchName] = useState('');
   const [customName, setCustomName] = useState('');
-  const [preview, setPreview] = useState(null);
+  const [table, setTable] = useState(null); // 컬럼 매핑 전: { headers, rows, rowLines, headerRow, warnings?, encoding? }
+  const [columnMap, setColumnMap] = useState(null);
+  const [mappingSource, setMappingSource] = useState('auto');
+  const [showMapping, setShowMapping] = useState(false);
+  const [workbook, setWorkbook] = useState(null); // XLSX: { sheets, sheetIndex }
   const [loading, setLoading] = useState(false);
   const [showDiff, setShowDiff] = useState(false);
+  const [showWarnings, setShowWarnings] = useState(false);
+  const [outlierRatio, setOutlierRatio] = useState(DEFAULT_OUTLIER_RATIO);
+  const [inclusion, setInclusion] = useState({}); // 검사에 걸린 행: data 번호 → 포함 여부 (없으면 기본값)
+  const [importMode, setImportMode] = useState('merge'); // 이미 있는 지점: 'merge' | 'replace'
+  const [partialChoice, setPartialChoice] = useState(null); // null이면 파일 내용으로 추정
+  const [keepManual, setKeepManual] = useState(true);
+  const [mergeChoices, setMergeChoices] = useState({}); // 병합 항목 key → 반영 여부 (없으면 기본값)
   const fileRef = useRef(null);
 
   const effectiveName = branchName === '__custom__' ? customName.trim() : branchName;
   const alreadyExists = effectiveName ? hasBranch(effectiveName) : false;
 
-  const priceDiff = useMemo(() => {
-    if (!alreadyExists || !preview?.data?.length || !effectiveName) return null;
-    const oldData = loadBranchData(effectiveName);
-    if (!oldData.length) return null;
-
-    // Build maps by name (normalized)
-    const oldMap = new Map();
-    for (const item of oldData) {
-      oldMap.set(item.name.replace(/\s+/g, '').toLowerCase(), item);
-    }
-    const newMap = new Map();
-    for (const item of preview.data) {
-      newMap.set(item.name.replace(/\s+/g, '').toLowerCase(), item);
+  const { preview, previewError } = useMemo(() => {
+    if (!table || !columnMap) return { preview: null, previewError: null };
+    try {
+      const result = processTableRows(table.headers, table.rows, columnMap, { rowLines: table.rowLines });
+      // 파일을 읽을 때 경고(제목 줄, 따옴표 등) + 항목명이 없어 건너뛴 행, 줄 번호순
+      const warnings = [...(table.warnings || []), ...result.warnings]
+        .sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+      return { preview: { ...result, warnings, headerRow: table.headerRow }, previewError: null };
+    } catch (err) {
+      return { preview: null, previewError: err.message };
     }
+  }, [table, columnMap]);
 
-    const changed = [];
-    const added = [];
-    const removed = [];
-
-    // Find changed and added
-    for (const item of preview.data) {
-      const key = item.name.replace(/\s+/g, '').toLowerCase();
-      const old = oldMap.get(key);
-      if (!old) {
-        added.push(item);
-      } else if (old.standardPrice !== item.standardPrice) {
-        changed.push({
-          name: item.name,
-          category: item.category,
-          oldPrice: old.standardPrice,
-          newPrice: item.standardPrice,
-          diff: item.standardPrice - old.standardPrice,
-        });
-      }
-    }
+  // 다른 지점 색인은 파일을 열 때 한 번만, 보고서는 지점명 / 기준 배수가 바뀔 때 다시 계산
+  const importContext = useMemo(() => (preview ? loadImportContext() : null), [preview]);
+  const report = useMemo(
+    () => (preview
+      ? buildImportReport(preview.data, {
+        sources: preview.sources, context: importContext, branchName: effectiveName, outlierRatio,
+      })
+      : null),
+    [preview, importContext, effectiveName, outlierRatio]
+  );
+  const isIncluded = (row) => inclusion[row.index] ?? row.defaultIncluded;
 
-    // Find removed
-    for (const item of oldData) {
-      const key = item.name.replace(/\s+/g, '').toLowerCase();
-      if (!newMap.has(key)) {
-        removed.push(item);
-      }
-    }
+  const importData = useMemo(() => {
+    if (!preview) return [];
+    const excluded = new Set(
+      report.rows.filter((row) => !(inclusion[row.index] ?? row.defaultIncluded)).map((row) => row.index)
+    );
+    return preview.data.filter((_, idx) => !excluded.has(idx));
+  }, [preview, report, inclusion]);
+
+  const oldData = useMemo(
+    () => (alreadyExists ? loadBranchData(effectiveName) : []),
+    [alreadyExists, effectiveName]
+  );
+  const mergePlan = useMemo(
+    () => (oldData.length > 0 && importData.length > 0 ? planBranchMerge(oldData, importData) : null),
+    [oldData, importData]
+  );
+  const mergeMode = Boolean(mergePlan) && importMode === 'merge';
+
+  // 기존 시술의 절반 넘게 파일에 없으면 변경분만 담은 파일로 봄
+  const removedCount = mergePlan ? mergePlan.filter((entry) => entry.status === 'removed').length : 0;
+  const partial = partialChoice ?? removedCount > oldData.length / 2;
+  const isAccepted = (entry) => mergeChoices[entry.key] ?? isDefaultAccepted(entry, { partial });
+
+  // 전체 교체 시 보여 주는 가격 변동 요약
+  const priceDiff = useMemo(() => {
+    if (!mergePlan) return null;
+    const changed = mergePlan
+      .filter((entry) => entry.status === 'changed' && entry.before.standardPrice !== entry.after.standardPrice)
+      .map(({ before, after }) => ({
+        name: after.name,
+        category: after.category,
+        oldPrice: before.standardPrice,
+        newPrice: after.standardPrice,
+        diff: after.standardPrice - before.standardPrice,
+      }));
+    const added = mergePlan.filter((entry) => entry.status === 'added').map((entry) => entry.after);
+    const removed = mergePlan.filter((entry) => entry.status === 'removed').map((entry) => entry.before);
 
     if (changed.length === 0 && added.length === 0 && removed.length === 0) return null;
     return { changed, added, removed };
-  }, [alreadyExists, effectiveName, preview]);
+  }, [mergePlan]);
+
+  /** 새 표를 열고 기억해 둔 매핑(없으면 자동매핑)을 적용 */
+  const openTable = (nextTable, nameForMapping) => {
+    setTable(nextTable);
+    if (!nextTable) {
+      setColumnMap(null);
+      return;
+    }
+    const resolved = resolveColumnMapping(nextTable.headers, nameForMapping);
+    setColumnMap(resolved.columnMap);
+    setMappingSource(resolved.source);
+    setShowMapping(false);
+    setShowWarnings(false);
+    setInclusion({});
+    setPartialChoice(null);
+    setMergeChoices({});
+  };
+
+  // 컬럼이 바뀌면 행 번호·시술명이 달라지므로 행별 포함 여부와 병합 선택을 모두 풂
+  const handleMappingChange = (nextMap) => {
+    setColumnMap(nextMap);
+    setInclusion({});
+    setMergeChoices({});
+  };
+
+  const handleToggleRow = (row) => {
+    setInclusion((prev) => ({ ...prev, [row.index]: !(prev[row.index] ?? row.defaultIncluded) }));
+  };
+
+  const handleSetRows = (rows, included) => {
+    setInclusion((prev) => ({ ...prev, ...Object.fromEntries(rows.map((row) => [row.index, included])) }));
+  };
+
+  const handleToggleMerge = (entry) => {
+    setMergeChoices((prev) => ({ ...prev, [entry.key]: !(prev[entry.key] ?? isDefaultAccepted(entry, { partial })) }));
+  };
+
+  const handleSetMerge = (entries, accepted) => {
+    setMergeChoices((prev) => ({ ...prev, ...Object.fromEntries(entries.map((entry) => [entry.key, accepted])) }));
+  };
+
+  const resetForm = () => {
+    openTable(null);
+    setWorkbook(null);
+    setBranchName('');
+    setCustomName('');
+    if (fileRef.current) fileRef.current.value = '';
+  };
+
+  const handleMergeImport = () => {
+    const { data, counts } = applyBranchMerge(oldData, mergePlan, isAccepted, { partial, keepManual });
+    if (counts.changed + counts.added + counts.removed === 0) {
+      onToast?.(counts.keptManual > 0
+        ? `직접 수정한 가격 ${counts.keptManual}개를 유지해 반영할 변경 사항이 없습니다`
+        : '반영할 변경 사항이 없습니다');
+      return;
+    }
+    saveBranchData(effectiveName, data);
+    saveColumnMapping(effectiveName, table.headers, columnMap);
+    onToast?.(
+      `${effectiveName} 지점 병합: 변경 ${counts.changed} · 추가 ${counts.added} · 삭제 ${counts.removed}`
+      + (counts.keptManual > 0 ? ` (직접 수정한 가격 ${counts.keptManual}개 유지)` : '')
+    );
+    onImported?.(effectiveName);
+    resetForm();
+  };
 
   const handleFileSelect = async (e) => {
     const file = e.target.files?.[0];
@@ -87,14 +218,13 @@ export default function BranchImport({ onImported, onToast }) {
 
     setLoading(true);
     try {
-      const result = await parseCSVFile(file);
-      setPreview(result);
-
-      // 파일명에서 지점명 자동 추출
+      // 파일명에서 지점명 자동 추출 (기억해 둔 지점 매핑을 찾을 때도 사용)
+      let nameForMapping = effectiveName;
       if (!branchName) {
         const match = file.name.match(/^(.+?)\s*수가표/);
         if (match) {
           const detected = match[1].trim();
+          nameForMapping = detected;
           if (BRANCH_NAMES.includes(detected)) {
             setBranchName(detected);
           } else {
@@ -103,35 +233,70 @@ export default function BranchImport({ onImported, onToast }) {
           }
         }
       }
+
+      if (isXlsxFile(file)) {
+        const sheets = await parseXlsxFile(file);
+        const sheetIndex = pickDefaultSheet(sheets);
+        setWorkbook({ sheets, sheetIndex });
+        openTable(readXlsxTable(sheets[sheetIndex]), nameForMapping);
+      } else {
+        setWorkbook(null);
+        openTable(await readCSVFile(file), nameForMapping);
+      }
     } catch (err) {
-      onToast?.(`CSV 파싱 실패: ${err.message}`);
-      setPreview(null);
+      onToast?.(`파일 읽기 실패: ${err.message}`);
+      openTable(null);
     } finally {
       setLoading(false);
     }
   };
 
+  const handleSheetChange = (sheetIndex) => {
+    setWorkbook((prev) => ({ ...prev, sheetIndex }));
+    try {
+      openTable(readXlsxTable(workbook.sheets[sheetIndex]), effectiveName);
+    } catch (err) {
+      onToast?.(`"${workbook.sheets[sheetIndex].name}" 시트: ${err.message}`);
+      openTable(null);
+    }
+  };
+
   const handleImport = () => {
-    if (!effectiveName || !preview?.data?.length) return;
+    if (!effectiveName || !importData.length) return;
+
+    if (mergeMode) {
+      try {
+        handleMergeImport();
+      } catch (err) {
+        onToast?.(err.message);
+      }
+      return;
+    }
 
     if (alreadyExists && !window.confirm(
       `"${effectiveName}" 지점 데이터가 이미 있습니다.\n기존 데이터를 덮어쓰시겠습니까?`
     )) return;
 
     try {
-      saveBranchData(effectiveName, preview.data);
-      onToast?.(`${effectiveName} 지점 ${preview.data.length}개 항목이 저장되었습니다`);
+      saveBranchData(effectiveName, importData);
+      saveColumnMapping(effectiveName, table.headers, columnMap);
+      onToast?.(`${effectiveName} 지점 ${importData.length}개 항목이 저장되었습니다`);
       onImported?.(effectiveName);
-      // 초기화
-      setPreview(null);
-      setBranchName('');
-      setCustomName('');
-      if (fileRef.current) fileRef.current.value = '';
+      resetForm();
     } catch (err) {
       onToast?.(err.message);
     }
   };
 
+  let importLabel = '지점을 선택하세요';
+  if (effectiveName && mergeMode) {
+    importLabel = `${effectiveName} 지점에 선택한 변경 병합`;
+  } else if (effectiveName && preview && importData.length < preview.data.length) {
+    importLabel = `${effectiveName} 지점으로 ${importData.length}개 가져오기 (${preview.data.length - importData.length}개 제외)`;
+  } else if (effectiveName) {
+    importLabel = `${effectiveName} 지점으로 가져오기`;
+  }
+
   return (
     <div className="space-y-4">
       {/* 지점 선택 + 파일 업로드 */}
@@ -165,11 +330,11 @@ export default function BranchImport({ onImported, onToast }) {
         )}
 
         <div>
-          <label className="block text-xs font-medium text-gray-600 mb-1">CSV 파일</label>
+          <label className="block text-xs font-medium text-gray-600 mb-1">CSV / XLSX 파일</label>
           <input
             ref={fileRef}
             type="file"
-            accept=".csv,.tsv,.txt"
+            accept=".csv,.tsv,.txt,.xlsx"
             onChange={handleFileSelect}
             className="block text-sm text-gray-500 file:mr-3 file:py-1.5 file:px-3
                        file:rounded file:border-0 file:text-sm file:font-medium
@@ -177,11 +342,59 @@ export default function BranchImport({ onImported, onToast }) {
                        cursor-pointer"
           />
         </div>
+
+        {workbook && workbook.sheets.length > 1 && (
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">시트</label>
+            <select
+              value={workbook.sheetIndex}
+              onChange={(e) => handleSheetChange(Number(e.target.value))}
+              className="px-3 py-2 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-teal-400"
+            >
+              {workbook.sheets.map((sheet, idx) => (
+                <option key={idx} value={idx}>
+                  {sheet.name}{sheet.hidden ? ' (숨김)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
       </div>
 
       {/* 로딩 */}
       {loading && (
-        <div className="text-sm text-gray-500 animate-pulse">CSV 파싱 중...</div>
+        <div className="text-sm text-gray-500 animate-pulse">파일 읽는 중...</div>
+      )}
+
+      {/* 컬럼 지정 (자동매핑 실패 시 항상 표시) */}
+      {table && columnMap && (
+        <div className="space-y-2">
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {previewError ? (
+              <span className="text-red-600">{previewError}</span>
+            ) : (
+              <>
+                {MAPPING_SOURCE_LABELS[mappingSource] && (
+                  <span className="text-teal-700">{MAPPING_SOURCE_LABELS[mappingSource]}</span>
+                )}
+                <button
+                  onClick={() => setShowMapping(!showMapping)}
+                  className="text-blue-500 hover:text-blue-700 underline"
+                >
+                  {showMapping ? '컬럼 지정 닫기' : '컬럼 직접 지정'}
+                </button>
+              </>
+            )}
+          </div>
+          {(showMapping || previewError) && (
+            <ColumnMappingStep
+              headers={table.headers}
+              rows={table.rows}
+              columnMap={columnMap}
+              onChange={handleMappingChange}
+            />
+          )}
+        </div>
       )}
 
       {/* 미리보기 */}
@@ -190,15 +403,85 @@ export default function BranchImport({ onImported, onToast }) {
           <div className="bg-teal-50 px-4 py-2 flex items-center justify-between">
             <span className="text-sm font-bold text-teal-800">
               미리보기 ({preview.data.length}개 항목)
+              {workbook && (
+                <span className="ml-2 text-xs font-normal text-teal-600">
+                  {workbook.sheets[workbook.sheetIndex].name} 시트
+                  {preview.headerRow > 0 && ` · ${preview.headerRow + 1}행부터`}
+                  {workbook.sheets[workbook.sheetIndex].mergedCount > 0 &&
+                    ` · 병합 셀 ${workbook.sheets[workbook.sheetIndex].mergedCount}개 채움`}
+                </span>
+              )}
+              {table.encoding && (
+                <span className="ml-2 text-xs font-normal text-teal-600">
+                  {ENCODING_LABELS[table.encoding]}
+                  {preview.headerRow > 0 && ` · ${preview.headerRow + 1}행부터`}
+                </span>
+              )}
             </span>
-            {alreadyExists && (
+            {mergePlan ? (
+              <div className="flex text-xs rounded border border-teal-300 overflow-hidden shrink-0">
+                {[['merge', '병합'], ['replace', '전체 교체']].map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => setImportMode(mode)}
+                    className={`px-2 py-0.5 ${importMode === mode ? 'bg-teal-600 text-white' : 'bg-white text-teal-700 hover:bg-teal-50'}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            ) : alreadyExists && (
               <span className="text-xs text-orange-600 font-medium">
                 기존 데이터 덮어쓰기
               </span>
             )}
           </div>
 
-          {priceDiff && (
+          {preview.warnings.length > 0 && (
+            <div className="px-4 py-2 bg-gray-50 border-b border-gray-200">
+              <button
+                onClick={() => setShowWarnings(!showWarnings)}
+                className="flex items-center gap-2 text-sm font-medium text-gray-600 w-full text-left"
+              >
+                <span className={`transition-transform text-xs ${showWarnings ? 'rotate-90' : ''}`}>▶</span>
+                읽기 경고 {preview.warnings.length}건
+              </button>
+              {showWarnings && (
+                <ul className="mt-2 max-h-32 overflow-y-auto text-xs">
+                  {preview.warnings.map((warning, i) => (
+                    <li key={i} className="py-0.5 text-gray-600">
+                      {warning.line != null && <span className="text-gray-400 mr-2">{warning.line}행</span>}
+                      {warning.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <ImportReport
+            report={report}
+            isIncluded={isIncluded}
+            onToggle={handleToggleRow}
+            onSetAll={handleSetRows}
+            outlierRatio={outlierRatio}
+            onRatioChange={setOutlierRatio}
+          />
+
+          {mergeMode && (
+            <MergeReview
+              plan={mergePlan}
+              isAccepted={isAccepted}
+              onToggle={handleToggleMerge}
+              onSetAll={handleSetMerge}
+              partial={partial}
+              onPartialChange={setPartialChoice}
+              keepManual={keepManual}
+              onKeepManualChange={setKeepManual}
+            />
+          )}
+
+          {!mergeMode && priceDiff && (
             <div className="px-4 py-2 bg-orange-50 border-b border-orange-200">
               <button
                 onClick={() => setShowDiff(!showDiff)}
@@ -295,12 +578,12 @@ export default function BranchImport({ onImported, onToast }) {
           <div className="px-4 py-3 bg-gray-50 border-t border-gray-200">
             <button
               onClick={handleImport}
-              disabled={!effectiveName}
+              disabled={!effectiveName || importData.length === 0}
               className="px-5 py-2 bg-teal-600 text-white text-sm font-bold rounded
                          hover:bg-teal-700 disabled:bg-gray-300 disabled:cursor-not-allowed
                          transition-colors"
             >
-              {effectiveName ? `${effectiveName} 지점으로 가져오기` : '지점을 선택하세요'}
+              {importLabel}
             </button>
           </div>
         </div>
@@ -1,20 +1,24 @@
 /**
  * BranchProcedureList.jsx - 검색/필터 가능한 시술 테이블
  * 50행씩 페이지네이션, 카테고리 필터, 이름 검색, 컬럼 정렬
+ * 가격은 ✎ 버튼으로 직접 고칠 수 있고, 고친 가격은 병합 가져오기에서 유지할 수 있습니다.
  */
 
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useRef } from 'react';
 import { formatNumber } from '../../utils/pricing';
-import { extractCategories } from '../../utils/branchStorage';
+import { extractCategories, updateBranchProcedurePrice } from '../../utils/branchStorage';
 
 const PAGE_SIZE = 50;
 
-export default function BranchProcedureList({ data, branchName, onToast }) {
+export default function BranchProcedureList({ data, branchName, onToast, onDataChange }) {
   const [query, setQuery] = useState('');
   const [category, setCategory] = useState('');
   const [visibleCount, setVisibleCount] = useState(PAGE_SIZE);
   const [sortKey, setSortKey] = useState(null); // 'name' | 'price' | 'category' | null
   const [sortDir, setSortDir] = useState('asc'); // 'asc' | 'desc'
+  const [editing, setEditing] = useState(null); // { row, value } 가격 수정 중인 행
+  // Enter / Esc로 이미 끝낸 편집은 입력란이 사라지며 생기는 blur에서 다시 처리하지 않음
+  const editDoneRef = useRef(false);
 
   const categories = useMemo(() => extractCategories(data), [data]);
 
@@ -67,6 +71,45 @@ export default function BranchProcedureList({ data, branchName, onToast }) {
     });
   };
 
+  const startEdit = (row) => {
+    editDoneRef.current = false;
+    setEditing({ row, value: String(row.standardPrice) });
+  };
+
+  const cancelEdit = () => {
+    editDoneRef.current = true;
+    setEditing(null);
+  };
+
+  /**
+   * 입력한 가격 저장 (Enter, 또는 입력란을 벗어날 때)
+   * @param {{ leaving?: boolean }} [options] - leaving: 입력란을 벗어남 (숫자가 아니면 계속 고칠 수 없으므로 취소)
+   */
+  const handleSavePrice = ({ leaving = false } = {}) => {
+    if (editDoneRef.current) return;
+    const price = Number(String(editing.value).replace(/[,원\s]/g, ''));
+    if (!Number.isFinite(price) || price < 0) {
+      if (leaving) {
+        onToast?.('가격이 숫자가 아니어서 수정을 취소했습니다');
+        cancelEdit();
+      } else {
+        onToast?.('가격을 숫자로 입력하세요');
+      }
+      return;
+    }
+    editDoneRef.current = true;
+    if (price !== editing.row.standardPrice) {
+      try {
+        updateBranchProcedurePrice(branchName, editing.row, price);
+        onToast?.(`"${editing.row.name}" 가격을 ${formatNumber(price)}원으로 수정했습니다`);
+        onDataChange?.();
+      } catch (err) {
+        onToast?.(err.message);
+      }
+    }
+    setEditing(null);
+  };
+
   if (data.length === 0) {
     return (
       <div className="text-center py-8 text-gray-400 text-sm">
@@ -142,8 +185,44 @@ export default function BranchProcedureList({ data, branchName, onToast }) {
                   <td className="px-3 py-2 text-gray-400">{row.no}</td>
                   <td className="px-3 py-2 text-gray-500">{row.category}</td>
                   <td className="px-3 py-2 text-gray-800 font-medium">{row.name}</td>
-                  <td className="px-3 py-2 text-right font-bold text-gray-800">
-                    {formatNumber(row.standardPrice)}원
+                  <td className="px-3 py-2 text-right font-bold text-gray-800 whitespace-nowrap" onClick={(e) => e.stopPropagation()}>
+                    {editing?.row === row ? (
+                      <input
+                        type="text"
+                        inputMode="numeric"
+                        autoFocus
+                        value={editing.value}
+                        onChange={(e) => setEditing({ row, value: e.target.value })}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') handleSavePrice();
+                          if (e.key === 'Escape') cancelEdit();
+                        }}
+                        onBlur={() => handleSavePrice({ leaving: true })}
+                        title="Enter 또는 다른 곳 클릭: 저장 · Esc: 취소"
+                        className="w-24 px-1 py-0.5 border border-teal-400 rounded text-right font-normal focus:outline-none"
+                      />
+                    ) : (
+                      <>
+                        {row.priceEditedAt && (
+                          <span
+                            className="mr-1 px-1 rounded bg-amber-50 text-amber-700 font-normal"
+                            title={`직접 수정: ${new Date(row.priceEditedAt).toLocaleString('ko-KR')}`}
+                          >
+                            수정
+                          </span>
+                        )}
+                        {formatNumber(row.standardPrice)}원
+                        {onDataChange && (
+                          <button
+                            onClick={() => startEdit(row)}
+                            className="ml-1 text-gray-300 hover:text-teal-600 font-normal"
+                            title="가격 직접 수정"
+                          >
+                            ✎
+                          </button>
+                        )}
+                      </>
+                    )}
                   </td>
                   <td className="px-3 py-2 text-center text-gray-400">{row.taxable}</td>
                 </tr>
@@ -2,30 +2,41 @@
  * BranchTab.jsx - 지점 수가 라이브러리 탭
  *
  * 구성:
- *   - CSV 가져오기 (접이식)
+ *   - CSV / XLSX 가져오기 (접이식)
  *   - 지점 선택 + 시술 검색/필터 테이블
  *   - 지점간 가격 비교 (접이식)
- *   - 데이터 백업/복원
- *   - 저장 현황
+ *   - 작업 공간 전체 백업/복원 (WorkspaceBackup)
+ *   - 직원 PC 간 동기화 서버 설정 (SyncServerPanel)
+ *   - 저장 현황 (저장소 사용량 / 한도)
  */
 
-import { useState, useCallback, useMemo, useRef } from 'react';
+import { useState, useCallback, useMemo, useEffect } from 'react';
 import BranchImport from './BranchImport';
 import BranchSelector from './BranchSelector';
 import BranchProcedureList from './BranchProcedureList';
 import BranchComparison from './BranchComparison';
+import WorkspaceBackup from '../WorkspaceBackup';
+import SyncServerPanel from '../SyncServerPanel';
 import {
   getActiveBranch, setActiveBranch,
   loadBranchData, saveBranchData, deleteBranchData, deleteAllBranchData,
-  getBranchStorageStats, loadManifest, invalidateCache,
+  getBranchStorageStats, loadManifest,
 } from '../../utils/branchStorage';
+import { kvStore, refreshUsage, subscribeChanges } from '../../utils/kvStore';
+
+/** KB → "512KB" / "3.2MB" / "1.5GB" */
+function formatSize(kb) {
+  if (kb >= 1024 * 1024) return `${(kb / 1024 / 1024).toFixed(1)}GB`;
+  if (kb >= 1024) return `${(kb / 1024).toFixed(1)}MB`;
+  return `${kb}KB`;
+}
 
 export default function BranchTab({ onToast }) {
   const [activeBranch, setActiveBranchState] = useState(() => getActiveBranch());
   const [showImport, setShowImport] = useState(false);
   const [showComparison, setShowComparison] = useState(true);
   const [refreshKey, setRefreshKey] = useState(0);
-  const restoreFileRef = useRef(null);
+  const [usageKey, setUsageKey] = useState(0);
 
   const branchData = useMemo(
     () => loadBranchData(activeBranch),
@@ -36,9 +47,23 @@ export default function BranchTab({ onToast }) {
   const stats = useMemo(
     () => getBranchStorageStats(),
     // eslint-disable-next-line react-hooks/exhaustive-deps
-    [refreshKey],
+    [refreshKey, usageKey],
   );
 
+  // 저장이 기록된 뒤 브라우저 저장소 사용량 다시 확인
+  useEffect(() => {
+    let cancelled = false;
+    kvStore.flush()
+      .then(() => refreshUsage())
+      .then(() => { if (!cancelled) setUsageKey((k) => k + 1); });
+    return () => { cancelled = true; };
+  }, [refreshKey]);
+
+  // 다른 탭·동기화 서버에서 지점 데이터가 바뀌면 다시 읽기
+  useEffect(() => subscribeChanges(({ key }) => {
+    if (key === 'vans-branch-manifest' || key.startsWith('vans-branch-data-')) setRefreshKey((k) => k + 1);
+  }), []);
+
   const manifest = useMemo(
     () => loadManifest(),
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -102,94 +127,12 @@ export default function BranchTab({ onToast }) {
     });
   }, [onToast]);
 
-  // ── 데이터 백업 (JSON 내보내기) ──
-  const handleBackup = useCallback(() => {
-    const currentManifest = loadManifest();
-    const backup = {
-      version: 1,
-      exportedAt: new Date().toISOString(),
-      manifest: currentManifest,
-      branches: {},
-      // 이벤트 데이터도 포함
-      procedures: null,
-      packages: null,
-    };
-    for (const branch of currentManifest.branches) {
-      backup.branches[branch.name] = loadBranchData(branch.name);
-    }
-    // 시술 라이브러리 + 패키지도 백업
-    try {
-      const procs = localStorage.getItem('vans-pricing-procedures');
-      if (procs) backup.procedures = JSON.parse(procs);
-    } catch {}
-    try {
-      const pkgs = localStorage.getItem('vans-pricing-packages');
-      if (pkgs) backup.packages = JSON.parse(pkgs);
-    } catch {}
-
-    const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `vans-backup-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
-    onToast?.('전체 데이터가 백업되었습니다');
-  }, [onToast]);
-
-  // ── 데이터 복원 (JSON 가져오기) ──
-  const handleRestore = useCallback((e) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onload = (ev) => {
-      try {
-        const backup = JSON.parse(ev.target.result);
-        if (!backup.manifest || !backup.branches) {
-          onToast?.('유효하지 않은 백업 파일입니다');
-          return;
-        }
-        if (!window.confirm(
-          `백업 파일에 ${Object.keys(backup.branches).length}개 지점 데이터가 있습니다.\n기존 데이터를 덮어쓰시겠습니까?`
-        )) return;
-
-        // 지점 데이터 복원
-        for (const [name, data] of Object.entries(backup.branches)) {
-          saveBranchData(name, data);
-        }
-        // 시술 라이브러리 복원
-        if (backup.procedures) {
-          try { localStorage.setItem('vans-pricing-procedures', JSON.stringify(backup.procedures)); } catch {}
-        }
-        // 패키지 복원
-        if (backup.packages) {
-          try { localStorage.setItem('vans-pricing-packages', JSON.stringify(backup.packages)); } catch {}
-        }
-
-        const firstName = Object.keys(backup.branches)[0] || null;
-        if (firstName) {
-          setActiveBranchState(firstName);
-          setActiveBranch(firstName);
-        }
-        invalidateCache();
-        setRefreshKey((k) => k + 1);
-        onToast?.(`${Object.keys(backup.branches).length}개 지점 데이터가 복원되었습니다`);
-      } catch (err) {
-        onToast?.(`복원 실패: ${err.message}`);
-      }
-    };
-    reader.readAsText(file);
-    // 같은 파일 재선택 허용
-    if (restoreFileRef.current) restoreFileRef.current.value = '';
-  }, [onToast]);
-
   // 활성 지점 정보
   const activeBranchInfo = manifest.branches.find((b) => b.name === activeBranch);
 
   return (
     <div className="space-y-4">
-      {/* 상단: 헤더 + CSV 가져오기 */}
+      {/* 상단: 헤더 + 수가표 가져오기 */}
       <div className="bg-white rounded-lg shadow border border-gray-300 p-4 sm:p-6">
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-base font-bold text-gray-800">
@@ -203,11 +146,11 @@ export default function BranchTab({ onToast }) {
                 : 'bg-white text-teal-600 border-teal-300 hover:bg-teal-50'
               }`}
           >
-            {showImport ? 'CSV 가져오기 닫기' : 'CSV 가져오기'}
+            {showImport ? '수가표 가져오기 닫기' : '수가표 가져오기'}
           </button>
         </div>
 
-        {/* CSV 가져오기 (접이식) */}
+        {/* 수가표 가져오기 (CSV / XLSX, 접이식) */}
         {showImport && (
           <div className="mb-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
             <BranchImport onImported={handleImported} onToast={onToast} />
@@ -248,7 +191,7 @@ export default function BranchTab({ onToast }) {
               className="px-4 py-2 bg-teal-600 text-white text-sm font-bold rounded
                          hover:bg-teal-700 transition-colors"
             >
-              CSV 수가표 가져오기
+              CSV / XLSX 수가표 가져오기
             </button>
           </div>
         )}
@@ -264,6 +207,7 @@ export default function BranchTab({ onToast }) {
             data={branchData}
             branchName={activeBranch}
             onToast={onToast}
+            onDataChange={() => setRefreshKey((k) => k + 1)}
           />
         </div>
       )}
@@ -289,30 +233,21 @@ export default function BranchTab({ onToast }) {
         </div>
       )}
 
-      {/* 저장 현황 + 백업/복원 */}
+      {/* 저장 현황 */}
       {stats.totalBranches > 0 && (
         <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-2 bg-gray-100 rounded-lg text-xs text-gray-500">
           <span>
             {stats.totalBranches}개 지점 | {stats.totalRows}개 항목 | ~{stats.estimatedSizeKB}KB
+            {stats.usageKB !== null && stats.quotaKB !== null && (
+              <span
+                className={stats.usagePercent >= 80 ? 'text-red-600 font-medium' : ''}
+                title={stats.backend === 'indexedDB' ? 'IndexedDB 저장소' : 'localStorage 저장소'}
+              >
+                {' '}| 저장소 {formatSize(stats.usageKB)} / {formatSize(stats.quotaKB)} ({stats.usagePercent}%)
+              </span>
+            )}
           </span>
           <div className="flex items-center gap-2">
-            <button
-              onClick={handleBackup}
-              className="text-teal-600 hover:text-teal-800 font-medium transition-colors"
-            >
-              백업
-            </button>
-            <label className="text-teal-600 hover:text-teal-800 font-medium transition-colors cursor-pointer">
-              복원
-              <input
-                ref={restoreFileRef}
-                type="file"
-                accept=".json"
-                onChange={handleRestore}
-                className="hidden"
-              />
-            </label>
-            <span className="text-gray-300">|</span>
             <button
               onClick={handleDeleteAll}
               className="text-red-400 hover:text-red-600 transition-colors"
@@ -322,6 +257,12 @@ export default function BranchTab({ onToast }) {
           </div>
         </div>
       )}
+
+      {/* 작업 공간 백업/복원 */}
+      <WorkspaceBackup onToast={onToast} />
+
+      {/* PC 간 동기화 */}
+      <SyncServerPanel onToast={onToast} />
     </div>
   );
 }
@@ -0,0 +1,84 @@
+/**
+ * ColumnMappingStep.jsx - 가져오기 컬럼 지정
+ *
+ * 파일의 첫 몇 행을 보여 주고, 컬럼마다 어떤 필드(항목명 / 가격 / 대분류 ...)인지 고릅니다.
+ * 한 필드는 한 컬럼에만 지정되므로, 다른 컬럼에 이미 있던 같은 필드는 풀립니다.
+ */
+
+import { COLUMN_FIELDS } from '../../utils/csvParser';
+
+/** 보여 줄 샘플 행 수 */
+const SAMPLE_ROWS = 5;
+
+export default function ColumnMappingStep({ headers, rows, columnMap, onChange }) {
+  const fieldAt = (colIdx) => COLUMN_FIELDS.find((field) => columnMap[field.key] === colIdx)?.key || '';
+  const missing = COLUMN_FIELDS.filter((field) => field.required && !(columnMap[field.key] >= 0));
+
+  const handleAssign = (colIdx, fieldKey) => {
+    const next = { ...columnMap };
+    const previous = fieldAt(colIdx);
+    if (previous) next[previous] = -1;
+    if (fieldKey) next[fieldKey] = colIdx;
+    onChange(next);
+  };
+
+  return (
+    <div className="border border-amber-200 rounded-lg overflow-hidden">
+      <div className="bg-amber-50 px-4 py-2 text-sm">
+        <span className="font-bold text-amber-800">컬럼 지정</span>
+        <span className="ml-2 text-xs text-amber-700">
+          {missing.length > 0
+            ? `${missing.map((field) => field.label).join(', ')} 컬럼을 지정하세요`
+            : '지정한 매핑은 이 양식과 지점에 기억됩니다'}
+        </span>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead className="bg-gray-50">
+            <tr>
+              {headers.map((header, colIdx) => {
+                const assigned = fieldAt(colIdx);
+                return (
+                  <th key={colIdx} className="px-2 py-1.5 text-left align-top font-normal">
+                    <div className="font-medium text-gray-700 truncate max-w-[10rem]" title={header}>
+                      {header || `(${colIdx + 1}열)`}
+                    </div>
+                    <select
+                      value={assigned}
+                      onChange={(e) => handleAssign(colIdx, e.target.value)}
+                      className={`mt-1 w-full min-w-[6rem] px-1 py-0.5 border rounded text-xs focus:outline-none focus:ring-2 focus:ring-teal-400 ${
+                        assigned ? 'border-teal-400 bg-teal-50 text-teal-800' : 'border-gray-300 text-gray-500'
+                      }`}
+                    >
+                      <option value="">사용 안 함</option>
+                      {COLUMN_FIELDS.map((field) => (
+                        <option key={field.key} value={field.key}>
+                          {field.label}{field.required ? ' *' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, SAMPLE_ROWS).map((row, rowIdx) => (
+              <tr key={rowIdx} className="border-t border-gray-100">
+                {headers.map((_, colIdx) => (
+                  <td
+                    key={colIdx}
+                    className={`px-2 py-1 truncate max-w-[10rem] ${fieldAt(colIdx) ? 'text-gray-800' : 'text-gray-400'}`}
+                  >
+                    {row[colIdx]}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
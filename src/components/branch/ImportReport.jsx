@@ -0,0 +1,105 @@
+/**
+ * ImportReport.jsx - 가져오기 전 검사 결과 + 행별 포함 / 제외
+ *
+ * importValidation.buildImportReport() 결과를 보여 줍니다. 포함 여부는 쓰는 쪽(BranchImport)이 가집니다.
+ */
+
+import { useState } from 'react';
+import { ANOMALY_LABELS } from '../../utils/importValidation';
+import { formatNumber } from '../../utils/pricing';
+
+const ANOMALY_STYLES = {
+  invalidPrice: 'text-red-600 bg-red-50',
+  nonPositive: 'text-red-600 bg-red-50',
+  duplicateName: 'text-amber-800 bg-amber-50',
+  priceOutlier: 'text-orange-700 bg-orange-50',
+  unknownCategory: 'text-blue-700 bg-blue-50',
+};
+
+/** 타 지점 가격 차이 기준 선택지 */
+const OUTLIER_RATIOS = [1.5, 2, 3, 5, 10];
+
+export default function ImportReport({ report, isIncluded, onToggle, onSetAll, outlierRatio, onRatioChange }) {
+  const [filter, setFilter] = useState('');
+  // 기준을 바꿔 해당 문제가 없어지면 필터도 풂
+  const typeFilter = report.counts[filter] > 0 ? filter : '';
+  const visible = typeFilter
+    ? report.rows.filter((row) => row.issues.some((issue) => issue.type === typeFilter))
+    : report.rows;
+  const excludedCount = report.rows.filter((row) => !isIncluded(row)).length;
+
+  return (
+    <div className="px-4 py-2 bg-white border-b border-gray-200 text-xs space-y-2">
+      <div className="flex flex-wrap items-center gap-1">
+        <span className="font-medium text-gray-700 mr-1">
+          가져오기 전 검사: {report.rows.length === 0 ? '문제 없음' : `${report.rows.length}개 행 확인 필요`}
+        </span>
+        {Object.keys(ANOMALY_LABELS).map((type) => report.counts[type] > 0 && (
+          <button
+            key={type}
+            onClick={() => setFilter(typeFilter === type ? '' : type)}
+            className={`px-1.5 py-0.5 rounded ${ANOMALY_STYLES[type]} ${typeFilter === type ? 'ring-1 ring-current' : ''}`}
+          >
+            {ANOMALY_LABELS[type]} {report.counts[type]}
+          </button>
+        ))}
+        <label className="flex items-center gap-1 ml-auto text-gray-500">
+          가격 차이 기준
+          <select
+            value={outlierRatio}
+            onChange={(e) => onRatioChange(Number(e.target.value))}
+            className="px-1 py-0.5 border border-gray-300 rounded"
+          >
+            {OUTLIER_RATIOS.map((ratio) => (
+              <option key={ratio} value={ratio}>{ratio}배</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {report.rows.length > 0 && (
+        <>
+          <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded">
+            {visible.map((row) => {
+              const included = isIncluded(row);
+              return (
+                <li key={row.index} className={`flex items-start gap-2 px-2 py-1 ${included ? '' : 'bg-gray-50'}`}>
+                  <input
+                    type="checkbox"
+                    checked={included}
+                    onChange={() => onToggle(row)}
+                    className="mt-0.5"
+                    title={included ? '제외하기' : '포함하기'}
+                  />
+                  <span className="w-10 shrink-0 text-gray-400">{row.line != null ? `${row.line}행` : ''}</span>
+                  <div className="flex-1 min-w-0">
+                    <span className={`font-medium ${included ? 'text-gray-800' : 'text-gray-400 line-through'}`}>
+                      {row.item.name}
+                    </span>
+                    <span className="ml-2 text-gray-500">{formatNumber(row.item.standardPrice)}원</span>
+                    <div className="flex flex-wrap gap-1 mt-0.5">
+                      {row.issues.map((issue) => (
+                        <span key={issue.type} className={`px-1 rounded ${ANOMALY_STYLES[issue.type]}`}>
+                          {ANOMALY_LABELS[issue.type]} · {issue.message}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+          <div className="flex items-center gap-2">
+            <span className="text-gray-500">{excludedCount}개 제외됨</span>
+            <button onClick={() => onSetAll(visible, false)} className="text-blue-500 hover:text-blue-700 underline">
+              {typeFilter ? '이 문제 행 모두 제외' : '모두 제외'}
+            </button>
+            <button onClick={() => onSetAll(visible, true)} className="text-blue-500 hover:text-blue-700 underline">
+              {typeFilter ? '이 문제 행 모두 포함' : '모두 포함'}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
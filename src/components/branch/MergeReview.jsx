@@ -0,0 +1,113 @@
+/**
+ * MergeReview.jsx - 병합 가져오기: 변경 / 추가 / 삭제 시술을 하나씩 반영 여부 선택
+ *
+ * branchMerge.planBranchMerge() 결과를 보여 줍니다. 반영 여부와 옵션은 쓰는 쪽(BranchImport)이 가집니다.
+ */
+
+import { formatNumber } from '../../utils/pricing';
+
+const SECTIONS = [
+  { status: 'changed', label: '변경', className: 'text-orange-700' },
+  { status: 'added', label: '추가', className: 'text-green-700' },
+  { status: 'removed', label: '삭제', className: 'text-red-700' },
+];
+
+function PriceChange({ entry, keptManual }) {
+  const { before, after } = entry;
+  if (entry.status === 'added') return <span className="text-gray-600">{formatNumber(after.standardPrice)}원</span>;
+  if (entry.status === 'removed') return <span className="text-gray-400">{formatNumber(before.standardPrice)}원</span>;
+  if (before.standardPrice === after.standardPrice) {
+    return <span className="text-gray-400">{formatNumber(before.standardPrice)}원</span>;
+  }
+  const diff = after.standardPrice - before.standardPrice;
+  return (
+    <span className="whitespace-nowrap">
+      <span className="text-gray-400">{formatNumber(before.standardPrice)}원 → </span>
+      <span className={keptManual ? 'text-gray-400 line-through' : 'font-bold text-orange-700'}>
+        {formatNumber(after.standardPrice)}원
+      </span>
+      <span className={`ml-1 ${diff > 0 ? 'text-red-500' : 'text-blue-500'}`}>
+        ({diff > 0 ? '+' : ''}{formatNumber(diff)})
+      </span>
+    </span>
+  );
+}
+
+export default function MergeReview({
+  plan, isAccepted, onToggle, onSetAll, partial, onPartialChange, keepManual, onKeepManualChange,
+}) {
+  const byStatus = (status) => plan.filter((entry) => entry.status === status);
+  const removedCount = byStatus('removed').length;
+  const manualCount = plan.filter((entry) => entry.status === 'changed' && entry.manual).length;
+
+  return (
+    <div className="px-4 py-2 bg-orange-50 border-b border-orange-200 text-xs space-y-2">
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-gray-700">
+        <label className="flex items-center gap-1 cursor-pointer">
+          <input type="checkbox" checked={partial} onChange={(e) => onPartialChange(e.target.checked)} />
+          변경분만 담은 파일 (파일에 없는 시술은 그대로 둠)
+        </label>
+        {manualCount > 0 && (
+          <label className="flex items-center gap-1 cursor-pointer">
+            <input type="checkbox" checked={keepManual} onChange={(e) => onKeepManualChange(e.target.checked)} />
+            직접 수정한 가격 유지 ({manualCount}개)
+          </label>
+        )}
+      </div>
+
+      {SECTIONS.map(({ status, label, className }) => {
+        const entries = byStatus(status);
+        if (entries.length === 0) return null;
+        if (status === 'removed' && partial) {
+          return (
+            <p key={status} className="text-gray-500">
+              파일에 없는 기존 시술 {removedCount}개는 그대로 둡니다
+            </p>
+          );
+        }
+        const acceptedCount = entries.filter(isAccepted).length;
+        return (
+          <div key={status}>
+            <div className="flex items-center gap-2 mb-1">
+              <span className={`font-bold ${className}`}>{label} {acceptedCount}/{entries.length}</span>
+              <button
+                onClick={() => onSetAll(entries, acceptedCount < entries.length)}
+                className="text-blue-500 hover:text-blue-700 underline"
+              >
+                {acceptedCount < entries.length ? '모두 반영' : '모두 빼기'}
+              </button>
+            </div>
+            <ul className="max-h-40 overflow-y-auto bg-white border border-orange-100 rounded divide-y divide-gray-100">
+              {entries.map((entry) => {
+                const accepted = isAccepted(entry);
+                const keptManual = accepted && keepManual && entry.manual && status === 'changed';
+                const item = entry.after || entry.before;
+                return (
+                  <li key={entry.key} className={`flex items-start gap-2 px-2 py-1 ${accepted ? '' : 'opacity-50'}`}>
+                    <input type="checkbox" checked={accepted} onChange={() => onToggle(entry)} className="mt-0.5" />
+                    <div className="flex-1 min-w-0">
+                      <span className="text-gray-800">{item.name}</span>
+                      {entry.manual && (
+                        <span className="ml-1 px-1 rounded bg-amber-50 text-amber-700">
+                          {keptManual ? '직접 수정 · 가격 유지' : '직접 수정'}
+                        </span>
+                      )}
+                      {entry.changes.length > 0 && (
+                        <span className="block text-gray-500">{entry.changes.join(' · ')}</span>
+                      )}
+                    </div>
+                    <PriceChange entry={entry} keptManual={keptManual} />
+                  </li>
+                );
+              })}
+            </ul>
+          </div>
+        );
+      })}
+
+      {plan.every((entry) => entry.status === 'same') && (
+        <p className="text-gray-500">기존 데이터와 달라진 시술이 없습니다</p>
+      )}
+    </div>
+  );
+}
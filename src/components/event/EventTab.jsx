@@ -14,6 +14,10 @@
  *   - 반올림 단위 연동 (Header)
  *   - 목표 할인율 적용 피드백
  *   - 최근 사용 시술 추천
+ *   - 패키지 검증 규칙 (구성 시술 최저 이벤트가 이상 등) 경고 배너
+ *   - 단품 잠식 교차 검증 (수가 책정 탭 / 시술 라이브러리 / 지점 수가표 가격과 비교)
+ *   - 작업 중 패키지 편집 실행 취소 / 다시 실행 (저장·편집 모드 전환 시 기록 초기화)
+ *   - 저장된 패키지 / 시술 라이브러리 / 작업 중 패키지 다른 탭과 실시간 동기화 (동시 저장 시 병합 안내)
  */
 
 import { useState, useCallback, useMemo, useRef, useEffect } from 'react';
@@ -23,11 +27,38 @@ import ProcedureLibrary from './ProcedureLibrary';
 import PackageExport from './PackageExport';
 import PackageArchive, { addToArchive } from './PackageArchive';
 import BranchSelector from '../branch/BranchSelector';
+import WarningBanner from '../WarningBanner';
+import RuleSettingsPanel from '../RuleSettingsPanel';
 import { computePackageSummary, calcPackagePriceFromDiscount } from '../../utils/packagePricing';
-import { formatNumber } from '../../utils/pricing';
+import { formatNumber, describeRounding, VAT_MODE_LABELS } from '../../utils/pricing';
 import { getActiveBranch, setActiveBranch, loadBranchData } from '../../utils/branchStorage';
-
-export default function EventTab({ onToast, roundUnit = 10000 }) {
+import { runPackageRules, resolveRuleSettings, buildReferencePrices } from '../../utils/validation';
+import { autoLoad } from '../../utils/storage';
+import { kvStore } from '../../utils/kvStore';
+import useSyncedList from '../../hooks/useSyncedList';
+import useSyncedDraft from '../../hooks/useSyncedDraft';
+import { MERGE_ID } from '../../utils/workspaceBackup';
+import SyncConflictNotice from '../SyncConflictNotice';
+import { registerUndoTarget, pushCommand, clearCommandHistory } from '../../utils/commandHistory';
+
+const DRAFT_KEY = 'vans-pricing-draft-packages';
+
+const parseDraft = (raw) => {
+  try {
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+};
+
+export default function EventTab({
+  onToast,
+  rounding = 10000,
+  vatMode = 'excluded',
+  ruleSettings,
+  onRuleSettingsChange,
+}) {
   // 지점 수가 연동
   const [activeBranch, setActiveBranchState] = useState(() => getActiveBranch());
   const branchProcedures = useMemo(() => {
@@ -41,33 +72,37 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
   }, []);
 
   // 시술 라이브러리
-  const [procedures, setProcedures] = useState(() => {
-    try {
-      const raw = localStorage.getItem('vans-pricing-procedures');
-      return raw ? JSON.parse(raw) : [];
-    } catch { return []; }
-  });
+  const {
+    list: procedures,
+    setList: saveProcedures,
+    conflict: proceduresConflict,
+    resolveConflict: resolveProceduresConflict,
+  } = useSyncedList('vans-pricing-procedures');
 
   // 파싱된 패키지 (작업 중) - 임시저장 복원
-  const [packages, setPackages] = useState(() => {
-    try {
-      const draft = localStorage.getItem('vans-pricing-draft-packages');
-      return draft ? JSON.parse(draft) : [];
-    } catch { return []; }
-  });
+  const [packages, setPackages] = useState(() => parseDraft(kvStore.getItem(DRAFT_KEY)));
   const [draftRestored, setDraftRestored] = useState(false);
 
-  // 임시저장 자동 저장 (디바운스 2초)
-  useEffect(() => {
-    if (packages.length === 0) {
-      try { localStorage.removeItem('vans-pricing-draft-packages'); } catch {}
-      return;
-    }
-    const timer = setTimeout(() => {
-      try { localStorage.setItem('vans-pricing-draft-packages', JSON.stringify(packages)); } catch {}
-    }, 2000);
-    return () => clearTimeout(timer);
-  }, [packages]);
+  // 임시저장 자동 저장 (디바운스 2초, 비면 삭제) — 다른 탭에서 바꾼 작업 중 패키지는 편집 중이 아닐 때 바로 반영
+  const applyDraft = useCallback((next) => {
+    setPackages(next);
+    // 다른 탭의 값을 되돌리지 않도록 이 탭의 편집 기록은 비움
+    clearCommandHistory('event');
+  }, []);
+
+  const {
+    conflict: draftConflict,
+    resolveConflict: resolveDraftConflict,
+    saveNow: saveDraft,
+  } = useSyncedDraft(DRAFT_KEY, packages, {
+    parse: parseDraft,
+    serialize: (pkgs) => (pkgs.length === 0 ? null : JSON.stringify(pkgs)),
+    toList: (pkgs) => pkgs,
+    fromList: (pkgs) => pkgs,
+    idOf: MERGE_ID[DRAFT_KEY],
+    apply: applyDraft,
+    delay: 2000,
+  });
 
   // 임시저장 복원 알림 (최초 1회)
   useEffect(() => {
@@ -77,13 +112,31 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
     }
   }, []); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // ── 작업 중 패키지 편집 기록 (실행 취소 / 다시 실행) ──
+  useEffect(() => registerUndoTarget('event', {
+    apply: setPackages,
+    persist: (pkgs) => {
+      try {
+        if (pkgs.length === 0) kvStore.removeItem(DRAFT_KEY);
+        else kvStore.setItem(DRAFT_KEY, JSON.stringify(pkgs));
+      } catch (err) {
+        console.error('임시 저장 실패:', err);
+      }
+    },
+  }), []);
+
+  const commitPackages = useCallback((label, next, mergeKey) => {
+    pushCommand({ scope: 'event', label, before: packages, after: next, mergeKey });
+    setPackages(next);
+  }, [packages]);
+
   // 저장된 패키지
-  const [savedPackages, setSavedPackages] = useState(() => {
-    try {
-      const raw = localStorage.getItem('vans-pricing-packages');
-      return raw ? JSON.parse(raw) : [];
-    } catch { return []; }
-  });
+  const {
+    list: savedPackages,
+    setList: setSavedPackages,
+    conflict: savedPackagesConflict,
+    resolveConflict: resolveSavedPackagesConflict,
+  } = useSyncedList('vans-pricing-packages');
 
   // 목표 할인율
   const [targetDiscount, setTargetDiscount] = useState('30');
@@ -98,15 +151,6 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
   const [discountFeedback, setDiscountFeedback] = useState(null);
 
   // ── 시술 라이브러리 관리 ──
-  const saveProcedures = useCallback((updated) => {
-    setProcedures(updated);
-    try {
-      localStorage.setItem('vans-pricing-procedures', JSON.stringify(updated));
-    } catch (err) {
-      console.error('시술 저장 실패:', err);
-    }
-  }, []);
-
   const handleSaveProcedure = useCallback((procedure) => {
     saveProcedures(
       procedure.id
@@ -128,9 +172,9 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
       onToast?.('파싱할 패키지가 없습니다');
       return;
     }
-    setPackages((prev) => [...prev, ...parsed]);
+    commitPackages(`패키지 ${parsed.length}개 붙여넣기`, [...packages, ...parsed]);
     onToast?.(`${parsed.length}개 패키지가 파싱되었습니다`);
-  }, [onToast]);
+  }, [packages, commitPackages, onToast]);
 
   // ── 빈 패키지 추가 ──
   const addEmptyPackage = useCallback(() => {
@@ -140,37 +184,43 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
       packagePrice: 0,
       items: [{ procedureName: '', quantity: 1, individualPrice: 0, priceSource: 'manual' }],
     };
-    setPackages((prev) => [...prev, newPkg]);
-  }, []);
+    commitPackages('빈 패키지 추가', [...packages, newPkg]);
+  }, [packages, commitPackages]);
 
   // ── 개별 패키지 수정 ──
   const updatePackage = useCallback((idx, updated) => {
-    setPackages((prev) => prev.map((p, i) => (i === idx ? updated : p)));
-  }, []);
+    commitPackages(
+      `${updated.name || `패키지 ${idx + 1}`} 편집`,
+      packages.map((p, i) => (i === idx ? updated : p)),
+      `pkg-${updated.id}`,
+    );
+  }, [packages, commitPackages]);
 
   const removePackage = useCallback((idx) => {
-    setPackages((prev) => prev.filter((_, i) => i !== idx));
-  }, []);
+    commitPackages(
+      `패키지 삭제: ${packages[idx]?.name || `패키지 ${idx + 1}`}`,
+      packages.filter((_, i) => i !== idx),
+    );
+  }, [packages, commitPackages]);
 
   const duplicatePackage = useCallback((idx) => {
-    setPackages((prev) => {
-      const source = prev[idx];
-      const clone = { ...source, id: Date.now() + Math.random(), name: source.name + ' (복사)', items: source.items.map(i => ({...i})) };
-      return [...prev.slice(0, idx + 1), clone, ...prev.slice(idx + 1)];
-    });
+    const source = packages[idx];
+    const clone = { ...source, id: Date.now() + Math.random(), name: source.name + ' (복사)', items: source.items.map(i => ({...i})) };
+    commitPackages(
+      `패키지 복제: ${source.name || `패키지 ${idx + 1}`}`,
+      [...packages.slice(0, idx + 1), clone, ...packages.slice(idx + 1)],
+    );
     onToast?.('패키지가 복제되었습니다');
-  }, [onToast]);
+  }, [packages, commitPackages, onToast]);
 
   // ── 작업 중 패키지 순서 변경 ──
   const movePackage = useCallback((index, direction) => {
     const newIndex = index + direction;
-    setPackages((prev) => {
-      if (newIndex < 0 || newIndex >= prev.length) return prev;
-      const updated = [...prev];
-      [updated[index], updated[newIndex]] = [updated[newIndex], updated[index]];
-      return updated;
-    });
-  }, []);
+    if (newIndex < 0 || newIndex >= packages.length) return;
+    const updated = [...packages];
+    [updated[index], updated[newIndex]] = [updated[newIndex], updated[index]];
+    commitPackages(`순서 변경: ${packages[index].name || `패키지 ${index + 1}`}`, updated);
+  }, [packages, commitPackages]);
 
   // ── 목표 할인율로 전체 자동 계산 (피드백 포함) ──
   const applyTargetDiscount = useCallback(() => {
@@ -187,7 +237,7 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
     let totalAfter = 0;
 
     const updatedPackages = packages.map((pkg, idx) => {
-      const newPrice = calcPackagePriceFromDiscount(pkg, discount, roundUnit);
+      const newPrice = calcPackagePriceFromDiscount(pkg, discount, rounding, vatMode);
       if (newPrice > 0) {
         totalBefore += beforePrices[idx];
         totalAfter += newPrice;
@@ -197,7 +247,7 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
       return pkg;
     });
 
-    setPackages(updatedPackages);
+    commitPackages(`목표 할인율 ${discount}% 적용`, updatedPackages);
 
     // 피드백 생성
     if (changedCount > 0) {
@@ -209,14 +259,14 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
         totalBefore,
         totalAfter,
         diff,
-        roundUnit,
+        rounding,
       });
       // 5초 후 자동 숨김
       setTimeout(() => setDiscountFeedback(null), 5000);
     }
 
-    onToast?.(`전체 패키지에 ${discount}% 할인율이 적용되었습니다 (반올림: ${formatNumber(roundUnit)}원 단위)`);
-  }, [targetDiscount, packages, roundUnit, onToast]);
+    onToast?.(`전체 패키지에 ${discount}% 할인율이 적용되었습니다 (반올림: ${describeRounding(rounding)})`);
+  }, [targetDiscount, packages, rounding, vatMode, commitPackages, onToast]);
 
   // ── 전체 저장 ──
   const saveAllPackages = useCallback(() => {
@@ -231,50 +281,35 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
       id: p.id || Date.now() + Math.random(),
       createdAt: p.createdAt || now,
     }));
-    const merged = [...savedPackages, ...toSave];
-    setSavedPackages(merged);
-    try {
-      localStorage.setItem('vans-pricing-packages', JSON.stringify(merged));
-    } catch (err) {
-      console.error('패키지 저장 실패:', err);
-    }
+    setSavedPackages([...savedPackages, ...toSave]);
     setPackages([]);
-    try { localStorage.removeItem('vans-pricing-draft-packages'); } catch {}
+    saveDraft([]);
+    // 저장된 패키지와 어긋나지 않도록 작업 중 편집 기록은 비움
+    clearCommandHistory('event');
     onToast?.(`${valid.length}개 패키지가 저장되었습니다`);
-  }, [packages, savedPackages, onToast]);
+  }, [packages, savedPackages, setSavedPackages, saveDraft, onToast]);
 
   // ── 저장된 패키지 삭제 ──
   const deleteSavedPackage = useCallback((id) => {
     if (!window.confirm('이 패키지를 삭제하시겠습니까?')) return;
-    const updated = savedPackages.filter((p) => p.id !== id);
-    setSavedPackages(updated);
-    try {
-      localStorage.setItem('vans-pricing-packages', JSON.stringify(updated));
-    } catch (err) {
-      console.error('패키지 삭제 실패:', err);
-    }
+    setSavedPackages(savedPackages.filter((p) => p.id !== id));
     onToast?.('패키지가 삭제되었습니다');
-  }, [savedPackages, onToast]);
+  }, [savedPackages, setSavedPackages, onToast]);
 
   // ── 저장된 패키지 다시 편집 ──
   const editSavedPackages = useCallback(() => {
     setPackages(savedPackages);
     setSavedPackages([]);
-    try {
-      localStorage.removeItem('vans-pricing-packages');
-    } catch {}
+    clearCommandHistory('event');
     onToast?.('저장된 패키지를 편집 모드로 불러왔습니다');
-  }, [savedPackages, onToast]);
+  }, [savedPackages, setSavedPackages, onToast]);
 
   // ── 저장된 패키지에 전체 초기화 ──
   const clearSavedPackages = useCallback(() => {
     if (!window.confirm('저장된 패키지를 모두 삭제하시겠습니까?')) return;
     setSavedPackages([]);
-    try {
-      localStorage.removeItem('vans-pricing-packages');
-    } catch {}
     onToast?.('저장된 패키지가 모두 삭제되었습니다');
-  }, [onToast]);
+  }, [setSavedPackages, onToast]);
 
   // ── 저장된 패키지 순서 변경 ──
   const moveSavedPackage = useCallback((index, direction) => {
@@ -283,23 +318,17 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
     const updated = [...savedPackages];
     [updated[index], updated[newIndex]] = [updated[newIndex], updated[index]];
     setSavedPackages(updated);
-    try {
-      localStorage.setItem('vans-pricing-packages', JSON.stringify(updated));
-    } catch {}
-  }, [savedPackages]);
+  }, [savedPackages, setSavedPackages]);
 
   // ── 저장된 패키지 개별 수정 ──
   const editSinglePackage = useCallback((id) => {
     const pkg = savedPackages.find((p) => p.id === id);
     if (!pkg) return;
     setPackages((prev) => [...prev, { ...pkg, items: pkg.items.map(i => ({...i})) }]);
-    const updated = savedPackages.filter((p) => p.id !== id);
-    setSavedPackages(updated);
-    try {
-      localStorage.setItem('vans-pricing-packages', JSON.stringify(updated));
-    } catch {}
+    clearCommandHistory('event');
+    setSavedPackages(savedPackages.filter((p) => p.id !== id));
     onToast?.('패키지를 편집 모드로 불러왔습니다');
-  }, [savedPackages, onToast]);
+  }, [savedPackages, setSavedPackages, onToast]);
 
   // ── 아카이브에 저장 ──
   const archivePackages = useCallback(() => {
@@ -315,9 +344,9 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
   const packageSummaries = useMemo(() => {
     return savedPackages.map((pkg) => ({
       ...pkg,
-      summary: computePackageSummary(pkg),
+      summary: computePackageSummary(pkg, vatMode),
     }));
-  }, [savedPackages]);
+  }, [savedPackages, vatMode]);
 
   // 저장된 패키지 필터링
   const filteredSavedPackages = useMemo(() => {
@@ -338,15 +367,34 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
   const workingStats = useMemo(() => {
     if (packages.length === 0) return null;
     const withPrice = packages.filter((p) => p.packagePrice > 0);
-    const total = withPrice.reduce((s, p) => s + Number(p.packagePrice), 0);
-    const totalVat = Math.round(total * 1.1);
+    // 면세 시술이 섞인 패키지는 과세분에만 VAT가 붙으므로 패키지별 요약으로 합산
+    const summaries = withPrice.map((p) => computePackageSummary(p, vatMode));
+    const total = summaries.reduce((s, sum) => s + sum.packagePriceExVat, 0);
+    const totalVat = summaries.reduce((s, sum) => s + sum.packagePriceIncVat, 0);
     return { total: packages.length, priced: withPrice.length, totalPrice: total, totalPriceVat: totalVat };
-  }, [packages]);
+  }, [packages, vatMode]);
+
+  // 수가 책정 탭 시술 (자동 저장본, 탭 진입 시 1회 로드)
+  const [pricingItems] = useState(() => autoLoad()?.items || []);
+  const referencePrices = useMemo(
+    () => buildReferencePrices({ pricingItems, procedures, branchProcedures }),
+    [pricingItems, procedures, branchProcedures],
+  );
+
+  // 작업 중 패키지 검증 규칙 결과
+  const packageRuleResults = useMemo(() => {
+    const settings = resolveRuleSettings(ruleSettings);
+    return packages.flatMap((pkg, idx) => runPackageRules(
+      { ...pkg, name: pkg.name || `패키지 ${idx + 1}` },
+      { procedures, referencePrices },
+      settings,
+    ));
+  }, [packages, procedures, referencePrices, ruleSettings]);
 
   // ── 패키지 카드 영역 리사이즈 ──
   const [cardAreaHeight, setCardAreaHeight] = useState(() => {
     try {
-      const saved = localStorage.getItem('vans-pricing-card-container-height');
+      const saved = kvStore.getItem('vans-pricing-card-container-height');
       return saved ? Number(saved) : 0; // 0 = auto (기본 500px)
     } catch { return 0; }
   });
@@ -368,7 +416,7 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
       document.body.style.cursor = '';
       document.body.style.userSelect = '';
       setCardAreaHeight((h) => {
-        try { localStorage.setItem('vans-pricing-card-container-height', String(h)); } catch {}
+        try { kvStore.setItem('vans-pricing-card-container-height', String(h)); } catch {}
         return h;
       });
     };
@@ -381,7 +429,7 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
 
   const resetCardAreaHeight = useCallback(() => {
     setCardAreaHeight(0);
-    try { localStorage.removeItem('vans-pricing-card-container-height'); } catch {}
+    try { kvStore.removeItem('vans-pricing-card-container-height'); } catch {}
   }, []);
 
   return (
@@ -404,6 +452,11 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
           </button>
         </div>
 
+        {/* 다른 탭과 동시 저장 충돌 */}
+        <SyncConflictNotice label="저장된 패키지" conflict={savedPackagesConflict} onResolve={resolveSavedPackagesConflict} />
+        <SyncConflictNotice label="시술 라이브러리" conflict={proceduresConflict} onResolve={resolveProceduresConflict} />
+        <SyncConflictNotice label="작업 중 패키지" conflict={draftConflict} onResolve={resolveDraftConflict} />
+
         {/* 시술 라이브러리 (접이식) */}
         {showLibrary && (
           <div className="mb-6 p-4 bg-gray-50 rounded-lg border border-gray-200">
@@ -480,7 +533,7 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
 
             {/* 반올림 단위 표시 */}
             <div className="text-xs text-gray-400 pb-2">
-              반올림: {formatNumber(roundUnit)}원 단위
+              반올림: {describeRounding(rounding)} | {VAT_MODE_LABELS[vatMode]}
             </div>
 
             <div className="flex-1" />
@@ -491,8 +544,17 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
                 {workingStats.priced > 0 && (
                   <>
                     {' '} | 가격 설정 <span className="font-bold text-indigo-600">{workingStats.priced}개</span>
-                    {' '} | 합계 <span className="font-bold text-indigo-600">{formatNumber(workingStats.totalPrice)}원</span>
-                    <span className="text-gray-400 ml-1">(VAT 포함 {formatNumber(workingStats.totalPriceVat)}원)</span>
+                    {vatMode === 'included' ? (
+                      <>
+                        {' '} | 합계 <span className="font-bold text-indigo-600">{formatNumber(workingStats.totalPriceVat)}원</span>
+                        <span className="text-gray-400 ml-1">(VAT 별도 {formatNumber(workingStats.totalPrice)}원)</span>
+                      </>
+                    ) : (
+                      <>
+                        {' '} | 합계 <span className="font-bold text-indigo-600">{formatNumber(workingStats.totalPrice)}원</span>
+                        <span className="text-gray-400 ml-1">(VAT 포함 {formatNumber(workingStats.totalPriceVat)}원)</span>
+                      </>
+                    )}
                   </>
                 )}
               </div>
@@ -515,10 +577,12 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
                   </>
                 )}
               </div>
-              <div className="text-gray-500">반올림 단위: {formatNumber(discountFeedback.roundUnit)}원</div>
+              <div className="text-gray-500">반올림: {describeRounding(discountFeedback.rounding)}</div>
             </div>
           )}
 
+          <WarningBanner results={packageRuleResults} />
+
           {/* 패키지 카드 그리드 (리사이즈 가능) */}
           <div
             ref={cardAreaRef}
@@ -537,7 +601,8 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
                 onMoveDown={idx < packages.length - 1 ? () => movePackage(idx, 1) : undefined}
                 branchProcedures={branchProcedures}
                 activeBranch={activeBranch}
-                roundUnit={roundUnit}
+                rounding={rounding}
+                vatMode={vatMode}
               />
             ))}
           </div>
@@ -576,17 +641,14 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
               + 패키지 추가
             </button>
             <button
-              onClick={() => { setPackages([]); try { localStorage.removeItem('vans-pricing-draft-packages'); } catch {} }}
+              onClick={() => commitPackages('작업 중 패키지 초기화', [])}
               className="px-3 py-2 text-xs text-gray-500 hover:bg-gray-100 rounded transition-colors"
             >
               초기화
             </button>
             <button
               onClick={() => {
-                try {
-                  localStorage.setItem('vans-pricing-draft-packages', JSON.stringify(packages));
-                  onToast?.('임시 저장되었습니다');
-                } catch {}
+                if (saveDraft(packages)) onToast?.('임시 저장되었습니다');
               }}
               className="px-3 py-2 text-xs text-amber-600 hover:bg-amber-50 rounded transition-colors font-medium"
             >
@@ -654,7 +716,7 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
           <div className="space-y-2">
             {filteredSavedPackages.map((pkg) => {
               const idx = savedPackages.indexOf(pkg);
-              const s = computePackageSummary(pkg);
+              const s = computePackageSummary(pkg, vatMode);
               return (
                 <div
                   key={pkg.id}
@@ -670,7 +732,7 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
                         <span className="text-gray-500">정가 {formatNumber(s.totalRegularPrice)}원</span>
                       )}
                       <span className="font-bold text-indigo-700">
-                        {formatNumber(pkg.packagePrice)}원
+                        {formatNumber(s.packagePrice)}원
                       </span>
                       {s.savingsPercent > 0 && (
                         <span className="text-green-600 font-bold">
@@ -718,11 +780,17 @@ export default function EventTab({ onToast, roundUnit = 10000 }) {
 
           {/* 내보내기 */}
           <div className="mt-4 pt-4 border-t border-gray-200">
-            <PackageExport packages={packageSummaries} onToast={onToast} />
+            <PackageExport packages={packageSummaries} vatMode={vatMode} onToast={onToast} />
           </div>
         </div>
       )}
 
+      <RuleSettingsPanel
+        settings={ruleSettings}
+        onChange={onRuleSettingsChange}
+        scope="package"
+      />
+
       {/* 패키지 아카이브 */}
       <PackageArchive onToast={onToast} />
     </div>
@@ -12,6 +12,7 @@
 
 import { useState, useRef, useCallback, useEffect } from 'react';
 import { formatNumber } from '../../utils/pricing';
+import { kvStore } from '../../utils/kvStore';
 
 const POS_KEY = 'vans-pricing-calc-pos';
 const SIZE_KEY = 'vans-pricing-calc-size';
@@ -23,7 +24,7 @@ const MAX_SIZE = { width: 400, height: 600 };
 
 function loadJSON(key, fallback) {
   try {
-    const raw = localStorage.getItem(key);
+    const raw = kvStore.getItem(key);
     return raw ? JSON.parse(raw) : fallback;
   } catch {
     return fallback;
@@ -32,7 +33,7 @@ function loadJSON(key, fallback) {
 
 function saveJSON(key, value) {
   try {
-    localStorage.setItem(key, JSON.stringify(value));
+    kvStore.setItem(key, JSON.stringify(value));
   } catch {}
 }
 
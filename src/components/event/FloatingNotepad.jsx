@@ -5,12 +5,13 @@
  *  - position: fixed로 스크롤 따라감
  *  - 헤더 드래그로 위치 이동
  *  - 우하단 핸들로 크기 조절
- *  - textarea 자유 메모 (localStorage 자동 저장)
+ *  - textarea 자유 메모 (자동 저장)
  *  - 접기/열기 토글
  *  - 1400px 미만 화면에서 토글 버튼으로 전환
  */
 
 import { useState, useRef, useCallback, useEffect } from 'react';
+import { kvStore } from '../../utils/kvStore';
 
 const STORAGE_KEY = 'vans-pricing-floating-memo';
 const POS_KEY = 'vans-pricing-memo-pos';
@@ -24,7 +25,7 @@ const MAX_SIZE = { width: 500, height: 800 };
 
 function loadJSON(key, fallback) {
   try {
-    const raw = localStorage.getItem(key);
+    const raw = kvStore.getItem(key);
     return raw ? JSON.parse(raw) : fallback;
   } catch {
     return fallback;
@@ -33,13 +34,13 @@ function loadJSON(key, fallback) {
 
 function saveJSON(key, value) {
   try {
-    localStorage.setItem(key, JSON.stringify(value));
+    kvStore.setItem(key, JSON.stringify(value));
   } catch {}
 }
 
 export default function FloatingNotepad() {
   const [content, setContent] = useState(() => {
-    try { return localStorage.getItem(STORAGE_KEY) || ''; } catch { return ''; }
+    try { return kvStore.getItem(STORAGE_KEY) || ''; } catch { return ''; }
   });
   const [pos, setPos] = useState(() => loadJSON(POS_KEY, DEFAULT_POS));
   const [size, setSize] = useState(() => loadJSON(SIZE_KEY, DEFAULT_SIZE));
@@ -64,7 +65,7 @@ export default function FloatingNotepad() {
     setContent(val);
     if (saveTimerRef.current) clearTimeout(saveTimerRef.current);
     saveTimerRef.current = setTimeout(() => {
-      try { localStorage.setItem(STORAGE_KEY, val); } catch {}
+      try { kvStore.setItem(STORAGE_KEY, val); } catch {}
     }, 500);
   }, []);
 
@@ -256,7 +257,7 @@ export default function FloatingNotepad() {
               : '빈 메모'}
           </span>
           <button
-            onClick={() => { setContent(''); try { localStorage.removeItem(STORAGE_KEY); } catch {} }}
+            onClick={() => { setContent(''); try { kvStore.removeItem(STORAGE_KEY); } catch {} }}
             className="text-gray-400 hover:text-red-500 transition-colors px-1"
             title="메모 지우기"
           >
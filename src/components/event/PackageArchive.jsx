@@ -4,24 +4,30 @@
  * 대분류: 이벤트명/기간 (예: "1월 한정이벤트", "경쟁사 A클리닉")
  * 소분류: 개별 패키지 (예: "슈링크300+인모드fx 690,000원")
  * 대분류/소분류 독립 검색 + 엑셀 다운로드
+ * 그룹/패키지 추가·삭제는 실행 취소 기록(commandHistory)에 남습니다.
+ * 다른 탭에서 바뀐 아카이브는 바로 반영하고, 동시에 저장하면 병합 여부를 묻습니다.
  */
 
-import { useState, useMemo, useCallback } from 'react';
+import { useState, useMemo, useCallback, useEffect } from 'react';
 import { formatNumber } from '../../utils/pricing';
 import { copyToClipboard } from '../../utils/export';
+import { kvStore } from '../../utils/kvStore';
+import useSyncedList from '../../hooks/useSyncedList';
+import SyncConflictNotice from '../SyncConflictNotice';
+import { registerUndoTarget, pushCommand, runCommand } from '../../utils/commandHistory';
 
 const STORAGE_KEY = 'vans-pricing-archive';
 
 function loadArchive() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = kvStore.getItem(STORAGE_KEY);
     return raw ? JSON.parse(raw) : [];
   } catch { return []; }
 }
 
 function saveArchiveData(data) {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    kvStore.setItem(STORAGE_KEY, JSON.stringify(data));
   } catch (err) {
     console.error('아카이브 저장 실패:', err);
   }
@@ -50,17 +56,23 @@ export function addToArchive(groupName, packages, source = '자사', sourceName
         procedureName: i.procedureName,
         quantity: i.quantity || 1,
         individualPrice: i.individualPrice || 0,
+        taxable: i.taxable !== false,
       })) || [],
       memo: p.memo || '',
     })),
   };
-  archive.unshift(group);
-  saveArchiveData(archive);
+  // 아카이브 화면이 떠 있으면 화면 상태까지 함께 갱신
+  runCommand({
+    scope: 'archive',
+    label: `아카이브 추가: ${group.groupName}`,
+    before: archive,
+    after: [group, ...archive],
+  });
   return group;
 }
 
 export default function PackageArchive({ onToast }) {
-  const [archive, setArchive] = useState(() => loadArchive());
+  const { list: archive, setList: setArchive, conflict, resolveConflict } = useSyncedList(STORAGE_KEY);
   const [isOpen, setIsOpen] = useState(false);
   const [sourceFilter, setSourceFilter] = useState('전체');
   const [groupQuery, setGroupQuery] = useState('');
@@ -77,6 +89,17 @@ export default function PackageArchive({ onToast }) {
   const [newPkgMemo, setNewPkgMemo] = useState('');
   const [pendingPackages, setPendingPackages] = useState([]);
 
+  // 실행 취소 / 다시 실행 대상
+  useEffect(() => registerUndoTarget('archive', {
+    apply: setArchive,
+    persist: saveArchiveData,
+  }), [setArchive]);
+
+  const commitArchive = useCallback((label, updated) => {
+    pushCommand({ scope: 'archive', label, before: archive, after: updated });
+    setArchive(updated);
+  }, [archive, setArchive]);
+
   // Total package count
   const totalPkgCount = useMemo(() => archive.reduce((sum, g) => sum + (g.packages?.length || 0), 0), [archive]);
 
@@ -127,21 +150,20 @@ export default function PackageArchive({ onToast }) {
 
   const deleteGroup = useCallback((id) => {
     if (!window.confirm('이 그룹 전체를 삭제하시겠습니까?')) return;
-    const updated = archive.filter((g) => g.id !== id);
-    setArchive(updated);
-    saveArchiveData(updated);
+    const group = archive.find((g) => g.id === id);
+    commitArchive(`아카이브 그룹 삭제: ${group?.groupName || ''}`, archive.filter((g) => g.id !== id));
     onToast?.('아카이브 그룹이 삭제되었습니다');
-  }, [archive, onToast]);
+  }, [archive, commitArchive, onToast]);
 
   const deletePackageFromGroup = useCallback((groupId, pkgId) => {
     const updated = archive.map((g) => {
       if (g.id !== groupId) return g;
       return { ...g, packages: g.packages.filter((p) => p.id !== pkgId) };
     }).filter((g) => g.packages.length > 0);
-    setArchive(updated);
-    saveArchiveData(updated);
+    const pkg = archive.find((g) => g.id === groupId)?.packages.find((p) => p.id === pkgId);
+    commitArchive(`아카이브 패키지 삭제: ${pkg?.name || ''}`, updated);
     onToast?.('패키지가 삭제되었습니다');
-  }, [archive, onToast]);
+  }, [archive, commitArchive, onToast]);
 
   // Add pending package to list
   const addPendingPkg = useCallback(() => {
@@ -179,15 +201,13 @@ export default function PackageArchive({ onToast }) {
       createdAt: new Date().toISOString(),
       packages: pendingPackages,
     };
-    const updated = [group, ...archive];
-    setArchive(updated);
-    saveArchiveData(updated);
+    commitArchive(`아카이브 그룹 추가: ${group.groupName}`, [group, ...archive]);
     setNewGroupName('');
     setNewSourceName('');
     setPendingPackages([]);
     setShowAddForm(false);
     onToast?.('아카이브 그룹이 추가되었습니다');
-  }, [archive, newGroupName, newSource, newSourceName, pendingPackages, onToast]);
+  }, [archive, commitArchive, newGroupName, newSource, newSourceName, pendingPackages, onToast]);
 
   // Excel copy
   const handleExcelCopy = useCallback(async () => {
@@ -217,9 +237,6 @@ export default function PackageArchive({ onToast }) {
     return `${d.getFullYear()}.${d.getMonth() + 1}.${d.getDate()}`;
   };
 
-  // Refresh for external updates
-  const refresh = useCallback(() => setArchive(loadArchive()), []);
-
   return (
     <div className="bg-white rounded-lg shadow border border-gray-300">
       {/* Header */}
@@ -238,6 +255,12 @@ export default function PackageArchive({ onToast }) {
         <span className={`text-gray-400 text-xs transition-transform ${isOpen ? 'rotate-180' : ''}`}>▼</span>
       </button>
 
+      {conflict && (
+        <div className="px-4 sm:px-6">
+          <SyncConflictNotice label="패키지 아카이브" conflict={conflict} onResolve={resolveConflict} />
+        </div>
+      )}
+
       {isOpen && (
         <div className="px-4 sm:px-6 pb-4 sm:pb-6 space-y-3">
           {/* Filter tabs + actions */}
@@ -8,21 +8,32 @@
  *  - 시술별 기여도(절약 비율) 표시
  *  - 시술명 자동완성 (지점 수가 + 최근 사용)
  *  - 유사 수가표 항목 추천
+ *  - VAT 모드 기준 입력/표시 (저장은 공급가, 면세 시술은 VAT 제외)
  */
 
 import { useState, useMemo, useRef, useEffect, useCallback } from 'react';
-import { formatNumber } from '../../utils/pricing';
+import {
+  formatNumber,
+  getVatFactor,
+  parseTaxable,
+  toVatDisplay,
+  VAT_MODE_LABELS,
+} from '../../utils/pricing';
+import VatPriceInput from '../VatPriceInput';
 import {
   computePackageSummary,
   calcPackagePriceFromItemDiscounts,
+  calcTaxableShare,
+  getPackageVatFactor,
   reverseCalcItemDiscounts,
   findSimilarBranchItems,
 } from '../../utils/packagePricing';
+import { kvStore } from '../../utils/kvStore';
 
 // 최근 사용 시술 로드
 function loadRecentProcedures() {
   try {
-    const raw = localStorage.getItem('vans-pricing-recent-procedures');
+    const raw = kvStore.getItem('vans-pricing-recent-procedures');
     return raw ? JSON.parse(raw) : [];
   } catch { return []; }
 }
@@ -33,9 +44,14 @@ function saveRecentProcedure(proc) {
     let recent = loadRecentProcedures();
     // 중복 제거 후 앞에 추가
     recent = recent.filter((r) => r.name !== proc.name);
-    recent.unshift({ name: proc.name, price: proc.standardPrice || proc.price || 0, category: proc.category || '' });
+    recent.unshift({
+      name: proc.name,
+      price: proc.standardPrice || proc.price || 0,
+      category: proc.category || '',
+      taxable: parseTaxable(proc.taxable),
+    });
     if (recent.length > 10) recent = recent.slice(0, 10);
-    localStorage.setItem('vans-pricing-recent-procedures', JSON.stringify(recent));
+    kvStore.setItem('vans-pricing-recent-procedures', JSON.stringify(recent));
   } catch {}
 }
 
@@ -49,9 +65,10 @@ export default function PackageCard({
   onMoveDown,
   branchProcedures = [],
   activeBranch,
-  roundUnit = 10000,
+  rounding = 10000,
+  vatMode = 'excluded',
 }) {
-  const summary = useMemo(() => computePackageSummary(pkg), [pkg]);
+  const summary = useMemo(() => computePackageSummary(pkg, vatMode), [pkg, vatMode]);
   const reversedDiscounts = useMemo(() => reverseCalcItemDiscounts(pkg), [pkg]);
   const [collapsed, setCollapsed] = useState(false);
   const [openPriceDropdown, setOpenPriceDropdown] = useState(null);
@@ -88,13 +105,13 @@ export default function PackageCard({
     setItemDiscountMode(false);
   };
 
-  const handleItemPrice = (idx, value) => {
+  const handleItemPrice = (idx, value, patch = {}) => {
     const items = [...pkg.items];
-    items[idx] = { ...items[idx], individualPrice: Number(value) || 0 };
+    items[idx] = { ...items[idx], individualPrice: Number(value) || 0, ...patch };
     const updated = { ...pkg, items };
     // 개별 할인율 모드일 때 패키지가 재계산
     if (itemDiscountMode) {
-      updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, roundUnit);
+      updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, rounding, vatMode);
     }
     onChange(updated);
   };
@@ -104,7 +121,18 @@ export default function PackageCard({
     items[idx] = { ...items[idx], quantity: Math.max(1, Number(value) || 1) };
     const updated = { ...pkg, items };
     if (itemDiscountMode) {
-      updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, roundUnit);
+      updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, rounding, vatMode);
+    }
+    onChange(updated);
+  };
+
+  // 과세/면세 전환 (정가는 공급가 그대로, 표시 기준만 달라짐)
+  const toggleItemTaxable = (idx) => {
+    const items = [...pkg.items];
+    items[idx] = { ...items[idx], taxable: items[idx].taxable === false };
+    const updated = { ...pkg, items };
+    if (itemDiscountMode) {
+      updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, rounding, vatMode);
     }
     onChange(updated);
   };
@@ -121,10 +149,10 @@ export default function PackageCard({
     const items = [...pkg.items];
     items[idx] = { ...items[idx], discountRate: rate };
     const updated = { ...pkg, items };
-    updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, roundUnit);
+    updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, rounding, vatMode);
     setItemDiscountMode(true);
     onChange(updated);
-  }, [pkg, roundUnit, onChange]);
+  }, [pkg, rounding, vatMode, onChange]);
 
   // 시술명 입력 + 자동완성 트리거
   const handleItemNameWithSearch = (idx, value) => {
@@ -146,10 +174,11 @@ export default function PackageCard({
       individualPrice: bp.standardPrice || bp.price || 0,
       priceSource: bp.standardPrice ? 'branch' : 'recent',
       branchCategory: bp.category,
+      taxable: parseTaxable(bp.taxable),
     };
     const updated = { ...pkg, items };
     if (itemDiscountMode) {
-      updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, roundUnit);
+      updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, rounding, vatMode);
     }
     onChange(updated);
     setActiveNameDropdown(null);
@@ -204,7 +233,7 @@ export default function PackageCard({
     const items = pkg.items.filter((_, i) => i !== idx);
     const updated = { ...pkg, items };
     if (itemDiscountMode) {
-      updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, roundUnit);
+      updated.packagePrice = calcPackagePriceFromItemDiscounts(updated, rounding, vatMode);
     }
     onChange(updated);
   };
@@ -228,6 +257,10 @@ export default function PackageCard({
     }).slice(0, 10);
   };
 
+  /** 공급가 → 표시 기준 가격 (지점 수가의 과세여부 반영) */
+  const displayPrice = (price, taxable) => toVatDisplay(Number(price) || 0, vatMode, parseTaxable(taxable));
+  const hasTaxExempt = calcTaxableShare(pkg) < 1;
+
   const hasAllPrices = pkg.items.every((item) => Number(item.individualPrice) > 0);
   const savingsPositive = summary.savingsAmount > 0;
 
@@ -271,7 +304,7 @@ export default function PackageCard({
 
         {/* 접힌 상태 뱃지들 */}
         {collapsed && pkg.packagePrice > 0 && (
-          <span className="text-sm font-bold text-indigo-700 shrink-0">{formatNumber(pkg.packagePrice)}원</span>
+          <span className="text-sm font-bold text-indigo-700 shrink-0">{formatNumber(summary.packagePrice)}원</span>
         )}
         {collapsed && summary.savingsPercent > 0 && (
           <span className="text-xs font-bold text-green-600 bg-green-50 px-1.5 py-0.5 rounded shrink-0">
@@ -360,7 +393,7 @@ export default function PackageCard({
                 : (reversedDiscounts[idx] ?? 0);
 
               // 할인 적용가
-              const itemTotal = (Number(item.individualPrice) || 0) * (Number(item.quantity) || 1);
+              const itemTotal = displayPrice(item.individualPrice, item.taxable) * (Number(item.quantity) || 1);
               const discountedPrice = itemTotal > 0 ? Math.round(itemTotal * (1 - displayDiscount / 100)) : 0;
 
               return (
@@ -403,14 +436,14 @@ export default function PackageCard({
                                   <button
                                     key={`recent-${ri}`}
                                     type="button"
-                                    onClick={() => selectBranchItem(idx, { name: r.name, standardPrice: r.price, category: r.category })}
+                                    onClick={() => selectBranchItem(idx, { name: r.name, standardPrice: r.price, category: r.category, taxable: r.taxable })}
                                     className={`w-full px-3 py-2 text-left transition-colors
                                                flex items-center justify-between gap-2 text-xs border-b border-gray-50 last:border-b-0
                                                ${globalIdx === highlightedIdx ? 'bg-amber-100' : 'hover:bg-amber-50'}`}
                                   >
                                     <span className="text-gray-700 font-medium">{r.name}</span>
                                     {r.price > 0 && (
-                                      <span className="font-bold text-amber-700 shrink-0">{formatNumber(r.price)}원</span>
+                                      <span className="font-bold text-amber-700 shrink-0">{formatNumber(displayPrice(r.price, r.taxable))}원</span>
                                     )}
                                   </button>
                                 );
@@ -445,7 +478,7 @@ export default function PackageCard({
                                         )}
                                       </div>
                                       <span className="font-bold text-indigo-700 shrink-0">
-                                        {formatNumber(bp.standardPrice)}원
+                                        {formatNumber(displayPrice(bp.standardPrice, bp.taxable))}원
                                       </span>
                                     </button>
                                   );
@@ -468,12 +501,12 @@ export default function PackageCard({
                     <span className="text-xs text-gray-400 shrink-0">회</span>
                     <div className="relative">
                       <div className="flex items-center gap-0.5">
-                        <input
-                          type="number"
+                        <VatPriceInput
+                          factor={getVatFactor(vatMode, item.taxable !== false)}
                           value={item.individualPrice || ''}
-                          onChange={(e) => handleItemPrice(idx, e.target.value)}
+                          onChange={(v) => handleItemPrice(idx, v)}
                           min="0"
-                          placeholder="정가(VAT별도)"
+                          placeholder={`정가(${item.taxable === false ? '면세' : VAT_MODE_LABELS[vatMode]})`}
                           className={`w-24 px-2 py-1.5 border rounded text-xs text-right
                                      focus:outline-none focus:ring-1 focus:ring-indigo-300
                                      ${item.individualPrice > 0 ? 'border-gray-200' : 'border-orange-300 bg-orange-50'}`}
@@ -501,13 +534,13 @@ export default function PackageCard({
                               key={mi}
                               type="button"
                               onClick={() => {
-                                handleItemPrice(idx, bp.standardPrice);
+                                handleItemPrice(idx, bp.standardPrice, { taxable: parseTaxable(bp.taxable) });
                                 setOpenPriceDropdown(null);
                               }}
                               className="w-full px-3 py-2 text-left hover:bg-indigo-50 transition-colors flex items-center justify-between gap-2 text-xs"
                             >
                               <span className="text-gray-700 truncate">{bp.name}</span>
-                              <span className="font-bold text-indigo-700 shrink-0">{formatNumber(bp.standardPrice)}원</span>
+                              <span className="font-bold text-indigo-700 shrink-0">{formatNumber(displayPrice(bp.standardPrice, bp.taxable))}원</span>
                             </button>
                           ))}
                         </div>
@@ -532,6 +565,18 @@ export default function PackageCard({
                       </div>
                     )}
 
+                    <button
+                      type="button"
+                      onClick={() => toggleItemTaxable(idx)}
+                      className={`text-[10px] leading-none px-1 py-0.5 rounded shrink-0 transition-colors ${
+                        item.taxable === false
+                          ? 'bg-gray-200 text-gray-600 hover:bg-gray-300'
+                          : 'bg-white text-gray-400 border border-gray-200 hover:bg-gray-50'
+                      }`}
+                      title="클릭하여 과세/면세 전환"
+                    >
+                      {item.taxable === false ? '면세' : '과세'}
+                    </button>
                     {item.individualPrice > 0 && item.priceSource && item.priceSource !== 'manual' && (
                       <span className={`text-[10px] leading-none px-1 py-0.5 rounded shrink-0 ${
                         item.priceSource === 'branch'
@@ -575,7 +620,7 @@ export default function PackageCard({
                           className="text-[10px] px-1.5 py-0.5 bg-orange-50 text-orange-700 rounded
                                      hover:bg-orange-100 transition-colors border border-orange-200"
                         >
-                          {si.name} ({formatNumber(si.standardPrice)}원)
+                          {si.name} ({formatNumber(displayPrice(si.standardPrice, si.taxable))}원)
                         </button>
                       ))}
                     </div>
@@ -595,12 +640,17 @@ export default function PackageCard({
           <div className="px-4 py-3 bg-gray-50 border-t border-gray-100">
             <div className="flex items-center gap-3">
               <div className="flex-1">
-                <label className="block text-xs text-gray-500 mb-1">패키지 이벤트가 <span className="text-gray-400">(VAT 별도)</span></label>
+                <label className="block text-xs text-gray-500 mb-1">
+                  패키지 이벤트가{' '}
+                  <span className="text-gray-400">
+                    ({VAT_MODE_LABELS[vatMode]}{hasTaxExempt ? ', 면세 시술 VAT 제외' : ''})
+                  </span>
+                </label>
                 <div className="flex items-center gap-1">
-                  <input
-                    type="number"
+                  <VatPriceInput
+                    factor={getPackageVatFactor(pkg, vatMode)}
                     value={pkg.packagePrice || ''}
-                    onChange={(e) => handlePriceChange(e.target.value)}
+                    onChange={handlePriceChange}
                     min="0"
                     placeholder="자동 또는 직접 입력"
                     className="w-full px-2.5 py-2 border border-indigo-300 rounded text-sm font-bold text-indigo-700
@@ -610,7 +660,9 @@ export default function PackageCard({
                 </div>
                 {pkg.packagePrice > 0 && (
                   <div className="text-[10px] text-teal-600 mt-0.5">
-                    VAT 포함 {formatNumber(Math.round(Number(pkg.packagePrice) * 1.1))}원
+                    {vatMode === 'included'
+                      ? `VAT 별도 ${formatNumber(summary.packagePriceExVat)}원 (부가세 ${formatNumber(summary.vatAmount)}원)`
+                      : `VAT 포함 ${formatNumber(summary.packagePriceIncVat)}원`}
                   </div>
                 )}
               </div>
@@ -620,7 +672,11 @@ export default function PackageCard({
                 <div className="text-right shrink-0">
                   <div className="text-xs text-gray-400">
                     정가 {formatNumber(summary.totalRegularPrice)}원
-                    <span className="text-gray-300 ml-1">(VAT 포함 {formatNumber(Math.round(summary.totalRegularPrice * 1.1))}원)</span>
+                    <span className="text-gray-300 ml-1">
+                      ({vatMode === 'included'
+                        ? `VAT 별도 ${formatNumber(summary.totalRegularExVat)}원`
+                        : `VAT 포함 ${formatNumber(summary.totalRegularIncVat)}원`})
+                    </span>
                   </div>
                   {pkg.packagePrice > 0 && (
                     <div className={`text-sm font-bold ${savingsPositive ? 'text-green-600' : 'text-red-500'}`}>
@@ -5,16 +5,24 @@
  *   간단: ●패키지명 가격원
  *   상세: ●패키지명
  *           정가 X원 → Y원 (Z% 할인)
+ *
+ * 가격은 summary(computePackageSummary)의 VAT 모드 표시 기준 값을 사용하고,
+ * 엑셀에는 VAT 별도/부가세/VAT 포함 금액을 모두 기록합니다.
  */
 
 import { useState } from 'react';
 import { copyToClipboard } from '../../utils/export';
-import { formatNumber } from '../../utils/pricing';
+import { formatNumber, VAT_MODE_LABELS } from '../../utils/pricing';
+
+/** summary 기준 패키지 표시 가격 */
+function getDisplayPrice(pkg) {
+  return pkg.summary ? pkg.summary.packagePrice : Number(pkg.packagePrice) || 0;
+}
 
 /**
  * 카카오톡 간단 형식
  */
-function generateKakaoSimple(packages) {
+function generateKakaoSimple(packages, vatMode) {
   const now = new Date();
   const dateStr = `${now.getFullYear()}. ${now.getMonth() + 1}. ${now.getDate()}.`;
 
@@ -24,17 +32,20 @@ function generateKakaoSimple(packages) {
   lines.push('');
 
   for (const pkg of packages) {
-    const price = Number(pkg.packagePrice) || 0;
+    const price = getDisplayPrice(pkg);
     lines.push(`●${pkg.name} ${formatNumber(price)}원`);
   }
 
+  lines.push('');
+  lines.push(`(${VAT_MODE_LABELS[vatMode]})`);
+
   return lines.join('\n');
 }
 
 /**
  * 카카오톡 상세 형식
  */
-function generateKakaoDetailed(packages) {
+function generateKakaoDetailed(packages, vatMode) {
   const now = new Date();
   const dateStr = `${now.getFullYear()}. ${now.getMonth() + 1}. ${now.getDate()}.`;
 
@@ -44,7 +55,7 @@ function generateKakaoDetailed(packages) {
   lines.push('');
 
   for (const pkg of packages) {
-    const price = Number(pkg.packagePrice) || 0;
+    const price = getDisplayPrice(pkg);
     const summary = pkg.summary || {};
     const totalRegular = summary.totalRegularPrice || 0;
     const savingsPercent = summary.savingsPercent || 0;
@@ -57,15 +68,29 @@ function generateKakaoDetailed(packages) {
     }
   }
 
+  lines.push('');
+  lines.push(`(${VAT_MODE_LABELS[vatMode]})`);
+
   return lines.join('\n');
 }
 
 /**
  * 엑셀(TSV) 형식 텍스트 생성
  */
-function generatePackageExcelText(packages) {
+function generatePackageExcelText(packages, vatMode) {
+  const basis = VAT_MODE_LABELS[vatMode];
   const rows = [];
-  rows.push(['패키지명', '구성 시술', '정가 합계', '패키지가', '절약 금액', '할인율'].join('\t'));
+  rows.push([
+    '패키지명',
+    '구성 시술',
+    `정가 합계(${basis})`,
+    `패키지가(${basis})`,
+    '절약 금액',
+    '할인율',
+    '패키지가(VAT별도)',
+    '부가세',
+    '패키지가(VAT포함)',
+  ].join('\t'));
 
   for (const pkg of packages) {
     const summary = pkg.summary || {};
@@ -74,28 +99,31 @@ function generatePackageExcelText(packages) {
       pkg.name,
       itemNames,
       summary.totalRegularPrice || 0,
-      pkg.packagePrice || 0,
+      getDisplayPrice(pkg),
       summary.savingsAmount || 0,
       summary.savingsPercent ? `${summary.savingsPercent}%` : '-',
+      summary.packagePriceExVat ?? (pkg.packagePrice || 0),
+      summary.vatAmount ?? '-',
+      summary.packagePriceIncVat ?? '-',
     ].join('\t'));
   }
 
   return rows.join('\n');
 }
 
-export default function PackageExport({ packages, onToast }) {
+export default function PackageExport({ packages, vatMode = 'excluded', onToast }) {
   const [kakaoFormat, setKakaoFormat] = useState('simple'); // 'simple' | 'detailed'
 
   const handleKakao = async () => {
     const text = kakaoFormat === 'detailed'
-      ? generateKakaoDetailed(packages)
-      : generateKakaoSimple(packages);
+      ? generateKakaoDetailed(packages, vatMode)
+      : generateKakaoSimple(packages, vatMode);
     const ok = await copyToClipboard(text);
     onToast?.(ok ? '카카오톡 형식으로 복사되었습니다' : '복사에 실패했습니다');
   };
 
   const handleExcel = async () => {
-    const text = generatePackageExcelText(packages);
+    const text = generatePackageExcelText(packages, vatMode);
     const ok = await copyToClipboard(text);
     onToast?.(ok ? '엑셀 형식으로 복사되었습니다' : '복사에 실패했습니다');
   };
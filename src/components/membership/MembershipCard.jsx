@@ -0,0 +1,269 @@
+/**
+ * MembershipCard.jsx - 회원권 1개 입력 + 계산 결과
+ *
+ * 정액권: 결제액 / 적립액 → 보너스율, 실질 할인율, 시술별 실질 가격
+ * 기간 무제한: 가격 / 기간 / 월 예상 방문수 + 대상 시술 → 손익분기 방문수
+ */
+
+import { useState } from 'react';
+import { formatNumber } from '../../utils/pricing';
+import { MEMBERSHIP_KIND_LABELS } from '../../utils/membershipPricing';
+
+const PREVIEW_ROWS = 30;
+
+/** 숫자 입력 공통 */
+function NumberField({ label, value, onChange, placeholder, hint }) {
+  return (
+    <div>
+      <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+      <input
+        type="number"
+        value={value ?? ''}
+        onChange={(e) => onChange(e.target.value)}
+        placeholder={placeholder}
+        min="0"
+        className="w-full px-3 py-2 border border-gray-300 rounded text-sm
+                   focus:outline-none focus:ring-2 focus:ring-violet-400"
+      />
+      {hint && <p className="text-xs text-gray-400 mt-0.5">{hint}</p>}
+    </div>
+  );
+}
+
+export default function MembershipCard({ membership, result, procedures, onChange, onRemove }) {
+  const [procedureQuery, setProcedureQuery] = useState('');
+  const [showAll, setShowAll] = useState(false);
+
+  const update = (field, value) => onChange({ ...membership, [field]: value });
+  const isPrepaid = membership.kind === 'prepaid';
+  const { terms } = result;
+
+  // 무제한 대상 시술 후보 (이름 검색)
+  const q = procedureQuery.replace(/\s+/g, '').toLowerCase();
+  const selectedNames = membership.procedureNames || [];
+  const candidates = q
+    ? procedures
+      .filter((p) => !selectedNames.includes(p.name))
+      .filter((p) => p.name.replace(/\s+/g, '').toLowerCase().includes(q))
+      .slice(0, 8)
+    : [];
+
+  const addProcedure = (name) => {
+    update('procedureNames', [...selectedNames, name]);
+    setProcedureQuery('');
+  };
+
+  const removeProcedure = (name) => {
+    update('procedureNames', selectedNames.filter((n) => n !== name));
+  };
+
+  const visibleRows = showAll ? result.rows : result.rows.slice(0, PREVIEW_ROWS);
+
+  return (
+    <div className="p-4 bg-white rounded-lg border border-violet-200 shadow-sm space-y-3">
+      {/* 이름 + 종류 */}
+      <div className="flex items-center gap-2">
+        <span className="shrink-0 text-xs font-bold px-2 py-0.5 rounded-full bg-violet-100 text-violet-700">
+          {MEMBERSHIP_KIND_LABELS[membership.kind]}
+        </span>
+        <input
+          type="text"
+          value={membership.name || ''}
+          onChange={(e) => update('name', e.target.value)}
+          placeholder={isPrepaid ? '예: 100만원 정액권' : '예: 겨드랑이 제모 1년 무제한'}
+          className="flex-1 min-w-0 px-3 py-1.5 border border-gray-300 rounded text-sm font-medium
+                     focus:outline-none focus:ring-2 focus:ring-violet-400"
+        />
+        <button
+          onClick={onRemove}
+          className="px-2 py-1 text-red-400 hover:text-red-600 hover:bg-red-50 rounded transition-colors text-sm font-bold"
+          title="회원권 삭제"
+        >
+          ×
+        </button>
+      </div>
+
+      {/* 조건 입력 */}
+      {isPrepaid ? (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          <NumberField
+            label="결제액 (원)"
+            value={membership.price}
+            onChange={(v) => update('price', v)}
+            placeholder="1000000"
+          />
+          <NumberField
+            label="적립액 (원)"
+            value={membership.credit}
+            onChange={(v) => update('credit', v)}
+            placeholder="1200000"
+          />
+          <div className="col-span-2 flex items-end gap-4 text-sm pb-1">
+            <div>
+              <div className="text-xs text-gray-500">보너스율</div>
+              <div className="font-bold text-violet-700">
+                {terms.bonusPercent !== null ? `+${terms.bonusPercent}%` : '-'}
+              </div>
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">실질 할인율</div>
+              <div className="font-bold text-green-700">
+                {terms.effectiveDiscount !== null ? `${terms.effectiveDiscount}%` : '-'}
+              </div>
+            </div>
+            <div>
+              <div className="text-xs text-gray-500">보너스 금액</div>
+              <div className="font-bold text-gray-700">{formatNumber(terms.bonusAmount)}원</div>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+            <NumberField
+              label="회원권 가격 (원)"
+              value={membership.price}
+              onChange={(v) => update('price', v)}
+              placeholder="180000"
+            />
+            <NumberField
+              label="기간 (개월)"
+              value={membership.months}
+              onChange={(v) => update('months', v)}
+              placeholder="12"
+            />
+            <NumberField
+              label="월 예상 방문수"
+              value={membership.expectedVisitsPerMonth}
+              onChange={(v) => update('expectedVisitsPerMonth', v)}
+              placeholder="1"
+              hint="고객이 실제로 올 것으로 예상되는 횟수"
+            />
+          </div>
+
+          {/* 대상 시술 선택 */}
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">대상 시술 (지점 수가표에서 선택)</label>
+            <div className="flex flex-wrap gap-1 mb-1.5">
+              {selectedNames.map((name) => (
+                <span
+                  key={name}
+                  className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full bg-violet-50 text-violet-700 text-xs"
+                >
+                  {name}
+                  <button onClick={() => removeProcedure(name)} className="text-violet-400 hover:text-red-500 font-bold">
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+            {procedures.length > 0 ? (
+              <div className="relative">
+                <input
+                  type="text"
+                  value={procedureQuery}
+                  onChange={(e) => setProcedureQuery(e.target.value)}
+                  placeholder="시술명 검색..."
+                  className="w-full px-3 py-1.5 border border-gray-300 rounded text-sm
+                             focus:outline-none focus:ring-2 focus:ring-violet-400"
+                />
+                {candidates.length > 0 && (
+                  <div className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded shadow-lg">
+                    {candidates.map((p) => (
+                      <button
+                        key={`${p.no}-${p.name}`}
+                        onClick={() => addProcedure(p.name)}
+                        className="w-full flex justify-between px-3 py-1.5 text-xs text-left hover:bg-violet-50"
+                      >
+                        <span>{p.name}</span>
+                        <span className="text-gray-500">{formatNumber(p.standardPrice)}원</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ) : (
+              <p className="text-xs text-gray-400 italic">지점을 선택하면 대상 시술을 고를 수 있습니다</p>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* 결과 테이블 */}
+      {result.rows.length > 0 && (
+        <div className="border border-gray-200 rounded-lg overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50">
+              {isPrepaid ? (
+                <tr>
+                  <th className="px-3 py-2 text-left text-gray-600 font-medium">시술</th>
+                  <th className="px-3 py-2 text-right text-gray-600 font-medium">정가</th>
+                  <th className="px-3 py-2 text-right text-gray-600 font-medium">실질가</th>
+                  <th className="px-3 py-2 text-center text-gray-600 font-medium">적립액으로</th>
+                </tr>
+              ) : (
+                <tr>
+                  <th className="px-3 py-2 text-left text-gray-600 font-medium">시술</th>
+                  <th className="px-3 py-2 text-right text-gray-600 font-medium">1회 정가</th>
+                  <th className="px-3 py-2 text-center text-gray-600 font-medium">손익분기</th>
+                  <th className="px-3 py-2 text-center text-gray-600 font-medium">예상 방문</th>
+                  <th className="px-3 py-2 text-right text-gray-600 font-medium">예상 1회 비용</th>
+                </tr>
+              )}
+            </thead>
+            <tbody>
+              {visibleRows.map((row, i) => (
+                isPrepaid ? (
+                  <tr key={`${row.name}-${i}`} className="border-t border-gray-100">
+                    <td className="px-3 py-1.5 text-gray-800">
+                      {row.name}
+                      {row.category && <span className="ml-1 text-gray-400">· {row.category}</span>}
+                    </td>
+                    <td className="px-3 py-1.5 text-right text-gray-500">{formatNumber(row.regularPrice)}원</td>
+                    <td className="px-3 py-1.5 text-right font-bold text-violet-700">
+                      {formatNumber(row.effectivePrice)}원
+                    </td>
+                    <td className="px-3 py-1.5 text-center text-gray-500">{row.coverCount}회</td>
+                  </tr>
+                ) : (
+                  <tr
+                    key={`${row.name}-${i}`}
+                    className={`border-t border-gray-100 ${row.worthIt ? '' : 'bg-amber-50'}`}
+                  >
+                    <td className="px-3 py-1.5 text-gray-800">{row.name}</td>
+                    <td className="px-3 py-1.5 text-right text-gray-500">{formatNumber(row.regularPrice)}원</td>
+                    <td className="px-3 py-1.5 text-center">
+                      <span className="font-bold">{row.breakEvenVisits}회</span>
+                      <span className="text-gray-400"> (월 {row.breakEvenPerMonth}회)</span>
+                    </td>
+                    <td className="px-3 py-1.5 text-center">
+                      {row.expectedVisits}회 {row.worthIt ? '✓' : <span className="text-amber-600">손익분기 미달</span>}
+                    </td>
+                    <td className="px-3 py-1.5 text-right">
+                      {row.perVisitCost !== null ? `${formatNumber(row.perVisitCost)}원` : '-'}
+                      {row.savingsPercent !== null && (
+                        <span className={`ml-1 ${row.savingsPercent > 0 ? 'text-green-600' : 'text-red-500'}`}>
+                          ({row.savingsPercent}%{row.savingsPercent > 0 ? '↓' : '↑'})
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                )
+              ))}
+            </tbody>
+          </table>
+          {result.rows.length > PREVIEW_ROWS && (
+            <div className="px-4 py-2 bg-gray-50 border-t border-gray-200 text-center">
+              <button
+                onClick={() => setShowAll((v) => !v)}
+                className="text-xs text-violet-600 hover:text-violet-800 font-medium"
+              >
+                {showAll ? '접기' : `전체 보기 (${result.rows.length - PREVIEW_ROWS}개 더)`}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,225 @@
+/**
+ * MembershipTab.jsx - 회원권(정액권 / 기간 무제한) 가격 계산 탭
+ *
+ * 구성:
+ *   - 지점 선택 + 카테고리/검색 필터 (정액권 실질 가격 대상)
+ *   - 공지 문구 붙여넣기로 회원권 가져오기 ("120만원 적립", "1년 무제한" 인식)
+ *   - 회원권 카드 목록
+ *   - 카톡/엑셀 내보내기 (기존 ExportButtons 재사용)
+ *   - 회원권 목록은 다른 탭과 실시간 동기화 (동시 저장 시 병합 안내)
+ */
+
+import { useState, useMemo, useCallback } from 'react';
+import BranchSelector from '../branch/BranchSelector';
+import ExportButtons from '../ExportButtons';
+import MembershipCard from './MembershipCard';
+import SyncConflictNotice from '../SyncConflictNotice';
+import useSyncedList from '../../hooks/useSyncedList';
+import { getActiveBranch, loadBranchData, extractCategories } from '../../utils/branchStorage';
+import { computeMembershipResult } from '../../utils/membershipPricing';
+import { parsePackageText } from '../../utils/packagePricing';
+
+let _membershipIdCounter = Date.now();
+
+/** 새 회원권 기본값 */
+function createMembership(kind, overrides = {}) {
+  return {
+    id: ++_membershipIdCounter,
+    kind,
+    name: '',
+    price: '',
+    credit: '',
+    months: kind === 'unlimited' ? 12 : '',
+    expectedVisitsPerMonth: kind === 'unlimited' ? 1 : '',
+    procedureNames: [],
+    ...overrides,
+  };
+}
+
+/** 입력값(문자열) → 계산용 숫자 */
+function toNumericMembership(m) {
+  return {
+    ...m,
+    price: Number(m.price) || 0,
+    credit: Number(m.credit) || 0,
+    months: Number(m.months) || 0,
+    expectedVisitsPerMonth: Number(m.expectedVisitsPerMonth) || 0,
+  };
+}
+
+export default function MembershipTab({ onToast, rounding, vatMode }) {
+  const {
+    list: memberships,
+    setList: setMemberships,
+    conflict,
+    resolveConflict,
+  } = useSyncedList('vans-pricing-memberships');
+  const [branch, setBranch] = useState(() => getActiveBranch());
+  const [query, setQuery] = useState('');
+  const [category, setCategory] = useState('');
+  const [pasteText, setPasteText] = useState('');
+  const [showPaste, setShowPaste] = useState(false);
+
+  const branchData = useMemo(() => (branch ? loadBranchData(branch) : []), [branch]);
+  const categories = useMemo(() => extractCategories(branchData), [branchData]);
+
+  // 정액권 실질 가격 대상 시술 (카테고리/검색 필터)
+  const filteredProcedures = useMemo(() => {
+    const q = query.replace(/\s+/g, '').toLowerCase();
+    return branchData.filter((p) => {
+      if (category && p.category !== category) return false;
+      if (q && !p.name.replace(/\s+/g, '').toLowerCase().includes(q)) return false;
+      return true;
+    });
+  }, [branchData, query, category]);
+
+  const results = useMemo(
+    () => memberships.map((m) => computeMembershipResult(
+      toNumericMembership(m),
+      m.kind === 'prepaid' ? filteredProcedures : branchData,
+    )),
+    [memberships, filteredProcedures, branchData],
+  );
+
+  const addMembership = useCallback((kind) => {
+    setMemberships((prev) => [...prev, createMembership(kind)]);
+  }, [setMemberships]);
+
+  const updateMembership = useCallback((idx, updated) => {
+    setMemberships((prev) => prev.map((m, i) => (i === idx ? updated : m)));
+  }, [setMemberships]);
+
+  const removeMembership = useCallback((idx) => {
+    const removed = memberships[idx];
+    setMemberships((prev) => prev.filter((_, i) => i !== idx));
+    onToast?.(`"${removed.name || '회원권'}" 삭제됨`, () => {
+      setMemberships((prev) => [...prev.slice(0, idx), removed, ...prev.slice(idx)]);
+    });
+  }, [memberships, setMemberships, onToast]);
+
+  // 공지 문구에서 회원권 조건이 있는 항목만 가져오기
+  const handleImportText = useCallback(() => {
+    const found = parsePackageText(pasteText).filter((pkg) => pkg.membership);
+    if (found.length === 0) {
+      onToast?.('회원권 조건(적립 / 무제한)을 찾지 못했습니다');
+      return;
+    }
+    const imported = found.map(({ name, packagePrice, membership }) => (
+      membership.kind === 'unlimited'
+        ? createMembership('unlimited', { name, price: packagePrice || '', months: membership.months })
+        : createMembership('prepaid', { name, price: membership.paid || '', credit: membership.credit || '' })
+    ));
+    setMemberships((prev) => [...prev, ...imported]);
+    setPasteText('');
+    setShowPaste(false);
+    onToast?.(`회원권 ${imported.length}개를 가져왔습니다`);
+  }, [pasteText, setMemberships, onToast]);
+
+  return (
+    <div className="bg-white rounded-b-lg rounded-tr-lg shadow border border-gray-300 p-4 sm:p-6 space-y-4">
+      {/* 지점 + 필터 */}
+      <div className="flex flex-wrap items-center gap-2">
+        <BranchSelector value={branch} onChange={setBranch} />
+        {branchData.length > 0 && (
+          <>
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="정액권 적용 시술 검색..."
+              className="flex-1 min-w-[160px] px-3 py-2 border border-gray-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-violet-400"
+            />
+            <select
+              value={category}
+              onChange={(e) => setCategory(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-violet-400"
+            >
+              <option value="">전체 카테고리</option>
+              {categories.map((cat) => (
+                <option key={cat} value={cat}>{cat}</option>
+              ))}
+            </select>
+            <span className="text-xs text-gray-500">{filteredProcedures.length}개 시술</span>
+          </>
+        )}
+      </div>
+
+      {/* 추가 버튼 */}
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => addMembership('prepaid')}
+          className="px-4 py-2 text-sm font-medium text-violet-700 bg-violet-50 border border-violet-200
+                     rounded-lg hover:bg-violet-100 transition-colors"
+        >
+          + 정액권
+        </button>
+        <button
+          onClick={() => addMembership('unlimited')}
+          className="px-4 py-2 text-sm font-medium text-violet-700 bg-violet-50 border border-violet-200
+                     rounded-lg hover:bg-violet-100 transition-colors"
+        >
+          + 기간 무제한
+        </button>
+        <button
+          onClick={() => setShowPaste((v) => !v)}
+          className="px-4 py-2 text-sm font-medium text-gray-600 bg-gray-50 border border-gray-200
+                     rounded-lg hover:bg-gray-100 transition-colors"
+        >
+          📝 공지 문구에서 가져오기
+        </button>
+      </div>
+
+      {showPaste && (
+        <div className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+          <textarea
+            value={pasteText}
+            onChange={(e) => setPasteText(e.target.value)}
+            rows={4}
+            placeholder={'■정액권 100만원 (120만원 적립)\n■겨드랑이 제모 180000원 1년 무제한'}
+            className="w-full px-3 py-2 border border-gray-300 rounded text-sm font-mono
+                       focus:outline-none focus:ring-2 focus:ring-violet-400"
+          />
+          <button
+            onClick={handleImportText}
+            disabled={!pasteText.trim()}
+            className="px-4 py-1.5 text-sm font-bold text-white bg-violet-600 rounded
+                       hover:bg-violet-700 disabled:bg-gray-300 transition-colors"
+          >
+            가져오기
+          </button>
+        </div>
+      )}
+
+      {/* 회원권 목록 */}
+      <SyncConflictNotice label="회원권" conflict={conflict} onResolve={resolveConflict} />
+      {memberships.length === 0 ? (
+        <div className="text-center py-8 text-gray-400 text-sm">
+          정액권 또는 기간 무제한 회원권을 추가하세요
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {memberships.map((m, idx) => (
+            <MembershipCard
+              key={m.id}
+              membership={m}
+              result={results[idx]}
+              procedures={branchData}
+              onChange={(updated) => updateMembership(idx, updated)}
+              onRemove={() => removeMembership(idx)}
+            />
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-400">
+        실질 가격과 손익분기는 선택한 지점 수가표의 표준가격 기준입니다.
+      </p>
+
+      {memberships.length > 0 && (
+        <ExportButtons items={results} rounding={rounding} vatMode={vatMode} onToast={onToast} />
+      )}
+    </div>
+  );
+}
@@ -3,23 +3,86 @@
  *
  * 경쟁사 가격을 입력하면 자동으로 우리 가격을 생성합니다.
  * 규칙: 경쟁사보다 저렴 + 단조 할인 유지
+ *
+ * 모드:
+ *   - 할인 곡선: sqrt 곡선 기반 (generateAutoPricing)
+ *   - 제약 조건: 최대 할인율 / 최소 마진율 / 목표가 / 9 엔딩 등을 만족하는 가격 탐색 (solveTierPricing)
+ *     불가능하면 충돌하는 제약을 표시하고 적용하지 않습니다.
  */
 
 import { useState } from 'react';
-import { generateAutoPricing } from '../../utils/pricing';
+import { generateAutoPricing, usesQuantityTiers, DEFAULT_MIN_MARGIN } from '../../utils/pricing';
+import { solveTierPricing } from '../../utils/pricingSolver';
+
+/** 원가 입력값(문자열)을 숫자로 변환 (원가 분석 미사용 시 null) */
+function toNumericCost(cost) {
+  if (!cost || !cost.enabled) return null;
+  return {
+    consumable: Number(cost.consumable) || 0,
+    perShot: Number(cost.perShot) || 0,
+    doctorMinutes: Number(cost.doctorMinutes) || 0,
+    doctorHourly: Number(cost.doctorHourly) || 0,
+    nurseMinutes: Number(cost.nurseMinutes) || 0,
+    nurseHourly: Number(cost.nurseHourly) || 0,
+  };
+}
+
+/**
+ * 목표가 입력 파싱: "5:450000, 10:800000" → { 5: 450000, 10: 800000 }
+ */
+function parseTargets(text) {
+  const targets = {};
+  (text || '').split(',').forEach((pair) => {
+    const [tier, price] = pair.split(':').map((v) => Number(v.trim()));
+    if (tier > 0 && price > 0) targets[tier] = price;
+  });
+  return targets;
+}
+
+/** 유형별 기본 옵션 구간 */
+function getDefaultTiers(type, unitName) {
+  if (type === 'shot') return '300,600,1000';
+  if (type === 'unit') return unitName === '유닛' ? '200,300,500' : '2,3,5';
+  return '3,5,10';
+}
+
+/** 최대 할인율 입력 파싱: "40" → 40, "20,30,40" → [20, 30, 40] */
+function parseMaxDiscount(text) {
+  const values = (text || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter((v) => v !== '')
+    .map(Number);
+  if (values.length === 0) return null;
+  return values.length === 1 ? values[0] : values;
+}
+
+export default function AutoPricingPanel({ item, rounding, onApply }) {
+  const unitName = item.unitName || 'cc';
+  const tierUnitLabel = usesQuantityTiers(item.type)
+    ? (item.type === 'unit' ? unitName : '샷수')
+    : '회차';
 
-export default function AutoPricingPanel({ item, roundUnit, onApply }) {
   const [config, setConfig] = useState({
     competitorPrice: '',
     competitorSessions: '1',
     competitorShots: '100',
+    competitorUnits: item.unitName === '유닛' ? '100' : '1',
+    competitorAreas: '1',
     competitorDiscount: '10',   // 경쟁사 대비 몇% 저렴하게
     trialMarkup: '15',          // 체험가 = 이벤트가 대비 몇% 비싸게
-    tiers: item.type === 'shot' ? '300,600,1000' : '3,5,10',
+    tiers: getDefaultTiers(item.type, item.unitName),
     minDiscountStep: '1000',
+    // 제약 조건 모드
+    maxDiscount: '',
+    minMargin: String(item.cost?.minMargin ?? DEFAULT_MIN_MARGIN),
+    targets: '',
+    charmEnding: false,
   });
 
+  const [mode, setMode] = useState('curve'); // 'curve' | 'solver'
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [solverReport, setSolverReport] = useState(null);
 
   const handleChange = (field, value) => {
     setConfig((prev) => ({ ...prev, [field]: value }));
@@ -27,12 +90,44 @@ export default function AutoPricingPanel({ item, roundUnit, onApply }) {
 
   const handleGenerate = () => {
     const compPrice = Number(config.competitorPrice);
-    if (!compPrice || compPrice <= 0) return;
-
     const tiers = config.tiers
       .split(',')
       .map((s) => Number(s.trim()))
       .filter((n) => n > 0);
+    const competitor = {
+      price: compPrice,
+      sessions: Number(config.competitorSessions) || 1,
+      shots: Number(config.competitorShots) || 100,
+      units: Number(config.competitorUnits) || 1,
+      areas: Number(config.competitorAreas) || 1,
+    };
+
+    if (mode === 'solver') {
+      const report = solveTierPricing({
+        type: item.type,
+        tiers,
+        baseShots: Number(config.competitorShots) || 100,
+        baseUnits: competitor.units,
+        unitName,
+        competitor: compPrice > 0 ? competitor : null,
+        cost: toNumericCost(item.cost),
+        rounding,
+        constraints: {
+          beatCompetitorPercent: config.competitorDiscount === '' ? null : Number(config.competitorDiscount),
+          maxDiscountPercent: parseMaxDiscount(config.maxDiscount),
+          minMarginPercent: config.minMargin === '' ? null : Number(config.minMargin),
+          targets: parseTargets(config.targets),
+          charmEnding: config.charmEnding,
+          minStep: Number(config.minDiscountStep) || 0,
+          trialMarkup: Number(config.trialMarkup) || 15,
+        },
+      });
+      setSolverReport(report);
+      if (report.feasible) onApply(report.result);
+      return;
+    }
+
+    if (!compPrice || compPrice <= 0) return;
 
     const result = generateAutoPricing(
       {
@@ -42,13 +137,9 @@ export default function AutoPricingPanel({ item, roundUnit, onApply }) {
         shotTiers: item.type !== 'session' ? tiers : [0],
         minDiscountStep: Number(config.minDiscountStep) || 1000,
       },
-      {
-        price: compPrice,
-        sessions: Number(config.competitorSessions) || 1,
-        shots: Number(config.competitorShots) || 100,
-      },
+      competitor,
       item.type,
-      roundUnit,
+      rounding,
     );
 
     onApply(result);
@@ -58,7 +149,22 @@ export default function AutoPricingPanel({ item, roundUnit, onApply }) {
     <div className="mt-4 p-4 bg-indigo-50 rounded-lg border-2 border-dashed border-indigo-300">
       <div className="flex items-center justify-between mb-3">
         <h4 className="text-sm font-bold text-indigo-800">자동 수가 책정</h4>
-        <span className="text-xs text-indigo-500">경쟁사 가격 기반</span>
+        <div className="flex items-center bg-white rounded-lg p-0.5 text-xs border border-indigo-200">
+          {[['curve', '할인 곡선'], ['solver', '제약 조건']].map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => {
+                setMode(key);
+                setSolverReport(null);
+              }}
+              className={`px-2.5 py-1 rounded-md transition-colors font-medium ${
+                mode === key ? 'bg-indigo-600 text-white' : 'text-indigo-500 hover:text-indigo-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
       </div>
 
       {/* 경쟁사 가격 입력 */}
@@ -75,7 +181,7 @@ export default function AutoPricingPanel({ item, roundUnit, onApply }) {
                        focus:outline-none focus:ring-2 focus:ring-indigo-400"
           />
         </div>
-        {(item.type === 'session' || item.type === 'mixed') && (
+        {(item.type === 'session' || item.type === 'mixed' || item.type === 'area') && (
           <div>
             <label className="block text-xs font-medium text-gray-600 mb-1">경쟁사 회차</label>
             <input
@@ -101,6 +207,32 @@ export default function AutoPricingPanel({ item, roundUnit, onApply }) {
             />
           </div>
         )}
+        {item.type === 'unit' && (
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">경쟁사 용량 ({unitName})</label>
+            <input
+              type="number"
+              value={config.competitorUnits}
+              onChange={(e) => handleChange('competitorUnits', e.target.value)}
+              min="1"
+              className="w-full px-3 py-2 border border-indigo-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+          </div>
+        )}
+        {item.type === 'area' && (
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">경쟁사 부위 수</label>
+            <input
+              type="number"
+              value={config.competitorAreas}
+              onChange={(e) => handleChange('competitorAreas', e.target.value)}
+              min="1"
+              className="w-full px-3 py-2 border border-indigo-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+          </div>
+        )}
         <div>
           <label className="block text-xs font-medium text-gray-600 mb-1">할인율 (%)</label>
           <input
@@ -116,6 +248,60 @@ export default function AutoPricingPanel({ item, roundUnit, onApply }) {
         </div>
       </div>
 
+      {/* 제약 조건 (솔버 모드) */}
+      {mode === 'solver' && (
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 mb-3 p-3 bg-white rounded border border-indigo-200">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">구간별 최대 할인율 (%)</label>
+            <input
+              type="text"
+              value={config.maxDiscount}
+              onChange={(e) => handleChange('maxDiscount', e.target.value)}
+              placeholder="40 또는 20,30,40"
+              className="w-full px-3 py-2 border border-gray-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+            <p className="text-xs text-gray-400 mt-0.5">이벤트가 단가 대비</p>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">최소 마진율 (%)</label>
+            <input
+              type="number"
+              value={config.minMargin}
+              onChange={(e) => handleChange('minMargin', e.target.value)}
+              min="0"
+              max="99"
+              className="w-full px-3 py-2 border border-gray-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+            <p className="text-xs text-gray-400 mt-0.5">
+              {item.cost?.enabled ? '원가 분석 값 기준' : '원가 분석을 켜야 적용'}
+            </p>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">구간 목표가</label>
+            <input
+              type="text"
+              value={config.targets}
+              onChange={(e) => handleChange('targets', e.target.value)}
+              placeholder={item.type === 'shot' ? '600:700000' : item.type === 'unit' ? '3:990000' : '5:450000'}
+              className="w-full px-3 py-2 border border-gray-300 rounded text-sm
+                         focus:outline-none focus:ring-2 focus:ring-indigo-400"
+            />
+            <p className="text-xs text-gray-400 mt-0.5">구간:가격, 쉼표로 구분</p>
+          </div>
+          <label className="flex items-center gap-2 text-xs font-medium text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={config.charmEnding}
+              onChange={(e) => handleChange('charmEnding', e.target.checked)}
+              className="w-4 h-4 rounded border-gray-300"
+            />
+            9 엔딩 필수 (9,900 / 99,000)
+          </label>
+        </div>
+      )}
+
       {/* 고급 설정 토글 */}
       <button
         onClick={() => setShowAdvanced(!showAdvanced)}
@@ -141,7 +327,7 @@ export default function AutoPricingPanel({ item, roundUnit, onApply }) {
           </div>
           <div>
             <label className="block text-xs font-medium text-gray-600 mb-1">
-              옵션 구간 ({item.type === 'shot' ? '샷수' : '회차'})
+              옵션 구간 ({tierUnitLabel})
             </label>
             <input
               type="text"
@@ -170,13 +356,34 @@ export default function AutoPricingPanel({ item, roundUnit, onApply }) {
       {/* 생성 버튼 */}
       <button
         onClick={handleGenerate}
-        disabled={!Number(config.competitorPrice)}
+        disabled={mode === 'curve' && !Number(config.competitorPrice)}
         className="w-full py-2.5 bg-indigo-600 text-white text-sm font-bold rounded
                    hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed
                    transition-colors"
       >
-        자동 가격 생성
+        {mode === 'solver' ? '제약 조건으로 가격 찾기' : '자동 가격 생성'}
       </button>
+
+      {/* 솔버 결과: 충돌 제약 설명 */}
+      {solverReport && (solverReport.conflicts.length > 0 || solverReport.warnings.length > 0) && (
+        <div className="mt-3 space-y-1 text-xs">
+          {solverReport.conflicts.length > 0 && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded text-red-700">
+              <div className="font-bold mb-1">조건을 모두 만족하는 가격이 없어 적용하지 않았습니다</div>
+              <ul className="list-disc list-inside space-y-0.5">
+                {solverReport.conflicts.map((msg, i) => (
+                  <li key={i}>{msg}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {solverReport.warnings.map((msg, i) => (
+            <div key={i} className="p-2 bg-amber-50 border border-amber-200 rounded text-amber-700">
+              {msg}
+            </div>
+          ))}
+        </div>
+      )}
       <p className="text-xs text-gray-400 mt-1.5 text-center">
         생성된 가격은 수동으로 조정할 수 있습니다
       </p>
@@ -0,0 +1,238 @@
+/**
+ * HistoryPanel.jsx - 수가 책정 버전 이력
+ *
+ * 스냅샷 목록(최신순) / 두 스냅샷(또는 스냅샷과 현재 상태)의 결과 행 비교 / 특정 시점으로 복원.
+ * 스냅샷 기록 자체는 PricingTab이 담당하고(onSnapshot), 이 패널은 version이 바뀔 때 목록을 다시 읽습니다.
+ */
+
+import { useState, useMemo } from 'react';
+import {
+  loadHistory,
+  deleteSnapshot,
+  diffSnapshots,
+  SNAPSHOT_REASON_LABELS,
+} from '../../utils/pricingHistory';
+import { formatNumber } from '../../utils/pricing';
+
+const CURRENT_ID = 'current';
+
+const STATUS_STYLES = {
+  added: { label: '추가', className: 'text-green-700 bg-green-50' },
+  removed: { label: '삭제', className: 'text-red-600 bg-red-50 line-through' },
+  changed: { label: '변경', className: 'text-amber-800 bg-amber-50' },
+  same: { label: '', className: 'text-gray-400' },
+};
+
+const formatTime = (iso) => new Date(iso).toLocaleString('ko-KR', {
+  month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit',
+});
+
+/** 가격 변화 셀: 이전 → 이후 */
+function ChangeCell({ before, after, field }) {
+  const a = before?.[field];
+  const b = after?.[field];
+  if (a === undefined && b === undefined) return <td className="px-2 py-1" />;
+  if (a === b || before === null || after === null) {
+    return <td className="px-2 py-1 text-right">{formatNumber(b ?? a)}</td>;
+  }
+  const diff = b - a;
+  return (
+    <td className="px-2 py-1 text-right whitespace-nowrap">
+      <span className="text-gray-400 line-through mr-1">{formatNumber(a)}</span>
+      {formatNumber(b)}
+      <span className={`ml-1 ${diff > 0 ? 'text-red-500' : 'text-blue-600'}`}>
+        ({diff > 0 ? '+' : ''}{formatNumber(diff)})
+      </span>
+    </td>
+  );
+}
+
+export default function HistoryPanel({
+  currentData,
+  rounding,
+  vatMode,
+  version,
+  onSnapshot,
+  onRestore,
+  onToast,
+}) {
+  const [open, setOpen] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [showSame, setShowSame] = useState(false);
+  const [deleted, setDeleted] = useState(0);
+
+  // version: PricingTab에서 스냅샷을 기록할 때마다 증가
+  const history = useMemo(
+    () => (open ? loadHistory().reverse() : []),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [open, version, deleted],
+  );
+
+  // 하나만 고르면 현재 상태와 비교, 둘이면 오래된 쪽 → 최신 쪽
+  const comparison = useMemo(() => {
+    if (selected.length === 0) return null;
+    const ids = selected.length === 1 ? [selected[0], CURRENT_ID] : selected;
+    const order = (id) => (id === CURRENT_ID ? Infinity : history.length - history.findIndex((s) => s.id === id));
+    const [fromId, toId] = [...ids].sort((a, b) => order(a) - order(b));
+    const findData = (id) => (id === CURRENT_ID ? currentData : history.find((s) => s.id === id)?.data);
+    const from = findData(fromId);
+    const to = findData(toId);
+    if (!from || !to) return null;
+    return { fromId, toId, items: diffSnapshots(from, to, rounding, vatMode) };
+  }, [selected, history, currentData, rounding, vatMode]);
+
+  const toggleSelect = (id) => {
+    setSelected((prev) => {
+      if (prev.includes(id)) return prev.filter((x) => x !== id);
+      // 최대 2개: 새로 고르면 가장 먼저 고른 것을 해제
+      return [...prev, id].slice(-2);
+    });
+  };
+
+  const handleDelete = (snapshot) => {
+    if (!window.confirm(`${formatTime(snapshot.takenAt)} 스냅샷을 삭제하시겠습니까?`)) return;
+    deleteSnapshot(snapshot.id);
+    setSelected((prev) => prev.filter((x) => x !== snapshot.id));
+    setDeleted((n) => n + 1);
+    onToast?.('스냅샷을 삭제했습니다');
+  };
+
+  const labelOf = (id) => {
+    if (id === CURRENT_ID) return '현재';
+    const snapshot = history.find((s) => s.id === id);
+    return snapshot ? formatTime(snapshot.takenAt) : '';
+  };
+
+  const changedItems = comparison
+    ? comparison.items.filter((item) => showSame || item.status !== 'same')
+    : [];
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200 p-4">
+      <button
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center justify-between text-sm font-bold text-gray-700"
+      >
+        <span>🕘 버전 이력</span>
+        <span className="text-xs font-normal text-gray-400">
+          자동 스냅샷 · 비교 · 복원 {open ? '▲' : '▼'}
+        </span>
+      </button>
+
+      {open && (
+        <div className="mt-3 space-y-3">
+          <div className="flex items-center justify-between gap-2 text-xs">
+            <span className="text-gray-500">
+              항목을 하나 고르면 현재 상태와, 둘을 고르면 서로 비교합니다
+            </span>
+            <button
+              onClick={() => onSnapshot('manual')}
+              className="px-2 py-1 bg-blue-50 text-blue-600 rounded hover:bg-blue-100 transition-colors shrink-0"
+            >
+              지금 스냅샷 저장
+            </button>
+          </div>
+
+          {history.length === 0 ? (
+            <p className="text-xs text-gray-400 text-center py-4">저장된 스냅샷이 없습니다</p>
+          ) : (
+            <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded">
+              {history.map((snapshot) => (
+                <li
+                  key={snapshot.id}
+                  className={`flex items-center gap-2 px-2 py-1.5 text-xs
+                    ${selected.includes(snapshot.id) ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(snapshot.id)}
+                    onChange={() => toggleSelect(snapshot.id)}
+                  />
+                  <span className="text-gray-500 whitespace-nowrap">{formatTime(snapshot.takenAt)}</span>
+                  <span className="px-1.5 py-0.5 rounded bg-gray-100 text-gray-600 whitespace-nowrap">
+                    {SNAPSHOT_REASON_LABELS[snapshot.reason] || snapshot.reason}
+                  </span>
+                  <span className="flex-1 min-w-0 truncate text-gray-800" title={snapshot.summary}>
+                    {snapshot.summary}
+                  </span>
+                  <button
+                    onClick={() => onRestore(snapshot)}
+                    className="px-2 py-0.5 text-gray-600 bg-gray-50 rounded hover:bg-gray-100 transition-colors shrink-0"
+                  >
+                    복원
+                  </button>
+                  <button
+                    onClick={() => handleDelete(snapshot)}
+                    className="text-gray-300 hover:text-red-500 shrink-0"
+                    title="삭제"
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {/* 비교 결과 */}
+          {comparison && (
+            <div className="border border-gray-200 rounded p-2">
+              <div className="flex items-center justify-between mb-2 text-xs">
+                <span className="font-bold text-gray-700">
+                  {labelOf(comparison.fromId)} → {labelOf(comparison.toId)}
+                </span>
+                <label className="flex items-center gap-1 text-gray-500 cursor-pointer">
+                  <input type="checkbox" checked={showSame} onChange={(e) => setShowSame(e.target.checked)} />
+                  변경 없는 항목도 표시
+                </label>
+              </div>
+
+              {changedItems.length === 0 ? (
+                <p className="text-xs text-gray-400 text-center py-2">가격 차이가 없습니다</p>
+              ) : (
+                <div className="space-y-3">
+                  {changedItems.map((item) => (
+                    <div key={item.id}>
+                      <div className="text-xs font-bold text-gray-800 mb-1">
+                        {item.name}
+                        {item.status !== 'same' && (
+                          <span className={`ml-1 px-1 rounded font-normal ${STATUS_STYLES[item.status].className}`}>
+                            {STATUS_STYLES[item.status].label}
+                          </span>
+                        )}
+                      </div>
+                      <table className="w-full text-xs">
+                        <thead>
+                          <tr className="text-gray-500 border-b border-gray-200">
+                            <th className="px-2 py-1 text-left font-medium">구간</th>
+                            <th className="px-2 py-1 text-right font-medium">가격</th>
+                            <th className="px-2 py-1 text-right font-medium">단가</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {item.rows
+                            .filter((row) => showSame || row.status !== 'same')
+                            .map((row) => (
+                              <tr key={row.key} className={STATUS_STYLES[row.status].className}>
+                                <td className="px-2 py-1">
+                                  {row.label}
+                                  {row.status !== 'same' && (
+                                    <span className="ml-1 text-[10px]">{STATUS_STYLES[row.status].label}</span>
+                                  )}
+                                </td>
+                                <ChangeCell before={row.before} after={row.after} field="price" />
+                                <ChangeCell before={row.before} after={row.after} field="unitPrice" />
+                              </tr>
+                            ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,36 +1,42 @@
 /**
  * PricingTab.jsx - 수가 책정 탭 (기존 PricingCalculator 로직)
+ *
+ * 자동 저장은 다른 브라우저 탭과 함께 씁니다 (useSyncedDraft).
+ *   저장하지 않은 편집이 없으면 다른 탭의 변경을 바로 반영하고, 있으면 병합 / 유지 / 불러오기를 묻습니다.
  */
 
-import { useState, useCallback, useMemo } from 'react';
+import { useState, useCallback, useMemo, useEffect, useRef } from 'react';
 import ItemForm from '../ItemForm';
 import ResultTable from '../ResultTable';
 import WarningBanner from '../WarningBanner';
 import ExportButtons from '../ExportButtons';
 import PresetManager from '../PresetManager';
+import RuleSettingsPanel from '../RuleSettingsPanel';
 import AutoPricingPanel from './AutoPricingPanel';
-import { computeItemRows } from '../../utils/pricing';
-import { validateMonotonic } from '../../utils/validation';
-
-/** 새 시술 아이템 기본값 생성 */
-function createDefaultItem(id) {
-  return {
-    id,
-    name: '',
-    type: 'session',
-    trialPrice: '',
-    eventPrice: '',
-    baseShots: 100,
-    options: [],
-    competitor: {
-      enabled: false,
-      name: '',
-      price: '',
-      sessions: 1,
-      shots: 100,
-    },
-  };
-}
+import HistoryPanel from './HistoryPanel';
+import SyncConflictNotice from '../SyncConflictNotice';
+import useSyncedDraft from '../../hooks/useSyncedDraft';
+import {
+  computeItemRows,
+  toNumericItem,
+  describeRounding,
+  formatNumber,
+  createDefaultItem,
+  DEFAULT_MIN_MARGIN,
+  PROCEDURE_TYPE_LABELS,
+  VAT_MODE_LABELS,
+} from '../../utils/pricing';
+import { runItemRules, resolveRuleSettings } from '../../utils/validation';
+import { getActiveBranch, findBranchProcedure } from '../../utils/branchStorage';
+import { autoSave, autoLoad, AUTO_SAVE_KEY } from '../../utils/storage';
+import {
+  recordSnapshot,
+  getLatestSnapshot,
+  isSignificantChange,
+  SNAPSHOT_INTERVAL,
+} from '../../utils/pricingHistory';
+import { registerUndoTarget, pushCommand, undoCommand, clearCommandHistory } from '../../utils/commandHistory';
+import { mergePresetItem } from '../../utils/presetLibrary';
 
 /** 고유 ID 생성용 카운터 */
 let _optIdCounter = Date.now();
@@ -38,31 +44,127 @@ export function generateOptionId() {
   return ++_optIdCounter;
 }
 
-export default function PricingTab({ roundUnit, onToast, initialData }) {
-  const [items, setItems] = useState(() => {
-    if (initialData && Array.isArray(initialData.items) && initialData.items.length > 0) {
-      return initialData.items.map((item) => ({
-        ...item,
-        options: (item.options || []).map((opt) =>
-          opt._id ? opt : { ...opt, _id: generateOptionId() }
-        ),
-      }));
-    }
-    return [createDefaultItem(1)];
-  });
+/** 저장본의 시술 목록 (옵션 ID 보정, 비어 있으면 기본 시술 하나) */
+function restoreItems(data) {
+  if (data && Array.isArray(data.items) && data.items.length > 0) {
+    return data.items.map((item) => ({
+      ...item,
+      options: (item.options || []).map((opt) =>
+        opt._id ? opt : { ...opt, _id: generateOptionId() }
+      ),
+    }));
+  }
+  return [createDefaultItem(1)];
+}
+
+const parseSaved = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+};
+
+export default function PricingTab({
+  rounding,
+  vatMode,
+  onToast,
+  ruleSettings,
+  onRuleSettingsChange,
+}) {
+  // 탭을 오갈 때마다 마지막 자동 저장본에서 복원
+  const [initialData] = useState(() => autoLoad());
+  const [items, setItems] = useState(() => restoreItems(initialData));
 
   const [activeTab, setActiveTab] = useState(() => initialData?.activeTab || 0);
   const [viewAll, setViewAll] = useState(false);
 
+  const currentData = useMemo(() => ({ items, activeTab }), [items, activeTab]);
+
+  // ── 버전 이력 스냅샷 ──
+  const [historyVersion, setHistoryVersion] = useState(0);
+  const [initialSnapshot] = useState(() => getLatestSnapshot());
+  const latestSnapshotRef = useRef(initialSnapshot?.data || null);
+  const savedDataRef = useRef(null);
+
+  const takeSnapshot = useCallback((data, reason, summary) => {
+    const snapshot = recordSnapshot(data, reason, summary);
+    if (snapshot) {
+      latestSnapshotRef.current = snapshot.data;
+      setHistoryVersion((v) => v + 1);
+    }
+    return snapshot;
+  }, []);
+
+  // ── 자동 저장 (debounce 300ms) — 이벤트 탭 교차 검증도 이 저장본을 참조 ──
+  // 이 탭의 값이 실제로 기록됐을 때만 스냅샷: 이력이 비어 있거나 큰 편집(시술 추가/삭제, 가격 여러 건 변경 등)이면 바로
+  const handleSaved = useCallback((data) => {
+    savedDataRef.current = data;
+    const latest = latestSnapshotRef.current;
+    if (!latest) takeSnapshot(data, 'auto');
+    else if (isSignificantChange(latest, data)) takeSnapshot(data, 'edit');
+  }, [takeSnapshot]);
+
+  // 다른 탭의 값으로 바꾸면 이 탭의 편집 기록은 그 변경을 되돌려 버리므로 비움
+  const applySaved = useCallback((data) => {
+    const nextItems = restoreItems(data);
+    setItems(nextItems);
+    setActiveTab(Math.min(Math.max(data?.activeTab || 0, 0), nextItems.length - 1));
+    clearCommandHistory('pricing');
+  }, []);
+
+  const { conflict: savedConflict, resolveConflict: resolveSavedConflict } = useSyncedDraft(AUTO_SAVE_KEY, currentData, {
+    parse: parseSaved,
+    serialize: (data) => JSON.stringify(data),
+    toList: (data) => data?.items || [],
+    fromList: (mergedItems, local) => ({
+      items: mergedItems,
+      activeTab: Math.min(local.activeTab, Math.max(mergedItems.length - 1, 0)),
+    }),
+    idOf: (item) => item.id,
+    apply: applySaved,
+    onSaved: handleSaved,
+    delay: 300,
+  });
+
+  // 주기 스냅샷 (마지막 스냅샷 이후 변경이 있을 때만 기록됨)
+  useEffect(() => {
+    const timer = setInterval(() => {
+      if (savedDataRef.current) takeSnapshot(savedDataRef.current, 'auto');
+    }, SNAPSHOT_INTERVAL);
+    return () => clearInterval(timer);
+  }, [takeSnapshot]);
+
+  // ── 편집 기록 (실행 취소 / 다시 실행) ──
+  // 탭이 닫혀 있을 때 되돌리면 자동 저장본에 기록하고, 다시 열 때 불러옴
+  useEffect(() => registerUndoTarget('pricing', {
+    apply: (data) => {
+      setItems(data.items);
+      setActiveTab(data.activeTab);
+    },
+    persist: autoSave,
+  }), []);
+
+  /**
+   * 편집 반영 + 기록
+   * @param {string} label    - 기록에 표시할 설명
+   * @param {object} next     - { items, activeTab }
+   * @param {string} [mergeKey] - 연속 입력을 하나로 합칠 키
+   * @returns {number|null} 명령 id
+   */
+  const commit = useCallback((label, next, mergeKey) => {
+    const id = pushCommand({ scope: 'pricing', label, before: currentData, after: next, mergeKey });
+    setItems(next.items);
+    setActiveTab(next.activeTab);
+    return id;
+  }, [currentData]);
+
   // ── 탭 관리 ──
   const addTab = useCallback(() => {
-    setItems((prev) => {
-      const newId = prev.length > 0 ? Math.max(...prev.map((i) => i.id)) + 1 : 1;
-      const next = [...prev, createDefaultItem(newId)];
-      setActiveTab(next.length - 1);
-      return next;
-    });
-  }, []);
+    const newId = items.length > 0 ? Math.max(...items.map((i) => i.id)) + 1 : 1;
+    const next = [...items, createDefaultItem(newId)];
+    commit('시술 추가', { items: next, activeTab: next.length - 1 });
+  }, [items, commit]);
 
   const removeTab = useCallback(
     (idx) => {
@@ -79,81 +181,145 @@ export default function PricingTab({ roundUnit, onToast, initialData }) {
         return;
       }
 
-      setItems((prev) => prev.filter((_, i) => i !== idx));
-      setActiveTab((prev) => {
-        if (prev >= idx && prev > 0) return prev - 1;
-        return prev;
+      commit(`시술 삭제: ${itemName}`, {
+        items: items.filter((_, i) => i !== idx),
+        activeTab: activeTab >= idx && activeTab > 0 ? activeTab - 1 : activeTab,
       });
     },
-    [items],
+    [items, activeTab, commit],
   );
 
   const updateItem = useCallback((idx, updatedItem) => {
-    setItems((prev) => prev.map((item, i) => (i === idx ? updatedItem : item)));
-  }, []);
+    commit(
+      `${updatedItem.name || `시술 ${updatedItem.id}`} 편집`,
+      { items: items.map((item, i) => (i === idx ? updatedItem : item)), activeTab },
+      `edit-${updatedItem.id}`,
+    );
+  }, [items, activeTab, commit]);
 
-  const replaceAllData = useCallback((data) => {
+  const replaceAllData = useCallback((data, label = '데이터 불러오기') => {
     if (data && Array.isArray(data.items) && data.items.length > 0) {
-      setItems(data.items);
-      setActiveTab(data.activeTab || 0);
+      return commit(label, { items: data.items, activeTab: data.activeTab || 0 });
     }
-  }, []);
+    return null;
+  }, [commit]);
+
+  // 프리셋의 시술 하나만 가져오기 (같은 이름 시술은 교체, 없으면 추가)
+  const mergeItemFromPreset = useCallback((presetItem, presetName) => {
+    const { items: next, index, replaced } = mergePresetItem(items, presetItem);
+    const name = presetItem.name || `시술 ${next[index].id}`;
+    return commit(
+      `프리셋 "${presetName}"에서 ${name} ${replaced ? '교체' : '추가'}`,
+      { items: next, activeTab: index },
+    );
+  }, [items, commit]);
+
+  // 스냅샷 시점으로 복원 (현재 상태를 먼저 스냅샷으로 남기고, 되돌리기 지원)
+  const restoreSnapshot = useCallback((snapshot) => {
+    const takenAt = new Date(snapshot.takenAt).toLocaleString('ko-KR');
+    if (!window.confirm(`${takenAt} 시점으로 되돌리시겠습니까?\n현재 상태는 이력에 남겨 둡니다.`)) return;
+
+    takeSnapshot(currentData, 'restore', `${takenAt} 스냅샷으로 복원하기 전`);
+    const id = replaceAllData(snapshot.data, `${takenAt} 스냅샷으로 복원`);
+    // 복원 결과가 새 편집 스냅샷으로 다시 기록되지 않도록 기준을 맞춤
+    latestSnapshotRef.current = snapshot.data;
+    onToast?.(`${takenAt} 시점으로 복원했습니다`, () => undoCommand(id));
+  }, [currentData, takeSnapshot, replaceAllData, onToast]);
 
   // ── 실시간 계산 결과 ──
+  const resolvedRules = useMemo(() => resolveRuleSettings(ruleSettings), [ruleSettings]);
+
   const computedResults = useMemo(() => {
-    return items.map((item) => {
-      const numItem = {
-        ...item,
-        trialPrice: Number(item.trialPrice) || 0,
-        eventPrice: Number(item.eventPrice) || 0,
-        baseShots: Number(item.baseShots) || 100,
-        options: (item.options || []).map((opt) => ({
-          ...opt,
-          price: Number(opt.price) || 0,
-          sessions: Number(opt.sessions) || 1,
-          shots: Number(opt.shots) || 100,
-        })),
-        competitor: item.competitor
-          ? {
-              ...item.competitor,
-              price: Number(item.competitor.price) || 0,
-              sessions: Number(item.competitor.sessions) || 1,
-              shots: Number(item.competitor.shots) || 100,
-            }
-          : { enabled: false },
-      };
+    // 지점 표준가 비교용 (선택된 지점 수가표)
+    const branch = getActiveBranch();
+
+    return items.map((item, itemIndex) => {
+      const numItem = toNumericItem(item);
+
+      const itemName = item.name || `시술 ${item.id}`;
+      const rawRows = computeItemRows(numItem, rounding, vatMode);
 
-      const rawRows = computeItemRows(numItem, roundUnit);
-      const { rows, violations } = validateMonotonic(rawRows, item.name || `시술 ${item.id}`);
+      const rawMin = item.cost?.minMargin;
+      const minMarginPercent = rawMin === '' || rawMin === undefined || rawMin === null
+        ? DEFAULT_MIN_MARGIN
+        : Number(rawMin) || 0;
+      const { rows, results } = runItemRules(rawRows, {
+        itemName,
+        type: item.type,
+        unitName: item.unitName || 'cc',
+        rounding,
+        vatMode,
+        taxable: item.taxable !== false,
+        costEnabled: numItem.cost.enabled,
+        minMarginPercent,
+        eventPrice: numItem.eventPrice,
+        branchPrice: findBranchProcedure(branch, item.name)?.standardPrice || 0,
+      }, resolvedRules);
 
-      return { name: item.name || `시술 ${item.id}`, type: item.type, rows, violations };
+      return {
+        name: itemName,
+        type: item.type,
+        unitName: item.unitName || 'cc',
+        taxable: item.taxable !== false,
+        rows,
+        // 배너에서 수정 제안을 적용할 시술을 찾기 위해 itemIndex를 함께 기록
+        ruleResults: results.map((r) => ({ ...r, itemIndex })),
+      };
     });
-  }, [items, roundUnit]);
+  }, [items, rounding, vatMode, resolvedRules]);
 
-  const allViolations = useMemo(() => computedResults.flatMap((r) => r.violations), [computedResults]);
+  const allRuleResults = useMemo(() => computedResults.flatMap((r) => r.ruleResults), [computedResults]);
   const activeResult = computedResults[activeTab] || null;
 
+  // 규칙 위반 수정 제안 적용 (되돌리기 지원)
+  const applyFix = useCallback((itemIndex, fix) => {
+    const before = items[itemIndex];
+    if (!before) return;
+
+    const price = String(fix.price);
+    let updated;
+    if (fix.rowType === 'trial') updated = { ...before, trialPrice: price };
+    else if (fix.rowType === 'event') updated = { ...before, eventPrice: price };
+    else {
+      updated = {
+        ...before,
+        options: before.options.map((opt, i) => (i === fix.optionIndex ? { ...opt, price } : opt)),
+      };
+    }
+
+    const id = commit(`"${fix.rowLabel}" 가격 수정`, {
+      items: items.map((item, i) => (i === itemIndex ? updated : item)),
+      activeTab,
+    });
+    onToast?.(`"${fix.rowLabel}" 가격을 ${formatNumber(fix.displayPrice)}원으로 변경했습니다`, () => undoCommand(id));
+  }, [items, activeTab, commit, onToast]);
+
+  const applyBannerFix = useCallback((result, fix) => applyFix(result.itemIndex, fix), [applyFix]);
+
   // 자동 수가 적용
   const handleAutoPrice = useCallback((result) => {
-    setItems((prev) => prev.map((item, i) => {
+    const next = items.map((item, i) => {
       if (i !== activeTab) return item;
       return {
         ...item,
         trialPrice: result.trialPrice,
         eventPrice: result.eventPrice,
         baseShots: result.baseShots || item.baseShots,
+        baseUnits: result.baseUnits || item.baseUnits,
         options: result.options.map((opt) => ({
           ...opt,
           _id: opt._id || generateOptionId(),
         })),
       };
-    }));
+    });
+    commit('자동 수가 적용', { items: next, activeTab });
     onToast?.('자동 수가가 적용되었습니다. 필요시 수동 조정하세요.');
-  }, [activeTab, onToast]);
+  }, [items, activeTab, commit, onToast]);
 
   return (
     <div>
-      <WarningBanner violations={allViolations} />
+      <SyncConflictNotice label="수가 책정" conflict={savedConflict} onResolve={resolveSavedConflict} />
+      <WarningBanner results={allRuleResults} onApplyFix={applyBannerFix} />
 
       {/* 시술 탭 바 */}
       <div className="flex items-end gap-1 overflow-x-auto pb-0 print:hidden">
@@ -220,7 +386,7 @@ export default function PricingTab({ roundUnit, onToast, initialData }) {
               VANS Clinic 이벤트 가격표
             </h2>
             <p className="text-right text-sm text-gray-500 mt-1">
-              {new Date().toLocaleDateString('ko-KR')} | 반올림: {roundUnit.toLocaleString()}원 단위
+              {new Date().toLocaleDateString('ko-KR')} | 반올림: {describeRounding(rounding)} | {VAT_MODE_LABELS[vatMode]}
             </p>
           </div>
 
@@ -239,17 +405,26 @@ export default function PricingTab({ roundUnit, onToast, initialData }) {
                     {item.name || `시술 ${item.id}`}
                   </h3>
                   <span className="text-xs text-gray-400">
-                    {item.type === 'session' ? '회차 기반' : item.type === 'shot' ? '샷수 기반' : '혼합형'}
+                    {PROCEDURE_TYPE_LABELS[item.type]}
                   </span>
                 </div>
 
                 <div className="print:hidden mb-4">
-                  <ItemForm item={item} onChange={(updated) => updateItem(idx, updated)} />
+                  <ItemForm
+                    item={item}
+                    vatMode={vatMode}
+                    onChange={(updated) => updateItem(idx, updated)}
+                  />
                 </div>
 
                 {result && result.rows.length > 0 && (
                   <div className="mt-3">
-                    <ResultTable rows={result.rows} type={result.type} />
+                    <ResultTable
+                      rows={result.rows}
+                      type={result.type}
+                      unitName={result.unitName}
+                      onApplyFix={(fix) => applyFix(idx, fix)}
+                    />
                   </div>
                 )}
               </div>
@@ -263,11 +438,12 @@ export default function PricingTab({ roundUnit, onToast, initialData }) {
               <>
                 <ItemForm
                   item={items[activeTab]}
+                  vatMode={vatMode}
                   onChange={(updated) => updateItem(activeTab, updated)}
                 />
                 <AutoPricingPanel
                   item={items[activeTab]}
-                  roundUnit={roundUnit}
+                  rounding={rounding}
                   onApply={handleAutoPrice}
                 />
               </>
@@ -279,7 +455,12 @@ export default function PricingTab({ roundUnit, onToast, initialData }) {
               <h3 className="text-base font-semibold text-gray-700 mb-2 print:text-lg">
                 📊 {activeResult.name} 계산 결과
               </h3>
-              <ResultTable rows={activeResult.rows} type={activeResult.type} />
+              <ResultTable
+                rows={activeResult.rows}
+                type={activeResult.type}
+                unitName={activeResult.unitName}
+                onApplyFix={(fix) => applyFix(activeTab, fix)}
+              />
             </div>
           )}
 
@@ -292,7 +473,7 @@ export default function PricingTab({ roundUnit, onToast, initialData }) {
                   <h3 className="text-lg font-semibold text-gray-700 mb-2">
                     📊 {result.name} 계산 결과
                   </h3>
-                  <ResultTable rows={result.rows} type={result.type} />
+                  <ResultTable rows={result.rows} type={result.type} unitName={result.unitName} />
                 </div>
               );
             })}
@@ -302,10 +483,33 @@ export default function PricingTab({ roundUnit, onToast, initialData }) {
 
       {/* 하단 도구 */}
       <div className="mt-4 space-y-4 print:hidden">
-        <ExportButtons items={computedResults} roundUnit={roundUnit} onToast={onToast} />
+        <ExportButtons
+          items={computedResults}
+          rounding={rounding}
+          vatMode={vatMode}
+          onToast={onToast}
+        />
+        <RuleSettingsPanel
+          settings={ruleSettings}
+          onChange={onRuleSettingsChange}
+          scope="item"
+        />
+        <HistoryPanel
+          currentData={currentData}
+          rounding={rounding}
+          vatMode={vatMode}
+          version={historyVersion}
+          onSnapshot={(reason) => {
+            takeSnapshot(currentData, reason);
+            onToast?.('현재 상태를 스냅샷으로 저장했습니다');
+          }}
+          onRestore={restoreSnapshot}
+          onToast={onToast}
+        />
         <PresetManager
-          currentData={{ items, activeTab }}
+          currentData={currentData}
           onLoad={replaceAllData}
+          onLoadItem={mergeItemFromPreset}
           onToast={onToast}
         />
       </div>
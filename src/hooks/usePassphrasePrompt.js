@@ -0,0 +1,40 @@
+/**
+ * usePassphrasePrompt.js - 파일 암호화/복호화 비밀번호 입력을 Promise로 받기
+ *
+ *   const { request, dialog } = usePassphrasePrompt();
+ *   const passphrase = await request('decrypt', '백업 파일');   // 취소하면 null
+ *   ...
+ *   {dialog && <PassphraseDialog {...dialog} />}
+ */
+
+import { useState, useCallback } from 'react';
+
+/**
+ * @returns {{
+ *   request: (mode: 'encrypt'|'decrypt', title: string) => Promise<string|null>,
+ *   dialog: { mode: string, title: string, onSubmit: (passphrase: string) => void, onCancel: () => void } | null,
+ * }}
+ */
+export default function usePassphrasePrompt() {
+  const [pending, setPending] = useState(null);
+
+  const request = useCallback(
+    (mode, title) => new Promise((resolve) => setPending({ mode, title, resolve })),
+    [],
+  );
+
+  const dialog = pending && {
+    mode: pending.mode,
+    title: pending.title,
+    onSubmit: (passphrase) => {
+      pending.resolve(passphrase);
+      setPending(null);
+    },
+    onCancel: () => {
+      pending.resolve(null);
+      setPending(null);
+    },
+  };
+
+  return { request, dialog };
+}
@@ -0,0 +1,140 @@
+/**
+ * useSyncedDraft.js - 자동 저장하는 편집 상태를 여러 브라우저 탭에서 함께 쓰기
+ *
+ * 상태는 쓰는 쪽(수가 책정 탭, 작업 중 패키지)이 들고, 이 훅은 저장과 다른 탭의 변경만 맡습니다.
+ *   - 상태가 바뀌면 delay 뒤 마지막으로 맞춘 리비전으로 조건부 기록(setItemIfRevision)합니다.
+ *   - 다른 탭의 변경이 들어왔을 때 이 탭에 저장하지 않은 편집이 없으면 apply로 그대로 반영하고,
+ *     있으면(또는 기록이 거부되면) 충돌(conflict)을 엽니다. 충돌 중에는 저장하지 않습니다.
+ *   - resolveConflict: 병합(항목 id 기준 3-way) / 이 탭 유지 / 다른 탭 불러오기
+ * 충돌 모양은 useSyncedList와 같아 SyncConflictNotice로 보여 줄 수 있습니다.
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { kvStore, subscribeChanges } from '../utils/kvStore';
+import { mergeLists } from '../utils/listMerge';
+
+/**
+ * @param {string} key - kvStore 키
+ * @param {*} value - 이 탭의 현재 상태
+ * @param {object} options
+ * @param {(raw: string|null) => *} options.parse - 저장된 문자열 → 상태
+ * @param {(value: *) => string|null} options.serialize - 상태 → 저장할 문자열 (null이면 키 삭제)
+ * @param {(value: *) => Array<object>} options.toList - 병합·개수 표시에 쓰는 항목 목록
+ * @param {(items: Array<object>, local: *) => *} options.fromList - 병합한 항목 목록으로 상태 만들기
+ * @param {(item: object) => *} options.idOf - 병합 시 항목 식별자
+ * @param {(value: *) => void} options.apply - 다른 탭의 값을 이 탭 상태로 반영
+ * @param {(value: *) => void} [options.onSaved] - 이 탭의 값을 기록한 직후
+ * @param {number} [options.delay] - 자동 저장 대기 (ms)
+ * @returns {{
+ *   conflict: { remote: Array<object>, remoteRev: number, localCount: number, conflicts: number } | null,
+ *   resolveConflict: (choice: 'merge'|'local'|'remote') => void,
+ *   saveNow: (next: *) => boolean,
+ * }}
+ *   saveNow - 기다리지 않고 바로 기록 (기록했거나 바뀐 것이 없으면 true, 충돌이면 false)
+ */
+export default function useSyncedDraft(key, value, options) {
+  const { delay = 300 } = options;
+  const [conflict, setConflictState] = useState(null);
+
+  // 콜백에서 최신 값을 쓰기 위한 참조 (렌더링 후 갱신)
+  const valueRef = useRef(value);
+  const optionsRef = useRef(options);
+  const conflictRef = useRef(null);
+  // 마지막으로 저장소와 맞춘 문자열/리비전 (이 탭의 저장하지 않은 편집 판단 + 3-way 병합의 기준)
+  const [initialSync] = useState(() => ({ raw: kvStore.getItem(key), rev: kvStore.getRevision(key) }));
+  const syncRef = useRef(initialSync);
+
+  useEffect(() => {
+    valueRef.current = value;
+    optionsRef.current = options;
+  });
+
+  /** pending: { raw, remoteValue, remoteRev } (null이면 충돌 닫기) */
+  const setConflict = useCallback((pending) => {
+    let next = null;
+    if (pending) {
+      const { parse, toList, idOf } = optionsRef.current;
+      const remote = toList(pending.remoteValue);
+      const local = toList(valueRef.current);
+      next = {
+        ...pending,
+        remote,
+        localCount: local.length,
+        conflicts: mergeLists(toList(parse(syncRef.current.raw)), local, remote, idOf).conflicts,
+      };
+    }
+    conflictRef.current = next;
+    setConflictState(next);
+  }, []);
+
+  const openConflict = useCallback((raw, rev) => {
+    setConflict({ raw, remoteValue: optionsRef.current.parse(raw), remoteRev: rev });
+  }, [setConflict]);
+
+  const saveNow = useCallback((next) => {
+    // 충돌 중의 편집은 이 탭에만 두고 개수만 다시 셈
+    if (conflictRef.current) {
+      setConflict(conflictRef.current);
+      return false;
+    }
+    const { serialize, onSaved } = optionsRef.current;
+    const raw = serialize(next);
+    if (raw === syncRef.current.raw) return true;
+
+    const prevSync = syncRef.current;
+    // 이 탭의 쓰기 알림은 구독에서 건너뛰도록 기록 전에 갱신
+    syncRef.current = { raw, rev: prevSync.rev + 1 };
+    try {
+      const result = kvStore.setItemIfRevision(key, raw, prevSync.rev);
+      if (result.ok) {
+        onSaved?.(next);
+        return true;
+      }
+      syncRef.current = prevSync;
+      openConflict(kvStore.getItem(key), result.rev);
+    } catch (err) {
+      syncRef.current = prevSync;
+      console.error(`저장 실패 (${key}):`, err);
+    }
+    return false;
+  }, [key, setConflict, openConflict]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => saveNow(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay, saveNow]);
+
+  const resolveConflict = useCallback((choice) => {
+    const pending = conflictRef.current;
+    if (!pending) return;
+    const { parse, toList, fromList, idOf, apply } = optionsRef.current;
+    const base = parse(syncRef.current.raw);
+    syncRef.current = { raw: pending.raw, rev: pending.remoteRev };
+    setConflict(null);
+
+    if (choice === 'remote') {
+      apply(pending.remoteValue);
+    } else if (choice === 'local') {
+      saveNow(valueRef.current);
+    } else {
+      const local = valueRef.current;
+      const merged = fromList(mergeLists(toList(base), toList(local), pending.remote, idOf).merged, local);
+      apply(merged);
+      saveNow(merged);
+    }
+  }, [setConflict, saveNow]);
+
+  useEffect(() => subscribeChanges((change) => {
+    if (change.key !== key || change.rev <= syncRef.current.rev) return;
+    const { parse, serialize, apply } = optionsRef.current;
+    const hasLocalEdits = serialize(valueRef.current) !== syncRef.current.raw;
+    if (conflictRef.current || hasLocalEdits) {
+      openConflict(change.value, change.rev);
+      return;
+    }
+    syncRef.current = { raw: change.value, rev: change.rev };
+    apply(parse(change.value));
+  }), [key, openConflict]);
+
+  return { conflict, resolveConflict, saveNow };
+}
@@ -0,0 +1,114 @@
+/**
+ * useSyncedList.js - 여러 브라우저 탭에서 함께 쓰는 목록 상태
+ *
+ * kvStore 키 하나(JSON 배열)를 React 상태로 들고, 다른 탭의 변경을 실시간으로 반영합니다.
+ *   - setList는 값을 읽을 때의 리비전으로 조건부 기록(setItemIfRevision)합니다.
+ *   - 그 사이 다른 탭이 먼저 저장했다면 덮어쓰지 않고 충돌(conflict)을 엽니다.
+ *     충돌 중의 편집은 이 탭에만 반영되고, resolveConflict로 병합/이 탭 유지/다른 탭 불러오기를 고릅니다.
+ *   - 충돌이 없을 때 들어온 다른 탭의 변경은 그대로 받아들입니다.
+ */
+
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { kvStore, subscribeChanges } from '../utils/kvStore';
+import { mergeLists } from '../utils/listMerge';
+
+const defaultIdOf = (item) => item.id;
+
+function parseList(raw) {
+  try {
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {string} key - kvStore 키
+ * @param {(item: object) => *} [idOf] - 병합 시 항목 식별자
+ * @returns {{
+ *   list: Array<object>,
+ *   setList: (next: Array<object> | ((prev: Array<object>) => Array<object>)) => boolean,
+ *   conflict: { remote: Array<object>, remoteRev: number, localCount: number, conflicts: number } | null,
+ *   resolveConflict: (choice: 'merge'|'local'|'remote') => void,
+ * }}
+ *   setList - 저장까지 끝나면 true (충돌 중이거나 충돌이 새로 생기면 false)
+ *   conflict.conflicts - 같은 항목을 양쪽에서 다르게 고친 건수 (병합 시 이 탭 내용 유지)
+ */
+export default function useSyncedList(key, idOf = defaultIdOf) {
+  const [initial] = useState(() => ({ list: parseList(kvStore.getItem(key)), rev: kvStore.getRevision(key) }));
+  const [list, setListState] = useState(initial.list);
+  const [conflict, setConflictState] = useState(null);
+
+  // 콜백에서 최신 값을 쓰기 위한 참조
+  const listRef = useRef(initial.list);
+  const conflictRef = useRef(null);
+  // 마지막으로 저장소와 맞춘 목록/리비전 (3-way 병합의 기준)
+  const syncRef = useRef({ base: initial.list, rev: initial.rev });
+
+  const showList = useCallback((next) => {
+    listRef.current = next;
+    setListState(next);
+  }, []);
+
+  const setConflict = useCallback((remote, remoteRev) => {
+    const next = remote
+      ? {
+          remote,
+          remoteRev,
+          localCount: listRef.current.length,
+          conflicts: mergeLists(syncRef.current.base, listRef.current, remote, idOf).conflicts,
+        }
+      : null;
+    conflictRef.current = next;
+    setConflictState(next);
+  }, [idOf]);
+
+  const setList = useCallback((nextOrUpdater) => {
+    const next = typeof nextOrUpdater === 'function' ? nextOrUpdater(listRef.current) : nextOrUpdater;
+    showList(next);
+    if (conflictRef.current) {
+      setConflict(conflictRef.current.remote, conflictRef.current.remoteRev);
+      return false;
+    }
+
+    const prevSync = syncRef.current;
+    // 이 탭의 쓰기 알림은 구독에서 건너뛰도록 기록 전에 갱신
+    syncRef.current = { base: next, rev: prevSync.rev + 1 };
+    try {
+      const result = kvStore.setItemIfRevision(key, JSON.stringify(next), prevSync.rev);
+      if (result.ok) return true;
+      syncRef.current = prevSync;
+      setConflict(parseList(kvStore.getItem(key)), result.rev);
+    } catch (err) {
+      syncRef.current = prevSync;
+      console.error(`저장 실패 (${key}):`, err);
+    }
+    return false;
+  }, [key, showList, setConflict]);
+
+  const resolveConflict = useCallback((choice) => {
+    const pending = conflictRef.current;
+    if (!pending) return;
+    const base = syncRef.current.base;
+    syncRef.current = { base: pending.remote, rev: pending.remoteRev };
+    setConflict(null);
+
+    if (choice === 'remote') showList(pending.remote);
+    else if (choice === 'local') setList(listRef.current);
+    else setList(mergeLists(base, listRef.current, pending.remote, idOf).merged);
+  }, [idOf, showList, setList, setConflict]);
+
+  useEffect(() => subscribeChanges((change) => {
+    if (change.key !== key || change.rev <= syncRef.current.rev) return;
+    const remote = parseList(change.value);
+    if (conflictRef.current) {
+      setConflict(remote, change.rev);
+      return;
+    }
+    syncRef.current = { base: remote, rev: change.rev };
+    showList(remote);
+  }), [key, showList, setConflict]);
+
+  return { list, setList, conflict, resolveConflict };
+}
@@ -2,9 +2,21 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { initKvStore } from './utils/kvStore'
+import { runMigrations } from './utils/schema'
+import { startAutoSync } from './utils/syncClient'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+// 저장소(IndexedDB)를 메모리로 불러오고 스키마 마이그레이션을 적용한 뒤 렌더링
+// (동기화 서버를 설정해 두었으면 자동 동기화도 시작)
+// — 화면 코드는 동기 API만 사용
+initKvStore()
+  .then(() => runMigrations())
+  .then(() => startAutoSync())
+  .catch((err) => console.error('저장소 준비 실패:', err))
+  .finally(() => {
+    createRoot(document.getElementById('root')).render(
+      <StrictMode>
+        <App />
+      </StrictMode>,
+    )
+  })
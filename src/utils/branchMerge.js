@@ -0,0 +1,119 @@
+/**
+ * branchMerge.js - 지점 수가표 병합 가져오기
+ *
+ * 기존 지점 데이터와 새 파일을 시술명(공백·대소문자 무시)으로 짝지어 변경 / 추가 / 삭제 목록을 만들고,
+ * 사용자가 항목마다 반영 여부를 고른 결과로 새 데이터를 만듭니다.
+ *   partial    - 변경분만 담은 파일: 파일에 없는 시술은 삭제 후보로 보지 않고 그대로 둠
+ *   keepManual - 수가표에서 직접 고친 가격(priceEditedAt)은 새 파일 가격으로 바꾸지 않음
+ */
+
+const normalizeName = (name) => String(name || '').replace(/\s+/g, '').toLowerCase();
+
+/** 가격 외에 비교하는 필드 */
+const COMPARED_FIELDS = [
+  { key: 'category', label: '대분류' },
+  { key: 'taxable', label: '과세' },
+];
+
+/**
+ * 병합 계획
+ * @param {Array<object>} oldData - 현재 지점 데이터
+ * @param {Array<object>} newData - 가져올 행
+ * @returns {Array<{ key: string, status: 'changed'|'added'|'removed'|'same', before: object|null, after: object|null, changes: string[], manual: boolean }>}
+ *   key     - 반영 여부를 기억하는 식별자 (정리한 시술명)
+ *   changes - 가격 외 달라진 필드 설명
+ *   manual  - 기존 가격을 직접 수정한 적이 있음
+ */
+export function planBranchMerge(oldData, newData) {
+  const oldMap = new Map();
+  for (const item of oldData) {
+    const key = normalizeName(item.name);
+    if (!oldMap.has(key)) oldMap.set(key, item);
+  }
+
+  const plan = [];
+  const seen = new Set();
+  newData.forEach((item, idx) => {
+    let key = normalizeName(item.name);
+    // 파일 안에서 같은 이름이 또 나오면 별도 추가 항목으로
+    if (seen.has(key)) key = `${key}#${idx}`;
+    seen.add(key);
+
+    const before = oldMap.get(key);
+    if (!before) {
+      plan.push({ key, status: 'added', before: null, after: item, changes: [], manual: false });
+      return;
+    }
+    const changes = COMPARED_FIELDS
+      .filter((field) => String(before[field.key] ?? '') !== String(item[field.key] ?? ''))
+      .map((field) => `${field.label}: ${before[field.key] || '-'} → ${item[field.key] || '-'}`);
+    const status = before.standardPrice !== item.standardPrice || changes.length > 0 ? 'changed' : 'same';
+    plan.push({ key, status, before, after: item, changes, manual: Boolean(before.priceEditedAt) });
+  });
+
+  for (const [key, item] of oldMap) {
+    if (!seen.has(key)) {
+      plan.push({ key, status: 'removed', before: item, after: null, changes: [], manual: Boolean(item.priceEditedAt) });
+    }
+  }
+  return plan;
+}
+
+/**
+ * 항목의 기본 반영 여부 (변경·추가는 반영, 삭제는 전체 파일일 때만)
+ * @param {{ status: string }} entry
+ * @param {{ partial?: boolean }} [options]
+ */
+export function isDefaultAccepted(entry, { partial = false } = {}) {
+  if (entry.status === 'removed') return !partial;
+  return entry.status !== 'same';
+}
+
+/**
+ * 병합 결과 데이터 (기존 순서 유지, 추가 항목은 끝에)
+ * @param {Array<object>} oldData
+ * @param {Array<object>} plan - planBranchMerge() 결과
+ * @param {(entry: object) => boolean} isAccepted - 항목 반영 여부
+ * @param {{ partial?: boolean, keepManual?: boolean }} [options]
+ * @returns {{ data: Array<object>, counts: { changed: number, added: number, removed: number, keptManual: number } }}
+ *   changed    - 실제로 값이 바뀐 항목 (직접 수정한 가격을 지켜 그대로인 항목은 제외)
+ *   keptManual - 새 파일 가격 대신 직접 수정한 가격을 지킨 항목
+ */
+export function applyBranchMerge(oldData, plan, isAccepted, { partial = false, keepManual = false } = {}) {
+  const byOld = new Map(plan.filter((entry) => entry.before).map((entry) => [entry.before, entry]));
+  const counts = { changed: 0, added: 0, removed: 0, keptManual: 0 };
+  const data = [];
+
+  for (const item of oldData) {
+    const entry = byOld.get(item);
+    if (!entry || !isAccepted(entry) || (entry.status === 'removed' && partial)) {
+      data.push(item);
+      continue;
+    }
+    if (entry.status === 'removed') {
+      counts.removed++;
+    } else if (entry.status === 'changed') {
+      const keepPrice = keepManual && entry.manual && item.standardPrice !== entry.after.standardPrice;
+      if (keepPrice) counts.keptManual++;
+      // 가격만 바뀐 항목에서 직접 수정한 가격을 지키면 달라지는 것이 없음
+      if (keepPrice && entry.changes.length === 0) {
+        data.push(item);
+        continue;
+      }
+      counts.changed++;
+      data.push(keepPrice
+        ? { ...entry.after, standardPrice: item.standardPrice, priceEditedAt: item.priceEditedAt }
+        : entry.after);
+    } else {
+      data.push(item);
+    }
+  }
+
+  for (const entry of plan) {
+    if (entry.status === 'added' && isAccepted(entry)) {
+      counts.added++;
+      data.push(entry.after);
+    }
+  }
+  return { data, counts };
+}
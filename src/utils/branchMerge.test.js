@@ -0,0 +1,133 @@
+/**
+ * branchMerge.test.js - 병합 가져오기 규칙 (변경 / 추가 / 삭제, 변경분 파일, 직접 수정 가격 유지, 이름 중복)
+ *
+ * 실행: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { planBranchMerge, isDefaultAccepted, applyBranchMerge } from './branchMerge.js';
+
+const item = (name, standardPrice, extra = {}) => ({ category: '레이저', name, standardPrice, taxable: false, ...extra });
+
+const acceptAll = () => true;
+const acceptDefault = (options) => (entry) => isDefaultAccepted(entry, options);
+
+test('planBranchMerge: 공백·대소문자를 무시하고 짝지어 상태를 나눔', () => {
+  const oldData = [item('울쎄라 100샷', 500000), item('Botox', 100000), item('제모', 50000)];
+  const newData = [item('울쎄라100샷', 550000), item('botox', 100000), item('리쥬란', 300000)];
+  const plan = planBranchMerge(oldData, newData);
+
+  assert.deepEqual(plan.map((entry) => [entry.key, entry.status]), [
+    ['울쎄라100샷', 'changed'],
+    ['botox', 'same'],
+    ['리쥬란', 'added'],
+    ['제모', 'removed'],
+  ]);
+  assert.equal(plan[0].before, oldData[0]);
+  assert.equal(plan[0].after, newData[0]);
+});
+
+test('planBranchMerge: 가격 외 필드 변경을 설명하고 직접 수정 여부를 표시', () => {
+  const plan = planBranchMerge(
+    [item('제모', 50000, { priceEditedAt: '2026-01-01T00:00:00.000Z' })],
+    [item('제모', 50000, { category: '바디', taxable: true })],
+  );
+  assert.equal(plan[0].status, 'changed');
+  assert.deepEqual(plan[0].changes, ['대분류: 레이저 → 바디', '과세: - → true']);
+  assert.equal(plan[0].manual, true);
+});
+
+test('planBranchMerge: 파일 안의 같은 이름은 별도 추가 항목, 기존 데이터의 같은 이름은 첫 번째만 비교', () => {
+  const oldData = [item('제모', 50000), item('제모', 70000)];
+  const newData = [item('제모', 60000), item('제 모', 80000)];
+  const plan = planBranchMerge(oldData, newData);
+
+  assert.deepEqual(plan.map((entry) => [entry.key, entry.status]), [
+    ['제모', 'changed'],
+    ['제모#1', 'added'],
+  ]);
+  assert.equal(plan[0].before, oldData[0]);
+});
+
+test('isDefaultAccepted: 변경·추가는 반영, 삭제는 전체 파일일 때만, 같음은 제외', () => {
+  assert.equal(isDefaultAccepted({ status: 'changed' }), true);
+  assert.equal(isDefaultAccepted({ status: 'added' }), true);
+  assert.equal(isDefaultAccepted({ status: 'same' }), false);
+  assert.equal(isDefaultAccepted({ status: 'removed' }), true);
+  assert.equal(isDefaultAccepted({ status: 'removed' }, { partial: true }), false);
+});
+
+test('applyBranchMerge: 기존 순서를 유지하고 추가 항목은 끝에, 반영하지 않은 항목은 그대로', () => {
+  const oldData = [item('A', 100), item('B', 200), item('C', 300)];
+  const newData = [item('D', 400), item('B', 250), item('A', 150)];
+  const plan = planBranchMerge(oldData, newData);
+  const rejectA = (entry) => entry.key !== 'a';
+  const { data, counts } = applyBranchMerge(oldData, plan, rejectA);
+
+  assert.deepEqual(data.map((row) => [row.name, row.standardPrice]), [['A', 100], ['B', 250], ['D', 400]]);
+  assert.equal(data[0], oldData[0]);
+  assert.deepEqual(counts, { changed: 1, added: 1, removed: 1, keptManual: 0 });
+});
+
+test('applyBranchMerge: 변경분 파일(partial)은 파일에 없는 시술을 반영 여부와 무관하게 남김', () => {
+  const oldData = [item('A', 100), item('B', 200)];
+  const plan = planBranchMerge(oldData, [item('A', 150)]);
+  const { data, counts } = applyBranchMerge(oldData, plan, acceptAll, { partial: true });
+
+  assert.deepEqual(data.map((row) => [row.name, row.standardPrice]), [['A', 150], ['B', 200]]);
+  assert.deepEqual(counts, { changed: 1, added: 0, removed: 0, keptManual: 0 });
+});
+
+test('applyBranchMerge: keepManual이면 직접 수정한 가격을 지키고, 가격만 바뀐 항목은 변경으로 세지 않음', () => {
+  const edited = { priceEditedAt: '2026-01-01T00:00:00.000Z' };
+  const oldData = [item('A', 100, edited), item('B', 200, edited), item('C', 300)];
+  const newData = [item('A', 150), item('B', 250, { category: '바디' }), item('C', 350)];
+  const plan = planBranchMerge(oldData, newData);
+  const { data, counts } = applyBranchMerge(oldData, plan, acceptDefault(), { keepManual: true });
+
+  // 가격만 바뀐 A는 기존 항목 그대로
+  assert.equal(data[0], oldData[0]);
+  // B는 대분류만 반영하고 가격·수정 시각은 유지
+  assert.deepEqual(data[1], { ...newData[1], standardPrice: 200, priceEditedAt: edited.priceEditedAt });
+  // 직접 수정하지 않은 C는 새 가격
+  assert.equal(data[2], newData[2]);
+  assert.deepEqual(counts, { changed: 2, added: 0, removed: 0, keptManual: 2 });
+});
+
+test('applyBranchMerge: keepManual이어도 가격이 같으면 유지 개수에 넣지 않음', () => {
+  const oldData = [item('A', 100, { priceEditedAt: '2026-01-01T00:00:00.000Z' })];
+  const plan = planBranchMerge(oldData, [item('A', 100, { taxable: true })]);
+  const { data, counts } = applyBranchMerge(oldData, plan, acceptAll, { keepManual: true });
+
+  assert.equal(data[0], plan[0].after);
+  assert.deepEqual(counts, { changed: 1, added: 0, removed: 0, keptManual: 0 });
+});
+
+test('applyBranchMerge: keepManual이 꺼져 있으면 직접 수정한 가격도 새 파일 값으로', () => {
+  const oldData = [item('A', 100, { priceEditedAt: '2026-01-01T00:00:00.000Z' })];
+  const plan = planBranchMerge(oldData, [item('A', 150)]);
+  const { data, counts } = applyBranchMerge(oldData, plan, acceptAll);
+
+  assert.equal(data[0], plan[0].after);
+  assert.equal(data[0].priceEditedAt, undefined);
+  assert.deepEqual(counts, { changed: 1, added: 0, removed: 0, keptManual: 0 });
+});
+
+test('applyBranchMerge: 기존 데이터의 두 번째 같은 이름은 삭제 후보가 아니며 그대로 남음', () => {
+  const oldData = [item('A', 100), item('a', 120)];
+  const plan = planBranchMerge(oldData, [item('A', 150)]);
+  const { data, counts } = applyBranchMerge(oldData, plan, acceptAll);
+
+  assert.deepEqual(data.map((row) => [row.name, row.standardPrice]), [['A', 150], ['a', 120]]);
+  assert.deepEqual(counts, { changed: 1, added: 0, removed: 0, keptManual: 0 });
+});
+
+test('applyBranchMerge: 파일 안 같은 이름의 두 번째 행은 추가로 반영', () => {
+  const oldData = [item('A', 100)];
+  const plan = planBranchMerge(oldData, [item('A', 100), item('A', 130)]);
+  const { data, counts } = applyBranchMerge(oldData, plan, acceptDefault());
+
+  assert.deepEqual(data.map((row) => row.standardPrice), [100, 130]);
+  assert.deepEqual(counts, { changed: 0, added: 1, removed: 0, keptManual: 0 });
+});
@@ -1,13 +1,21 @@
 /**
- * branchStorage.js - 지점 수가 데이터 localStorage CRUD
+ * branchStorage.js - 지점 수가 데이터 CRUD (kvStore: IndexedDB, 불가 시 localStorage)
  *
  * 저장 구조:
  *   'vans-branch-manifest' → { branches: [{name, importedAt, rowCount}], activeBranch: string|null }
- *   'vans-branch-data-{지점명}' → [{no, category, name, standardPrice, taxable}]
+ *   'vans-branch-data-{지점명}' → [{no, category, name, standardPrice, taxable, priceEditedAt?}]
+ *   'vans-branch-column-mappings' → { files: {[헤더 서명]: {mapping, branch, savedAt}}, branches: {[지점명]: {mapping, savedAt}} }
+ *     mapping은 필드 → 헤더 이름 (컬럼 순서가 바뀌어도 같은 헤더를 찾도록)
  */
 
+import { kvStore, getStorageBackend, getCachedUsage, subscribeChanges } from './kvStore';
+import { COLUMN_FIELDS, detectColumns } from './csvParser';
+
 const MANIFEST_KEY = 'vans-branch-manifest';
 const DATA_KEY_PREFIX = 'vans-branch-data-';
+const COLUMN_MAPPINGS_KEY = 'vans-branch-column-mappings';
+/** 기억하는 파일 서명 수 (오래된 것부터 삭제) */
+const MAX_FILE_MAPPINGS = 50;
 
 // ── Memory Cache ──
 const _cache = new Map();
@@ -22,12 +30,18 @@ export function invalidateCache(branchName) {
   _manifestCache = null;
 }
 
+// 다른 탭·동기화 서버에서 바뀐 지점 데이터는 캐시를 비워 다시 읽음
+subscribeChanges(({ key }) => {
+  if (key === MANIFEST_KEY) invalidateCache();
+  else if (key.startsWith(DATA_KEY_PREFIX)) invalidateCache(key.slice(DATA_KEY_PREFIX.length));
+});
+
 // ── Manifest ──
 
 export function loadManifest() {
   if (_manifestCache) return _manifestCache;
   try {
-    const raw = localStorage.getItem(MANIFEST_KEY);
+    const raw = kvStore.getItem(MANIFEST_KEY);
     if (raw) {
       _manifestCache = JSON.parse(raw);
       return _manifestCache;
@@ -42,7 +56,7 @@ export function loadManifest() {
 function saveManifest(manifest) {
   _manifestCache = manifest;
   try {
-    localStorage.setItem(MANIFEST_KEY, JSON.stringify(manifest));
+    kvStore.setItem(MANIFEST_KEY, JSON.stringify(manifest));
   } catch (err) {
     console.error('manifest 저장 실패:', err);
   }
@@ -60,16 +74,102 @@ export function setActiveBranch(branchName) {
   saveManifest(manifest);
 }
 
+// ── Column Mapping ──
+
+const normalizeHeader = (header) => String(header || '').replace(/\s+/g, '').toLowerCase();
+
+/** 같은 양식의 파일을 알아보는 서명 (정리한 헤더를 순서대로 연결) */
+function fileSignature(headers) {
+  return headers.map(normalizeHeader).join('|');
+}
+
+function loadColumnMappings() {
+  try {
+    const parsed = JSON.parse(kvStore.getItem(COLUMN_MAPPINGS_KEY) || 'null');
+    return { files: parsed?.files || {}, branches: parsed?.branches || {} };
+  } catch {
+    return { files: {}, branches: {} };
+  }
+}
+
+/** 저장된 매핑(필드 → 헤더 이름) → 현재 헤더 기준 columnMap. 필수 필드 헤더가 없으면 null */
+function toColumnMap(mapping, headers) {
+  const normalized = headers.map(normalizeHeader);
+  const columnMap = {};
+  for (const field of COLUMN_FIELDS) {
+    columnMap[field.key] = mapping[field.key] ? normalized.indexOf(mapping[field.key]) : -1;
+    if (field.required && columnMap[field.key] < 0) return null;
+  }
+  return columnMap;
+}
+
+/**
+ * 가져올 파일의 컬럼 매핑 결정
+ * 같은 양식(헤더 서명)으로 지정한 적이 있으면 그 매핑, 없으면 그 지점에서 마지막으로 쓴 매핑,
+ * 둘 다 맞지 않으면 detectColumns() 자동매핑
+ * @param {string[]} headers
+ * @param {string} [branchName]
+ * @returns {{ columnMap: object, source: 'file'|'branch'|'auto' }}
+ */
+export function resolveColumnMapping(headers, branchName) {
+  const { files, branches } = loadColumnMappings();
+
+  const fromFile = files[fileSignature(headers)] && toColumnMap(files[fileSignature(headers)].mapping, headers);
+  if (fromFile) return { columnMap: fromFile, source: 'file' };
+
+  const fromBranch = branchName && branches[branchName] && toColumnMap(branches[branchName].mapping, headers);
+  if (fromBranch) return { columnMap: fromBranch, source: 'branch' };
+
+  return { columnMap: detectColumns(headers), source: 'auto' };
+}
+
+/**
+ * 가져오기에 쓴 컬럼 매핑 기억 (파일 서명 + 지점)
+ * @param {string} branchName
+ * @param {string[]} headers
+ * @param {object} columnMap - 필드 → 컬럼 번호
+ */
+export function saveColumnMapping(branchName, headers, columnMap) {
+  const mapping = {};
+  for (const field of COLUMN_FIELDS) {
+    if (columnMap[field.key] >= 0) mapping[field.key] = normalizeHeader(headers[columnMap[field.key]]);
+  }
+  const savedAt = new Date().toISOString();
+  const { files, branches } = loadColumnMappings();
+
+  files[fileSignature(headers)] = { mapping, branch: branchName, savedAt };
+  const recentFiles = Object.fromEntries(
+    Object.entries(files)
+      .sort(([, a], [, b]) => String(b.savedAt).localeCompare(String(a.savedAt)))
+      .slice(0, MAX_FILE_MAPPINGS)
+  );
+  branches[branchName] = { mapping, savedAt };
+
+  try {
+    kvStore.setItem(COLUMN_MAPPINGS_KEY, JSON.stringify({ files: recentFiles, branches }));
+  } catch (err) {
+    console.error('컬럼 매핑 저장 실패:', err);
+  }
+}
+
 // ── Branch Data CRUD ──
 
+/**
+ * 지점 데이터 저장 (전체 교체) + manifest 갱신
+ * @param {string} branchName
+ * @param {Array<object>} procedures
+ * @returns {Promise<void>} IndexedDB 기록 완료 (실패 시 reject — 용량 초과 등)
+ * @throws localStorage 폴백에서 용량이 부족하면 즉시
+ */
 export function saveBranchData(branchName, procedures) {
   invalidateCache(branchName);
   const key = DATA_KEY_PREFIX + branchName;
+  let written;
   try {
-    localStorage.setItem(key, JSON.stringify(procedures));
+    written = kvStore.setItem(key, JSON.stringify(procedures));
   } catch (err) {
     console.error(`지점 데이터 저장 실패 (${branchName}):`, err);
-    throw new Error('localStorage 용량이 부족합니다. 일부 지점 데이터를 삭제해주세요.');
+    throw new Error('저장 공간이 부족합니다. 일부 지점 데이터를 삭제해주세요.');
   }
 
   // manifest 업데이트
@@ -92,13 +192,14 @@ export function saveBranchData(branchName, procedures) {
   }
 
   saveManifest(manifest);
+  return written;
 }
 
 export function loadBranchData(branchName) {
   if (!branchName) return [];
   if (_cache.has(branchName)) return _cache.get(branchName);
   try {
-    const raw = localStorage.getItem(DATA_KEY_PREFIX + branchName);
+    const raw = kvStore.getItem(DATA_KEY_PREFIX + branchName);
     const data = raw ? JSON.parse(raw) : [];
     _cache.set(branchName, data);
     return data;
@@ -108,10 +209,36 @@ export function loadBranchData(branchName) {
   }
 }
 
+/**
+ * 수가표에서 시술 가격 직접 수정 (priceEditedAt 표시, 병합 가져오기에서 유지할 수 있음)
+ * 가져온 시각(manifest importedAt)은 바꾸지 않습니다.
+ * @param {string} branchName
+ * @param {object} procedure - loadBranchData()가 돌려준 행
+ * @param {number} price
+ */
+export function updateBranchProcedurePrice(branchName, procedure, price) {
+  const current = loadBranchData(branchName);
+  // 다른 탭·동기화로 캐시가 바뀌었으면 같은 이름의 행을 찾음
+  let idx = current.indexOf(procedure);
+  if (idx < 0) idx = current.findIndex((item) => item.name === procedure.name);
+  if (idx < 0) throw new Error(`"${procedure.name}" 시술을 찾을 수 없습니다`);
+
+  const data = current.map((item, i) => (
+    i === idx ? { ...item, standardPrice: price, priceEditedAt: new Date().toISOString() } : item
+  ));
+  invalidateCache(branchName);
+  try {
+    kvStore.setItem(DATA_KEY_PREFIX + branchName, JSON.stringify(data));
+  } catch (err) {
+    console.error(`지점 데이터 저장 실패 (${branchName}):`, err);
+    throw new Error('저장 공간이 부족합니다. 일부 지점 데이터를 삭제해주세요.');
+  }
+}
+
 export function deleteBranchData(branchName) {
   invalidateCache(branchName);
   try {
-    localStorage.removeItem(DATA_KEY_PREFIX + branchName);
+    kvStore.removeItem(DATA_KEY_PREFIX + branchName);
   } catch {}
 
   const manifest = loadManifest();
@@ -127,7 +254,7 @@ export function deleteAllBranchData() {
   const manifest = loadManifest();
   for (const branch of manifest.branches) {
     try {
-      localStorage.removeItem(DATA_KEY_PREFIX + branch.name);
+      kvStore.removeItem(DATA_KEY_PREFIX + branch.name);
     } catch {}
   }
   saveManifest({ branches: [], activeBranch: null });
@@ -143,6 +270,20 @@ export function hasBranch(branchName) {
   return loadManifest().branches.some((b) => b.name === branchName);
 }
 
+/**
+ * 지점 수가표에서 시술명으로 1건 찾기 (공백·대소문자 무시 정확 일치)
+ * @param {string} branchName
+ * @param {string} procedureName
+ * @returns {object|null}
+ */
+export function findBranchProcedure(branchName, procedureName) {
+  if (!branchName || !procedureName) return null;
+  const normalized = procedureName.replace(/\s+/g, '').toLowerCase();
+  return loadBranchData(branchName).find(
+    (item) => item.name.replace(/\s+/g, '').toLowerCase() === normalized,
+  ) || null;
+}
+
 /**
  * 지점 시술 검색/필터
  * @param {string} branchName
@@ -177,6 +318,16 @@ export function extractCategories(data) {
 
 // ── Storage Stats ──
 
+// localStorage 폴백 시 브라우저 기본 한도 (UTF-16 기준 약 5MB)
+const LOCAL_STORAGE_QUOTA_BYTES = 5 * 1024 * 1024;
+
+/**
+ * 지점 데이터 저장 현황 + 전체 저장소 사용량/한도
+ * IndexedDB 사용량은 navigator.storage.estimate() 결과(refreshUsage로 갱신)를 사용하고,
+ * localStorage 폴백에서는 저장된 문자열 크기를 한도 5MB와 비교합니다.
+ * @returns {{ totalBranches: number, totalRows: number, estimatedSizeKB: number,
+ *             backend: string, usageKB: number|null, quotaKB: number|null, usagePercent: number|null }}
+ */
 export function getBranchStorageStats() {
   const manifest = loadManifest();
   let totalRows = 0;
@@ -185,21 +336,37 @@ export function getBranchStorageStats() {
   for (const branch of manifest.branches) {
     totalRows += branch.rowCount || 0;
     try {
-      const raw = localStorage.getItem(DATA_KEY_PREFIX + branch.name);
+      const raw = kvStore.getItem(DATA_KEY_PREFIX + branch.name);
       if (raw) estimatedSizeKB += raw.length / 1024;
     } catch {}
   }
 
   // manifest 자체 크기
   try {
-    const raw = localStorage.getItem(MANIFEST_KEY);
+    const raw = kvStore.getItem(MANIFEST_KEY);
     if (raw) estimatedSizeKB += raw.length / 1024;
   } catch {}
 
+  const backend = getStorageBackend();
+  let usage = null;
+  if (backend === 'localStorage') {
+    let bytes = 0;
+    for (const key of kvStore.keys()) {
+      bytes += (key.length + (kvStore.getItem(key) || '').length) * 2;
+    }
+    usage = { usage: bytes, quota: LOCAL_STORAGE_QUOTA_BYTES };
+  } else {
+    usage = getCachedUsage();
+  }
+
   return {
     totalBranches: manifest.branches.length,
     totalRows,
     estimatedSizeKB: Math.round(estimatedSizeKB),
+    backend,
+    usageKB: usage ? Math.round(usage.usage / 1024) : null,
+    quotaKB: usage && usage.quota ? Math.round(usage.quota / 1024) : null,
+    usagePercent: usage && usage.quota ? Math.round((usage.usage / usage.quota) * 1000) / 10 : null,
   };
 }
 
@@ -0,0 +1,189 @@
+/**
+ * commandHistory.js - 탭 공통 실행 취소 / 다시 실행 기록
+ *
+ * 명령(command)은 편집 전후 상태를 함께 보관합니다.
+ *   { id, scope, label, before, after, at, mergeKey? }
+ *
+ * 상태를 실제로 되돌리는 방법은 범위(scope)별 대상(target)이 정합니다.
+ *   registerUndoTarget(scope, { apply, persist })
+ *     apply   - 화면이 떠 있을 때 React 상태에 반영 (마운트 동안만 유지)
+ *     persist - 화면이 닫혀 있을 때 저장소에 바로 기록 (탭을 다시 열면 저장본을 불러옴)
+ *
+ * 같은 mergeKey의 명령이 MERGE_WINDOW 안에 이어지면 하나로 합칩니다. (입력 중 글자마다 기록되지 않도록)
+ * 메모리에만 보관하며 새로고침하면 비워집니다.
+ */
+
+const MAX_COMMANDS = 100;
+const MERGE_WINDOW = 1500;
+
+export const UNDO_SCOPE_LABELS = {
+  pricing: '수가 책정',
+  event: '이벤트 패키지',
+  archive: '아카이브',
+};
+
+let _undo = [];
+let _redo = [];
+let _snapshot = { undo: _undo, redo: _redo };
+let _nextId = 1;
+const _targets = new Map();
+const _listeners = new Set();
+
+function emit() {
+  _snapshot = { undo: _undo, redo: _redo };
+  _listeners.forEach((listener) => listener());
+}
+
+// ── 대상 등록 ──
+
+/**
+ * 범위별 되돌리기 대상 등록 (컴포넌트 마운트 시)
+ * @param {string} scope
+ * @param {{ apply: (state) => void, persist: (state) => void }} target
+ * @returns {() => void} 해제 함수 — 화면이 닫혀도 persist는 남겨 둠
+ */
+export function registerUndoTarget(scope, { apply, persist }) {
+  _targets.set(scope, { apply, persist });
+  return () => {
+    if (_targets.get(scope)?.apply === apply) _targets.set(scope, { apply: null, persist });
+  };
+}
+
+function applyState(scope, state) {
+  const target = _targets.get(scope);
+  if (!target) throw new Error(`되돌리기 대상이 없습니다: ${scope}`);
+  if (target.apply) target.apply(state);
+  else target.persist(state);
+}
+
+// ── 기록 ──
+
+/**
+ * 명령 기록 (다시 실행 목록은 비움)
+ * @param {{ scope: string, label: string, before: *, after: *, mergeKey?: string }} command
+ * @returns {number|null} 기록된(또는 합쳐진) 명령 id
+ */
+export function pushCommand({ scope, label, before, after, mergeKey }) {
+  if (before === after) return null;
+  const now = Date.now();
+  const top = _undo[_undo.length - 1];
+
+  if (mergeKey && top && top.mergeKey === mergeKey && now - top.at < MERGE_WINDOW) {
+    _undo = [..._undo.slice(0, -1), { ...top, label, after, at: now }];
+  } else {
+    _undo = [..._undo, { id: _nextId++, scope, label, before, after, at: now, mergeKey }].slice(-MAX_COMMANDS);
+  }
+  _redo = [];
+  emit();
+  return _undo[_undo.length - 1].id;
+}
+
+/**
+ * 편집 후 상태를 대상에 반영하고 기록 (화면 밖에서 상태를 바꿀 때)
+ * @param {{ scope: string, label: string, before: *, after: *, mergeKey?: string }} command
+ * @returns {number|null} 명령 id
+ */
+export function runCommand(command) {
+  applyState(command.scope, command.after);
+  return pushCommand(command);
+}
+
+/**
+ * 마지막 명령 실행 취소
+ * @returns {object|null} 취소한 명령
+ */
+export function undo() {
+  const command = _undo[_undo.length - 1];
+  if (!command) return null;
+  applyState(command.scope, command.before);
+  _undo = _undo.slice(0, -1);
+  _redo = [..._redo, command];
+  emit();
+  return command;
+}
+
+/**
+ * 마지막으로 취소한 명령 다시 실행
+ * @returns {object|null} 다시 실행한 명령
+ */
+export function redo() {
+  const command = _redo[_redo.length - 1];
+  if (!command) return null;
+  applyState(command.scope, command.after);
+  _redo = _redo.slice(0, -1);
+  _undo = [..._undo, command];
+  emit();
+  return command;
+}
+
+/**
+ * 해당 명령이 가장 최근 명령일 때만 실행 취소 (토스트의 되돌리기 버튼용)
+ * @param {number} id
+ * @returns {boolean}
+ */
+export function undoCommand(id) {
+  if (_undo[_undo.length - 1]?.id !== id) return false;
+  undo();
+  return true;
+}
+
+/**
+ * 지정한 명령까지 차례로 실행 취소 (해당 명령 포함)
+ * @param {number} id
+ * @returns {number} 취소한 명령 수
+ */
+export function undoTo(id) {
+  if (!_undo.some((c) => c.id === id)) return 0;
+  let count = 0;
+  while (_undo.length > 0) {
+    const command = undo();
+    count += 1;
+    if (command.id === id) break;
+  }
+  return count;
+}
+
+/**
+ * 지정한 명령까지 차례로 다시 실행 (해당 명령 포함)
+ * @param {number} id
+ * @returns {number} 다시 실행한 명령 수
+ */
+export function redoTo(id) {
+  if (!_redo.some((c) => c.id === id)) return 0;
+  let count = 0;
+  while (_redo.length > 0) {
+    const command = redo();
+    count += 1;
+    if (command.id === id) break;
+  }
+  return count;
+}
+
+/**
+ * 기록 비우기 (이전 상태로 되돌리면 안 되는 저장 작업 뒤 등)
+ * @param {string} [scope] - 지정하면 해당 범위의 명령만 삭제
+ */
+export function clearCommandHistory(scope) {
+  _undo = scope ? _undo.filter((c) => c.scope !== scope) : [];
+  _redo = scope ? _redo.filter((c) => c.scope !== scope) : [];
+  emit();
+}
+
+// ── 구독 (useSyncExternalStore) ──
+
+/**
+ * @param {() => void} listener
+ * @returns {() => void} 구독 해제
+ */
+export function subscribeCommandHistory(listener) {
+  _listeners.add(listener);
+  return () => _listeners.delete(listener);
+}
+
+/**
+ * 현재 기록 (변경될 때만 새 객체)
+ * @returns {{ undo: Array<object>, redo: Array<object> }} 둘 다 오래된 순
+ */
+export function getCommandHistory() {
+  return _snapshot;
+}
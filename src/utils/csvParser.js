@@ -2,90 +2,249 @@
  * csvParser.js - CSV 파싱 유틸리티
  *
  * 한국어 CSV 파일 파싱 (인코딩 자동감지, 컬럼 자동매핑)
- * 지원: UTF-8 (BOM 포함/미포함), EUC-KR
+ * 지원: UTF-8 (BOM 포함/미포함), CP949(EUC-KR), UTF-16 (BOM 또는 0 byte 배치로 판단)
+ * 따옴표 안의 줄바꿈이 있는 칸도 한 칸으로 읽고, 건너뛴 줄은 줄 번호와 함께 warnings로 돌려줍니다.
+ * XLSX는 xlsxParser.js가 행으로 읽은 뒤 같은 processTableRows()를 거칩니다.
+ *
+ * 컬럼 매핑: detectColumns()가 알려진 헤더 이름으로 자동 매핑하고,
+ * 맞지 않으면 가져오기 화면에서 사용자가 COLUMN_FIELDS를 직접 지정합니다 (columnMap을 processTableRows에 전달).
  */
 
 /**
- * CSV 텍스트를 파싱하여 헤더 + 행 배열 반환
- * @param {string} text - CSV 텍스트
- * @returns {{ headers: string[], rows: string[][] }}
+ * 가져올 때 매핑하는 표준 필드
+ *   required - 없으면 가져올 수 없음
  */
-export function parseCSVText(text) {
-  if (!text || !text.trim()) return { headers: [], rows: [] };
+export const COLUMN_FIELDS = [
+  { key: 'name', label: '항목명', required: true },
+  { key: 'standardPrice', label: '가격', required: true },
+  { key: 'category', label: '대분류' },
+  { key: 'taxable', label: '과세여부' },
+  { key: 'registeredDate', label: '등록일' },
+  { key: 'no', label: '번호' },
+];
+
+// ── CSV 읽기 ──
+
+/** 구분자를 고를 때 보는 앞부분 길이 (문자) */
+const DELIMITER_SAMPLE_LENGTH = 4096;
 
-  // BOM 제거
-  const cleaned = text.replace(/^\uFEFF/, '');
+/**
+ * 따옴표를 인식하는 스트리밍 CSV 리더 (RFC 4180)
+ * 텍스트를 조각(chunk)으로 나눠 넣어도 되며, 따옴표 안의 줄바꿈·구분자·"" 이스케이프를 처리합니다.
+ *   - 앞의 BOM 제거, CRLF / LF / CR 줄바꿈 모두 허용
+ *   - 구분자는 delimiter를 주지 않으면 앞부분에서 쉼표 / 탭 중 많은 쪽
+ *   - 빈 줄은 건너뛰고, 헤더 위 제목 줄은 findHeaderRow()로 건너뜀
+ * @param {{ delimiter?: string }} [options]
+ * @returns {{ push: (chunk: string) => void, end: () => CSVTable }}
+ *
+ * @typedef {object} CSVTable
+ * @property {string[]} headers
+ * @property {string[][]} rows
+ * @property {number[]} rowLines - 각 행이 시작하는 원본 줄 번호 (1부터)
+ * @property {number} headerRow - 헤더 줄 위치 (0부터, 헤더가 없으면 -1)
+ * @property {Array<{ line: number|null, message: string }>} warnings - 건너뛴 줄 / 닫히지 않은 따옴표 등
+ */
+export function createCSVReader({ delimiter: fixedDelimiter } = {}) {
+  let delimiter = fixedDelimiter || null;
+  let pending = ''; // 구분자를 정하기 전 모아 둔 텍스트
+  let started = false;
 
-  const lines = [];
-  let current = '';
+  let field = '';
+  let record = [];
   let inQuotes = false;
+  let quotePending = false; // 따옴표 안에서 "를 만남 ("" 이스케이프인지 닫는 따옴표인지 다음 글자로 판단)
+  let crPending = false; // CR 다음 LF는 같은 줄바꿈
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 0;
+  const records = [];
+  const warnings = [];
+
+  const endField = () => {
+    record.push(field.trim());
+    field = '';
+  };
+
+  const endRecord = () => {
+    endField();
+    if (record.some(Boolean)) records.push({ fields: record, line: recordLine });
+    record = [];
+  };
+
+  const consume = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (crPending) {
+        crPending = false;
+        if (ch === '\n') continue;
+      }
+
+      if (quotePending) {
+        quotePending = false;
+        if (ch === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false; // 닫는 따옴표 → 이 글자는 따옴표 밖에서 처리
+      }
 
-  for (let i = 0; i < cleaned.length; i++) {
-    const ch = cleaned[i];
-    if (ch === '"') {
-      if (inQuotes && cleaned[i + 1] === '"') {
-        current += '"';
-        i++;
+      if (inQuotes) {
+        if (ch === '"') {
+          quotePending = true;
+        } else if (ch === '\r' || ch === '\n') {
+          field += '\n';
+          line++;
+          crPending = ch === '\r';
+        } else {
+          field += ch;
+        }
+        continue;
+      }
+
+      if (ch === '"' && !field.trim()) {
+        inQuotes = true;
+        quoteLine = line;
+        field = '';
+      } else if (ch === delimiter) {
+        endField();
+      } else if (ch === '\r' || ch === '\n') {
+        endRecord();
+        line++;
+        recordLine = line;
+        crPending = ch === '\r';
       } else {
-        inQuotes = !inQuotes;
+        field += ch;
       }
-    } else if ((ch === '\n' || ch === '\r') && !inQuotes) {
-      if (current.trim()) lines.push(current);
-      current = '';
-      if (ch === '\r' && cleaned[i + 1] === '\n') i++;
-    } else {
-      current += ch;
     }
-  }
-  if (current.trim()) lines.push(current);
+  };
 
-  if (lines.length === 0) return { headers: [], rows: [] };
+  const flushPending = () => {
+    if (!delimiter) delimiter = detectDelimiter(pending);
+    consume(pending);
+    pending = '';
+  };
 
-  // 구분자 감지 (comma vs tab)
-  const delimiter = detectDelimiter(lines[0]);
+  return {
+    push(chunk) {
+      let text = chunk;
+      if (!started) {
+        text = text.replace(/^\uFEFF/, '');
+        started = true;
+      }
+      if (delimiter) {
+        consume(text);
+        return;
+      }
+      pending += text;
+      if (pending.length >= DELIMITER_SAMPLE_LENGTH) flushPending();
+    },
 
-  const headers = parseLine(lines[0], delimiter);
-  const rows = lines.slice(1).map((line) => parseLine(line, delimiter));
+    end() {
+      if (pending || !delimiter) flushPending();
+      if (quotePending) inQuotes = false;
+      if (inQuotes) {
+        warnings.push({ line: quoteLine, message: '따옴표가 닫히지 않아 파일 끝까지 한 칸으로 읽었습니다' });
+      }
+      if (field || record.length > 0) endRecord();
+
+      const headerIdx = findHeaderRow(records.map((r) => r.fields));
+      if (headerIdx < 0) return { headers: [], rows: [], rowLines: [], headerRow: -1, warnings };
 
-  return { headers, rows };
+      records.slice(0, headerIdx).forEach((r) => {
+        warnings.push({ line: r.line, message: '헤더 위 제목 줄이라 건너뜀' });
+      });
+      const body = records.slice(headerIdx + 1);
+      return {
+        headers: records[headerIdx].fields,
+        rows: body.map((r) => r.fields),
+        rowLines: body.map((r) => r.line),
+        headerRow: records[headerIdx].line - 1,
+        warnings,
+      };
+    },
+  };
 }
 
 /**
- * 구분자 감지
+ * CSV 텍스트를 파싱하여 헤더 + 행 배열 반환
+ * @param {string} text - CSV 텍스트
+ * @returns {CSVTable}
  */
-function detectDelimiter(line) {
-  const commaCount = (line.match(/,/g) || []).length;
-  const tabCount = (line.match(/\t/g) || []).length;
+export function parseCSVText(text) {
+  const reader = createCSVReader();
+  reader.push(text || '');
+  return reader.end();
+}
+
+/**
+ * 구분자 감지 (앞부분에서 따옴표 밖의 쉼표 vs 탭)
+ */
+function detectDelimiter(sample) {
+  const unquoted = sample.replace(/"[^"]*"/g, '');
+  const commaCount = (unquoted.match(/,/g) || []).length;
+  const tabCount = (unquoted.match(/\t/g) || []).length;
   return tabCount > commaCount ? '\t' : ',';
 }
 
+/** 헤더를 찾아보는 앞쪽 행 수 */
+const HEADER_SCAN_ROWS = 20;
+
 /**
- * CSV 한 줄 파싱 (quoted fields 지원)
+ * 제목 줄 등을 건너뛰고 헤더 행 찾기 (CSV / XLSX 공용)
+ * 항목명 컬럼이 잡히는 첫 행, 없으면 첫 비어 있지 않은 행
+ * @param {string[][]} rows
+ * @returns {number} 행 번호 (0부터), 비어 있으면 -1
  */
-function parseLine(line, delimiter) {
-  const fields = [];
-  let current = '';
-  let inQuotes = false;
+export function findHeaderRow(rows) {
+  const limit = Math.min(rows.length, HEADER_SCAN_ROWS);
+  for (let i = 0; i < limit; i++) {
+    if (detectColumns(rows[i]).name >= 0) return i;
+  }
+  return rows.findIndex((row) => row.some(Boolean));
+}
 
-  for (let i = 0; i < line.length; i++) {
-    const ch = line[i];
-    if (ch === '"') {
-      if (inQuotes && line[i + 1] === '"') {
-        current += '"';
-        i++;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (ch === delimiter && !inQuotes) {
-      fields.push(current.trim());
-      current = '';
-    } else {
-      current += ch;
-    }
+// ── 인코딩 ──
+
+/** 인코딩을 판단할 때 보는 앞부분 크기 (byte) */
+const ENCODING_SAMPLE_BYTES = 64 * 1024;
+
+/** 브라우저 TextDecoder의 'euc-kr'은 CP949(확장 완성형)까지 읽습니다 */
+export const ENCODING_LABELS = {
+  'utf-8': 'UTF-8',
+  'utf-16le': 'UTF-16',
+  'utf-16be': 'UTF-16 BE',
+  'euc-kr': 'CP949 (EUC-KR)',
+};
+
+/**
+ * 파일 앞부분으로 인코딩 판단
+ * BOM → UTF-16 (BOM 없이 0 byte가 한쪽 자리에 몰려 있으면) → UTF-8로 오류 없이 읽히면 UTF-8 → 아니면 CP949
+ * @param {Uint8Array} bytes
+ * @returns {'utf-8'|'utf-16le'|'utf-16be'|'euc-kr'}
+ */
+export function detectEncoding(bytes) {
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) return 'utf-8';
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return 'utf-16le';
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return 'utf-16be';
+
+  const pairs = Math.floor(Math.min(bytes.length, 1024) / 2);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < pairs; i++) {
+    if (bytes[i * 2] === 0) evenZeros++;
+    if (bytes[i * 2 + 1] === 0) oddZeros++;
   }
-  fields.push(current.trim());
+  if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros === 0) return 'utf-16le';
+  if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros === 0) return 'utf-16be';
 
-  return fields;
+  try {
+    // stream: 앞부분만 잘라 읽어 마지막 글자가 잘려도 오류로 보지 않음
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return 'utf-8';
+  } catch {
+    return 'euc-kr';
+  }
 }
 
 /**
@@ -109,83 +268,102 @@ export function detectColumns(headers) {
   return map;
 }
 
+/**
+ * 가격 칸 → 원 단위 정수 (쉼표·원·공백 무시, 비었거나 숫자가 아니면 NaN)
+ * 엑셀 수식 결과의 소수점 오차(990000.0000000001 등)는 반올림합니다.
+ */
+function parsePrice(text) {
+  const cleaned = String(text || '').replace(/[,원\s]/g, '');
+  return cleaned ? Math.round(Number(cleaned)) : NaN;
+}
+
+/**
+ * CSV 행 하나를 표준 객체로 변환 (항목명이 없으면 null)
+ */
+function normalizeRow(row, columnMap) {
+  const name = columnMap.name >= 0 ? (row[columnMap.name] || '').trim() : '';
+  if (!name) return null;
+
+  const priceRaw = columnMap.standardPrice >= 0 ? (row[columnMap.standardPrice] || '') : '0';
+  const standardPrice = parsePrice(priceRaw) || 0;
+
+  return {
+    no: columnMap.no >= 0 ? Number(row[columnMap.no]) || 0 : 0,
+    category: columnMap.category >= 0 ? (row[columnMap.category] || '').trim() : '',
+    name,
+    standardPrice,
+    taxable: columnMap.taxable >= 0 ? (row[columnMap.taxable] || '').trim() : '',
+    ...(columnMap.registeredDate >= 0 ? { registeredDate: (row[columnMap.registeredDate] || '').trim() } : {}),
+  };
+}
+
 /**
  * CSV 행을 표준 객체 배열로 변환
  * @param {string[][]} rows
  * @param {object} columnMap - detectColumns() 결과
- * @returns {Array<{ no: number, category: string, name: string, standardPrice: number, taxable: string }>}
+ * @returns {Array<{ no: number, category: string, name: string, standardPrice: number, taxable: string, registeredDate?: string }>}
+ *   registeredDate는 등록일 컬럼이 매핑된 경우에만
  */
 export function normalizeRows(rows, columnMap) {
-  return rows
-    .map((row) => {
-      const name = columnMap.name >= 0 ? (row[columnMap.name] || '').trim() : '';
-      if (!name) return null;
-
-      const priceRaw = columnMap.standardPrice >= 0 ? (row[columnMap.standardPrice] || '') : '0';
-      const standardPrice = Number(priceRaw.replace(/[,원\s]/g, '')) || 0;
-
-      return {
-        no: columnMap.no >= 0 ? Number(row[columnMap.no]) || 0 : 0,
-        category: columnMap.category >= 0 ? (row[columnMap.category] || '').trim() : '',
-        name,
-        standardPrice,
-        taxable: columnMap.taxable >= 0 ? (row[columnMap.taxable] || '').trim() : '',
-      };
-    })
-    .filter(Boolean);
+  return rows.map((row) => normalizeRow(row, columnMap)).filter(Boolean);
 }
 
 /**
- * File 객체에서 CSV 파싱 (인코딩 자동감지)
+ * File 객체에서 CSV 표 읽기 (인코딩 자동감지, 컬럼 매핑 전)
+ * 파일 전체를 문자열로 올리지 않고 스트림으로 디코딩하면서 createCSVReader()에 넣습니다.
  * @param {File} file
- * @returns {Promise<{ headers: string[], data: Array, columnMap: object, rawRowCount: number }>}
+ * @returns {Promise<CSVTable & { encoding: string }>}
+ * @throws 헤더가 없으면
  */
-export function parseCSVFile(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-
-    reader.onload = (e) => {
-      let text = e.target.result;
-
-      // 깨진 한국어 감지 (EUC-KR → UTF-8 재시도)
-      if (hasGarbledKorean(text)) {
-        const reader2 = new FileReader();
-        reader2.onload = (e2) => {
-          try {
-            resolve(processCSVText(e2.target.result));
-          } catch (err) {
-            reject(err);
-          }
-        };
-        reader2.onerror = reject;
-        reader2.readAsText(file, 'EUC-KR');
-        return;
-      }
+export async function readCSVFile(file) {
+  const sample = new Uint8Array(await file.slice(0, ENCODING_SAMPLE_BYTES).arrayBuffer());
+  const encoding = detectEncoding(sample);
+  const csv = createCSVReader();
+  const stream = file.stream().pipeThrough(new TextDecoderStream(encoding)).getReader();
 
-      try {
-        resolve(processCSVText(text));
-      } catch (err) {
-        reject(err);
-      }
-    };
+  let unreadable = 0;
+  for (;;) {
+    const { done, value } = await stream.read();
+    if (done) break;
+    unreadable += (value.match(/\uFFFD/g) || []).length;
+    csv.push(value);
+  }
 
-    reader.onerror = reject;
-    reader.readAsText(file, 'UTF-8');
-  });
+  const table = csv.end();
+  if (table.headers.length === 0) {
+    throw new Error('CSV 파일에 헤더가 없습니다');
+  }
+  if (unreadable > 0) {
+    table.warnings.unshift({
+      line: null,
+      message: `읽을 수 없는 문자 ${unreadable}개 (${ENCODING_LABELS[encoding]}로 읽음, 인코딩을 확인하세요)`,
+    });
+  }
+  return { ...table, encoding };
 }
 
 /**
- * CSV 텍스트를 최종 데이터로 변환
+ * File 객체에서 CSV 파싱 (인코딩 자동감지 + 컬럼 자동매핑)
+ * @param {File} file
+ * @returns {Promise<{ headers: string[], data: Array, columnMap: object, rawRowCount: number, warnings: Array }>}
  */
-function processCSVText(text) {
-  const { headers, rows } = parseCSVText(text);
-
-  if (headers.length === 0) {
-    throw new Error('CSV 파일에 헤더가 없습니다');
-  }
-
-  const columnMap = detectColumns(headers);
+export async function parseCSVFile(file) {
+  const { headers, rows, rowLines, warnings } = await readCSVFile(file);
+  const result = processTableRows(headers, rows, undefined, { rowLines });
+  return { ...result, warnings: [...warnings, ...result.warnings] };
+}
 
+/**
+ * 헤더 + 행 → 최종 데이터 (행 정리, CSV / XLSX 공용)
+ * @param {string[]} headers
+ * @param {string[][]} rows
+ * @param {object} [columnMap] - 사용자가 지정한 컬럼 매핑 (없으면 detectColumns() 자동매핑)
+ * @param {{ rowLines?: number[] }} [options] - rowLines: 각 행의 원본 줄 번호 (경고 표시용)
+ * @returns {{ headers: string[], data: Array, columnMap: object, rawRowCount: number, sources: Array, warnings: Array<{ line: number|null, message: string }> }}
+ *   sources  - data와 같은 순서의 원본 정보 { line, priceText, priceParsed } (가격을 숫자로 읽지 못해 0원이 된 행은 priceParsed: false)
+ *   warnings - 항목명이 비어 건너뛴 행
+ */
+export function processTableRows(headers, rows, columnMap = detectColumns(headers), { rowLines = [] } = {}) {
   if (columnMap.name < 0) {
     throw new Error('항목명 컬럼을 찾을 수 없습니다 (진료항목명, 항목명, 시술명 등)');
   }
@@ -193,22 +371,27 @@ function processCSVText(text) {
     throw new Error('가격 컬럼을 찾을 수 없습니다 (표준가격, 가격, 단가 등)');
   }
 
-  const data = normalizeRows(rows, columnMap);
+  const data = [];
+  const sources = [];
+  const warnings = [];
+  rows.forEach((row, idx) => {
+    const line = rowLines[idx] ?? null;
+    const item = normalizeRow(row, columnMap);
+    if (!item) {
+      warnings.push({ line, message: '항목명이 비어 있어 건너뜀' });
+      return;
+    }
+    const priceText = (row[columnMap.standardPrice] || '').trim();
+    data.push(item);
+    sources.push({ line, priceText, priceParsed: Number.isFinite(parsePrice(priceText)) });
+  });
 
   return {
     headers,
     data,
     columnMap,
     rawRowCount: rows.length,
+    sources,
+    warnings,
   };
 }
-
-/**
- * 깨진 한국어 패턴 감지
- * UTF-8로 읽었는데 EUC-KR인 경우 replacement character(�)가 많이 나타남
- */
-function hasGarbledKorean(text) {
-  const sample = text.slice(0, 500);
-  const replacementCount = (sample.match(/\uFFFD/g) || []).length;
-  return replacementCount > 3;
-}
@@ -0,0 +1,466 @@
+/**
+ * dataValidation.js - 가져온 JSON 데이터 필드 검증 + 자동 복구
+ *
+ * 파일에서 읽은 수가 책정 / 이벤트 패키지 / 패키지 아카이브 / 지점 수가 데이터를
+ * 필드 단위로 검사해, 나중에 computeItemRows 등에서 터질 값을 가져오기 전에 찾아냅니다.
+ *
+ * 검사 결과: { value, issues, fatal }
+ *   issues - [{ path, message, fix }]  path 예: '시술 2 (보톡스) › 옵션 1 › 가격'
+ *     fix 'coerced'   - "12,000원" 같은 숫자 표기를 숫자로 변환
+ *     fix 'defaulted' - 형식이 틀리거나 빠진 값을 기본값으로 채움 (시술은 createDefaultItem 기준)
+ *     fix 'dropped'   - 살릴 수 없는 행(객체가 아님, 이름·가격을 읽을 수 없음)을 제외
+ *   fatal  - 전체 구조가 틀려 가져올 수 없을 때 사유 (이때 value는 null)
+ *   value  - repair 옵션이 켜져 있으면 복구한 사본, 아니면 원본 그대로
+ *
+ * 이름 없는 필드·알 수 없는 필드는 그대로 둡니다 (다른 버전 앱이 쓰는 값일 수 있음).
+ */
+
+import { createDefaultItem, getItemCompetitors, PROCEDURE_TYPE_LABELS, UNIT_NAMES } from './pricing';
+
+/** 복구 방식 라벨 */
+export const FIX_LABELS = {
+  coerced: '숫자 변환',
+  defaulted: '기본값',
+  dropped: '제외',
+};
+
+// ── 공통 ──
+
+function createContext() {
+  return { issues: [] };
+}
+
+function report(ctx, path, message, fix) {
+  ctx.issues.push({ path: path.join(' › '), message, fix });
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/** 오류 메시지에 넣을 값 미리보기 */
+function preview(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return '배열';
+  if (typeof value === 'object') return '객체';
+  const text = String(value);
+  return text.length > 20 ? `"${text.slice(0, 20)}…"` : `"${text}"`;
+}
+
+/**
+ * 숫자 입력값 해석 (입력 폼은 숫자를 문자열로 저장하므로 숫자 문자열은 그대로 허용)
+ * @returns {{ ok: boolean, value?: number|string, coerced?: boolean }}
+ *   빈 값은 '' / "12,000원" 같은 표기는 숫자로 변환(coerced) / 해석 불가면 ok: false
+ */
+function readNumber(raw) {
+  if (raw === undefined || raw === null) return { ok: true, value: '' };
+  if (typeof raw === 'number') return Number.isFinite(raw) ? { ok: true, value: raw } : { ok: false };
+  if (typeof raw !== 'string') return { ok: false };
+
+  const trimmed = raw.trim();
+  if (trimmed === '') return { ok: true, value: '' };
+  if (Number.isFinite(Number(trimmed))) return { ok: true, value: raw };
+  const cleaned = trimmed.replace(/[,\s원₩]/g, '');
+  if (cleaned !== '' && Number.isFinite(Number(cleaned))) return { ok: true, value: Number(cleaned), coerced: true };
+  return { ok: false };
+}
+
+/**
+ * 숫자 필드 검사
+ * @param {{ fallback?: *, required?: boolean, dropInvalid?: boolean }} [options]
+ *   required    - 빈 값이면 행 제외
+ *   dropInvalid - 읽을 수 없는 값이면 기본값 대신 행 제외 (required면 항상)
+ * @returns {number|string|undefined} 정리된 값 (행을 제외해야 하면 undefined)
+ */
+function checkNumber(ctx, raw, path, { fallback = '', required = false, dropInvalid = required } = {}) {
+  const result = readNumber(raw);
+  if (result.ok && (result.value !== '' || !required)) {
+    if (result.coerced) report(ctx, path, `${preview(raw)} → ${result.value}`, 'coerced');
+    return result.value;
+  }
+  if (!result.ok && !dropInvalid) {
+    report(ctx, path, `숫자가 아닙니다 (${preview(raw)})`, 'defaulted');
+    return fallback;
+  }
+  report(ctx, path, result.ok ? '값이 없습니다' : `숫자가 아닙니다 (${preview(raw)})`, 'dropped');
+  return undefined;
+}
+
+/** 문자열 필드 검사 (숫자는 문자열로 변환) */
+function checkString(ctx, raw, path, fallback = '') {
+  if (raw === undefined || raw === null) return fallback;
+  if (typeof raw === 'string') return raw;
+  if (typeof raw === 'number' && Number.isFinite(raw)) {
+    report(ctx, path, `숫자 ${raw} → 문자열`, 'coerced');
+    return String(raw);
+  }
+  report(ctx, path, `문자열이 아닙니다 (${preview(raw)})`, 'defaulted');
+  return fallback;
+}
+
+/** 참/거짓 필드 검사 (그 밖의 값은 기본값) */
+function checkBoolean(ctx, raw, path, fallback) {
+  if (raw === undefined || raw === null) return fallback;
+  if (typeof raw === 'boolean') return raw;
+  report(ctx, path, `참/거짓 값이 아닙니다 (${preview(raw)})`, 'defaulted');
+  return fallback;
+}
+
+/** 배열 필드 검사 (없으면 빈 배열, 배열이 아니면 보고 후 빈 배열) */
+function checkArray(ctx, raw, path) {
+  if (raw === undefined || raw === null) return [];
+  if (Array.isArray(raw)) return raw;
+  report(ctx, path, `목록 형식이 아닙니다 (${preview(raw)})`, 'defaulted');
+  return [];
+}
+
+/** 결과 정리 */
+function finish(ctx, data, repaired, repair, fatal = null) {
+  if (fatal) return { value: null, issues: ctx.issues, fatal };
+  return { value: repair ? repaired : data, issues: ctx.issues, fatal: null };
+}
+
+// ── 수가 책정 ──
+
+/** 옵션 / 경쟁사 가격 사다리 구간에서 검사하는 수량 필드 */
+const TIER_FIELDS = [
+  ['sessions', '회차'],
+  ['shots', '샷수'],
+  ['units', '용량'],
+  ['areas', '부위 수'],
+];
+
+/** 가격 구간 (옵션 / 경쟁사 사다리 공용) — 가격을 읽을 수 없으면 제외 */
+function validateTier(ctx, raw, path) {
+  if (!isObject(raw)) {
+    report(ctx, path, `구간 형식이 아닙니다 (${preview(raw)})`, 'dropped');
+    return null;
+  }
+  const price = checkNumber(ctx, raw.price, [...path, '가격'], { dropInvalid: true });
+  if (price === undefined) return null;
+
+  const tier = { ...raw, price };
+  for (const [field, label] of TIER_FIELDS) {
+    if (field in raw) tier[field] = checkNumber(ctx, raw[field], [...path, label]);
+  }
+  return tier;
+}
+
+function validateTiers(ctx, raw, path, label) {
+  return checkArray(ctx, raw, [...path, label])
+    .map((tier, idx) => validateTier(ctx, tier, [...path, `${label} ${idx + 1}`]))
+    .filter(Boolean);
+}
+
+const COST_NUMBER_FIELDS = [
+  ['consumable', '소모품비'],
+  ['perShot', '팁·카트리지'],
+  ['doctorMinutes', '의사 시간'],
+  ['doctorHourly', '의사 인건비'],
+  ['nurseMinutes', '간호사 시간'],
+  ['nurseHourly', '간호사 인건비'],
+  ['minMargin', '최소 마진율'],
+];
+
+function validateCost(ctx, raw, path, defaults) {
+  if (raw === undefined || raw === null) return defaults;
+  if (!isObject(raw)) {
+    report(ctx, path, `원가 형식이 아닙니다 (${preview(raw)})`, 'defaulted');
+    return defaults;
+  }
+  const cost = { ...defaults, ...raw, enabled: checkBoolean(ctx, raw.enabled, [...path, '사용'], false) };
+  for (const [field, label] of COST_NUMBER_FIELDS) {
+    cost[field] = checkNumber(ctx, cost[field], [...path, label], { fallback: defaults[field] });
+  }
+  return cost;
+}
+
+function validateCompetitors(ctx, item, path) {
+  // 구버전 단일 competitor는 목록으로 변환 (문제로 보고하지 않음)
+  const list = Array.isArray(item.competitors) || item.competitors === undefined
+    ? getItemCompetitors(item)
+    : checkArray(ctx, item.competitors, [...path, '경쟁사']);
+
+  return list
+    .map((comp, idx) => {
+      const compPath = [...path, `경쟁사 ${idx + 1}`];
+      if (!isObject(comp)) {
+        report(ctx, compPath, `경쟁사 형식이 아닙니다 (${preview(comp)})`, 'dropped');
+        return null;
+      }
+      return {
+        ...comp,
+        name: checkString(ctx, comp.name, [...compPath, '이름']),
+        ladder: validateTiers(ctx, comp.ladder, compPath, '구간'),
+      };
+    })
+    .filter(Boolean);
+}
+
+/** 시술 하나 — 객체가 아니면 제외, 나머지는 createDefaultItem 값으로 채움 */
+function validateItem(ctx, raw, idx) {
+  const label = isObject(raw) && typeof raw.name === 'string' && raw.name.trim()
+    ? `시술 ${idx + 1} (${raw.name.trim()})`
+    : `시술 ${idx + 1}`;
+  const path = [label];
+  if (!isObject(raw)) {
+    report(ctx, path, `시술 형식이 아닙니다 (${preview(raw)})`, 'dropped');
+    return null;
+  }
+
+  const defaults = createDefaultItem(raw.id);
+  const item = { ...defaults, ...raw };
+  delete item.competitor;
+
+  item.name = checkString(ctx, raw.name, [...path, '이름']);
+  if (!Object.hasOwn(PROCEDURE_TYPE_LABELS, raw.type ?? '')) {
+    report(ctx, [...path, '유형'], raw.type === undefined ? '유형이 없습니다 → 회차 기반' : `알 수 없는 유형 ${preview(raw.type)} → 회차 기반`, 'defaulted');
+    item.type = defaults.type;
+  }
+  item.trialPrice = checkNumber(ctx, raw.trialPrice, [...path, '체험가']);
+  item.eventPrice = checkNumber(ctx, raw.eventPrice, [...path, '이벤트가']);
+  item.baseShots = checkNumber(ctx, item.baseShots, [...path, '기준 샷수'], { fallback: defaults.baseShots });
+  if ('baseUnits' in raw) item.baseUnits = checkNumber(ctx, raw.baseUnits, [...path, '기준 용량']);
+  if (raw.unitName && !UNIT_NAMES.includes(raw.unitName)) {
+    report(ctx, [...path, '용량 단위'], `알 수 없는 단위 ${preview(raw.unitName)} → ${UNIT_NAMES[0]}`, 'defaulted');
+    item.unitName = UNIT_NAMES[0];
+  }
+  item.taxable = checkBoolean(ctx, raw.taxable, [...path, '과세'], true);
+  item.options = validateTiers(ctx, raw.options, path, '옵션');
+  item.competitors = validateCompetitors(ctx, raw, path);
+  item.cost = validateCost(ctx, raw.cost, [...path, '원가'], defaults.cost);
+  return item;
+}
+
+/**
+ * 수가 책정 데이터 { items, activeTab } 검증 (아주 오래된 배열 형태도 허용)
+ * @param {*} data - 파싱된 JSON
+ * @param {{ repair?: boolean }} [options]
+ * @returns {{ value: object|null, issues: Array<{ path, message, fix }>, fatal: string|null }}
+ */
+export function validatePricingData(data, { repair = false } = {}) {
+  const ctx = createContext();
+  const root = Array.isArray(data) ? { items: data } : data;
+  if (!isObject(root)) return finish(ctx, data, null, repair, '수가 책정 데이터 형식이 아닙니다.');
+  if (!Array.isArray(root.items)) return finish(ctx, data, null, repair, '시술 목록(items)이 없습니다.');
+
+  const items = root.items.map((item, idx) => validateItem(ctx, item, idx)).filter(Boolean);
+  if (items.length === 0) return finish(ctx, data, null, repair, '가져올 수 있는 시술이 없습니다.');
+
+  // id가 없거나 겹치면 탭 전환·되돌리기가 꼬이므로 새로 부여
+  const used = new Set();
+  let nextId = Math.max(0, ...items.map((item) => (Number.isInteger(item.id) ? item.id : 0))) + 1;
+  items.forEach((item, idx) => {
+    if (!Number.isInteger(item.id) || used.has(item.id)) {
+      const label = item.name ? `시술 (${item.name})` : `시술 ${idx + 1}`;
+      const reason = item.id === undefined || item.id === null ? 'id 없음' : `중복되거나 잘못된 id ${preview(item.id)}`;
+      report(ctx, [label, 'id'], `${reason} → ${nextId}`, 'defaulted');
+      item.id = nextId++;
+    }
+    used.add(item.id);
+  });
+
+  let activeTab = Number(root.activeTab) || 0;
+  if (!Number.isInteger(activeTab) || activeTab < 0 || activeTab >= items.length) {
+    report(ctx, ['선택된 탭'], `범위를 벗어남 (${preview(root.activeTab)}) → 1번 시술`, 'defaulted');
+    activeTab = 0;
+  }
+
+  return finish(ctx, data, { ...root, items, activeTab }, repair);
+}
+
+// ── 이벤트 패키지 / 아카이브 ──
+
+/** 패키지 구성 시술 — 시술명이 없으면 제외 */
+function validatePackageItem(ctx, raw, path) {
+  if (!isObject(raw)) {
+    report(ctx, path, `구성 시술 형식이 아닙니다 (${preview(raw)})`, 'dropped');
+    return null;
+  }
+  const procedureName = checkString(ctx, raw.procedureName, [...path, '시술명']).trim();
+  if (!procedureName) {
+    report(ctx, path, '시술명이 없습니다', 'dropped');
+    return null;
+  }
+  const quantity = checkNumber(ctx, raw.quantity, [...path, '수량'], { fallback: 1 });
+  if (quantity !== '' && Number(quantity) <= 0) report(ctx, [...path, '수량'], `${quantity} → 1`, 'defaulted');
+  return {
+    ...raw,
+    procedureName,
+    quantity: Number(quantity) > 0 ? Number(quantity) : 1,
+    individualPrice: Number(checkNumber(ctx, raw.individualPrice, [...path, '단품가'], { fallback: 0 })) || 0,
+    taxable: checkBoolean(ctx, raw.taxable, [...path, '과세'], true),
+  };
+}
+
+function validatePackage(ctx, raw, path) {
+  if (!isObject(raw)) {
+    report(ctx, path, `패키지 형식이 아닙니다 (${preview(raw)})`, 'dropped');
+    return null;
+  }
+  const named = typeof raw.name === 'string' && raw.name.trim() ? [...path.slice(0, -1), `${path.at(-1)} (${raw.name.trim()})`] : path;
+  const pkg = {
+    ...raw,
+    name: checkString(ctx, raw.name, [...named, '이름']),
+    packagePrice: Number(checkNumber(ctx, raw.packagePrice, [...named, '패키지가'], { fallback: 0 })) || 0,
+    items: checkArray(ctx, raw.items, [...named, '구성 시술'])
+      .map((item, idx) => validatePackageItem(ctx, item, [...named, `구성 ${idx + 1}`]))
+      .filter(Boolean),
+  };
+  if ('memo' in raw) pkg.memo = checkString(ctx, raw.memo, [...named, '메모']);
+  return pkg;
+}
+
+/**
+ * 이벤트 패키지 목록 검증 (저장된 패키지 / 작업 중 패키지)
+ * @param {*} data
+ * @param {{ repair?: boolean }} [options]
+ * @returns {{ value: Array|null, issues: Array<{ path, message, fix }>, fatal: string|null }}
+ */
+export function validatePackages(data, { repair = false } = {}) {
+  const ctx = createContext();
+  if (!Array.isArray(data)) return finish(ctx, data, null, repair, '패키지 목록 형식이 아닙니다.');
+  const packages = data.map((pkg, idx) => validatePackage(ctx, pkg, [`패키지 ${idx + 1}`])).filter(Boolean);
+  return finish(ctx, data, packages, repair);
+}
+
+/**
+ * 패키지 아카이브 검증 (그룹 → 패키지 → 구성 시술)
+ * @param {*} data
+ * @param {{ repair?: boolean }} [options]
+ * @returns {{ value: Array|null, issues: Array<{ path, message, fix }>, fatal: string|null }}
+ */
+export function validateArchive(data, { repair = false } = {}) {
+  const ctx = createContext();
+  if (!Array.isArray(data)) return finish(ctx, data, null, repair, '아카이브 형식이 아닙니다.');
+
+  const groups = data
+    .map((group, idx) => {
+      const path = [isObject(group) && group.groupName ? `그룹 ${idx + 1} (${group.groupName})` : `그룹 ${idx + 1}`];
+      if (!isObject(group)) {
+        report(ctx, path, `아카이브 그룹 형식이 아닙니다 (${preview(group)})`, 'dropped');
+        return null;
+      }
+      return {
+        ...group,
+        groupName: checkString(ctx, group.groupName, [...path, '그룹명']),
+        packages: checkArray(ctx, group.packages, [...path, '패키지'])
+          .map((pkg, i) => validatePackage(ctx, pkg, [...path, `패키지 ${i + 1}`]))
+          .filter(Boolean),
+      };
+    })
+    .filter(Boolean);
+  return finish(ctx, data, groups, repair);
+}
+
+// ── 지점 수가 ──
+
+/**
+ * 지점 목록(manifest) 검증 — 이름 없는·중복 지점은 제외, 선택 지점이 목록에 없으면 첫 지점
+ * @param {*} data
+ * @param {{ repair?: boolean }} [options]
+ * @returns {{ value: object|null, issues: Array<{ path, message, fix }>, fatal: string|null }}
+ */
+export function validateBranchManifest(data, { repair = false } = {}) {
+  const ctx = createContext();
+  if (!isObject(data)) return finish(ctx, data, null, repair, '지점 목록 형식이 아닙니다.');
+
+  const names = new Set();
+  const branches = checkArray(ctx, data.branches, ['지점 목록'])
+    .map((branch, idx) => {
+      const path = [`지점 ${idx + 1}`];
+      const name = isObject(branch) ? checkString(ctx, branch.name, [...path, '이름']).trim() : '';
+      if (!name) {
+        report(ctx, path, isObject(branch) ? '지점 이름이 없습니다' : `지점 형식이 아닙니다 (${preview(branch)})`, 'dropped');
+        return null;
+      }
+      if (names.has(name)) {
+        report(ctx, [`지점 ${idx + 1} (${name})`], '같은 이름의 지점이 이미 있습니다', 'dropped');
+        return null;
+      }
+      names.add(name);
+      const rowCount = checkNumber(ctx, branch.rowCount, [`지점 ${idx + 1} (${name})`, '행 수'], { fallback: 0 });
+      return { ...branch, name, rowCount: Number(rowCount) || 0 };
+    })
+    .filter(Boolean);
+
+  let activeBranch = data.activeBranch ?? null;
+  if (activeBranch !== null && !names.has(activeBranch)) {
+    const next = branches[0]?.name ?? null;
+    report(ctx, ['선택된 지점'], `목록에 없는 지점 ${preview(activeBranch)} → ${next ?? '없음'}`, 'defaulted');
+    activeBranch = next;
+  }
+  return finish(ctx, data, { ...data, branches, activeBranch }, repair);
+}
+
+/**
+ * 지점 수가표 검증 — 시술명이나 표준가격을 읽을 수 없는 행은 제외
+ * @param {*} data - [{ no, category, name, standardPrice, taxable }]
+ * @param {{ repair?: boolean }} [options]
+ * @returns {{ value: Array|null, issues: Array<{ path, message, fix }>, fatal: string|null }}
+ */
+export function validateBranchData(data, { repair = false } = {}) {
+  const ctx = createContext();
+  if (!Array.isArray(data)) return finish(ctx, data, null, repair, '지점 수가표 형식이 아닙니다.');
+
+  const rows = data
+    .map((row, idx) => {
+      const path = [isObject(row) && typeof row.name === 'string' && row.name.trim() ? `${idx + 1}행 (${row.name.trim()})` : `${idx + 1}행`];
+      if (!isObject(row)) {
+        report(ctx, path, `행 형식이 아닙니다 (${preview(row)})`, 'dropped');
+        return null;
+      }
+      const name = checkString(ctx, row.name, [...path, '시술명']).trim();
+      if (!name) {
+        report(ctx, path, '시술명이 없습니다', 'dropped');
+        return null;
+      }
+      const standardPrice = checkNumber(ctx, row.standardPrice, [...path, '표준가격'], { required: true });
+      if (standardPrice === undefined) return null;
+      // 과세여부는 CSV 원문('면세' 등) 또는 true/false
+      const taxable = typeof row.taxable === 'boolean' ? row.taxable : checkString(ctx, row.taxable, [...path, '과세여부']);
+      return {
+        ...row,
+        no: Number(checkNumber(ctx, row.no, [...path, '번호'], { fallback: 0 })) || 0,
+        category: checkString(ctx, row.category, [...path, '분류']).trim(),
+        name,
+        standardPrice: Number(standardPrice),
+        taxable,
+      };
+    })
+    .filter(Boolean);
+  return finish(ctx, data, rows, repair);
+}
+
+// ── 저장소 키별 ──
+
+const BRANCH_DATA_PREFIX = 'vans-branch-data-';
+
+const VALIDATORS = {
+  'vans-pricing-data': validatePricingData,
+  'vans-pricing-packages': validatePackages,
+  'vans-pricing-draft-packages': validatePackages,
+  'vans-pricing-archive': validateArchive,
+  'vans-branch-manifest': validateBranchManifest,
+};
+
+/**
+ * 저장소 키에 맞는 검증 (작업 공간 백업 복원용)
+ * @param {string} key
+ * @param {*} data
+ * @param {{ repair?: boolean }} [options]
+ * @returns {{ value, issues, fatal }|null} 검증 대상이 아닌 키는 null
+ */
+export function validateStoreValue(key, data, options) {
+  const validate = key.startsWith(BRANCH_DATA_PREFIX) ? validateBranchData : VALIDATORS[key];
+  return validate ? validate(data, options) : null;
+}
+
+/**
+ * 복구 방식별 건수
+ * @param {Array<{ fix: string }>} issues
+ * @returns {{ total: number, coerced: number, defaulted: number, dropped: number }}
+ */
+export function summarizeIssues(issues) {
+  const summary = { total: issues.length, coerced: 0, defaulted: 0, dropped: 0 };
+  issues.forEach((issue) => { summary[issue.fix] += 1; });
+  return summary;
+}
@@ -3,9 +3,12 @@
  *
  * 카톡용: 이모지 포함 보기 좋은 텍스트
  * 엑셀용: TSV(탭 구분) 형식
+ * 가격은 VAT 모드 표시 기준으로 계산된 행 값을 그대로 사용하고, 기준을 함께 표기합니다.
+ * 회원권 결과(computeMembershipResult)도 같은 목록에 섞어 넘기면 함께 출력합니다.
  */
 
-import { formatPrice, getUnitLabel } from './pricing.js';
+import { formatPrice, getUnitLabel, describeRounding, VAT_MODE_LABELS } from './pricing.js';
+import { MEMBERSHIP_KIND_LABELS } from './membershipPricing.js';
 
 /**
  * 오늘 날짜를 "YYYY. M. D." 형식으로 반환
@@ -26,24 +29,129 @@ function fmtDiscount(rate) {
   return `${Math.abs(rate)}%${rate >= 0 ? '↓' : '↑'}`;
 }
 
+/**
+ * 시술별 가격 기준 라벨 (면세 시술은 VAT 모드와 무관)
+ * @param {object} item    - 시술 결과 (taxable 포함)
+ * @param {string} vatMode - 'excluded' | 'included'
+ * @returns {string}
+ */
+function getPriceBasis(item, vatMode) {
+  return item.taxable === false ? '면세' : VAT_MODE_LABELS[vatMode] || VAT_MODE_LABELS.excluded;
+}
+
+/**
+ * 회원권 결과 여부 (computeMembershipResult 결과는 kind 가 prepaid | unlimited)
+ * @param {object} item
+ * @returns {boolean}
+ */
+function isMembershipItem(item) {
+  return Boolean(MEMBERSHIP_KIND_LABELS[item.kind]);
+}
+
+/**
+ * 회원권 카톡 텍스트 줄
+ * @param {object} item - computeMembershipResult() 결과
+ * @returns {string[]}
+ */
+function membershipKakaoLines(item) {
+  const { terms } = item;
+  const kindLabel = MEMBERSHIP_KIND_LABELS[item.kind];
+  const lines = [`▸ ${item.name}${item.name === kindLabel ? '' : ` (${kindLabel})`}`];
+
+  if (item.kind === 'prepaid') {
+    const bonus = terms.bonusPercent !== null
+      ? ` (보너스 ${terms.bonusPercent}%, 실질 ${terms.effectiveDiscount}% 할인)`
+      : '';
+    lines.push(`  💳 ${formatPrice(terms.paid)} 결제 → ${formatPrice(terms.credit)} 적립${bonus}`);
+    for (const row of item.rows) {
+      lines.push(`  ${row.name}: ${formatPrice(row.regularPrice)} → 실질 ${formatPrice(row.effectivePrice)}`);
+    }
+    return lines;
+  }
+
+  lines.push(`  📅 ${terms.months}개월 ${formatPrice(terms.price)} | 월 예상 ${terms.expectedVisitsPerMonth || 0}회`);
+  for (const row of item.rows) {
+    const expected = row.perVisitCost !== null
+      ? ` | 예상 1회 ${formatPrice(row.perVisitCost)}${row.savingsPercent !== null ? ` [${fmtDiscount(row.savingsPercent)}]` : ''}`
+      : '';
+    lines.push(
+      `  ${row.name} (정가 ${formatPrice(row.regularPrice)}): ` +
+      `${row.breakEvenVisits}회부터 이득 (월 ${row.breakEvenPerMonth}회)${expected}`,
+    );
+  }
+  return lines;
+}
+
+/**
+ * 회원권 엑셀(TSV) 행
+ * @param {object} item - computeMembershipResult() 결과
+ * @returns {string[]}
+ */
+function membershipExcelRows(item) {
+  const kindLabel = MEMBERSHIP_KIND_LABELS[item.kind];
+
+  if (item.kind === 'prepaid') {
+    const { terms } = item;
+    return [
+      ['회원권', '종류', '결제액', '적립액', '보너스율', '시술', '카테고리', '정가', '실질가', '실질할인율', '적립액 사용 횟수'].join('\t'),
+      ...item.rows.map((row) => [
+        item.name,
+        kindLabel,
+        terms.paid || 0,
+        terms.credit || 0,
+        terms.bonusPercent !== null ? `${terms.bonusPercent}%` : '-',
+        row.name,
+        row.category,
+        row.regularPrice,
+        row.effectivePrice,
+        row.discountPercent !== null ? `${row.discountPercent}%` : '-',
+        row.coverCount,
+      ].join('\t')),
+    ];
+  }
+
+  return [
+    ['회원권', '종류', '가격', '기간(개월)', '시술', '카테고리', '정가', '손익분기 방문', '월 손익분기', '예상 방문', '예상 1회 비용', '절감률'].join('\t'),
+    ...item.rows.map((row) => [
+      item.name,
+      kindLabel,
+      item.terms.price || 0,
+      item.terms.months || 0,
+      row.name,
+      row.category,
+      row.regularPrice,
+      row.breakEvenVisits,
+      row.breakEvenPerMonth,
+      row.expectedVisits,
+      row.perVisitCost !== null ? row.perVisitCost : '-',
+      row.savingsPercent !== null ? `${row.savingsPercent}%` : '-',
+    ].join('\t')),
+  ];
+}
+
 /**
  * 카카오톡용 텍스트 생성
- * @param {Array<object>} items    - 시술 목록 (각 item에 name, type, rows 포함)
- * @param {number}        roundUnit - 반올림 단위
+ * @param {Array<object>} items    - 시술 목록 (각 item에 name, type, taxable, rows 포함)
+ * @param {number|object} rounding  - 반올림 단위 또는 반올림 전략
+ * @param {string}        vatMode   - 'excluded' | 'included'
  * @returns {string} 카톡 복사용 텍스트
  */
-export function generateKakaoText(items, roundUnit) {
+export function generateKakaoText(items, rounding, vatMode = 'excluded') {
   const lines = [];
   lines.push('📋 이벤트 가격표');
   lines.push(`📅 ${getDateString()}`);
 
   for (const item of items) {
+    if (isMembershipItem(item)) {
+      lines.push('', ...membershipKakaoLines(item));
+      continue;
+    }
     if (!item.rows || item.rows.length === 0) continue;
 
     lines.push('');
-    lines.push(`▸ ${item.name || '시술명 미입력'}`);
+    lines.push(`▸ ${item.name || '시술명 미입력'}${item.taxable === false ? ' (면세)' : ''}`);
 
-    const unitLabel = getUnitLabel(item.type);
+    const unitLabel = getUnitLabel(item.type, item.unitName);
 
     for (const row of item.rows) {
       if (row.rowType === 'competitor') {
@@ -77,8 +185,11 @@ export function generateKakaoText(items, roundUnit) {
     }
   }
 
-  lines.push('');
-  lines.push(`반올림: ${roundUnit.toLocaleString('ko-KR')}원 단위`);
+  // 회원권만 내보낼 때는 반올림/VAT 기준 표기 생략 (지점 수가표 기준)
+  if (items.some((item) => !isMembershipItem(item))) {
+    lines.push('');
+    lines.push(`반올림: ${describeRounding(rounding)} | 가격 기준: ${VAT_MODE_LABELS[vatMode]}`);
+  }
 
   return lines.join('\n');
 }
@@ -86,23 +197,30 @@ export function generateKakaoText(items, roundUnit) {
 /**
  * 엑셀(TSV)용 텍스트 생성
  * @param {Array<object>} items    - 시술 목록
- * @param {number}        roundUnit - 반올림 단위
+ * @param {number|object} rounding  - 반올림 단위 또는 반올림 전략
+ * @param {string}        vatMode   - 'excluded' | 'included'
  * @returns {string} TSV 형식 텍스트
  */
-export function generateExcelText(items, roundUnit) {
+export function generateExcelText(items, rounding, vatMode = 'excluded') {
   const rows = [];
 
   for (const item of items) {
+    if (isMembershipItem(item)) {
+      rows.push(...membershipExcelRows(item), '');
+      continue;
+    }
     if (!item.rows || item.rows.length === 0) continue;
 
-    const unitLabel = getUnitLabel(item.type);
+    const unitLabel = getUnitLabel(item.type, item.unitName);
+    const hasCost = item.rows.some((r) => r.cost !== null && r.cost !== undefined);
+    const hasMarket = item.rows.some((r) => r.market);
 
     // 헤더 행
     rows.push(
       [
         '시술명',
         '옵션',
-        '가격',
+        `가격(${getPriceBasis(item, vatMode)})`,
         unitLabel,
         '체험가대비',
         '이벤트가대비',
@@ -110,6 +228,8 @@ export function generateExcelText(items, roundUnit) {
         ...(item.rows.some((r) => r.rowType === 'competitor')
           ? ['경쟁사 가격우위']
           : []),
+        ...(hasMarket ? ['시장 최저단가', '시장 중앙단가', '시장 최고단가', '중앙값 대비'] : []),
+        ...(hasCost ? ['원가(VAT별도)', '마진', '마진율'] : []),
       ].join('\t'),
     );
 
@@ -125,7 +245,7 @@ export function generateExcelText(items, roundUnit) {
         row.discountFromEvent !== null && row.discountFromEvent !== undefined
           ? `${row.discountFromEvent}%`
           : '-',
-        row.violation ? '⚠ 위반' : '✓ OK',
+        row.violation || row.marginViolation ? '⚠ 위반' : '✓ OK',
       ];
 
       // 경쟁사 가격우위 컬럼
@@ -137,6 +257,29 @@ export function generateExcelText(items, roundUnit) {
         );
       }
 
+      // 시장 포지션 컬럼
+      if (hasMarket) {
+        const m = row.market;
+        cols.push(
+          m ? m.min : '-',
+          m ? m.median : '-',
+          m ? m.max : '-',
+          m && m.medianAdvantage !== null ? `${m.medianAdvantage}%` : '-',
+        );
+      }
+
+      // 원가 분석 컬럼
+      if (hasCost) {
+        const hasRowCost = row.cost !== null && row.cost !== undefined;
+        cols.push(
+          hasRowCost ? row.cost : '-',
+          hasRowCost && row.price > 0 ? row.margin : '-',
+          row.marginPercent !== null && row.marginPercent !== undefined
+            ? `${row.marginPercent}%`
+            : '-',
+        );
+      }
+
       rows.push(cols.join('\t'));
     }
 
@@ -0,0 +1,158 @@
+/**
+ * fileCrypto.js - 내보내기 파일 비밀번호 암호화 (WebCrypto)
+ *
+ * 메신저 등으로 외부에 보내는 백업/프리셋 파일을 비밀번호로 암호화합니다.
+ *   키 유도: PBKDF2 (SHA-256, PBKDF2_ITERATIONS회, 파일마다 임의 salt 16바이트)
+ *   암호화: AES-GCM 256비트 (파일마다 임의 iv 12바이트) — 비밀번호가 틀리거나 파일이 변조되면 복호화 실패
+ *
+ * 암호화 파일 형식 (JSON):
+ *   { format: 'vans-encrypted', version: 1, content, createdAt,
+ *     kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt },
+ *     cipher: { name: 'AES-GCM', iv },
+ *     data }                      — salt / iv / data 는 base64
+ *   content - 원본 종류 안내용 ('workspace' | 'pricing')
+ */
+
+export const ENCRYPTED_FORMAT = 'vans-encrypted';
+const ENCRYPTED_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+
+/** 암호화 비밀번호 최소 길이 */
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+// ── base64 ──
+
+function toBase64(bytes) {
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// ── 암호화 / 복호화 ──
+
+function assertWebCrypto() {
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('이 브라우저에서는 암호화를 사용할 수 없습니다. (https 또는 localhost에서 실행하세요)');
+  }
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey'],
+  );
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+/**
+ * 파싱된 JSON이 암호화 파일인지
+ * @param {*} parsed
+ * @returns {boolean}
+ */
+export function isEncryptedFile(parsed) {
+  return Boolean(parsed && parsed.format === ENCRYPTED_FORMAT && typeof parsed.data === 'string');
+}
+
+/**
+ * 문자열 암호화
+ * @param {string} plainText
+ * @param {string} passphrase
+ * @param {string} content - 원본 종류 ('workspace' | 'pricing')
+ * @returns {Promise<string>} 암호화 파일 JSON 문자열
+ */
+export async function encryptText(plainText, passphrase, content) {
+  assertWebCrypto();
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`비밀번호는 ${MIN_PASSPHRASE_LENGTH}자 이상이어야 합니다.`);
+  }
+
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plainText));
+
+  return JSON.stringify({
+    format: ENCRYPTED_FORMAT,
+    version: ENCRYPTED_VERSION,
+    content,
+    createdAt: new Date().toISOString(),
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(new Uint8Array(encrypted)),
+  }, null, 2);
+}
+
+/**
+ * 암호화 파일 복호화
+ * @param {object} envelope - isEncryptedFile()이 true인 파싱 결과
+ * @param {string} passphrase
+ * @returns {Promise<string>} 원본 문자열
+ */
+export async function decryptText(envelope, passphrase) {
+  assertWebCrypto();
+  if (envelope.version !== ENCRYPTED_VERSION || envelope.kdf?.name !== 'PBKDF2' || envelope.cipher?.name !== 'AES-GCM') {
+    throw new Error('지원하지 않는 암호화 파일 버전입니다.');
+  }
+
+  const iterations = Number(envelope.kdf.iterations);
+  if (!Number.isInteger(iterations) || iterations < 1000 || iterations > 10000000) {
+    throw new Error('암호화 파일이 손상되었습니다.');
+  }
+
+  let key;
+  let iv;
+  let data;
+  try {
+    key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), iterations);
+    iv = fromBase64(envelope.cipher.iv);
+    data = fromBase64(envelope.data);
+  } catch {
+    throw new Error('암호화 파일이 손상되었습니다.');
+  }
+
+  try {
+    const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+    return new TextDecoder().decode(decrypted);
+  } catch {
+    throw new Error('비밀번호가 올바르지 않거나 파일이 손상되었습니다.');
+  }
+}
+
+/**
+ * 파일 내용이 암호화돼 있으면 비밀번호를 받아 복호화, 아니면 그대로 반환
+ * @param {string} text - 파일 내용
+ * @param {() => Promise<string|null>} requestPassphrase - 비밀번호 입력 (취소 시 null)
+ * @returns {Promise<string|null>} 원본 문자열 (비밀번호 입력을 취소하면 null)
+ */
+export async function decryptIfNeeded(text, requestPassphrase) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return text;
+  }
+  if (!isEncryptedFile(parsed)) return text;
+
+  const passphrase = await requestPassphrase();
+  if (passphrase === null) return null;
+  return decryptText(parsed, passphrase);
+}
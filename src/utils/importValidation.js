@@ -0,0 +1,139 @@
+/**
+ * importValidation.js - 지점 수가표 저장 전 검사
+ *
+ * 가져올 행마다 의심스러운 값을 찾아 보고서로 만들고, 가져오기 화면에서 행별로 포함 / 제외를 고릅니다.
+ *   invalidPrice    - 가격 칸을 숫자로 읽지 못함 (그대로 가져오면 0원)
+ *   nonPositive     - 0원 또는 음수
+ *   duplicateName   - 같은 파일 안에 같은 시술명 (공백·대소문자 무시)
+ *   priceOutlier    - 다른 지점의 같은 시술 가격(중앙값)과 N배 이상 차이
+ *   unknownCategory - 다른 지점에 없는 대분류
+ *
+ * 다른 지점 데이터는 loadImportContext()로 한 번만 색인하고 (파일을 열 때),
+ * 지점명·기준(N배)을 바꿀 때는 buildImportReport()만 다시 계산합니다 (가져올 지점은 조회할 때 제외).
+ */
+
+import { loadManifest, loadBranchData } from './branchStorage';
+import { formatNumber } from './pricing';
+
+export const ANOMALY_LABELS = {
+  invalidPrice: '가격 읽기 실패',
+  nonPositive: '0원 이하',
+  duplicateName: '이름 중복',
+  priceOutlier: '타 지점과 가격 차이',
+  unknownCategory: '새 대분류',
+};
+
+/** 다른 지점 중앙값과 이 배수 이상 차이 나면 표시 */
+export const DEFAULT_OUTLIER_RATIO = 3;
+
+/** 처음부터 제외해 두는 문제 (그대로 가져오면 잘못된 값이 저장됨) */
+const EXCLUDED_BY_DEFAULT = ['invalidPrice'];
+
+const normalizeName = (name) => String(name || '').replace(/\s+/g, '').toLowerCase();
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * 저장된 지점 데이터 색인 (가져올 지점명과 무관하게 한 번만 만듦)
+ * @returns {{ prices: Map<string, Array<{ branch: string, price: number }>>, categories: Map<string, string[]> }}
+ *   prices     - 정리한 시술명(공백·대소문자 무시) → 지점별 가격 (0원 이하 제외)
+ *   categories - 대분류 → 쓰는 지점
+ */
+export function loadImportContext() {
+  const prices = new Map();
+  const categories = new Map();
+
+  for (const { name: branch } of loadManifest().branches) {
+    const seen = new Set();
+    for (const item of loadBranchData(branch)) {
+      const key = normalizeName(item.name);
+      // 한 지점에 같은 이름이 여럿이면 첫 번째만
+      if (key && item.standardPrice > 0 && !seen.has(key)) {
+        seen.add(key);
+        prices.set(key, [...(prices.get(key) || []), { branch, price: item.standardPrice }]);
+      }
+      const category = item.category?.trim();
+      if (category && !(categories.get(category) || []).includes(branch)) {
+        categories.set(category, [...(categories.get(category) || []), branch]);
+      }
+    }
+  }
+  return { prices, categories };
+}
+
+/**
+ * 가져오기 검사 보고서
+ * @param {Array<object>} data - processTableRows() 결과의 data
+ * @param {object} options
+ * @param {Array<{ line: number|null, priceText: string, priceParsed: boolean }>} [options.sources] - processTableRows() 결과의 sources
+ * @param {{ prices: Map, categories: Map }} [options.context] - loadImportContext() 결과
+ * @param {string} [options.branchName] - 가져올 지점 (다른 지점 비교에서 제외)
+ * @param {number} [options.outlierRatio]
+ * @returns {{ rows: Array<{ index: number, line: number|null, item: object, issues: Array<{ type: string, message: string }>, defaultIncluded: boolean }>, counts: object }}
+ *   rows   - 문제가 있는 행만 (index는 data 기준)
+ *   counts - 문제 종류별 행 수
+ */
+export function buildImportReport(data, { sources = [], context, branchName = '', outlierRatio = DEFAULT_OUTLIER_RATIO } = {}) {
+  const otherBranches = (branches) => (branches || []).filter((branch) => branch !== branchName);
+  const hasOtherCategories = context
+    ? [...context.categories.values()].some((branches) => otherBranches(branches).length > 0)
+    : false;
+
+  const linesByName = new Map();
+  data.forEach((item, idx) => {
+    const key = normalizeName(item.name);
+    linesByName.set(key, [...(linesByName.get(key) || []), sources[idx]?.line ?? idx + 1]);
+  });
+
+  const counts = Object.fromEntries(Object.keys(ANOMALY_LABELS).map((type) => [type, 0]));
+  const rows = [];
+
+  data.forEach((item, index) => {
+    const issues = [];
+    const source = sources[index];
+
+    if (source && !source.priceParsed) {
+      issues.push({ type: 'invalidPrice', message: `"${source.priceText}" → 0원` });
+    } else if (item.standardPrice <= 0) {
+      issues.push({ type: 'nonPositive', message: `${formatNumber(item.standardPrice)}원` });
+    }
+
+    const sameName = linesByName.get(normalizeName(item.name));
+    if (sameName.length > 1) {
+      issues.push({ type: 'duplicateName', message: `${sameName.length}번 나옴 (${sameName.join(', ')}행)` });
+    }
+
+    const peers = (context?.prices.get(normalizeName(item.name)) || []).filter((peer) => peer.branch !== branchName);
+    if (peers.length > 0 && item.standardPrice > 0) {
+      const middle = median(peers.map((peer) => peer.price));
+      const ratio = Math.max(item.standardPrice / middle, middle / item.standardPrice);
+      if (ratio >= outlierRatio) {
+        issues.push({
+          type: 'priceOutlier',
+          message: `다른 ${peers.length}개 지점 중앙값 ${formatNumber(middle)}원과 ${ratio.toFixed(1)}배 차이`,
+        });
+      }
+    }
+
+    const category = item.category?.trim();
+    if (category && hasOtherCategories && otherBranches(context.categories.get(category)).length === 0) {
+      issues.push({ type: 'unknownCategory', message: `"${category}"` });
+    }
+
+    if (issues.length === 0) return;
+    issues.forEach((issue) => { counts[issue.type] += 1; });
+    rows.push({
+      index,
+      line: source?.line ?? null,
+      item,
+      issues,
+      defaultIncluded: !issues.some((issue) => EXCLUDED_BY_DEFAULT.includes(issue.type)),
+    });
+  });
+
+  return { rows, counts };
+}
@@ -0,0 +1,384 @@
+/**
+ * kvStore.js - 앱 저장소 추상화 (IndexedDB 백엔드 + localStorage 폴백)
+ *
+ * localStorage(약 5MB)는 지점 CSV 몇 개만 가져와도 가득 차므로,
+ * 앱 데이터는 IndexedDB에 저장하고 화면 코드는 기존처럼 동기 API를 사용합니다.
+ *
+ * 동작:
+ *   - initKvStore(): 앱 시작 시 1회 호출 → IndexedDB 전체를 메모리 캐시로 로드
+ *   - getItem / setItem / removeItem: 메모리 캐시에 즉시 반영 (동기), IndexedDB에는 순서대로 비동기 기록
+ *     기록 실패(용량 초과 등)는 setItem / removeItem이 돌려주는 Promise의 reject와
+ *     subscribeWriteErrors() 구독자로 알립니다.
+ *   - 최초 실행 시 localStorage의 'vans-' 키를 IndexedDB로 옮기고 localStorage에서는 삭제
+ *   - IndexedDB를 쓸 수 없는 환경(일부 사생활 보호 모드 등)에서는 localStorage를 그대로 사용
+ *
+ * 값은 localStorage와 같이 문자열로 저장합니다. (호출 측 JSON.stringify / JSON.parse 유지)
+ *
+ * 브라우저 탭 간 동기화:
+ *   - 키마다 리비전 번호를 함께 기록하고, 쓸 때마다 1씩 올립니다. ('__rev:' 접두사, 앱 키 목록에서는 제외)
+ *   - 쓰기는 BroadcastChannel로 다른 탭에 알리고, 받은 탭은 메모리 캐시를 갱신한 뒤 구독자에게 전달합니다.
+ *     같은 탭 안의 쓰기도 구독자에게 전달되어, 같은 키를 쓰는 화면끼리 상태를 맞출 수 있습니다.
+ *     (BroadcastChannel이 없고 localStorage를 쓰는 환경에서는 storage 이벤트 사용)
+ *   - setItemIfRevision(): 읽어 둔 리비전이 그대로일 때만 기록 → 다른 탭의 변경을 덮어쓰기 전에 충돌 감지
+ */
+
+const DB_NAME = 'vans-pricing';
+const DB_VERSION = 1;
+const STORE_NAME = 'kv';
+const MIGRATED_KEY = '__migrated-from-localStorage';
+const APP_KEY_PREFIX = 'vans-';
+const REV_PREFIX = '__rev:';
+const CHANNEL_NAME = 'vans-pricing-sync';
+const TAB_ID = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+const _cache = new Map();
+let _db = null;
+let _backend = 'localStorage';
+let _pending = Promise.resolve();
+let _usage = null;
+const _revisions = new Map();
+const _subscribers = new Set();
+const _writeErrorListeners = new Set();
+let _channel = null;
+
+// ── IndexedDB 헬퍼 ──
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+        request.result.createObjectStore(STORE_NAME);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB가 다른 탭에 의해 잠겨 있습니다.'));
+  });
+}
+
+/**
+ * 쓰기 트랜잭션 1건 실행 (완료 시 resolve)
+ * @param {(store: IDBObjectStore) => void} fn
+ */
+function runWrite(fn) {
+  return new Promise((resolve, reject) => {
+    const tx = _db.transaction(STORE_NAME, 'readwrite');
+    fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('IndexedDB 트랜잭션이 중단되었습니다.'));
+  });
+}
+
+async function loadAllEntries() {
+  const tx = _db.transaction(STORE_NAME, 'readonly');
+  const store = tx.objectStore(STORE_NAME);
+  const [keys, values] = await Promise.all([
+    promisifyRequest(store.getAllKeys()),
+    promisifyRequest(store.getAll()),
+  ]);
+  keys.forEach((key, i) => {
+    if (String(key).startsWith(REV_PREFIX)) _revisions.set(key.slice(REV_PREFIX.length), Number(values[i]) || 0);
+    else _cache.set(key, values[i]);
+  });
+}
+
+/**
+ * localStorage의 앱 데이터('vans-' 키)를 IndexedDB로 이전
+ * 기록이 끝난 뒤에만 localStorage에서 지워 이전 도중 실패해도 데이터가 남도록 합니다.
+ */
+async function migrateFromLocalStorage() {
+  const entries = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key && key.startsWith(APP_KEY_PREFIX)) entries.push([key, localStorage.getItem(key)]);
+  }
+
+  await runWrite((store) => {
+    for (const [key, value] of entries) {
+      // 이미 IndexedDB에 있는 값이 더 최신이므로 덮어쓰지 않음
+      if (!_cache.has(key)) store.put(value, key);
+    }
+    store.put(new Date().toISOString(), MIGRATED_KEY);
+  });
+
+  for (const [key, value] of entries) {
+    if (!_cache.has(key)) _cache.set(key, value);
+    localStorage.removeItem(key);
+  }
+  _cache.set(MIGRATED_KEY, new Date().toISOString());
+  return entries.length;
+}
+
+/** IndexedDB 오류 → 화면에 보여 줄 오류 */
+function toWriteError(err) {
+  const message = err?.name === 'QuotaExceededError'
+    ? '저장 공간이 부족합니다. 일부 지점 데이터를 삭제해주세요.'
+    : `저장하지 못했습니다: ${err?.message || '알 수 없는 오류'}`;
+  return new Error(message, { cause: err });
+}
+
+/**
+ * 비동기 쓰기를 순서대로 큐에 추가
+ * @param {(store: IDBObjectStore) => void} fn
+ * @param {string[]} keys - 실패 알림에 담을 키
+ * @returns {Promise<void>} 기록 완료 시 resolve, 실패 시 reject
+ */
+function enqueue(fn, keys) {
+  const write = _pending
+    .then(() => runWrite(fn))
+    .catch((err) => { throw toWriteError(err); });
+  // 큐는 실패해도 다음 쓰기를 이어 가고, 실패는 구독자에게 알림
+  _pending = write.catch((error) => {
+    _writeErrorListeners.forEach((listener) => listener({ keys, error }));
+  });
+  return write;
+}
+
+// ── 탭 간 동기화 ──
+
+/**
+ * 다른 탭의 쓰기 반영
+ * @param {{ key: string, value: string|null, rev: number, origin: string }} message
+ */
+function handleRemoteWrite({ key, value, rev, origin }) {
+  if (origin === TAB_ID) return;
+  if (_backend === 'indexedDB') {
+    const localRev = _revisions.get(key) || 0;
+    // 늦게 도착한 이전 쓰기는 무시 (같은 리비전 동시 쓰기는 탭 id로 한쪽을 정함)
+    if (rev < localRev || (rev === localRev && origin < TAB_ID)) return;
+    if (value === null) _cache.delete(key);
+    else _cache.set(key, value);
+    _revisions.set(key, rev);
+  }
+  // localStorage 백엔드는 값을 공유하므로 알림만 전달
+  notify(key, value, rev, true);
+}
+
+function notify(key, value, rev, remote) {
+  _subscribers.forEach((listener) => listener({ key, value, rev, remote }));
+}
+
+/** 같은 탭 구독자에게 알리고 다른 탭에 전파 */
+function publish(key, value, rev) {
+  notify(key, value, rev, false);
+  _channel?.postMessage({ key, value, rev, origin: TAB_ID });
+}
+
+function openChannel() {
+  if (_channel || typeof window === 'undefined') return;
+  if (typeof BroadcastChannel !== 'undefined') {
+    _channel = new BroadcastChannel(CHANNEL_NAME);
+    _channel.onmessage = (e) => handleRemoteWrite(e.data);
+    return;
+  }
+  // BroadcastChannel 미지원 + localStorage 백엔드: storage 이벤트로 대체
+  window.addEventListener('storage', (e) => {
+    if (!e.key || !e.key.startsWith(APP_KEY_PREFIX)) return;
+    handleRemoteWrite({ key: e.key, value: e.newValue, rev: kvStore.getRevision(e.key), origin: 'storage' });
+  });
+}
+
+/**
+ * 저장 변경 구독 (이 탭의 쓰기 + 다른 탭에서 전파된 쓰기)
+ * @param {(change: { key: string, value: string|null, rev: number, remote: boolean }) => void} listener
+ * @returns {() => void} 구독 해제
+ */
+export function subscribeChanges(listener) {
+  _subscribers.add(listener);
+  return () => _subscribers.delete(listener);
+}
+
+/**
+ * IndexedDB 기록 실패 구독 (메모리 캐시에는 반영됐지만 디스크에는 저장되지 않은 쓰기)
+ * @param {(failure: { keys: string[], error: Error }) => void} listener
+ * @returns {() => void} 구독 해제
+ */
+export function subscribeWriteErrors(listener) {
+  _writeErrorListeners.add(listener);
+  return () => _writeErrorListeners.delete(listener);
+}
+
+// ── 초기화 ──
+
+/**
+ * 저장소 초기화 (앱 렌더링 전에 1회)
+ * @returns {Promise<{ backend: 'indexedDB' | 'localStorage', migrated: number }>}
+ *   migrated - 이번 실행에서 localStorage → IndexedDB로 옮긴 키 수
+ */
+export async function initKvStore() {
+  if (typeof indexedDB === 'undefined') {
+    openChannel();
+    return { backend: _backend, migrated: 0 };
+  }
+
+  try {
+    _db = await openDatabase();
+    await loadAllEntries();
+    const migrated = _cache.has(MIGRATED_KEY) ? 0 : await migrateFromLocalStorage();
+    _backend = 'indexedDB';
+    openChannel();
+    refreshUsage();
+    return { backend: _backend, migrated };
+  } catch (err) {
+    console.error('IndexedDB 초기화 실패, localStorage를 사용합니다:', err);
+    _db = null;
+    _cache.clear();
+    _revisions.clear();
+    _backend = 'localStorage';
+    openChannel();
+    return { backend: _backend, migrated: 0 };
+  }
+}
+
+// ── 동기 API (localStorage 호환) ──
+
+export const kvStore = {
+  /**
+   * @param {string} key
+   * @returns {string|null}
+   */
+  getItem(key) {
+    if (_backend === 'localStorage') return localStorage.getItem(key);
+    return _cache.has(key) ? _cache.get(key) : null;
+  },
+
+  /**
+   * localStorage 폴백에서는 용량 초과 시 예외를 그대로 던집니다.
+   * IndexedDB에서는 기록이 끝나면 resolve, 실패하면 reject되는 Promise를 돌려줍니다.
+   * @param {string} key
+   * @param {string} value
+   * @returns {Promise<void>}
+   */
+  setItem(key, value) {
+    const str = String(value);
+    const rev = this.getRevision(key) + 1;
+    if (_backend === 'localStorage') {
+      localStorage.setItem(key, str);
+      localStorage.setItem(REV_PREFIX + key, String(rev));
+      publish(key, str, rev);
+      return Promise.resolve();
+    }
+    _cache.set(key, str);
+    _revisions.set(key, rev);
+    const write = enqueue((store) => {
+      store.put(str, key);
+      store.put(rev, REV_PREFIX + key);
+    }, [key]);
+    publish(key, str, rev);
+    return write;
+  },
+
+  /**
+   * @param {string} key
+   * @returns {Promise<void>} setItem과 같음
+   */
+  removeItem(key) {
+    const rev = this.getRevision(key) + 1;
+    if (_backend === 'localStorage') {
+      localStorage.removeItem(key);
+      localStorage.setItem(REV_PREFIX + key, String(rev));
+      publish(key, null, rev);
+      return Promise.resolve();
+    }
+    _cache.delete(key);
+    _revisions.set(key, rev);
+    const write = enqueue((store) => {
+      store.delete(key);
+      store.put(rev, REV_PREFIX + key);
+    }, [key]);
+    publish(key, null, rev);
+    return write;
+  },
+
+  /**
+   * 키의 현재 리비전 (쓸 때마다 1 증가, 기록된 적 없으면 0)
+   * @param {string} key
+   * @returns {number}
+   */
+  getRevision(key) {
+    if (_backend === 'localStorage') return Number(localStorage.getItem(REV_PREFIX + key)) || 0;
+    return _revisions.get(key) || 0;
+  },
+
+  /**
+   * 리비전이 expectedRev일 때만 기록 (그 사이 다른 탭이 쓴 경우 기록하지 않음)
+   * @param {string} key
+   * @param {string|null} value - null이면 키 삭제
+   * @param {number} expectedRev - 값을 읽을 때의 리비전
+   * @returns {{ ok: boolean, rev: number }} rev - 기록 후(실패 시 현재) 리비전
+   */
+  setItemIfRevision(key, value, expectedRev) {
+    const current = this.getRevision(key);
+    if (current !== expectedRev) return { ok: false, rev: current };
+    const write = value === null ? this.removeItem(key) : this.setItem(key, value);
+    // 디스크 기록 실패는 subscribeWriteErrors로 알림
+    write.catch(() => {});
+    return { ok: true, rev: current + 1 };
+  },
+
+  /**
+   * 저장된 앱 키 목록
+   * @returns {string[]}
+   */
+  keys() {
+    if (_backend === 'localStorage') {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key && key.startsWith(APP_KEY_PREFIX)) keys.push(key);
+      }
+      return keys;
+    }
+    return [..._cache.keys()].filter((key) => key !== MIGRATED_KEY);
+  },
+
+  /**
+   * 대기 중인 IndexedDB 쓰기가 끝날 때까지 대기 (새로고침 직전 등, 실패해도 resolve)
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return _pending;
+  },
+};
+
+// ── 사용량 ──
+
+/**
+ * 현재 백엔드 이름
+ * @returns {'indexedDB' | 'localStorage'}
+ */
+export function getStorageBackend() {
+  return _backend;
+}
+
+/**
+ * 브라우저 저장소 사용량/한도 갱신 (navigator.storage.estimate)
+ * @returns {Promise<{ usage: number, quota: number }|null>}
+ */
+export async function refreshUsage() {
+  try {
+    if (!navigator.storage?.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    _usage = { usage: usage || 0, quota: quota || 0 };
+  } catch {
+    _usage = null;
+  }
+  return _usage;
+}
+
+/**
+ * 마지막으로 확인한 사용량 (동기)
+ * @returns {{ usage: number, quota: number }|null} bytes, 확인 전이면 null
+ */
+export function getCachedUsage() {
+  return _usage;
+}
@@ -0,0 +1,62 @@
+/**
+ * listMerge.js - 목록 데이터 3-way 병합
+ *
+ * 두 브라우저 탭이 같은 목록(저장된 패키지, 시술 라이브러리, 아카이브 등)을 동시에 고쳤을 때
+ * 공통 기준(base)과 비교해 양쪽 변경을 합칩니다.
+ *   - 한쪽만 추가/수정/삭제한 항목 → 그 변경을 반영
+ *   - 양쪽이 같은 항목을 서로 다르게 수정 → 이 탭(local) 내용을 유지하고 충돌로 집계
+ *   - 한쪽은 삭제, 다른 쪽은 수정 → 수정된 항목을 남기고 충돌로 집계
+ */
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * @param {Array<object>} base   - 마지막으로 동기화된 목록
+ * @param {Array<object>} local  - 이 탭의 목록
+ * @param {Array<object>} remote - 다른 탭이 저장한 목록
+ * @param {(item: object) => *} idOf - 항목 식별자
+ * @returns {{ merged: Array<object>, conflicts: number }}
+ *   merged 순서: 다른 탭 목록 순서 + 이 탭에만 있는 항목
+ */
+export function mergeLists(base, local, remote, idOf) {
+  const baseById = new Map((base || []).map((item) => [idOf(item), item]));
+  const localById = new Map((local || []).map((item) => [idOf(item), item]));
+  const remoteById = new Map((remote || []).map((item) => [idOf(item), item]));
+  let conflicts = 0;
+
+  /** 한 항목의 병합 결과 (null이면 삭제) */
+  const resolve = (id) => {
+    const b = baseById.get(id);
+    const l = localById.get(id);
+    const r = remoteById.get(id);
+
+    if (l && r) {
+      if (same(l, r) || same(r, b)) return l;
+      if (same(l, b)) return r;
+      conflicts += 1;
+      return l;
+    }
+    if (l) {
+      if (!b) return l;              // 이 탭에서 추가
+      if (same(l, b)) return null;   // 다른 탭에서 삭제
+      conflicts += 1;                // 다른 탭은 삭제, 이 탭은 수정
+      return l;
+    }
+    if (r) {
+      if (!b) return r;              // 다른 탭에서 추가
+      if (same(r, b)) return null;   // 이 탭에서 삭제
+      conflicts += 1;                // 이 탭은 삭제, 다른 탭은 수정
+      return r;
+    }
+    return null;
+  };
+
+  const merged = [];
+  const ids = [...new Set([...(remote || []).map(idOf), ...(local || []).map(idOf)])];
+  for (const id of ids) {
+    const item = resolve(id);
+    if (item) merged.push(item);
+  }
+
+  return { merged, conflicts };
+}
@@ -0,0 +1,75 @@
+/**
+ * listMerge.test.js - 목록 3-way 병합 (한쪽 변경 반영, 양쪽 변경 충돌, 삭제 vs 수정, 순서)
+ *
+ * 실행: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeLists } from './listMerge.js';
+
+const idOf = (item) => item.id;
+const names = (list) => list.map((item) => `${item.id}:${item.name}`);
+
+const base = [{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'c' }];
+
+test('변경이 없으면 그대로', () => {
+  const { merged, conflicts } = mergeLists(base, base, base, idOf);
+  assert.deepEqual(merged, base);
+  assert.equal(conflicts, 0);
+});
+
+test('한쪽만 고친 항목은 그 변경을 반영', () => {
+  const local = [base[0], { id: 2, name: 'b-local' }, base[2]];
+  const remote = [{ id: 1, name: 'a-remote' }, base[1], base[2]];
+  const { merged, conflicts } = mergeLists(base, local, remote, idOf);
+  assert.deepEqual(names(merged), ['1:a-remote', '2:b-local', '3:c']);
+  assert.equal(conflicts, 0);
+});
+
+test('양쪽이 같은 항목을 똑같이 고치면 충돌 아님', () => {
+  const changed = [{ id: 1, name: 'same' }, base[1], base[2]];
+  const { merged, conflicts } = mergeLists(base, changed, changed, idOf);
+  assert.deepEqual(names(merged), ['1:same', '2:b', '3:c']);
+  assert.equal(conflicts, 0);
+});
+
+test('양쪽이 같은 항목을 다르게 고치면 이 탭 내용을 유지하고 충돌로 집계', () => {
+  const local = [{ id: 1, name: 'local' }, base[1], base[2]];
+  const remote = [{ id: 1, name: 'remote' }, base[1], base[2]];
+  const { merged, conflicts } = mergeLists(base, local, remote, idOf);
+  assert.deepEqual(names(merged), ['1:local', '2:b', '3:c']);
+  assert.equal(conflicts, 1);
+});
+
+test('한쪽만 삭제한 항목은 삭제', () => {
+  const local = [base[0], base[2]];
+  const remote = [base[0], base[1]];
+  const { merged, conflicts } = mergeLists(base, local, remote, idOf);
+  assert.deepEqual(names(merged), ['1:a']);
+  assert.equal(conflicts, 0);
+});
+
+test('한쪽은 삭제, 다른 쪽은 수정하면 수정된 항목을 남기고 충돌로 집계', () => {
+  const localEdited = mergeLists(base, [base[0], { id: 2, name: 'b-local' }, base[2]], [base[0], base[2]], idOf);
+  assert.deepEqual(names(localEdited.merged), ['1:a', '3:c', '2:b-local']);
+  assert.equal(localEdited.conflicts, 1);
+
+  const remoteEdited = mergeLists(base, [base[0], base[2]], [base[0], { id: 2, name: 'b-remote' }, base[2]], idOf);
+  assert.deepEqual(names(remoteEdited.merged), ['1:a', '2:b-remote', '3:c']);
+  assert.equal(remoteEdited.conflicts, 1);
+});
+
+test('양쪽 추가를 모두 남기고, 순서는 다른 탭 목록 + 이 탭에만 있는 항목', () => {
+  const local = [...base, { id: 4, name: 'local-new' }];
+  const remote = [{ id: 5, name: 'remote-new' }, base[2], base[1], base[0]];
+  const { merged, conflicts } = mergeLists(base, local, remote, idOf);
+  assert.deepEqual(names(merged), ['5:remote-new', '3:c', '2:b', '1:a', '4:local-new']);
+  assert.equal(conflicts, 0);
+});
+
+test('기준이 없으면(처음 맞춤) 양쪽 항목을 모두 추가로 보고, 같은 id는 이 탭 우선', () => {
+  const { merged, conflicts } = mergeLists(null, [{ id: 1, name: 'local' }], [{ id: 1, name: 'remote' }, { id: 2, name: 'r' }], idOf);
+  assert.deepEqual(names(merged), ['1:local', '2:r']);
+  assert.equal(conflicts, 1);
+});
@@ -0,0 +1,183 @@
+/**
+ * membershipPricing.js - 정액권 / 기간 무제한 회원권 계산
+ *
+ * 종류:
+ *   - prepaid:   정액권 (예: 100만원 결제 → 120만원 적립)
+ *   - unlimited: 기간 무제한 (예: 1년 무제한 180,000원)
+ *
+ * 핵심 공식:
+ *   보너스율(%) = (적립액 - 결제액) ÷ 결제액 × 100
+ *   실질 할인율(%) = (1 - 결제액 ÷ 적립액) × 100   → 적립금으로 결제하는 모든 시술에 동일 적용
+ *   실질 가격 = 정가 × 결제액 ÷ 적립액
+ *   무제한 손익분기 방문수 = ⌈회원권 가격 ÷ 1회 정가⌉
+ *   예상 1회 비용 = 회원권 가격 ÷ (월 예상 방문수 × 개월 수)
+ */
+
+/** 회원권 종류 라벨 */
+export const MEMBERSHIP_KIND_LABELS = {
+  prepaid: '정액권',
+  unlimited: '기간 무제한',
+};
+
+/**
+ * "100만", "1,000,000", "120만원" → 원 단위 금액
+ * @param {string} num    - 숫자 부분
+ * @param {string} [man]  - '만' 단위 여부
+ * @returns {number}
+ */
+function toWon(num, man) {
+  const value = parseFloat(String(num).replace(/,/g, ''));
+  if (!Number.isFinite(value)) return 0;
+  return Math.round(man ? value * 10000 : value);
+}
+
+/**
+ * 문구에서 회원권 조건 추출
+ * 지원 예: "1년 무제한", "6개월 무제한", "100만원 결제 120만원 적립", "120만 적립", "20% 추가 적립"
+ * 결제액을 찾지 못하면 paid = 0 (호출 측에서 판매가로 채움)
+ * @param {string} text
+ * @returns {{ kind: 'unlimited', months: number }
+ *         | { kind: 'prepaid', paid: number, credit: number, bonusPercent: number|null }
+ *         | null}
+ */
+export function parseMembershipTerms(text) {
+  if (!text) return null;
+  const src = String(text);
+
+  // 기간 무제한: "1년 무제한", "6개월 무제한", "3달 무제한"
+  const unlimited = src.match(/(\d+)\s*(년|개월|달)\s*무제한/);
+  if (unlimited) {
+    const n = Number(unlimited[1]);
+    return { kind: 'unlimited', months: unlimited[2] === '년' ? n * 12 : n };
+  }
+
+  const AMOUNT = '([\\d][\\d,.]*)\\s*(만)?\\s*원?';
+  const creditMatch = src.match(new RegExp(`${AMOUNT}\\s*(?:적립|충전금|크레딧|사용\\s*가능)`));
+  const paidMatch = src.match(new RegExp(`${AMOUNT}\\s*(?:결제|구매|선결제)`));
+  const bonusMatch = src.match(/(\d+(?:\.\d+)?)\s*%\s*(?:추가\s*)?(?:적립|보너스)/);
+
+  if (!creditMatch && !bonusMatch) return null;
+
+  const paid = paidMatch ? toWon(paidMatch[1], paidMatch[2]) : 0;
+  const bonusPercent = bonusMatch ? Number(bonusMatch[1]) : null;
+  let credit = creditMatch ? toWon(creditMatch[1], creditMatch[2]) : 0;
+  if (!credit && paid && bonusPercent !== null) {
+    credit = Math.round(paid * (1 + bonusPercent / 100));
+  }
+
+  return { kind: 'prepaid', paid, credit, bonusPercent };
+}
+
+/**
+ * 정액권 보너스 조건 계산
+ * @param {number} paid   - 결제액
+ * @param {number} credit - 적립액
+ * @returns {{ bonusAmount: number, bonusPercent: number|null, effectiveDiscount: number|null }}
+ */
+export function calcBonusTerms(paid, credit) {
+  if (!paid || paid <= 0 || !credit || credit <= 0) {
+    return { bonusAmount: 0, bonusPercent: null, effectiveDiscount: null };
+  }
+  return {
+    bonusAmount: credit - paid,
+    bonusPercent: Math.round(((credit - paid) / paid) * 1000) / 10,
+    effectiveDiscount: Math.round((1 - paid / credit) * 1000) / 10,
+  };
+}
+
+/**
+ * 정액권으로 결제할 때 시술별 실질 가격
+ * @param {{ paid: number, credit: number }} membership
+ * @param {Array<{ name: string, category?: string, standardPrice: number }>} procedures - 지점 수가표
+ * @returns {Array<{ name, category, regularPrice, effectivePrice, discountPercent, coverCount }>}
+ *   coverCount - 적립액으로 받을 수 있는 횟수
+ */
+export function calcPrepaidDiscounts(membership, procedures) {
+  const { paid, credit } = membership;
+  const { effectiveDiscount } = calcBonusTerms(paid, credit);
+
+  return (procedures || [])
+    .filter((p) => p.standardPrice > 0)
+    .map((p) => ({
+      name: p.name,
+      category: p.category || '',
+      regularPrice: p.standardPrice,
+      effectivePrice: effectiveDiscount === null
+        ? p.standardPrice
+        : Math.round((p.standardPrice * paid) / credit),
+      discountPercent: effectiveDiscount,
+      coverCount: credit > 0 ? Math.floor(credit / p.standardPrice) : 0,
+    }));
+}
+
+/**
+ * 기간 무제한 회원권 손익분기
+ * @param {{ price: number, months: number, expectedVisitsPerMonth: number }} plan
+ * @param {number} regularPrice - 해당 시술 1회 정가
+ * @returns {{ breakEvenVisits: number, breakEvenPerMonth: number, expectedVisits: number,
+ *             perVisitCost: number|null, savingsPercent: number|null, worthIt: boolean }|null}
+ */
+export function calcUnlimitedBreakEven(plan, regularPrice) {
+  const { price, months, expectedVisitsPerMonth } = plan;
+  if (!price || price <= 0 || !regularPrice || regularPrice <= 0 || !months || months <= 0) {
+    return null;
+  }
+
+  const breakEvenVisits = Math.ceil(price / regularPrice);
+  const expectedVisits = Math.round((expectedVisitsPerMonth || 0) * months * 10) / 10;
+  const perVisitCost = expectedVisits > 0 ? Math.round(price / expectedVisits) : null;
+
+  return {
+    breakEvenVisits,
+    breakEvenPerMonth: Math.round((breakEvenVisits / months) * 10) / 10,
+    expectedVisits,
+    perVisitCost,
+    savingsPercent: perVisitCost === null
+      ? null
+      : Math.round((1 - perVisitCost / regularPrice) * 1000) / 10,
+    worthIt: expectedVisits >= breakEvenVisits,
+  };
+}
+
+/**
+ * 회원권 하나의 전체 계산 결과
+ * @param {object} membership - { name, kind, price, credit, months, expectedVisitsPerMonth, procedureNames }
+ * @param {Array<object>} procedures - 지점 수가표 (loadBranchData 결과)
+ * @returns {{ name: string, kind: string, terms: object, rows: Array<object> }}
+ *   prepaid rows   - calcPrepaidDiscounts 결과
+ *   unlimited rows - 대상 시술별 { name, category, regularPrice, ...calcUnlimitedBreakEven }
+ */
+export function computeMembershipResult(membership, procedures) {
+  const name = membership.name || MEMBERSHIP_KIND_LABELS[membership.kind] || '회원권';
+
+  if (membership.kind === 'unlimited') {
+    const plan = {
+      price: membership.price,
+      months: membership.months,
+      expectedVisitsPerMonth: membership.expectedVisitsPerMonth,
+    };
+    const targets = new Set(membership.procedureNames || []);
+    const rows = (procedures || [])
+      .filter((p) => targets.has(p.name))
+      .map((p) => ({
+        name: p.name,
+        category: p.category || '',
+        regularPrice: p.standardPrice,
+        ...calcUnlimitedBreakEven(plan, p.standardPrice),
+      }))
+      .filter((row) => row.breakEvenVisits);
+    return { name, kind: 'unlimited', terms: plan, rows };
+  }
+
+  const terms = {
+    paid: membership.price,
+    credit: membership.credit,
+    ...calcBonusTerms(membership.price, membership.credit),
+  };
+  return {
+    name,
+    kind: 'prepaid',
+    terms,
+    rows: calcPrepaidDiscounts({ paid: membership.price, credit: membership.credit }, procedures),
+  };
+}
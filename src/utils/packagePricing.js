@@ -6,7 +6,8 @@
  *   2) 확장: ■패키지명 가격원 / ㄴ시술명: 1체 X만원 / 이벤트 Y만원
  */
 
-import { roundPrice } from './pricing';
+import { applyRounding, parseTaxable, VAT_RATE } from './pricing';
+import { parseMembershipTerms } from './membershipPricing';
 
 // ─── 한국어 가격 파싱 헬퍼 ───
 
@@ -131,6 +132,7 @@ function parseSubItemLine(line) {
 /**
  * ■ 메인 패키지 라인 파싱 (유연한 가격 추출)
  * 만원/원 형식 모두 지원, 괄호 메모 추출, 가격이 중간에 있는 경우 처리
+ * "1년 무제한", "120만원 적립" 같은 회원권 조건은 membership 으로 함께 반환
  */
 function parseEnhancedMainLine(text) {
   // 괄호 메모 추출
@@ -186,11 +188,21 @@ function parseEnhancedMainLine(text) {
     }
   }
 
+  // 회원권 조건 (정액권 적립 / 기간 무제한) - 결제액이 없으면 판매가 사용
+  const membership = parseMembershipTerms([stripped, ...memos].join(' '));
+  if (membership && membership.kind === 'prepaid' && !membership.paid) {
+    membership.paid = price;
+    if (!membership.credit && membership.bonusPercent !== null) {
+      membership.credit = Math.round(price * (1 + membership.bonusPercent / 100));
+    }
+  }
+
   return {
     id: Date.now() + Math.random(),
     name,
     packagePrice: price,
     memo: memos.filter(Boolean).join('; ') || '',
+    ...(membership ? { membership } : {}),
     subItems: [],
     description: [],
   };
@@ -383,6 +395,7 @@ export function matchProcedurePrices(packages, procedures) {
           procedureId: match.id,
           individualPrice: match.eventPrice || match.trialPrice || 0,
           priceSource: match.eventPrice ? 'event' : 'trial',
+          taxable: match.taxable !== false,
         };
       }
       return item;
@@ -411,6 +424,7 @@ export function matchBranchPrices(packages, branchProcedures) {
           individualPrice: match.standardPrice,
           priceSource: 'branch',
           branchCategory: match.category,
+          taxable: parseTaxable(match.taxable),
         };
       }
       return item;
@@ -548,23 +562,40 @@ export function findSimilarBranchItems(name, procedures, limit = 3) {
 }
 
 /**
- * 목표 할인율로 패키지가 자동 계산
+ * 공급가 → 표시 기준에서 반올림 전략 적용 → 공급가
+ * VAT 포함 모드에서는 고객이 보는 VAT 포함 금액이 반올림 단위/엔딩에 맞도록 합니다.
+ */
+function roundPackagePrice(pkg, priceExVat, rounding, vatMode) {
+  const factor = getPackageVatFactor(pkg, vatMode);
+  if (factor === 1) return applyRounding(priceExVat, rounding, 'price');
+  return Math.round(applyRounding(priceExVat * factor, rounding, 'price') / factor);
+}
+
+/**
+ * 목표 할인율로 패키지가 자동 계산 (반환값은 공급가)
+ * @param {object} pkg
+ * @param {number} targetDiscountPercent
+ * @param {number|object} rounding - 반올림 단위 또는 반올림 전략
+ * @param {string} vatMode - 'excluded' | 'included'
  */
-export function calcPackagePriceFromDiscount(pkg, targetDiscountPercent, roundUnit = 10000) {
+export function calcPackagePriceFromDiscount(pkg, targetDiscountPercent, rounding = 10000, vatMode = 'excluded') {
   const totalRegular = pkg.items.reduce(
     (sum, item) => sum + (Number(item.individualPrice) || 0) * (Number(item.quantity) || 1),
     0,
   );
   if (totalRegular <= 0) return 0;
   const discounted = totalRegular * (1 - targetDiscountPercent / 100);
-  return roundPrice(discounted, roundUnit);
+  return roundPackagePrice(pkg, discounted, rounding, vatMode);
 }
 
 /**
- * 개별 시술 할인율로 패키지가 계산
+ * 개별 시술 할인율로 패키지가 계산 (반환값은 공급가)
  * 각 시술의 discountRate(0~100)을 적용하여 합산
+ * @param {object} pkg
+ * @param {number|object} rounding - 반올림 단위 또는 반올림 전략
+ * @param {string} vatMode - 'excluded' | 'included'
  */
-export function calcPackagePriceFromItemDiscounts(pkg, roundUnit = 10000) {
+export function calcPackagePriceFromItemDiscounts(pkg, rounding = 10000, vatMode = 'excluded') {
   if (!pkg || !pkg.items || pkg.items.length === 0) return 0;
 
   const raw = pkg.items.reduce((sum, item) => {
@@ -573,7 +604,7 @@ export function calcPackagePriceFromItemDiscounts(pkg, roundUnit = 10000) {
     return sum + price * (1 - rate / 100);
   }, 0);
 
-  return roundPrice(raw, roundUnit);
+  return roundPackagePrice(pkg, raw, rounding, vatMode);
 }
 
 /**
@@ -598,14 +629,60 @@ export function reverseCalcItemDiscounts(pkg) {
   return pkg.items.map(() => Math.round(overallDiscount * 10) / 10);
 }
 
+/**
+ * 패키지 과세 비중 (정가 기준, 0~1)
+ * 면세 시술이 섞인 패키지는 과세 시술 비중만큼만 VAT가 붙습니다.
+ * @param {object} pkg
+ * @returns {number}
+ */
+export function calcTaxableShare(pkg) {
+  if (!pkg || !pkg.items || pkg.items.length === 0) return 1;
+  let total = 0;
+  let taxableTotal = 0;
+  pkg.items.forEach((item) => {
+    const itemTotal = (Number(item.individualPrice) || 0) * (Number(item.quantity) || 1);
+    total += itemTotal;
+    if (item.taxable !== false) taxableTotal += itemTotal;
+  });
+  if (total <= 0) return pkg.items.every((item) => item.taxable === false) ? 0 : 1;
+  return taxableTotal / total;
+}
+
+/**
+ * 패키지가 공급가 → 표시 가격 환산 배율
+ * @param {object} pkg
+ * @param {string} vatMode - 'excluded' | 'included'
+ * @returns {number}
+ */
+export function getPackageVatFactor(pkg, vatMode) {
+  if (vatMode !== 'included') return 1;
+  return 1 + VAT_RATE * calcTaxableShare(pkg);
+}
+
 /**
  * 패키지 요약 계산
+ * 입력 가격(individualPrice, packagePrice)은 공급가(VAT 별도) 기준입니다.
+ * 패키지가는 정가 비율로 시술별 배분한 뒤 과세 시술 배분액에만 VAT를 부과합니다.
+ * 반환되는 totalRegularPrice / packagePrice / savingsAmount / perItemBreakdown 가격은
+ * vatMode 표시 기준이고, VAT 별도·포함 금액은 별도 필드로 함께 제공합니다.
+ * @param {object} pkg
+ * @param {string} vatMode - 'excluded' | 'included'
  */
-export function computePackageSummary(pkg) {
+export function computePackageSummary(pkg, vatMode = 'excluded') {
+  const included = vatMode === 'included';
+
   if (!pkg || !pkg.items || pkg.items.length === 0) {
+    const packagePrice = Number(pkg?.packagePrice) || 0;
+    const packagePriceIncVat = Math.round(packagePrice * (1 + VAT_RATE));
     return {
+      vatMode,
       totalRegularPrice: 0,
-      packagePrice: pkg?.packagePrice || 0,
+      totalRegularExVat: 0,
+      totalRegularIncVat: 0,
+      packagePrice: included ? packagePriceIncVat : packagePrice,
+      packagePriceExVat: packagePrice,
+      packagePriceIncVat,
+      vatAmount: packagePriceIncVat - packagePrice,
       savingsAmount: 0,
       savingsPercent: 0,
       perItemBreakdown: [],
@@ -618,20 +695,22 @@ export function computePackageSummary(pkg) {
   );
 
   const packagePrice = Number(pkg.packagePrice) || 0;
-  const savingsAmount = totalRegular - packagePrice;
-  const savingsPercent =
-    totalRegular > 0 ? Math.round((savingsAmount / totalRegular) * 1000) / 10 : 0;
 
-  const perItemBreakdown = pkg.items.map((item) => {
+  const perItem = pkg.items.map((item) => {
     const itemTotal = (Number(item.individualPrice) || 0) * (Number(item.quantity) || 1);
     const proportion = totalRegular > 0 ? itemTotal / totalRegular : 0;
     const allocatedPrice = Math.round(packagePrice * proportion);
+    const taxable = item.taxable !== false;
+    const rate = taxable ? VAT_RATE : 0;
 
     return {
       name: item.procedureName,
       quantity: Number(item.quantity) || 1,
-      originalPrice: itemTotal,
-      allocatedPrice,
+      taxable,
+      originalExVat: itemTotal,
+      originalIncVat: Math.round(itemTotal * (1 + rate)),
+      allocatedExVat: allocatedPrice,
+      allocatedIncVat: Math.round(allocatedPrice * (1 + rate)),
       savingsPercent:
         itemTotal > 0
           ? Math.round((1 - allocatedPrice / itemTotal) * 1000) / 10
@@ -639,9 +718,33 @@ export function computePackageSummary(pkg) {
     };
   });
 
+  const totalRegularIncVat = perItem.reduce((sum, it) => sum + it.originalIncVat, 0);
+  const vatAmount = Math.round(
+    perItem.reduce((sum, it) => sum + (it.taxable ? it.allocatedExVat * VAT_RATE : 0), 0),
+  );
+  const packagePriceIncVat = packagePrice + vatAmount;
+
+  const displayRegular = included ? totalRegularIncVat : totalRegular;
+  const displayPackage = included ? packagePriceIncVat : packagePrice;
+  const savingsAmount = displayRegular - displayPackage;
+  const savingsPercent =
+    displayRegular > 0 ? Math.round((savingsAmount / displayRegular) * 1000) / 10 : 0;
+
+  const perItemBreakdown = perItem.map((it) => ({
+    ...it,
+    originalPrice: included ? it.originalIncVat : it.originalExVat,
+    allocatedPrice: included ? it.allocatedIncVat : it.allocatedExVat,
+  }));
+
   return {
-    totalRegularPrice: totalRegular,
-    packagePrice,
+    vatMode,
+    totalRegularPrice: displayRegular,
+    totalRegularExVat: totalRegular,
+    totalRegularIncVat,
+    packagePrice: displayPackage,
+    packagePriceExVat: packagePrice,
+    packagePriceIncVat,
+    vatAmount,
     savingsAmount,
     savingsPercent,
     perItemBreakdown,
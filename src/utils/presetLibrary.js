@@ -0,0 +1,141 @@
+/**
+ * presetLibrary.js - 프리셋 목록 검색 + 불러오기 전 비교 + 시술 단위 가져오기
+ *
+ * 프리셋의 시술 id는 저장한 시점의 탭 번호라 현재 상태와 맞지 않으므로,
+ * 비교와 단일 시술 가져오기는 시술명(공백·대소문자 무시)으로 짝을 짓습니다.
+ */
+
+import { describeChanges } from './pricingHistory';
+
+// ── 검색 / 필터 ──
+
+/**
+ * 쉼표로 구분한 태그 입력 → 태그 배열
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseTags(text) {
+  return [...new Set(String(text || '').split(/[,，#]/).map((t) => t.trim()).filter(Boolean))];
+}
+
+/**
+ * 프리셋 목록에 쓰인 태그 / 지점 (필터 선택지)
+ * @param {Array<object>} presets
+ * @returns {{ tags: string[], branches: string[] }}
+ */
+export function collectPresetFacets(presets) {
+  const tags = new Set();
+  const branches = new Set();
+  for (const preset of presets) {
+    (preset.tags || []).forEach((tag) => tags.add(tag));
+    if (preset.branch) branches.add(preset.branch);
+  }
+  const sort = (set) => [...set].sort((a, b) => a.localeCompare(b, 'ko'));
+  return { tags: sort(tags), branches: sort(branches) };
+}
+
+const normalize = (text) => String(text || '').replace(/\s+/g, '').toLowerCase();
+
+/**
+ * 프리셋 검색 (최근 수정순)
+ * @param {Array<object>} presets
+ * @param {{ query?: string, tag?: string, branch?: string }} filter
+ *   query - 이름 / 설명 / 태그 / 작성자 / 시술명에서 검색 (공백으로 나눈 단어 모두 포함)
+ * @returns {Array<object>}
+ */
+export function filterPresets(presets, { query = '', tag = '', branch = '' } = {}) {
+  const tokens = query.trim().toLowerCase().split(/\s+/).filter(Boolean).map(normalize);
+
+  return presets
+    .filter((preset) => {
+      if (tag && !(preset.tags || []).includes(tag)) return false;
+      if (branch && preset.branch !== branch) return false;
+      if (tokens.length === 0) return true;
+      const haystack = normalize([
+        preset.name,
+        preset.description,
+        ...(preset.tags || []),
+        preset.author,
+        ...(preset.data?.items || []).map((item) => item.name),
+      ].join(' '));
+      return tokens.every((t) => haystack.includes(t));
+    })
+    .sort((a, b) => String(b.updatedAt || b.createdAt).localeCompare(String(a.updatedAt || a.createdAt)));
+}
+
+// ── 비교 ──
+
+/** 시술 짝짓기 키 (이름이 없으면 짝을 짓지 않음) */
+function matchKey(item, idx, side) {
+  const name = normalize(item.name);
+  return name || `${side}#${idx}`;
+}
+
+const itemLabel = (item) => item.name || `시술 ${item.id}`;
+
+/**
+ * 프리셋을 불러오면 현재 상태가 어떻게 바뀌는지
+ * @param {Array<object>} currentItems
+ * @param {Array<object>} presetItems
+ * @returns {Array<{ key, name, status: 'added'|'removed'|'changed'|'same', changes: string[], presetIndex: number|null }>}
+ *   added   - 프리셋에만 있음 (불러오면 추가)
+ *   removed - 현재에만 있음 (전체 불러오기 시 사라짐)
+ *   changes - 가격/옵션 등 변경 설명 (pricingHistory.describeChanges)
+ */
+export function diffPresetItems(currentItems, presetItems) {
+  const current = new Map();
+  currentItems.forEach((item, idx) => {
+    const key = matchKey(item, idx, 'current');
+    // 같은 이름이 여럿이면 첫 번째만 짝을 지음
+    current.set(current.has(key) ? `current#${idx}` : key, item);
+  });
+  const result = [];
+
+  presetItems.forEach((item, idx) => {
+    const key = matchKey(item, idx, 'preset');
+    const before = current.get(key);
+    if (!before) {
+      result.push({ key: `preset-${idx}`, name: itemLabel(item), status: 'added', changes: [], presetIndex: idx });
+      return;
+    }
+    current.delete(key);
+    // id를 맞춰 같은 시술로 비교
+    const { changes } = describeChanges({ items: [{ ...before, id: 0 }] }, { items: [{ ...item, id: 0 }] });
+    const detail = changes.filter((c) => !c.startsWith('이름 변경'));
+    result.push({
+      key: `preset-${idx}`,
+      name: itemLabel(item),
+      status: detail.length > 0 ? 'changed' : 'same',
+      changes: detail,
+      presetIndex: idx,
+    });
+  });
+
+  for (const [key, item] of current) {
+    result.push({ key: `current-${key}`, name: itemLabel(item), status: 'removed', changes: [], presetIndex: null });
+  }
+  return result;
+}
+
+// ── 시술 단위 가져오기 ──
+
+/**
+ * 프리셋의 시술 하나를 현재 목록에 병합
+ * 같은 이름의 시술이 있으면 그 자리(id 유지)를 바꾸고, 없으면 새 id로 끝에 추가합니다.
+ * @param {Array<object>} currentItems
+ * @param {object} presetItem
+ * @returns {{ items: Array<object>, index: number, replaced: boolean }}
+ */
+export function mergePresetItem(currentItems, presetItem) {
+  const copy = JSON.parse(JSON.stringify(presetItem));
+  const key = normalize(copy.name);
+  const idx = key ? currentItems.findIndex((item) => normalize(item.name) === key) : -1;
+
+  if (idx >= 0) {
+    const items = currentItems.map((item, i) => (i === idx ? { ...copy, id: item.id } : item));
+    return { items, index: idx, replaced: true };
+  }
+
+  const nextId = currentItems.length > 0 ? Math.max(...currentItems.map((i) => Number(i.id) || 0)) + 1 : 1;
+  return { items: [...currentItems, { ...copy, id: nextId }], index: currentItems.length, replaced: false };
+}
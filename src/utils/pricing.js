@@ -5,12 +5,79 @@
  *   - session: 회차 기반 (1/3/5/10회)
  *   - shot:    샷수 기반 (100/300/600샷)
  *   - mixed:   혼합형 (N샷 × M회)
+ *   - unit:    용량 기반 (필러 1/2/3cc, 보톡스 50/100유닛)
+ *   - area:    부위 기반 (N부위 × M회, 레이저 제모 등)
+ *
+ * 회당 수량(quantity): 샷수(shot/mixed) · cc/유닛(unit) · 부위 수(area), 회차 기반은 0
  *
  * 핵심 공식:
  *   회당가 = 가격 ÷ 회차
  *   샷당가 = 가격 ÷ 총샷수
+ *   cc·유닛당가 = 가격 ÷ 용량
+ *   부위당가 = 가격 ÷ (부위 수 × 회차)
  *   할인율(%) = (1 - 옵션단가 ÷ 기준단가) × 100
+ *   원가 = 회차 × (소모품 + 인건비) + 총샷수 × 샷당 팁/카트리지 비용
+ *   마진율(%) = (가격 - 원가) ÷ 가격 × 100
+ *
+ * VAT:
+ *   - 저장되는 가격은 항상 VAT 별도(공급가) 기준
+ *   - vatMode 'included' 이면 과세 시술의 입력/표시 가격 = 공급가 × 1.1
+ *   - 면세 시술은 모드와 관계없이 공급가 그대로
+ *   - 원가/마진은 공급가 기준으로 계산
+ */
+
+/** 부가세율 */
+export const VAT_RATE = 0.1;
+
+/** VAT 모드 라벨 */
+export const VAT_MODE_LABELS = {
+  excluded: 'VAT 별도',
+  included: 'VAT 포함',
+};
+
+/** 시술 유형 라벨 */
+export const PROCEDURE_TYPE_LABELS = {
+  session: '회차 기반',
+  shot: '샷수 기반',
+  mixed: '혼합형',
+  unit: '용량 기반',
+  area: '부위 기반',
+};
+
+/** 용량 기반 시술의 단위 */
+export const UNIT_NAMES = ['cc', '유닛'];
+
+/** 최소 마진율 기본값 (%) */
+export const DEFAULT_MIN_MARGIN = 30;
+
+/**
+ * 새 시술 아이템 기본값 (수가 책정 탭의 시술 추가 / 가져온 데이터 복구 공용)
+ * @param {number} id
+ * @returns {object}
  */
+export function createDefaultItem(id) {
+  return {
+    id,
+    name: '',
+    type: 'session',
+    trialPrice: '',
+    eventPrice: '',
+    baseShots: 100,
+    taxable: true,
+    options: [],
+    competitors: [],
+    cost: {
+      enabled: false,
+      consumable: '',
+      perShot: '',
+      doctorMinutes: '',
+      doctorHourly: '',
+      nurseMinutes: '',
+      nurseHourly: '',
+      minMargin: DEFAULT_MIN_MARGIN,
+    },
+  };
+}
 
 /**
  * 금액을 지정 단위로 반올림
@@ -23,6 +90,169 @@ export function roundPrice(value, unit = 1000) {
   return Math.round(value / unit) * unit;
 }
 
+// ── 반올림 전략 ──
+
+/** 선택 가능한 반올림 단위 */
+export const ROUND_UNITS = [100, 500, 1000, 5000, 10000];
+
+/** 반올림 방식 라벨 */
+export const ROUNDING_MODE_LABELS = {
+  nearest: '반올림',
+  down: '내림',
+  up: '올림',
+  charm: '9 엔딩',
+};
+
+/**
+ * 반올림 전략 프리셋
+ *   price     - 총액(체험가/이벤트가/옵션가/패키지가)에 적용
+ *   unitPrice - 회당가/샷당가에 적용
+ */
+export const ROUNDING_PRESETS = {
+  standard: { label: '기본 (반올림)', price: 'nearest', unitPrice: 'nearest' },
+  customer: { label: '고객가 내림 · 단가 올림', price: 'down', unitPrice: 'up' },
+  charm: { label: '심리적 가격 (9,900 / 99,000)', price: 'charm', unitPrice: 'nearest' },
+};
+
+/**
+ * 반올림 전략 정규화
+ * 숫자(기존 반올림 단위)를 넘기면 단순 반올림 전략으로 취급합니다.
+ * @param {number|{ unit: number, price?: string, unitPrice?: string }} rounding
+ * @returns {{ unit: number, price: string, unitPrice: string }}
+ */
+export function normalizeRounding(rounding) {
+  if (typeof rounding === 'number' || rounding === undefined || rounding === null) {
+    return { unit: rounding || 1000, price: 'nearest', unitPrice: 'nearest' };
+  }
+  return {
+    unit: Number(rounding.unit) || 1000,
+    price: ROUNDING_MODE_LABELS[rounding.price] ? rounding.price : 'nearest',
+    unitPrice: ROUNDING_MODE_LABELS[rounding.unitPrice] ? rounding.unitPrice : 'nearest',
+  };
+}
+
+/**
+ * 전략과 일치하는 프리셋 키 ('custom' = 일치하는 프리셋 없음)
+ * @param {object} rounding
+ * @returns {string}
+ */
+export function findRoundingPreset(rounding) {
+  const { price, unitPrice } = normalizeRounding(rounding);
+  const match = Object.entries(ROUNDING_PRESETS).find(
+    ([, preset]) => preset.price === price && preset.unitPrice === unitPrice,
+  );
+  return match ? match[0] : 'custom';
+}
+
+/**
+ * 반올림 전략 적용
+ *   nearest - 단위 반올림
+ *   down    - 단위 내림
+ *   up      - 단위 올림
+ *   charm   - 가장 가까운 "단위 - 단위/10" 엔딩 (1,000원 → 9,900 / 10,000원 → 99,000, 199,000)
+ * @param {number} value    - 원래 금액
+ * @param {number|object} rounding - 반올림 단위 또는 전략
+ * @param {string} target   - 'price' | 'unitPrice'
+ * @returns {number}
+ */
+export function applyRounding(value, rounding, target = 'price') {
+  const { unit, ...modes } = normalizeRounding(rounding);
+  if (!value || value <= 0) return 0;
+  // 부동소수점 오차로 경계값이 한 단위 밀리지 않도록 보정
+  const eps = 1e-9;
+
+  switch (modes[target]) {
+    case 'down':
+      return Math.floor(value / unit + eps) * unit;
+    case 'up':
+      return Math.ceil(value / unit - eps) * unit;
+    case 'charm': {
+      const offset = unit / 10;
+      const k = Math.round((value + offset) / unit);
+      // 단위보다 작은 금액은 엔딩을 만들 수 없으므로 offset 단위 반올림
+      if (k < 1) return roundPrice(value, offset);
+      return k * unit - offset;
+    }
+    default:
+      return roundPrice(value, unit);
+  }
+}
+
+/**
+ * 전략상 바로 아래 단계 금액 (단조 하락 보정용)
+ * @param {number} value    - 전략이 적용된 금액
+ * @param {number|object} rounding
+ * @param {string} target   - 'price' | 'unitPrice'
+ * @returns {number} value보다 작은 금액
+ */
+export function stepDownPrice(value, rounding, target = 'price') {
+  const { unit } = normalizeRounding(rounding);
+  const next = applyRounding(value - unit, rounding, target);
+  return next < value ? next : value - unit;
+}
+
+/**
+ * 반올림 전략 설명 문자열 ("1,000원 단위 · 9 엔딩")
+ * @param {number|object} rounding
+ * @returns {string}
+ */
+export function describeRounding(rounding) {
+  const normalized = normalizeRounding(rounding);
+  const preset = findRoundingPreset(normalized);
+  const modeText =
+    preset === 'standard'
+      ? ''
+      : ` · 총액 ${ROUNDING_MODE_LABELS[normalized.price]} / 단가 ${ROUNDING_MODE_LABELS[normalized.unitPrice]}`;
+  return `${normalized.unit.toLocaleString('ko-KR')}원 단위${modeText}`;
+}
+
+/**
+ * 과세여부 값 해석 (지점 CSV "과세여부" 컬럼)
+ * '면세', '비과세', 'N', '0', 'false' → 면세 / 그 외(빈 값 포함) → 과세
+ * @param {string|boolean|undefined} value
+ * @returns {boolean} 과세 여부
+ */
+export function parseTaxable(value) {
+  if (value === false) return false;
+  if (value === true || value === null || value === undefined) return true;
+  const norm = String(value).replace(/\s+/g, '').toLowerCase();
+  return !['면세', '비과세', 'n', 'no', '0', 'false', 'x'].includes(norm);
+}
+
+/**
+ * 공급가 → 표시 가격 환산 배율
+ * @param {string}  vatMode - 'excluded' | 'included'
+ * @param {boolean} taxable - 과세 여부
+ * @returns {number} 1 또는 1 + VAT_RATE
+ */
+export function getVatFactor(vatMode, taxable = true) {
+  return vatMode === 'included' && taxable ? 1 + VAT_RATE : 1;
+}
+
+/**
+ * 공급가(VAT 별도) → 표시 기준 가격
+ * @param {number}  price   - 공급가
+ * @param {string}  vatMode - 'excluded' | 'included'
+ * @param {boolean} taxable - 과세 여부
+ * @returns {number} 표시 가격 (원 단위 반올림)
+ */
+export function toVatDisplay(price, vatMode, taxable = true) {
+  if (!price) return 0;
+  return Math.round(price * getVatFactor(vatMode, taxable));
+}
+
+/**
+ * 표시 기준 가격 → 공급가(VAT 별도)
+ * @param {number}  price   - 입력된 표시 가격
+ * @param {string}  vatMode - 'excluded' | 'included'
+ * @param {boolean} taxable - 과세 여부
+ * @returns {number} 공급가 (원 단위 반올림)
+ */
+export function fromVatDisplay(price, vatMode, taxable = true) {
+  if (!price) return 0;
+  return Math.round(price / getVatFactor(vatMode, taxable));
+}
+
 /**
  * 할인율 계산 (소수점 1자리)
  * @param {number} baseUnitPrice   - 기준 단가 (체험가 또는 이벤트가의 단가)
@@ -50,16 +280,158 @@ export function calcCompetitorAdvantage(competitorUnitPrice, ourUnitPrice) {
 }
 
 /**
- * 단가 계산 (유형에 따라 회당가 또는 샷당가)
- * @param {string} type      - 시술 유형 (session | shot | mixed)
- * @param {number} price     - 가격
- * @param {number} sessions  - 회차 (session/mixed)
- * @param {number} shots     - 샷수 (shot/mixed)
- * @param {number} roundUnit - 반올림 단위
+ * 중앙값
+ * @param {number[]} values
+ * @returns {number|null}
+ */
+export function calcMedian(values) {
+  if (!values || values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? Math.round((sorted[mid - 1] + sorted[mid]) / 2)
+    : sorted[mid];
+}
+
+/**
+ * 시장 포지션 계산 (한 구간 기준)
+ * 각 경쟁사 대비 우위와 시장 중앙값 대비 우위를 함께 반환합니다.
+ * @param {number} ourUnitPrice - 우리 단가
+ * @param {Array<{ name: string, unitPrice: number }>} competitorUnits - 같은 구간의 경쟁사 단가
+ * @returns {{ min: number, median: number, max: number, count: number,
+ *             perCompetitor: Array<{ name: string, unitPrice: number, advantage: number|null }>,
+ *             medianAdvantage: number|null, rank: number }|null}
+ *   rank - 우리 포함 저렴한 순위 (1 = 최저가)
+ */
+export function calcMarketPosition(ourUnitPrice, competitorUnits) {
+  const valid = (competitorUnits || []).filter((c) => c.unitPrice > 0);
+  if (valid.length === 0) return null;
+
+  const units = valid.map((c) => c.unitPrice);
+  const median = calcMedian(units);
+
+  return {
+    min: Math.min(...units),
+    median,
+    max: Math.max(...units),
+    count: valid.length,
+    perCompetitor: valid.map((c) => ({
+      name: c.name,
+      unitPrice: c.unitPrice,
+      advantage: calcCompetitorAdvantage(c.unitPrice, ourUnitPrice),
+    })),
+    medianAdvantage: ourUnitPrice > 0 ? calcCompetitorAdvantage(median, ourUnitPrice) : null,
+    rank: ourUnitPrice > 0 ? units.filter((u) => u < ourUnitPrice).length + 1 : null,
+  };
+}
+
+/**
+ * 시술의 경쟁사 목록 (구버전 단일 competitor 데이터 호환)
+ * @param {object} item
+ * @returns {Array<{ _id?: number, name: string, ladder: Array<{ sessions, shots, price }> }>}
+ */
+export function getItemCompetitors(item) {
+  if (Array.isArray(item.competitors)) return item.competitors;
+  const legacy = item.competitor;
+  if (legacy && legacy.enabled) {
+    return [{
+      name: legacy.name || '',
+      ladder: [{ sessions: legacy.sessions, shots: legacy.shots, price: legacy.price }],
+    }];
+  }
+  return [];
+}
+
+/**
+ * 회당 수량 (샷수 / cc·유닛 / 부위 수)
+ * 옵션·경쟁사 구간에 값이 없으면 시술의 기준 수량을 사용합니다.
+ * @param {string} type  - 시술 유형
+ * @param {object} entry - 옵션 또는 경쟁사 구간 { shots, units, areas }
+ * @param {object} item  - 시술 데이터 { baseShots, baseUnits }
+ * @returns {number} 회당 수량 (회차 기반은 0)
+ */
+export function getPerSessionQuantity(type, entry, item = {}) {
+  switch (type) {
+    case 'shot':
+    case 'mixed':
+      return entry.shots || item.baseShots || 0;
+    case 'unit':
+      return entry.units || item.baseUnits || 1;
+    case 'area':
+      return entry.areas || 1;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * 체험가/이벤트가의 기준 수량 (1회 기준)
+ * @param {string} type - 시술 유형
+ * @param {object} item - 시술 데이터 { baseShots, baseUnits }
+ * @returns {number}
+ */
+export function getBaseQuantity(type, item = {}) {
+  switch (type) {
+    case 'shot':
+    case 'mixed':
+      return item.baseShots || 100;
+    case 'unit':
+      return item.baseUnits || 1;
+    case 'area':
+      return 1;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * 옵션 구간을 회당 수량(샷수 / cc·유닛)으로 나누는 유형인지 여부
+ * 그 외 유형은 회차로 구간을 나눕니다. (혼합형은 샷수 구간 × 1회)
+ * @param {string} type - 시술 유형
+ * @returns {boolean}
+ */
+export function usesQuantityTiers(type) {
+  return type === 'shot' || type === 'unit';
+}
+
+/**
+ * 구간 라벨 (예: "5회", "300샷", "2cc", "3부위 × 5회")
+ * @param {string} type     - 시술 유형
+ * @param {number} sessions - 회차
+ * @param {number} quantity - 회당 수량
+ * @param {string} [unitName] - 용량 단위 (cc | 유닛)
+ * @returns {string}
+ */
+export function formatTierLabel(type, sessions, quantity, unitName = 'cc') {
+  switch (type) {
+    case 'session':
+      return `${sessions}회`;
+    case 'shot':
+      return `${quantity}샷`;
+    case 'mixed':
+      return `${quantity}샷 × ${sessions}회`;
+    case 'unit':
+      return `${quantity}${unitName}`;
+    case 'area':
+      return `${quantity}부위 × ${sessions}회`;
+    default:
+      return '옵션';
+  }
+}
+
+/**
+ * 단가 계산 (유형에 따라 회당가 / 샷당가 / cc·유닛당가 / 부위당가)
+ * @param {string} type      - 시술 유형 (session | shot | mixed | unit | area)
+ * @param {number} price     - 가격 (공급가)
+ * @param {number} sessions  - 회차 (session/mixed/area)
+ * @param {number} quantity  - 회당 수량 (샷수 / cc·유닛 / 부위 수)
+ * @param {number|object} rounding - 반올림 단위 또는 반올림 전략 (unitPrice 방식 적용)
+ * @param {{ mode: string, taxable: boolean }} [vat] - 지정 시 표시 기준(VAT 포함/별도) 단가
  * @returns {number} 단가
  */
-export function calcUnitPrice(type, price, sessions, shots, roundUnit = 1000) {
+export function calcUnitPrice(type, price, sessions, quantity, rounding = 1000, vat = null) {
   if (!price || price <= 0) return 0;
+  if (vat) price = toVatDisplay(price, vat.mode, vat.taxable);
 
   let unitPrice = 0;
   switch (type) {
@@ -67,199 +439,322 @@ export function calcUnitPrice(type, price, sessions, shots, roundUnit = 1000) {
       if (sessions && sessions > 0) unitPrice = price / sessions;
       break;
     case 'shot':
-      if (shots && shots > 0) unitPrice = price / shots;
+    case 'unit':
+      if (quantity && quantity > 0) unitPrice = price / quantity;
       break;
-    case 'mixed': {
-      const totalShots = (shots || 0) * (sessions || 0);
-      if (totalShots > 0) unitPrice = price / totalShots;
+    case 'mixed':
+    case 'area': {
+      const total = (quantity || 0) * (sessions || 0);
+      if (total > 0) unitPrice = price / total;
       break;
     }
     default:
       break;
   }
 
-  return roundPrice(unitPrice, roundUnit);
+  return applyRounding(unitPrice, rounding, 'unitPrice');
 }
 
 /**
- * 총량(총 회차 또는 총 샷수) 계산
+ * 총량(총 회차 / 총 샷수 / 총 용량 / 총 부위·회) 계산
  * @param {string} type     - 시술 유형
  * @param {number} sessions - 회차
- * @param {number} shots    - 샷수
+ * @param {number} quantity - 회당 수량 (샷수 / cc·유닛 / 부위 수)
  * @returns {number} 총량
  */
-export function calcTotalQuantity(type, sessions, shots) {
+export function calcTotalQuantity(type, sessions, quantity) {
   switch (type) {
     case 'session':
       return sessions || 0;
     case 'shot':
-      return shots || 0;
+    case 'unit':
+      return quantity || 0;
     case 'mixed':
-      return (shots || 0) * (sessions || 0);
+    case 'area':
+      return (quantity || 0) * (sessions || 0);
     default:
       return 0;
   }
 }
 
+/**
+ * 행 원가 계산 (소모품 + 팁/카트리지 + 의사/간호사 인건비)
+ * 회차 기반 시술은 샷 비용을 계산하지 않습니다.
+ * 용량 기반은 perShot을 cc·유닛당 제품 원가로, 부위 기반은 회당 비용을 부위마다 계산합니다.
+ * @param {string} type     - 시술 유형
+ * @param {number} sessions - 회차
+ * @param {number} quantity - 회당 수량 (샷수 / cc·유닛 / 부위 수)
+ * @param {object} cost     - 원가 설정
+ *   { consumable, perShot, doctorMinutes, doctorHourly, nurseMinutes, nurseHourly }
+ * @returns {number} 총 원가 (원)
+ */
+export function calcRowCost(type, sessions, quantity, cost) {
+  if (!cost) return 0;
+  const laborPerSession =
+    ((cost.doctorMinutes || 0) / 60) * (cost.doctorHourly || 0) +
+    ((cost.nurseMinutes || 0) / 60) * (cost.nurseHourly || 0);
+  const perSession = (cost.consumable || 0) + laborPerSession;
+
+  if (type === 'area') {
+    return Math.round((sessions || 0) * (quantity || 0) * perSession);
+  }
+
+  let totalUnits = 0;
+  if (type === 'shot' || type === 'unit') totalUnits = quantity || 0;
+  else if (type === 'mixed') totalUnits = (quantity || 0) * (sessions || 0);
+
+  return Math.round((sessions || 0) * perSession + totalUnits * (cost.perShot || 0));
+}
+
+/**
+ * 마진 / 마진율 계산
+ * @param {number} price - 판매가
+ * @param {number} cost  - 원가
+ * @returns {{ margin: number, marginPercent: number|null }}
+ */
+export function calcMargin(price, cost) {
+  const margin = Math.round((price || 0) - (cost || 0));
+  if (!price || price <= 0) return { margin, marginPercent: null };
+  return { margin, marginPercent: Math.round((margin / price) * 1000) / 10 };
+}
+
+/**
+ * 입력 폼 상태(문자열 포함)의 시술을 계산용 숫자 값으로 정규화
+ * @param {object} item - 편집 중인 시술 데이터
+ * @returns {object} computeItemRows에 넘길 시술 데이터
+ */
+export function toNumericItem(item) {
+  return {
+    ...item,
+    trialPrice: Number(item.trialPrice) || 0,
+    eventPrice: Number(item.eventPrice) || 0,
+    baseShots: Number(item.baseShots) || 100,
+    baseUnits: Number(item.baseUnits) || 1,
+    options: (item.options || []).map((opt) => ({
+      ...opt,
+      price: Number(opt.price) || 0,
+      sessions: Number(opt.sessions) || 1,
+      shots: Number(opt.shots) || 100,
+      units: Number(opt.units) || 0,
+      areas: Number(opt.areas) || 0,
+    })),
+    competitors: getItemCompetitors(item).map((comp) => ({
+      ...comp,
+      ladder: (comp.ladder || []).map((entry) => ({
+        ...entry,
+        price: Number(entry.price) || 0,
+        sessions: Number(entry.sessions) || 1,
+        shots: Number(entry.shots) || 100,
+        units: Number(entry.units) || 0,
+        areas: Number(entry.areas) || 0,
+      })),
+    })),
+    cost: item.cost?.enabled
+      ? {
+          enabled: true,
+          consumable: Number(item.cost.consumable) || 0,
+          perShot: Number(item.cost.perShot) || 0,
+          doctorMinutes: Number(item.cost.doctorMinutes) || 0,
+          doctorHourly: Number(item.cost.doctorHourly) || 0,
+          nurseMinutes: Number(item.cost.nurseMinutes) || 0,
+          nurseHourly: Number(item.cost.nurseHourly) || 0,
+        }
+      : { enabled: false },
+  };
+}
+
 /**
  * 하나의 시술(item) 전체 결과 행 계산
+ * 행의 price/unitPrice는 vatMode 표시 기준, 원가/마진은 공급가 기준입니다.
  * @param {object} item      - 시술 데이터
- * @param {number} roundUnit - 반올림 단위
+ * @param {number|object} rounding - 반올림 단위 또는 반올림 전략
+ * @param {string} vatMode   - 'excluded' | 'included'
  * @returns {Array<object>} 결과 행 배열
  */
-export function computeItemRows(item, roundUnit = 1000) {
+export function computeItemRows(item, rounding = 1000, vatMode = 'excluded') {
   const {
     type,
     trialPrice,
     eventPrice,
-    baseShots,
     options,
-    competitor,
+    cost,
   } = item;
+  const unitName = item.unitName || 'cc';
+  const competitors = getItemCompetitors(item);
 
   const rows = [];
+  const hasCost = Boolean(cost && cost.enabled);
+  const vat = { mode: vatMode, taxable: item.taxable !== false };
+  const display = (price) => toVatDisplay(price || 0, vat.mode, vat.taxable);
+
+  /** 원가 분석 필드 (원가 미설정 시 null) */
+  const costFields = (price, sessions, quantity) => {
+    if (!hasCost) {
+      return { cost: null, margin: null, marginPercent: null, breakEvenPrice: null };
+    }
+    const rowCost = calcRowCost(type, sessions, quantity, cost);
+    return {
+      cost: rowCost,
+      ...calcMargin(price || 0, rowCost),
+      breakEvenPrice: display(rowCost),
+    };
+  };
 
   // ── 1) 체험가 행 ──
+  const baseQuantity = getBaseQuantity(type, item);
   const trialSessions = 1;
-  const trialShots =
-    type === 'shot' || type === 'mixed' ? (baseShots || 100) : 0;
   const trialUnitPrice = calcUnitPrice(
     type,
     trialPrice,
     trialSessions,
-    trialShots,
-    roundUnit,
+    baseQuantity,
+    rounding,
+    vat,
   );
 
   rows.push({
     rowType: 'trial',
     label: '1회체험가',
-    price: trialPrice || 0,
+    price: display(trialPrice),
     sessions: trialSessions,
-    shots: trialShots,
-    totalQuantity: calcTotalQuantity(type, trialSessions, trialShots),
+    quantity: baseQuantity,
+    totalQuantity: calcTotalQuantity(type, trialSessions, baseQuantity),
     unitPrice: trialUnitPrice,
     discountFromTrial: null,
     discountFromEvent: null,
+    ...costFields(trialPrice, trialSessions, baseQuantity),
     violation: false,
   });
 
   // ── 2) 이벤트가 행 ──
   const eventSessions = 1;
-  const eventShots =
-    type === 'shot' || type === 'mixed' ? (baseShots || 100) : 0;
   const eventUnitPrice = calcUnitPrice(
     type,
     eventPrice,
     eventSessions,
-    eventShots,
-    roundUnit,
+    baseQuantity,
+    rounding,
+    vat,
   );
 
-  const eventLabel =
-    type === 'shot'
-      ? `이벤트가 (${eventShots}샷)`
-      : type === 'mixed'
-        ? `이벤트가 (${eventShots}샷×1회)`
-        : '이벤트가 (1회)';
+  const eventLabel = `이벤트가 (${formatTierLabel(type, eventSessions, baseQuantity, unitName)})`;
 
   rows.push({
     rowType: 'event',
     label: eventLabel,
-    price: eventPrice || 0,
+    price: display(eventPrice),
     sessions: eventSessions,
-    shots: eventShots,
-    totalQuantity: calcTotalQuantity(type, eventSessions, eventShots),
+    quantity: baseQuantity,
+    totalQuantity: calcTotalQuantity(type, eventSessions, baseQuantity),
     unitPrice: eventUnitPrice,
     discountFromTrial: calcDiscountRate(trialUnitPrice, eventUnitPrice),
     discountFromEvent: null,
+    ...costFields(eventPrice, eventSessions, baseQuantity),
     violation: false,
   });
 
   // ── 3) 옵션 행들 ──
   if (options && options.length > 0) {
-    options.forEach((opt) => {
+    options.forEach((opt, optionIndex) => {
       const optSessions = opt.sessions || 1;
-      const optShots = opt.shots || baseShots || 0;
+      const optQuantity = getPerSessionQuantity(type, opt, item);
       const optUnitPrice = calcUnitPrice(
         type,
         opt.price,
         optSessions,
-        optShots,
-        roundUnit,
+        optQuantity,
+        rounding,
+        vat,
       );
-      const optTotalQty = calcTotalQuantity(type, optSessions, optShots);
-
-      let label = '';
-      switch (type) {
-        case 'session':
-          label = `${optSessions}회`;
-          break;
-        case 'shot':
-          label = `${optShots}샷`;
-          break;
-        case 'mixed':
-          label = `${optShots}샷 × ${optSessions}회 (총 ${optShots * optSessions}샷)`;
-          break;
-        default:
-          label = '옵션';
-      }
+      const optTotalQty = calcTotalQuantity(type, optSessions, optQuantity);
+
+      let label = formatTierLabel(type, optSessions, optQuantity, unitName);
+      if (type === 'mixed') label += ` (총 ${optTotalQty}샷)`;
+      else if (type === 'area') label += ` (총 ${optTotalQty}부위·회)`;
 
       rows.push({
         rowType: 'option',
+        optionIndex,
         label,
-        price: opt.price || 0,
+        price: display(opt.price),
         sessions: optSessions,
-        shots: optShots,
+        quantity: optQuantity,
         totalQuantity: optTotalQty,
         unitPrice: optUnitPrice,
         discountFromTrial: calcDiscountRate(trialUnitPrice, optUnitPrice),
         discountFromEvent: calcDiscountRate(eventUnitPrice, optUnitPrice),
+        ...costFields(opt.price, optSessions, optQuantity),
         violation: false,
       });
     });
   }
 
-  // ── 4) 경쟁사 행 ──
-  if (competitor && competitor.enabled) {
-    const compSessions = competitor.sessions || 1;
-    const compShots = competitor.shots || baseShots || 0;
-    const compUnitPrice = calcUnitPrice(
-      type,
-      competitor.price,
-      compSessions,
-      compShots,
-      roundUnit,
-    );
-    const advantage = calcCompetitorAdvantage(compUnitPrice, eventUnitPrice);
-
-    let label = competitor.name || '경쟁사';
-    switch (type) {
-      case 'session':
-        label += ` (${compSessions}회)`;
-        break;
-      case 'shot':
-        label += ` (${compShots}샷)`;
-        break;
-      case 'mixed':
-        label += ` (${compShots}샷×${compSessions}회)`;
-        break;
-    }
+  // ── 4) 경쟁사 행 (경쟁사별 가격 사다리) ──
+  const competitorRows = [];
+  competitors.forEach((comp, compIdx) => {
+    const compName = comp.name || `경쟁사 ${compIdx + 1}`;
+    (comp.ladder || []).forEach((entry) => {
+      if (!entry.price || entry.price <= 0) return;
+      const compSessions = entry.sessions || 1;
+      const compQuantity = getPerSessionQuantity(type, entry, item);
+      const compQty = calcTotalQuantity(type, compSessions, compQuantity);
+      const compUnitPrice = calcUnitPrice(
+        type,
+        entry.price,
+        compSessions,
+        compQuantity,
+        rounding,
+        vat,
+      );
+
+      // 같은 수량의 우리 구간과 비교 (없으면 이벤트가 기준)
+      const ourRow = rows.find((r) => r.rowType !== 'trial' && r.totalQuantity === compQty);
+      const advantage = calcCompetitorAdvantage(
+        compUnitPrice,
+        ourRow ? ourRow.unitPrice : eventUnitPrice,
+      );
 
-    rows.push({
-      rowType: 'competitor',
-      label,
-      price: competitor.price || 0,
-      sessions: compSessions,
-      shots: compShots,
-      totalQuantity: calcTotalQuantity(type, compSessions, compShots),
-      unitPrice: compUnitPrice,
-      discountFromTrial: null,
-      discountFromEvent: null,
-      competitorAdvantage: advantage,
-      violation: false,
+      const label = `${compName} (${formatTierLabel(type, compSessions, compQuantity, unitName)})`;
+
+      competitorRows.push({
+        rowType: 'competitor',
+        competitorIndex: compIdx,
+        competitorName: compName,
+        label,
+        price: display(entry.price),
+        sessions: compSessions,
+        quantity: compQuantity,
+        totalQuantity: compQty,
+        unitPrice: compUnitPrice,
+        discountFromTrial: null,
+        discountFromEvent: null,
+        competitorAdvantage: advantage,
+        cost: null,
+        margin: null,
+        marginPercent: null,
+        breakEvenPrice: null,
+        market: null,
+        violation: false,
+      });
     });
-  }
+  });
+
+  // ── 5) 구간별 시장 포지션 (최저/중앙/최고 단가) ──
+  // 경쟁사마다 같은 수량 가격이 있으면 그 단가, 없으면 그 수량 이하 중 가장 큰 구간 단가 사용
+  rows.forEach((row) => {
+    const units = [];
+    competitors.forEach((comp, compIdx) => {
+      const candidates = competitorRows
+        .filter((cr) => cr.competitorIndex === compIdx && cr.totalQuantity <= row.totalQuantity)
+        .sort((a, b) => b.totalQuantity - a.totalQuantity);
+      if (candidates.length > 0) {
+        units.push({ name: candidates[0].competitorName, unitPrice: candidates[0].unitPrice });
+      }
+    });
+    row.market = calcMarketPosition(row.unitPrice, units);
+  });
+
+  rows.push(...competitorRows);
 
   return rows;
 }
@@ -271,14 +766,15 @@ export function computeItemRows(item, roundUnit = 1000) {
  *   1. 경쟁사 단가에서 할인율 적용 → 이벤트가 단가
  *   2. 이벤트가에 마크업 적용 → 체험가
  *   3. 각 옵션 구간별 점진적 할인 적용 (단조 하락 보장)
+ *   4. 반올림 전략 적용 후 단가가 이전 구간 이상이면 총액을 한 단계씩 내려 단조 하락 유지
  *
  * @param {object} config     - 자동 가격 설정
- * @param {object} competitor - 경쟁사 데이터 { price, sessions, shots }
- * @param {string} type       - 시술 유형 (session | shot | mixed)
- * @param {number} roundUnit  - 반올림 단위
- * @returns {object} { trialPrice, eventPrice, baseShots, options }
+ * @param {object} competitor - 경쟁사 데이터 { price, sessions, shots, units, areas }
+ * @param {string} type       - 시술 유형 (session | shot | mixed | unit | area)
+ * @param {number|object} rounding - 반올림 단위 또는 반올림 전략
+ * @returns {object} { trialPrice, eventPrice, baseShots, baseUnits?, options }
  */
-export function generateAutoPricing(config, competitor, type, roundUnit) {
+export function generateAutoPricing(config, competitor, type, rounding) {
   const {
     competitorDiscount = 10,
     trialMarkup = 15,
@@ -286,13 +782,15 @@ export function generateAutoPricing(config, competitor, type, roundUnit) {
     shotTiers = [300, 600, 1000],
     minDiscountStep = 1000,
   } = config;
+  const { unit } = normalizeRounding(rounding);
 
+  const compQuantity = getPerSessionQuantity(type, competitor, { baseShots: 100 });
   const compUnitPrice = calcUnitPrice(
     type,
     competitor.price,
     competitor.sessions || 1,
-    competitor.shots || 100,
-    roundUnit,
+    compQuantity,
+    rounding,
   );
 
   if (compUnitPrice <= 0) {
@@ -300,78 +798,108 @@ export function generateAutoPricing(config, competitor, type, roundUnit) {
   }
 
   // 우리 이벤트가 단가 = 경쟁사 - 할인%
-  const eventUnitPrice = roundPrice(
+  const eventUnitPrice = applyRounding(
     compUnitPrice * (1 - competitorDiscount / 100),
-    roundUnit,
+    rounding,
+    'unitPrice',
   );
 
-  // 이벤트가 (1회/기준샷수 기준)
+  // 이벤트가 (1회/기준샷수/기준 용량/1부위 기준)
   const baseShots = competitor.shots || 100;
+  const baseQuantity = type === 'area' ? 1 : compQuantity;
+  const baseItem = { baseShots, baseUnits: baseQuantity };
   const eventPrice =
     type === 'session'
-      ? eventUnitPrice
-      : roundPrice(eventUnitPrice * baseShots, roundUnit);
+      ? applyRounding(eventUnitPrice, rounding, 'price')
+      : applyRounding(eventUnitPrice * baseQuantity, rounding, 'price');
 
   // 체험가 = 이벤트가 + 마크업
-  const trialPrice = roundPrice(eventPrice * (1 + trialMarkup / 100), roundUnit);
+  const trialPrice = applyRounding(eventPrice * (1 + trialMarkup / 100), rounding, 'price');
 
   // 옵션 생성 (점진적 할인, 단조 하락 보장)
-  const tiers = type === 'shot' ? shotTiers : sessionTiers;
+  const quantityTiers = usesQuantityTiers(type);
+  const tiers = quantityTiers ? shotTiers : sessionTiers;
   const options = [];
-  let prevUnitPrice = eventUnitPrice;
+  // 결과표에 표시될 이벤트가 단가 (검증과 동일한 방식으로 계산)
+  let prevUnitPrice = calcUnitPrice(type, eventPrice, 1, baseQuantity, rounding);
 
   for (let i = 0; i < tiers.length; i++) {
     const tierValue = tiers[i];
     if (tierValue <= 0) continue;
 
-    const baseQty = type === 'shot' ? baseShots : 1;
+    const baseQty = quantityTiers ? baseQuantity : 1;
     const tierRatio = tierValue / baseQty;
     if (tierRatio <= 1) continue;
 
     // 점진적 할인: sqrt 곡선
     const progressiveDiscount = 1 - 1 / Math.sqrt(tierRatio);
-    let targetUnitPrice = roundPrice(
+    let targetUnitPrice = applyRounding(
       eventUnitPrice * (1 - progressiveDiscount),
-      roundUnit,
+      rounding,
+      'unitPrice',
     );
 
     // 단조 하락 보장
     if (targetUnitPrice >= prevUnitPrice) {
-      targetUnitPrice = prevUnitPrice - (minDiscountStep || roundUnit);
+      targetUnitPrice = prevUnitPrice - (minDiscountStep || unit);
     }
-    targetUnitPrice = Math.max(roundPrice(targetUnitPrice, roundUnit), 0);
-
-    const totalPrice = roundPrice(targetUnitPrice * tierValue, roundUnit);
+    targetUnitPrice = Math.max(applyRounding(targetUnitPrice, rounding, 'unitPrice'), 0);
 
-    const opt = { _id: Date.now() + i, price: totalPrice };
+    const opt = { _id: Date.now() + i };
     if (type === 'session') {
       opt.sessions = tierValue;
     } else if (type === 'shot') {
       opt.shots = tierValue;
+    } else if (type === 'unit') {
+      opt.units = tierValue;
+    } else if (type === 'area') {
+      opt.sessions = tierValue;
+      opt.areas = 1;
     } else {
       opt.shots = tierValue;
       opt.sessions = 1;
     }
 
+    // 반올림 전략(올림·9 엔딩 등) 적용 후에도 단가가 이전 구간보다 낮아질 때까지 한 단계씩 내림
+    const optUnitPrice = (price) =>
+      calcUnitPrice(type, price, opt.sessions || 1, getPerSessionQuantity(type, opt, baseItem), rounding);
+    let totalPrice = applyRounding(targetUnitPrice * tierValue, rounding, 'price');
+    while (totalPrice > 0 && optUnitPrice(totalPrice) >= prevUnitPrice) {
+      totalPrice = stepDownPrice(totalPrice, rounding, 'price');
+    }
+    totalPrice = Math.max(totalPrice, 0);
+
+    opt.price = totalPrice;
     options.push(opt);
-    prevUnitPrice = targetUnitPrice;
+    prevUnitPrice = optUnitPrice(totalPrice);
   }
 
-  return { trialPrice, eventPrice, baseShots, options };
+  return {
+    trialPrice,
+    eventPrice,
+    baseShots,
+    ...(type === 'unit' ? { baseUnits: baseQuantity } : {}),
+    options,
+  };
 }
 
 /**
  * 단가 라벨 반환 (유형별)
- * @param {string} type - 시술 유형
- * @returns {string} "회당가" 또는 "샷당가"
+ * @param {string} type       - 시술 유형
+ * @param {string} [unitName] - 용량 기반 시술의 단위 (cc | 유닛)
+ * @returns {string} "회당가" / "샷당가" / "cc당가" / "부위당가"
  */
-export function getUnitLabel(type) {
+export function getUnitLabel(type, unitName = 'cc') {
   switch (type) {
     case 'session':
       return '회당가';
     case 'shot':
     case 'mixed':
       return '샷당가';
+    case 'unit':
+      return `${unitName}당가`;
+    case 'area':
+      return '부위당가';
     default:
       return '단가';
   }
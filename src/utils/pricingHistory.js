@@ -0,0 +1,295 @@
+/**
+ * pricingHistory.js - 수가 책정 탭 버전 이력 (스냅샷)
+ *
+ * 자동 저장('vans-pricing-data')은 매번 덮어쓰므로, 일정 주기와 큰 편집 시점에
+ * 수가 책정 상태 전체({ items, activeTab })를 스냅샷으로 따로 보관합니다.
+ *
+ * 저장 구조:
+ *   'vans-pricing-history' → [{ id, takenAt, reason, summary, data }]  (오래된 순, 최대 MAX_SNAPSHOTS개)
+ *
+ * 스냅샷 사유 (reason):
+ *   auto    - 주기 저장 (마지막 스냅샷 이후 변경이 있을 때만)
+ *   edit    - 큰 편집 (시술 추가/삭제, 이름·유형 변경, 옵션 구간 변경, 가격 여러 건 변경, 프리셋 불러오기 등)
+ *   manual  - 사용자가 직접 저장
+ *   restore - 다른 스냅샷으로 복원하기 직전 상태
+ */
+
+import { kvStore } from './kvStore';
+import { computeItemRows, toNumericItem, formatNumber } from './pricing';
+
+const HISTORY_KEY = 'vans-pricing-history';
+const MAX_SNAPSHOTS = 50;
+
+/** 주기 스냅샷 간격 (ms) */
+export const SNAPSHOT_INTERVAL = 5 * 60 * 1000;
+
+/** 가격 필드가 이 건수 이상 바뀌면 큰 편집으로 봄 */
+const SIGNIFICANT_PRICE_CHANGES = 3;
+
+export const SNAPSHOT_REASON_LABELS = {
+  auto: '자동',
+  edit: '편집',
+  manual: '수동',
+  restore: '복원 전',
+};
+
+// ── 저장/불러오기 ──
+
+/**
+ * 스냅샷 목록 (오래된 순)
+ * @returns {Array<{ id: string, takenAt: string, reason: string, summary: string, data: object }>}
+ */
+export function loadHistory() {
+  try {
+    const raw = kvStore.getItem(HISTORY_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    // 백업 병합 등으로 순서가 섞였을 수 있으므로 시각 순 정렬
+    return Array.isArray(parsed)
+      ? [...parsed].sort((a, b) => String(a.takenAt).localeCompare(String(b.takenAt)))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+function saveHistory(history) {
+  try {
+    kvStore.setItem(HISTORY_KEY, JSON.stringify(history.slice(-MAX_SNAPSHOTS)));
+  } catch (err) {
+    console.error('버전 이력 저장 실패:', err);
+  }
+}
+
+/**
+ * 스냅샷 삭제
+ * @param {string} id
+ */
+export function deleteSnapshot(id) {
+  saveHistory(loadHistory().filter((s) => s.id !== id));
+}
+
+/** 전체 이력 삭제 */
+export function clearHistory() {
+  kvStore.removeItem(HISTORY_KEY);
+}
+
+// ── 변경 요약 ──
+
+const itemName = (item) => item.name || `시술 ${item.id}`;
+const samePrice = (a, b) => (Number(a) || 0) === (Number(b) || 0);
+const priceText = (value) => `${formatNumber(Number(value) || 0)}원`;
+
+/** 옵션 식별자 (_id가 없으면 순서) */
+const optionKey = (opt, idx) => opt._id ?? `#${idx}`;
+
+/**
+ * 두 상태 사이의 변경 목록
+ * @param {object|null} prev - 이전 { items }
+ * @param {object}      next - 이후 { items }
+ * @returns {{ changes: string[], priceChanges: number, structural: boolean }}
+ *   structural - 시술 추가/삭제, 이름·유형 변경, 옵션 구간 추가/삭제
+ */
+export function describeChanges(prev, next) {
+  const prevItems = prev?.items || [];
+  const nextItems = next?.items || [];
+  const changes = [];
+  let priceChanges = 0;
+  let structural = false;
+
+  const prevById = new Map(prevItems.map((item) => [item.id, item]));
+  const nextIds = new Set(nextItems.map((item) => item.id));
+
+  for (const item of nextItems) {
+    const before = prevById.get(item.id);
+    if (!before) {
+      changes.push(`시술 추가: ${itemName(item)}`);
+      structural = true;
+      continue;
+    }
+
+    const name = itemName(item);
+    if ((before.name || '') !== (item.name || '')) {
+      changes.push(`이름 변경: ${itemName(before)} → ${name}`);
+      structural = true;
+    }
+    if (before.type !== item.type) {
+      changes.push(`${name} 유형 변경`);
+      structural = true;
+    }
+    if (!samePrice(before.trialPrice, item.trialPrice)) {
+      changes.push(`${name} 체험가 ${priceText(before.trialPrice)} → ${priceText(item.trialPrice)}`);
+      priceChanges += 1;
+    }
+    if (!samePrice(before.eventPrice, item.eventPrice)) {
+      changes.push(`${name} 이벤트가 ${priceText(before.eventPrice)} → ${priceText(item.eventPrice)}`);
+      priceChanges += 1;
+    }
+
+    const beforeOpts = new Map((before.options || []).map((opt, i) => [optionKey(opt, i), opt]));
+    const afterOpts = item.options || [];
+    const added = afterOpts.filter((opt, i) => !beforeOpts.has(optionKey(opt, i))).length;
+    const removed = beforeOpts.size - (afterOpts.length - added);
+    if (added > 0 || removed > 0) {
+      changes.push(`${name} 옵션 구간 ${[added && `${added}개 추가`, removed && `${removed}개 삭제`].filter(Boolean).join(', ')}`);
+      structural = true;
+    }
+    const repriced = afterOpts.filter((opt, i) => {
+      const old = beforeOpts.get(optionKey(opt, i));
+      return old && !samePrice(old.price, opt.price);
+    }).length;
+    if (repriced > 0) {
+      changes.push(`${name} 옵션 가격 ${repriced}건 변경`);
+      priceChanges += repriced;
+    }
+
+    if (JSON.stringify(before.competitors || before.competitor || null)
+      !== JSON.stringify(item.competitors || item.competitor || null)) {
+      changes.push(`${name} 경쟁사 가격 변경`);
+    }
+    if (JSON.stringify(before.cost || null) !== JSON.stringify(item.cost || null)) {
+      changes.push(`${name} 원가 변경`);
+    }
+  }
+
+  for (const item of prevItems) {
+    if (!nextIds.has(item.id)) {
+      changes.push(`시술 삭제: ${itemName(item)}`);
+      structural = true;
+    }
+  }
+
+  return { changes, priceChanges, structural };
+}
+
+/**
+ * 변경 목록 → 한 줄 요약
+ * @param {string[]} changes
+ * @returns {string}
+ */
+function summarize(changes) {
+  if (changes.length === 0) return '변경 없음';
+  if (changes.length <= 2) return changes.join(', ');
+  return `${changes.slice(0, 2).join(', ')} 외 ${changes.length - 2}건`;
+}
+
+/**
+ * 큰 편집인지 (스냅샷을 바로 남길지) 판단
+ * @param {object|null} prev
+ * @param {object}      next
+ * @returns {boolean}
+ */
+export function isSignificantChange(prev, next) {
+  const { structural, priceChanges } = describeChanges(prev, next);
+  return structural || priceChanges >= SIGNIFICANT_PRICE_CHANGES;
+}
+
+// ── 스냅샷 기록 ──
+
+/** 편집 중 화면 전용 값을 빼고 비교/보관 */
+function stripTransient(data) {
+  return { items: data.items || [], activeTab: data.activeTab || 0 };
+}
+
+/**
+ * 가장 최근 스냅샷
+ * @returns {object|null}
+ */
+export function getLatestSnapshot() {
+  const history = loadHistory();
+  return history.length > 0 ? history[history.length - 1] : null;
+}
+
+/**
+ * 스냅샷 기록 (최근 스냅샷과 내용이 같으면 건너뜀, 'manual'은 항상 기록)
+ * @param {object} data   - { items, activeTab }
+ * @param {string} reason - SNAPSHOT_REASON_LABELS 키
+ * @param {string} [summary] - 직접 지정할 요약 (없으면 최근 스냅샷과 비교해 생성)
+ * @returns {object|null} 기록된 스냅샷 (건너뛰면 null)
+ */
+export function recordSnapshot(data, reason, summary) {
+  const history = loadHistory();
+  const latest = history[history.length - 1] || null;
+  const snapshotData = JSON.parse(JSON.stringify(stripTransient(data)));
+
+  if (reason !== 'manual' && latest
+    && JSON.stringify(latest.data.items) === JSON.stringify(snapshotData.items)) {
+    return null;
+  }
+
+  const snapshot = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    takenAt: new Date().toISOString(),
+    reason,
+    summary: summary || (latest
+      ? summarize(describeChanges(latest.data, snapshotData).changes)
+      : `시술 ${snapshotData.items.length}개`),
+    data: snapshotData,
+  };
+  saveHistory([...history, snapshot]);
+  return snapshot;
+}
+
+// ── 비교 ──
+
+/** 결과 행 비교 키 (체험가/이벤트가는 유형, 옵션·경쟁사는 구간 라벨) */
+function rowKey(row) {
+  if (row.rowType === 'trial' || row.rowType === 'event') return row.rowType;
+  return `${row.rowType}|${row.label}`;
+}
+
+function rowValues(row) {
+  return row ? { label: row.label, price: row.price, unitPrice: row.unitPrice } : null;
+}
+
+/**
+ * 두 상태의 시술별 결과 행 비교 (computeItemRows 기준)
+ * 시술은 id로, 행은 체험가/이벤트가/구간 라벨로 맞춥니다.
+ *
+ * @param {object} before - { items }
+ * @param {object} after  - { items }
+ * @param {number|object} rounding
+ * @param {string} vatMode
+ * @returns {Array<{
+ *   id, name, status: 'added'|'removed'|'changed'|'same',
+ *   rows: Array<{ key, rowType, label, status: 'added'|'removed'|'changed'|'same', before, after }>
+ * }>}
+ */
+export function diffSnapshots(before, after, rounding, vatMode) {
+  const beforeItems = before?.items || [];
+  const afterItems = after?.items || [];
+  const computeRows = (item) => (item ? computeItemRows(toNumericItem(item), rounding, vatMode) : []);
+
+  const ids = [...new Set([...beforeItems.map((i) => i.id), ...afterItems.map((i) => i.id)])];
+
+  return ids.map((id) => {
+    const a = beforeItems.find((i) => i.id === id) || null;
+    const b = afterItems.find((i) => i.id === id) || null;
+    const beforeRows = computeRows(a);
+    const afterRows = computeRows(b);
+
+    const keys = [...new Set([...beforeRows.map(rowKey), ...afterRows.map(rowKey)])];
+    const rows = keys.map((key) => {
+      const r1 = beforeRows.find((r) => rowKey(r) === key) || null;
+      const r2 = afterRows.find((r) => rowKey(r) === key) || null;
+      let status = 'same';
+      if (!r1) status = 'added';
+      else if (!r2) status = 'removed';
+      else if (r1.price !== r2.price || r1.unitPrice !== r2.unitPrice || r1.label !== r2.label) status = 'changed';
+      return {
+        key,
+        rowType: (r2 || r1).rowType,
+        label: (r2 || r1).label,
+        status,
+        before: rowValues(r1),
+        after: rowValues(r2),
+      };
+    });
+
+    let status = 'same';
+    if (!a) status = 'added';
+    else if (!b) status = 'removed';
+    else if ((a.name || '') !== (b.name || '') || rows.some((r) => r.status !== 'same')) status = 'changed';
+
+    return { id, name: itemName(b || a), status, rows };
+  });
+}
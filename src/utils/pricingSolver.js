@@ -0,0 +1,350 @@
+/**
+ * pricingSolver.js - 제약 조건 기반 자동 수가 솔버
+ *
+ * sqrt 곡선을 그대로 쓰는 대신, 명시한 제약 조건을 모두 만족하는 구간 가격을 찾고
+ * 불가능하면 어떤 제약끼리 충돌하는지 설명합니다.
+ *
+ * 지원 제약 (constraints):
+ *   - beatCompetitorPercent : 모든 구간 단가가 경쟁사 단가보다 X% 이상 저렴
+ *   - maxDiscountPercent    : 구간별 최대 할인율 (이벤트가 단가 대비, 숫자 또는 구간 순서 배열)
+ *   - minMarginPercent      : 최소 마진율 (원가 분석 사용 시)
+ *   - targets               : 특정 구간 목표가 { [회차/샷수/용량]: 가격 } (이벤트가 기준 수량이면 이벤트가)
+ *   - charmEnding           : 9 엔딩 필수 (총액 반올림 방식을 charm으로 강제)
+ *   - minStep               : 구간 간 최소 단가 하락폭 (원)
+ *   - trialMarkup           : 체험가 = 이벤트가 대비 인상률 (%)
+ *
+ * 풀이 순서:
+ *   1. 뒤 구간부터 하한을 전파 (뒤 구간이 가능하려면 앞 구간 단가가 최소 얼마여야 하는지)
+ *   2. 이벤트가 → 옵션 순서로 [하한, 상한] 안에서 sqrt 곡선 선호가에 가장 가까운 가격 선택
+ *   3. 반올림된 단가 기준으로 단조 하락을 다시 확인
+ */
+
+import {
+  applyRounding,
+  calcUnitPrice,
+  calcTotalQuantity,
+  calcRowCost,
+  formatTierLabel,
+  getPerSessionQuantity,
+  normalizeRounding,
+  formatNumber,
+  usesQuantityTiers,
+} from './pricing';
+
+// 부동소수점 비교 허용 오차
+const EPS = 1e-6;
+
+// ── 가격 격자 (반올림 전략상 가능한 총액) ──
+
+/**
+ * 반올림 전략의 총액 격자 헬퍼
+ * charm: k × 단위 - 단위/10, 그 외: k × 단위
+ */
+function createGrid(rounding) {
+  const { unit, price: mode } = rounding;
+  const offset = mode === 'charm' ? unit / 10 : 0;
+  return {
+    floor: (x) => Math.floor((x + offset) / unit + EPS) * unit - offset,
+    ceil: (x) => Math.ceil((x + offset) / unit - EPS) * unit - offset,
+    contains: (x) => Math.abs(((x + offset) / unit) - Math.round((x + offset) / unit)) < EPS,
+    step: unit,
+  };
+}
+
+/**
+ * 범위 안에서 선호가에 가장 가까운 격자 가격
+ * @returns {number|null} 범위 안에 격자 가격이 없으면 null
+ */
+function pickInRange(grid, preferred, lo, hi) {
+  // 0원 이하는 가격으로 쓰지 않음 (가장 작은 양수 격자값부터)
+  const lower = Math.max(grid.ceil(lo), grid.ceil(1));
+  const upper = grid.floor(hi);
+  if (upper < lower || upper <= 0) return null;
+  const below = Math.min(Math.max(grid.floor(preferred), lower), upper);
+  const above = Math.min(Math.max(grid.ceil(preferred), lower), upper);
+  return Math.abs(above - preferred) < Math.abs(preferred - below) ? above : below;
+}
+
+// ── 제약 → 하한/상한 ──
+
+/** 경계값 + 출처 설명 */
+function bound(value, source) {
+  return { value, source };
+}
+
+function maxBound(bounds) {
+  return bounds.reduce((best, b) => (b.value > best.value ? b : best), bound(0, ''));
+}
+
+function minBound(bounds) {
+  return bounds.reduce((best, b) => (b.value < best.value ? b : best), bound(Infinity, ''));
+}
+
+/** 구간 라벨 */
+function tierLabel(type, tier, unitName) {
+  if (tier.isEvent) return '이벤트가';
+  return type === 'mixed' ? `${tier.value}샷` : formatTierLabel(type, tier.sessions, tier.quantity, unitName);
+}
+
+/**
+ * 제약 조건으로 구간 가격 계산
+ *
+ * @param {object} input
+ * @param {string} input.type         - 시술 유형 (session | shot | mixed | unit | area)
+ * @param {number[]} input.tiers      - 옵션 구간 (회차 / 샷수 / 용량)
+ * @param {number} input.baseShots    - 이벤트가 기준 샷수
+ * @param {number} [input.baseUnits]  - 이벤트가 기준 용량 (용량 기반)
+ * @param {string} [input.unitName]   - 용량 단위 (cc | 유닛, 라벨용)
+ * @param {object} input.competitor   - { price, sessions, shots, units, areas } (없으면 경쟁사 제약 무시)
+ * @param {object|null} input.cost    - 숫자로 변환된 원가 설정 (없으면 마진 제약 무시)
+ * @param {number|object} input.rounding - 반올림 단위 또는 반올림 전략
+ * @param {object} input.constraints  - 위 "지원 제약" 참고
+ * @returns {{ feasible: boolean, result: object|null, conflicts: string[], warnings: string[] }}
+ */
+export function solveTierPricing({
+  type,
+  tiers,
+  baseShots = 100,
+  baseUnits = 1,
+  unitName = 'cc',
+  competitor,
+  cost,
+  rounding,
+  constraints,
+}) {
+  const {
+    beatCompetitorPercent = null,
+    maxDiscountPercent = null,
+    minMarginPercent = null,
+    targets = {},
+    charmEnding = false,
+    minStep = 0,
+    trialMarkup = 15,
+  } = constraints;
+
+  const base = normalizeRounding(rounding);
+  const strategy = charmEnding ? { ...base, price: 'charm' } : base;
+  const grid = createGrid(strategy);
+  const conflicts = [];
+  const warnings = [];
+
+  // ── 구간 정의 (0 = 이벤트가) ──
+  // 회차로 나누는 유형(회차/부위)은 구간 값 = 회차, 그 외는 구간 값 = 회당 수량
+  const sessionTiered = type === 'session' || type === 'area';
+  const baseQuantity = type === 'unit' ? baseUnits : type === 'area' ? 1 : baseShots;
+  const eventQtyValue = sessionTiered ? 1 : baseQuantity;
+  const tierDefs = [{ isEvent: true, value: eventQtyValue, sessions: 1, quantity: baseQuantity }];
+  tiers
+    .filter((v) => v > 0 && v / (usesQuantityTiers(type) ? baseQuantity : 1) > 1)
+    .sort((a, b) => a - b)
+    .forEach((v) => {
+      if (sessionTiered) tierDefs.push({ value: v, sessions: v, quantity: baseQuantity });
+      else tierDefs.push({ value: v, sessions: 1, quantity: v });
+    });
+  tierDefs.forEach((t) => {
+    t.qty = calcTotalQuantity(type, t.sessions, t.quantity);
+    t.label = tierLabel(type, t, unitName);
+  });
+
+  // ── 공통 하한/상한 (가격 기준) ──
+  const compUnit =
+    competitor && competitor.price > 0
+      ? competitor.price / calcTotalQuantity(
+        type,
+        competitor.sessions || 1,
+        getPerSessionQuantity(type, competitor, { baseShots: 100 }),
+      )
+      : 0;
+  const hasBeat = compUnit > 0 && beatCompetitorPercent !== null && beatCompetitorPercent !== '';
+  const hasMargin = minMarginPercent !== null && minMarginPercent !== '' && Number(minMarginPercent) > 0;
+  if (hasMargin && !cost) {
+    warnings.push('원가 분석이 꺼져 있어 최소 마진율 제약은 적용되지 않았습니다.');
+  }
+  if (beatCompetitorPercent !== null && beatCompetitorPercent !== '' && compUnit <= 0) {
+    warnings.push('경쟁사 가격이 없어 경쟁사 대비 제약은 적용되지 않았습니다.');
+  }
+
+  const fixedBounds = tierDefs.map((t) => {
+    const lows = [];
+    const highs = [];
+
+    if (hasBeat) {
+      highs.push(bound(
+        compUnit * (1 - beatCompetitorPercent / 100) * t.qty,
+        `경쟁사 대비 ${beatCompetitorPercent}% 저렴`,
+      ));
+    }
+    if (hasMargin && cost) {
+      const m = Number(minMarginPercent);
+      const rowCost = calcRowCost(type, t.sessions, t.quantity, cost);
+      lows.push(bound(
+        m >= 100 ? Infinity : rowCost / (1 - m / 100),
+        `최소 마진율 ${m}% (원가 ${formatNumber(rowCost)}원)`,
+      ));
+    }
+
+    const target = Number(targets[t.value]);
+    if (target > 0) {
+      lows.push(bound(target, `목표가 ${formatNumber(target)}원`));
+      highs.push(bound(target, `목표가 ${formatNumber(target)}원`));
+      if (!grid.contains(target)) {
+        conflicts.push(
+          `[${t.label}] 목표가 ${formatNumber(target)}원이 반올림 전략` +
+          `(${charmEnding ? '9 엔딩 필수' : `${formatNumber(base.unit)}원 단위`})과 맞지 않습니다.`,
+        );
+      }
+    }
+    return { lows, highs, target: target > 0 ? target : null };
+  });
+
+  /**
+   * 뒤 구간 단가(unit)보다 "표시 단가 기준으로" 확실히 높은 최소 단가
+   * (원 단위 최소 하락폭 + 단가 반올림 후에도 같아지지 않을 것)
+   */
+  const unitAbove = (unit) => {
+    const rounded = applyRounding(unit, strategy, 'unitPrice');
+    let threshold;
+    switch (strategy.unitPrice) {
+      case 'down':
+        threshold = rounded + base.unit;
+        break;
+      case 'up':
+        threshold = rounded + EPS;
+        break;
+      default:
+        // nearest / charm: 다음 반올림 값의 중간점
+        threshold = rounded + base.unit / 2;
+    }
+    return Math.max(unit + Math.max(minStep, EPS), threshold);
+  };
+
+  // ── 1) 뒤에서부터 필요한 최소 단가 전파 (최대 할인율 하한은 이벤트가 결정 후 반영) ──
+  const propagate = (eventUnit) => {
+    const req = new Array(tierDefs.length).fill(null);
+    for (let i = tierDefs.length - 1; i >= 0; i--) {
+      const t = tierDefs[i];
+      const lows = [...fixedBounds[i].lows];
+      if (!t.isEvent && eventUnit && maxDiscountPercent !== null && maxDiscountPercent !== '') {
+        const d = Array.isArray(maxDiscountPercent)
+          ? maxDiscountPercent[Math.min(i - 1, maxDiscountPercent.length - 1)]
+          : maxDiscountPercent;
+        if (d !== undefined && d !== null && d !== '') {
+          lows.push(bound(eventUnit * (1 - Number(d) / 100) * t.qty, `최대 할인율 ${d}%`));
+        }
+      }
+      const own = maxBound(lows);
+      const ownUnit = bound(own.value / t.qty, own.source);
+      const next = req[i + 1];
+      const nextNeeds = next && next.value > 0 ? unitAbove(next.value) : 0;
+      const needed =
+        nextNeeds > ownUnit.value
+          ? bound(nextNeeds, `${tierDefs[i + 1].label} 구간 조건 유지`)
+          : ownUnit;
+      // 실제로 고를 수 있는 가장 낮은 격자 가격 기준으로 앞 구간에 전파
+      req[i] = needed.value > 0
+        ? bound(grid.ceil(needed.value * t.qty - EPS) / t.qty, needed.source)
+        : needed;
+    }
+    return req;
+  };
+
+  // ── 2) 앞에서부터 가격 선택 ──
+  const prices = [];
+  let reqUnits = propagate(null);
+  let prevUnit = null; // 반올림 전 단가
+  let prevRounded = null; // 결과표에 표시될 단가
+
+  for (let i = 0; i < tierDefs.length; i++) {
+    const t = tierDefs[i];
+    const lo = bound(reqUnits[i].value * t.qty, reqUnits[i].source);
+    const highs = [...fixedBounds[i].highs];
+    if (prevUnit !== null) {
+      highs.push(bound(
+        prevUnit * t.qty - Math.max(minStep * t.qty, 1),
+        `${tierDefs[i - 1].label}보다 단가 낮게${minStep > 0 ? ` (최소 ${formatNumber(minStep)}원)` : ''}`,
+      ));
+    }
+    const hi = minBound(highs);
+
+    // 선호가: 목표가 > sqrt 곡선 > 상한
+    let preferred;
+    if (fixedBounds[i].target) preferred = fixedBounds[i].target;
+    else if (t.isEvent) preferred = Number.isFinite(hi.value) ? hi.value : lo.value;
+    else preferred = (prices[0] / tierDefs[0].qty) / Math.sqrt(t.qty / tierDefs[0].qty) * t.qty;
+
+    if (t.isEvent && !Number.isFinite(hi.value) && lo.value <= 0) {
+      conflicts.push('[이벤트가] 기준이 없습니다. 경쟁사 가격 또는 이벤트가 목표가를 입력하세요.');
+      return { feasible: false, result: null, conflicts, warnings };
+    }
+
+    if (lo.value > hi.value + EPS) {
+      conflicts.push(
+        `[${t.label}] 하한 ${formatNumber(Math.ceil(lo.value))}원(${lo.source})이 ` +
+        `상한 ${formatNumber(Math.floor(hi.value))}원(${hi.source})보다 높습니다.`,
+      );
+    }
+
+    const hiValue = Number.isFinite(hi.value) ? hi.value : Math.max(preferred, grid.ceil(lo.value));
+    let price = pickInRange(grid, preferred, lo.value, hiValue);
+    if (price === null && lo.value <= hi.value + EPS) {
+      conflicts.push(
+        `[${t.label}] ${formatNumber(Math.ceil(lo.value))}~${formatNumber(Math.floor(hi.value))}원 사이에 ` +
+        `${charmEnding ? '9 엔딩' : `${formatNumber(base.unit)}원 단위`} 가격이 없습니다.`,
+      );
+    }
+    // 충돌이 있어도 이후 구간 설명을 위해 가장 가까운 값으로 계속 진행
+    if (price === null) price = Math.max(grid.floor(Math.min(hi.value, preferred)), 0);
+
+    // 반올림된 단가 기준 단조 하락 재확인
+    const roundedUnit = (p) => calcUnitPrice(type, p, t.sessions, t.quantity, strategy);
+    if (prevRounded !== null && price > 0 && roundedUnit(price) >= prevRounded) {
+      let adjusted = price;
+      while (adjusted > 0 && roundedUnit(adjusted) >= prevRounded) adjusted -= grid.step;
+      if (adjusted < lo.value - EPS || adjusted <= 0) {
+        conflicts.push(
+          `[${t.label}] 단가를 ${formatNumber(base.unit)}원 단위로 반올림하면 ${tierDefs[i - 1].label} 단가와 같아집니다. ` +
+          '반올림 단위를 줄이거나 구간 간격을 늘리세요.',
+        );
+      } else {
+        price = adjusted;
+      }
+    }
+
+    prices.push(price);
+    prevUnit = price / t.qty;
+    prevRounded = roundedUnit(price);
+
+    // 이벤트가가 정해지면 최대 할인율 하한을 포함해 다시 전파
+    if (t.isEvent) reqUnits = propagate(prevUnit);
+  }
+
+  const eventPrice = prices[0];
+  const trialPrice = applyRounding(eventPrice * (1 + trialMarkup / 100), strategy, 'price');
+  const options = tierDefs.slice(1).map((t, idx) => {
+    const opt = { _id: Date.now() + idx, price: prices[idx + 1] };
+    if (type === 'session') opt.sessions = t.value;
+    else if (type === 'shot') opt.shots = t.value;
+    else if (type === 'unit') opt.units = t.value;
+    else if (type === 'area') {
+      opt.sessions = t.value;
+      opt.areas = 1;
+    } else {
+      opt.shots = t.value;
+      opt.sessions = 1;
+    }
+    return opt;
+  });
+
+  return {
+    feasible: conflicts.length === 0,
+    result: {
+      trialPrice,
+      eventPrice,
+      baseShots,
+      ...(type === 'unit' ? { baseUnits } : {}),
+      options,
+    },
+    conflicts,
+    warnings,
+  };
+}
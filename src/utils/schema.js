@@ -0,0 +1,342 @@
+/**
+ * schema.js - 저장 데이터 스키마 버전 관리 + 순차 마이그레이션
+ *
+ * 저장소 키마다 현재 스키마 버전과 마이그레이션 함수 체인을 등록합니다.
+ *   migrations[n] : 버전 n-1 데이터 → 버전 n 데이터 (버전 없는 기존 데이터는 0)
+ *
+ * 앱 시작 시 runMigrations()가 저장된 버전부터 최신 버전까지 차례로 적용합니다.
+ * 마이그레이션이 실패한 데이터는 삭제하지 않고 격리 목록('vans-quarantine')으로 옮긴 뒤
+ * 해당 키만 비워 앱이 정상 기동되도록 합니다. 격리된 원본은 내려받거나 복원할 수 있습니다.
+ * 격리 사본을 기록하지 못하면(용량 부족 등) 원본을 지우지 않고 실패로 보고합니다.
+ *
+ * 데이터 모양은 그대로 두고, 버전은 별도 키('vans-schema-versions')에 기록합니다.
+ */
+
+import { kvStore } from './kvStore';
+import { getItemCompetitors } from './pricing';
+
+const VERSIONS_KEY = 'vans-schema-versions';
+const QUARANTINE_KEY = 'vans-quarantine';
+
+// ── 공통 검사 ──
+
+function assertArray(value, what) {
+  if (!Array.isArray(value)) throw new Error(`${what}: 배열 형식이 아닙니다.`);
+  return value;
+}
+
+function assertObject(value, what) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`${what}: 객체 형식이 아닙니다.`);
+  }
+  return value;
+}
+
+// ── v1 정규화 ──
+
+/** 시술(item) v1: 경쟁사 목록(구버전 단일 competitor 변환), 옵션 배열, 기본 유형/과세 */
+function migrateItemV1(item) {
+  assertObject(item, '시술');
+  const migrated = {
+    ...item,
+    type: item.type || 'session',
+    taxable: item.taxable !== false,
+    options: Array.isArray(item.options) ? item.options : [],
+    competitors: getItemCompetitors(item),
+  };
+  delete migrated.competitor;
+  return migrated;
+}
+
+/** 수가 책정 저장본 v1: { items, activeTab } (아주 오래된 배열 형태도 허용) */
+function migratePricingDataV1(data) {
+  const obj = Array.isArray(data) ? { items: data, activeTab: 0 } : assertObject(data, '수가 책정 데이터');
+  return {
+    ...obj,
+    items: assertArray(obj.items, '시술 목록').map(migrateItemV1),
+    activeTab: Number(obj.activeTab) || 0,
+  };
+}
+
+/** 패키지 v1: items 배열, 수량 기본 1, 과세 기본값 */
+function migratePackageV1(pkg) {
+  assertObject(pkg, '패키지');
+  return {
+    ...pkg,
+    items: (pkg.items || []).map((item) => ({
+      ...item,
+      quantity: Number(item.quantity) || 1,
+      taxable: item.taxable !== false,
+    })),
+  };
+}
+
+// ── 스키마 레지스트리 ──
+
+/**
+ * 저장소 키별 스키마
+ *   label      - 격리 안내용 이름
+ *   version    - 최신 버전
+ *   migrations - { [버전]: (이전 버전 데이터) => 새 데이터 }
+ */
+export const SCHEMAS = {
+  'vans-pricing-data': {
+    label: '수가 책정',
+    version: 1,
+    migrations: { 1: migratePricingDataV1 },
+  },
+  'vans-pricing-presets': {
+    label: '프리셋',
+    version: 2,
+    migrations: {
+      1: (presets) => assertArray(presets, '프리셋 목록').map((preset) => ({
+        ...assertObject(preset, '프리셋'),
+        data: migratePricingDataV1(preset.data),
+      })),
+      // v2: 설명 / 태그 / 작성자 / 지점 / 수정일
+      2: (presets) => presets.map((preset) => ({
+        ...preset,
+        description: preset.description || '',
+        tags: Array.isArray(preset.tags) ? preset.tags : [],
+        author: preset.author || '',
+        branch: preset.branch || '',
+        updatedAt: preset.updatedAt || preset.createdAt || null,
+      })),
+    },
+  },
+  'vans-pricing-history': {
+    label: '수가 변경 이력',
+    version: 1,
+    migrations: {
+      1: (history) => assertArray(history, '변경 이력').map((snapshot) => ({
+        ...assertObject(snapshot, '스냅샷'),
+        data: migratePricingDataV1(snapshot.data),
+      })),
+    },
+  },
+  'vans-pricing-packages': {
+    label: '저장된 패키지',
+    version: 1,
+    migrations: { 1: (pkgs) => assertArray(pkgs, '패키지 목록').map(migratePackageV1) },
+  },
+  'vans-pricing-draft-packages': {
+    label: '작업 중 패키지',
+    version: 1,
+    migrations: { 1: (pkgs) => assertArray(pkgs, '패키지 목록').map(migratePackageV1) },
+  },
+  'vans-pricing-archive': {
+    label: '패키지 아카이브',
+    version: 1,
+    migrations: {
+      1: (groups) => assertArray(groups, '아카이브').map((group) => ({
+        ...assertObject(group, '아카이브 그룹'),
+        packages: assertArray(group.packages || [], '아카이브 패키지').map(migratePackageV1),
+      })),
+    },
+  },
+  'vans-pricing-memberships': {
+    label: '회원권',
+    version: 1,
+    migrations: { 1: (list) => assertArray(list, '회원권 목록') },
+  },
+  'vans-branch-manifest': {
+    label: '지점 목록',
+    version: 1,
+    migrations: {
+      1: (manifest) => {
+        assertObject(manifest, '지점 목록');
+        return {
+          ...manifest,
+          branches: assertArray(manifest.branches || [], '지점').filter((b) => b && b.name),
+          activeBranch: manifest.activeBranch || null,
+        };
+      },
+    },
+  },
+};
+
+// ── 버전 기록 ──
+
+function loadVersions() {
+  try {
+    const raw = kvStore.getItem(VERSIONS_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
+function saveVersions(versions) {
+  try {
+    kvStore.setItem(VERSIONS_KEY, JSON.stringify(versions));
+  } catch (err) {
+    console.error('스키마 버전 저장 실패:', err);
+  }
+}
+
+/**
+ * 저장소 키에 최신 스키마 버전 기록 (새 데이터를 통째로 쓰는 복원 기능 등에서 사용)
+ * @param {string} key
+ */
+export function markSchemaCurrent(key) {
+  if (!SCHEMAS[key]) return;
+  saveVersions({ ...loadVersions(), [key]: SCHEMAS[key].version });
+}
+
+// ── 격리 ──
+
+/**
+ * 격리 목록
+ * @returns {Array<{ key: string, label: string, fromVersion: number, reason: string, raw: string, quarantinedAt: string }>}
+ */
+export function loadQuarantine() {
+  try {
+    const raw = kvStore.getItem(QUARANTINE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * 격리 목록 기록
+ * @returns {Promise<boolean>} 기록(IndexedDB는 디스크 기록까지) 성공 여부
+ */
+async function saveQuarantine(list) {
+  try {
+    await kvStore.setItem(QUARANTINE_KEY, JSON.stringify(list));
+    return true;
+  } catch (err) {
+    console.error('격리 목록 저장 실패:', err);
+    return false;
+  }
+}
+
+/**
+ * 저장소 키의 현재 원본을 격리 목록으로 옮기고 키를 비움
+ * 격리 사본이 기록된 뒤에만 원본을 지웁니다.
+ * @param {string} key
+ * @param {string} reason - 격리 사유 (오류 메시지 등)
+ * @returns {Promise<boolean>} 옮길 데이터가 있었는지
+ * @throws 격리 사본을 기록하지 못하면 (원본은 그대로 남음)
+ */
+export async function quarantineStore(key, reason) {
+  const raw = kvStore.getItem(key);
+  if (raw === null) return false;
+  const saved = await saveQuarantine([
+    ...loadQuarantine(),
+    {
+      key,
+      label: SCHEMAS[key]?.label || key,
+      fromVersion: loadVersions()[key] || 0,
+      reason,
+      raw,
+      quarantinedAt: new Date().toISOString(),
+    },
+  ]);
+  if (!saved) throw new Error('격리 사본을 저장하지 못해 원본을 그대로 두었습니다 (저장 공간을 확인하세요)');
+
+  const versions = loadVersions();
+  kvStore.removeItem(key);
+  delete versions[key];
+  saveVersions(versions);
+  return true;
+}
+
+/**
+ * 격리 항목 삭제
+ * @param {number} index
+ */
+export function removeQuarantined(index) {
+  saveQuarantine(loadQuarantine().filter((_, i) => i !== index));
+}
+
+/**
+ * 격리 항목을 원래 키로 되돌림 (현재 값은 덮어씀, 다음 실행 시 다시 마이그레이션)
+ * @param {number} index
+ */
+export function restoreQuarantined(index) {
+  const list = loadQuarantine();
+  const entry = list[index];
+  if (!entry) return;
+  kvStore.setItem(entry.key, entry.raw);
+  saveVersions({ ...loadVersions(), [entry.key]: entry.fromVersion });
+  saveQuarantine(list.filter((_, i) => i !== index));
+}
+
+// ── 실행 ──
+
+/**
+ * 데이터 하나를 최신 스키마로 변환 (백업 복원 등 외부 데이터에도 사용)
+ * @param {string} key         - 스키마 키
+ * @param {*}      data        - 파싱된 데이터
+ * @param {number} fromVersion - 데이터의 현재 버전 (없으면 0)
+ * @returns {*} 최신 버전 데이터 (등록되지 않은 키는 그대로)
+ * @throws 변환 실패 시
+ */
+export function migrateValue(key, data, fromVersion = 0) {
+  const schema = SCHEMAS[key];
+  if (!schema) return data;
+  let result = data;
+  for (let v = fromVersion + 1; v <= schema.version; v++) {
+    const migrate = schema.migrations[v];
+    if (migrate) result = migrate(result);
+  }
+  return result;
+}
+
+let _lastReport = { migrated: [], quarantined: [], failed: [] };
+
+/**
+ * 등록된 모든 저장소 키에 마이그레이션 적용 (앱 렌더링 전 1회)
+ * @returns {Promise<{ migrated: Array<{ key, from, to }>, quarantined: Array<{ key, label, reason }>, failed: Array<{ key, label, reason }> }>}
+ *   failed - 변환도 격리도 못 해 원본을 그대로 둔 키 (다음 실행 때 다시 시도)
+ */
+export async function runMigrations() {
+  const versions = loadVersions();
+  const report = { migrated: [], quarantined: [], failed: [] };
+
+  for (const [key, schema] of Object.entries(SCHEMAS)) {
+    const from = Number(versions[key]) || 0;
+    const raw = kvStore.getItem(key);
+
+    // 데이터가 없으면 최신 버전으로 시작
+    if (raw === null) {
+      versions[key] = schema.version;
+      continue;
+    }
+    if (from >= schema.version) continue;
+
+    try {
+      const data = migrateValue(key, JSON.parse(raw), from);
+      kvStore.setItem(key, JSON.stringify(data));
+      versions[key] = schema.version;
+      report.migrated.push({ key, from, to: schema.version });
+    } catch (err) {
+      console.error(`마이그레이션 실패 (${key}):`, err);
+      saveVersions(versions);
+      try {
+        await quarantineStore(key, `v${from} → v${schema.version} 변환 실패: ${err.message}`);
+        // 키가 비었으므로 이후 새로 저장되는 데이터는 최신 버전
+        versions[key] = schema.version;
+        report.quarantined.push({ key, label: schema.label, reason: err.message });
+      } catch (quarantineErr) {
+        report.failed.push({ key, label: schema.label, reason: `${err.message} — ${quarantineErr.message}` });
+      }
+    }
+  }
+
+  saveVersions(versions);
+  _lastReport = report;
+  return report;
+}
+
+/**
+ * 마지막 runMigrations() 결과
+ * @returns {{ migrated: Array<object>, quarantined: Array<object>, failed: Array<object> }}
+ */
+export function getMigrationReport() {
+  return _lastReport;
+}
@@ -1,37 +1,50 @@
 /**
- * storage.js - localStorage + JSON 파일 관리
+ * storage.js - 앱 저장소(kvStore) + JSON 파일 관리
  *
  * 기능:
- *   - 자동 저장/복원 (localStorage)
+ *   - 자동 저장/복원 (kvStore: IndexedDB, 불가 시 localStorage)
  *   - 프리셋 저장/불러오기/삭제
- *   - JSON 파일 내보내기/가져오기
+ *   - JSON 파일 내보내기/가져오기 (비밀번호 암호화 선택, 가져올 때 필드 검증 + 자동 복구본)
+ *   - 반올림 전략 / VAT 모드 설정 저장
+ *   - 회원권(정액권 / 기간 무제한) 목록 저장
+ *   - 검증 규칙 설정 (사용 여부 / 심각도 / 임계값) 저장
  */
 
-const STORAGE_KEY = 'vans-pricing-data';
+import { ROUND_UNITS, normalizeRounding } from './pricing';
+import { kvStore } from './kvStore';
+import { encryptText, decryptIfNeeded } from './fileCrypto';
+import { validatePricingData } from './dataValidation';
+
+/** 수가 책정 자동 저장 키 (수가 책정 탭이 다른 탭과 동기화할 때 사용) */
+export const AUTO_SAVE_KEY = 'vans-pricing-data';
 const PRESETS_KEY = 'vans-pricing-presets';
 const ROUND_UNIT_KEY = 'vans-pricing-round-unit';
+const VAT_MODE_KEY = 'vans-pricing-vat-mode';
+const ROUNDING_KEY = 'vans-pricing-rounding';
+const MEMBERSHIPS_KEY = 'vans-pricing-memberships';
+const RULE_SETTINGS_KEY = 'vans-pricing-rule-settings';
 
 // ── 자동 저장/복원 ──
 
 /**
- * 현재 데이터를 localStorage에 자동 저장
+ * 현재 데이터를 저장소에 자동 저장
  * @param {object} data - 저장할 전체 상태 (items 배열, activeTab 등)
  */
 export function autoSave(data) {
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    kvStore.setItem(AUTO_SAVE_KEY, JSON.stringify(data));
   } catch (err) {
     console.error('자동 저장 실패:', err);
   }
 }
 
 /**
- * localStorage에서 자동 저장된 데이터 복원
+ * 저장소에서 자동 저장된 데이터 복원
  * @returns {object|null} 저장된 데이터 또는 null
  */
 export function autoLoad() {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
+    const raw = kvStore.getItem(AUTO_SAVE_KEY);
     if (!raw) return null;
     return JSON.parse(raw);
   } catch (err) {
@@ -48,7 +61,7 @@ export function autoLoad() {
  */
 export function saveRoundUnit(unit) {
   try {
-    localStorage.setItem(ROUND_UNIT_KEY, String(unit));
+    kvStore.setItem(ROUND_UNIT_KEY, String(unit));
   } catch (err) {
     console.error('반올림 단위 저장 실패:', err);
   }
@@ -60,24 +73,141 @@ export function saveRoundUnit(unit) {
  */
 export function loadRoundUnit() {
   try {
-    const raw = localStorage.getItem(ROUND_UNIT_KEY);
+    const raw = kvStore.getItem(ROUND_UNIT_KEY);
     if (!raw) return 1000;
     const val = parseInt(raw, 10);
-    return [100, 1000, 10000].includes(val) ? val : 1000;
+    return ROUND_UNITS.includes(val) ? val : 1000;
   } catch {
     return 1000;
   }
 }
 
+/**
+ * 반올림 전략 저장 (단위는 기존 키에도 함께 기록)
+ * @param {{ unit: number, price: string, unitPrice: string }} rounding
+ */
+export function saveRounding(rounding) {
+  try {
+    kvStore.setItem(ROUNDING_KEY, JSON.stringify(normalizeRounding(rounding)));
+  } catch (err) {
+    console.error('반올림 전략 저장 실패:', err);
+  }
+  saveRoundUnit(rounding.unit);
+}
+
+/**
+ * 반올림 전략 불러오기
+ * 저장된 전략이 없으면 기존 반올림 단위 + 단순 반올림으로 시작합니다.
+ * @returns {{ unit: number, price: string, unitPrice: string }}
+ */
+export function loadRounding() {
+  try {
+    const raw = kvStore.getItem(ROUNDING_KEY);
+    if (raw) {
+      const rounding = normalizeRounding(JSON.parse(raw));
+      if (ROUND_UNITS.includes(rounding.unit)) return rounding;
+    }
+  } catch {
+    // 손상된 값은 무시하고 기본값 사용
+  }
+  return normalizeRounding(loadRoundUnit());
+}
+
+// ── VAT 모드 ──
+
+/**
+ * VAT 모드 저장
+ * @param {string} mode - 'excluded' | 'included'
+ */
+export function saveVatMode(mode) {
+  try {
+    kvStore.setItem(VAT_MODE_KEY, mode);
+  } catch (err) {
+    console.error('VAT 모드 저장 실패:', err);
+  }
+}
+
+/**
+ * VAT 모드 불러오기
+ * @returns {string} 기본값 'excluded'
+ */
+export function loadVatMode() {
+  try {
+    const raw = kvStore.getItem(VAT_MODE_KEY);
+    return raw === 'included' ? 'included' : 'excluded';
+  } catch {
+    return 'excluded';
+  }
+}
+
+// ── 회원권 (정액권 / 기간 무제한) ──
+
+/**
+ * 회원권 목록 저장
+ * @param {Array<object>} memberships
+ */
+export function saveMemberships(memberships) {
+  try {
+    kvStore.setItem(MEMBERSHIPS_KEY, JSON.stringify(memberships));
+  } catch (err) {
+    console.error('회원권 저장 실패:', err);
+  }
+}
+
+/**
+ * 회원권 목록 불러오기
+ * @returns {Array<object>} 없으면 빈 배열
+ */
+export function loadMemberships() {
+  try {
+    const raw = kvStore.getItem(MEMBERSHIPS_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+// ── 검증 규칙 설정 ──
+
+/**
+ * 검증 규칙 설정 저장
+ * @param {object} settings - { [ruleId]: { enabled, severity, params } }
+ */
+export function saveRuleSettings(settings) {
+  try {
+    kvStore.setItem(RULE_SETTINGS_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.error('검증 규칙 설정 저장 실패:', err);
+  }
+}
+
+/**
+ * 검증 규칙 설정 불러오기 (기본값 병합은 resolveRuleSettings에서)
+ * @returns {object} 없으면 빈 객체
+ */
+export function loadRuleSettings() {
+  try {
+    const raw = kvStore.getItem(RULE_SETTINGS_KEY);
+    const parsed = raw ? JSON.parse(raw) : {};
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    return {};
+  }
+}
+
 // ── 프리셋 관리 ──
 
 /**
  * 전체 프리셋 목록 불러오기
- * @returns {Array<{ name: string, data: object, createdAt: string }>}
+ * @returns {Array<{
+ *   name: string, data: object, createdAt: string, updatedAt: string,
+ *   description: string, tags: string[], author: string, branch: string,
+ * }>}
  */
 export function loadPresets() {
   try {
-    const raw = localStorage.getItem(PRESETS_KEY);
+    const raw = kvStore.getItem(PRESETS_KEY);
     if (!raw) return [];
     return JSON.parse(raw);
   } catch (err) {
@@ -86,20 +216,34 @@ export function loadPresets() {
   }
 }
 
+/** 프리셋 메타데이터 정리 (태그 중복·공백 제거) */
+function normalizePresetMeta(meta = {}) {
+  return {
+    description: String(meta.description || '').trim(),
+    tags: [...new Set((meta.tags || []).map((t) => String(t).trim()).filter(Boolean))],
+    author: String(meta.author || '').trim(),
+    branch: String(meta.branch || '').trim(),
+  };
+}
+
 /**
- * 프리셋 저장 (이름 중복 시 덮어쓰기)
+ * 프리셋 저장 (이름 중복 시 덮어쓰기 — 처음 만든 날짜는 유지)
  * @param {string} name - 프리셋 이름
  * @param {object} data - 저장할 데이터
+ * @param {{ description?: string, tags?: string[], author?: string, branch?: string }} [meta]
  * @returns {boolean} 성공 여부
  */
-export function savePreset(name, data) {
+export function savePreset(name, data, meta) {
   try {
     const presets = loadPresets();
     const existIdx = presets.findIndex((p) => p.name === name);
+    const now = new Date().toISOString();
     const entry = {
       name,
       data: JSON.parse(JSON.stringify(data)), // 깊은 복사
-      createdAt: new Date().toISOString(),
+      ...normalizePresetMeta(meta),
+      createdAt: existIdx >= 0 ? presets[existIdx].createdAt || now : now,
+      updatedAt: now,
     };
 
     if (existIdx >= 0) {
@@ -108,7 +252,7 @@ export function savePreset(name, data) {
       presets.push(entry);
     }
 
-    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    kvStore.setItem(PRESETS_KEY, JSON.stringify(presets));
     return true;
   } catch (err) {
     console.error('프리셋 저장 실패:', err);
@@ -116,6 +260,25 @@ export function savePreset(name, data) {
   }
 }
 
+/**
+ * 프리셋 설명 / 태그 / 작성자 / 지점 수정 (데이터는 그대로)
+ * @param {string} name
+ * @param {{ description?: string, tags?: string[], author?: string, branch?: string }} meta
+ * @returns {boolean} 성공 여부
+ */
+export function updatePresetMeta(name, meta) {
+  try {
+    const presets = loadPresets().map((p) => (
+      p.name === name ? { ...p, ...normalizePresetMeta(meta), updatedAt: new Date().toISOString() } : p
+    ));
+    kvStore.setItem(PRESETS_KEY, JSON.stringify(presets));
+    return true;
+  } catch (err) {
+    console.error('프리셋 정보 수정 실패:', err);
+    return false;
+  }
+}
+
 /**
  * 프리셋 삭제
  * @param {string} name - 삭제할 프리셋 이름
@@ -124,7 +287,7 @@ export function savePreset(name, data) {
 export function deletePreset(name) {
   try {
     const presets = loadPresets().filter((p) => p.name !== name);
-    localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+    kvStore.setItem(PRESETS_KEY, JSON.stringify(presets));
     return true;
   } catch (err) {
     console.error('프리셋 삭제 실패:', err);
@@ -149,11 +312,14 @@ export function getPresetData(name) {
  * 데이터를 JSON 파일로 다운로드
  * @param {object} data     - 내보낼 데이터
  * @param {string} filename - 파일명 (기본: vans-pricing-export.json)
+ * @param {{ passphrase?: string }} [options] - passphrase를 주면 암호화 파일로 저장
+ * @returns {Promise<void>}
  */
-export function exportToJSON(data, filename = 'vans-pricing-export.json') {
+export async function exportToJSON(data, filename = 'vans-pricing-export.json', { passphrase } = {}) {
   try {
     const jsonStr = JSON.stringify(data, null, 2);
-    const blob = new Blob([jsonStr], { type: 'application/json' });
+    const content = passphrase ? await encryptText(jsonStr, passphrase, 'pricing') : jsonStr;
+    const blob = new Blob([content], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
     link.href = url;
@@ -168,45 +334,45 @@ export function exportToJSON(data, filename = 'vans-pricing-export.json') {
   }
 }
 
-/**
- * JSON 파일에서 데이터 가져오기
- * @param {File} file - 선택한 JSON 파일
- * @returns {Promise<object>} 파싱된 데이터
- */
-export function importFromJSON(file) {
+function readFileText(file) {
   return new Promise((resolve, reject) => {
-    if (!file) {
-      reject(new Error('파일이 선택되지 않았습니다.'));
-      return;
-    }
-
-    if (!file.name.endsWith('.json')) {
-      reject(new Error('JSON 파일만 가져올 수 있습니다.'));
-      return;
-    }
-
     const reader = new FileReader();
+    reader.onload = (e) => resolve(e.target.result);
+    reader.onerror = () => reject(new Error('파일 읽기 실패'));
+    reader.readAsText(file, 'utf-8');
+  });
+}
 
-    reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-
-        // 기본 구조 검증
-        if (!data || !Array.isArray(data.items)) {
-          reject(new Error('올바른 VANS 가격 데이터 형식이 아닙니다.'));
-          return;
-        }
+/**
+ * JSON 파일에서 데이터 가져오기 (암호화 파일이면 비밀번호를 받아 복호화)
+ * 필드 검증 결과를 함께 돌려주므로, 문제가 있으면 요약을 보여 준 뒤 report.value(복구본)를 쓰세요.
+ * @param {File} file - 선택한 JSON 파일
+ * @param {{ requestPassphrase?: () => Promise<string|null> }} [options] - 비밀번호 입력 (취소 시 null)
+ * @returns {Promise<{ data: object, report: { value: object, issues: Array<object> } }|null>}
+ *   data - 파싱된 원본 / report - validatePricingData(data, { repair: true }) 결과
+ *   (비밀번호 입력을 취소하면 null)
+ * @throws 구조가 틀려 복구할 수 없으면 (report.fatal)
+ */
+export async function importFromJSON(file, { requestPassphrase } = {}) {
+  if (!file) throw new Error('파일이 선택되지 않았습니다.');
+  if (!file.name.endsWith('.json')) throw new Error('JSON 파일만 가져올 수 있습니다.');
 
-        resolve(data);
-      } catch (parseErr) {
-        reject(new Error('JSON 파싱 실패: ' + parseErr.message));
-      }
-    };
+  const raw = await readFileText(file);
+  const text = await decryptIfNeeded(raw, requestPassphrase || (() => {
+    throw new Error('암호화된 파일입니다. 비밀번호가 필요합니다.');
+  }));
+  if (text === null) return null;
 
-    reader.onerror = () => {
-      reject(new Error('파일 읽기 실패'));
-    };
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (parseErr) {
+    throw new Error('JSON 파싱 실패: ' + parseErr.message);
+  }
 
-    reader.readAsText(file, 'utf-8');
-  });
+  const report = validatePricingData(data, { repair: true });
+  if (report.fatal) {
+    throw new Error(`올바른 VANS 가격 데이터 형식이 아닙니다. (${report.fatal})`);
+  }
+  return { data, report };
 }
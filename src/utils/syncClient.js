@@ -0,0 +1,389 @@
+/**
+ * syncClient.js - 동기화 서버(server/syncServer.js)와 작업 공간 주고받기 (선택 사항)
+ *
+ * 설정 'vans-sync-settings' → { serverUrl, workspace, token, autoSync, deviceId }
+ *   token - 서버의 SYNC_TOKEN (비우면 인증 헤더 없이 요청)
+ * 상태 'vans-sync-state'    → { target, seq, entries: { [키]: { rev, base } } }
+ *   target - 상태를 만든 서버 주소 + 작업 공간 (바뀌면 처음부터 다시 맞춤)
+ *   seq    - 마지막으로 받은 서버 변경 순번
+ *   rev    - 키별로 마지막에 맞춘 서버 리비전
+ *   base   - 그때의 값 (3-way 병합 기준, 삭제된 키는 null)
+ *
+ * 동기화 대상: 여러 PC가 함께 쓰는 데이터 (프리셋, 시술 라이브러리, 저장된 패키지, 아카이브, 회원권, 지점 수가)
+ *   작업 중 패키지, 수가 책정 편집 상태, 메모·화면 설정은 PC마다 따로 둡니다.
+ *
+ * 한 번의 동기화 (syncNow):
+ *   1. pull - 마지막 seq 이후 서버에서 바뀐 키를 받음 (이전 스키마 버전이면 마이그레이션)
+ *   2. 키마다 비교
+ *        서버만 바뀜 → 이 PC에 기록
+ *        이 PC만 바뀜 → 서버로 올림
+ *        둘 다 바뀜   → 항목 단위로 병합해 이 PC에 기록하고 서버로 올림
+ *   3. push - 그 사이 다른 PC가 먼저 올려 거부된 키는 돌려받은 서버 값으로 다시 병합 (최대 MAX_ROUNDS회)
+ *
+ * 항목 단위 병합 (mergeEntity):
+ *   - 배열 데이터: 항목 id 기준 3-way 병합 (listMerge — 같은 항목을 양쪽에서 고치면 이 PC 내용 유지)
+ *   - 지점 목록: 지점 이름 기준 병합, 활성 지점은 이 PC 값 유지
+ *   - 지점 수가표: 카테고리 + 시술명 기준 병합
+ *   - 한쪽은 삭제, 다른 쪽은 수정: 수정된 쪽 유지
+ */
+
+import { kvStore, subscribeChanges } from './kvStore';
+import { mergeLists } from './listMerge';
+import { SCHEMAS, migrateValue } from './schema';
+import { MERGE_ID } from './workspaceBackup';
+
+const SETTINGS_KEY = 'vans-sync-settings';
+const STATE_KEY = 'vans-sync-state';
+const MANIFEST_KEY = 'vans-branch-manifest';
+const BRANCH_DATA_PREFIX = 'vans-branch-data-';
+
+const SYNC_KEYS = [
+  'vans-pricing-presets',
+  'vans-pricing-procedures',
+  'vans-pricing-packages',
+  'vans-pricing-archive',
+  'vans-pricing-memberships',
+  MANIFEST_KEY,
+];
+
+/** 자동 동기화 주기 (ms) */
+export const SYNC_INTERVAL = 60 * 1000;
+/** 이 PC에서 편집 후 올리기까지 대기 (ms) */
+const PUSH_DEBOUNCE = 3000;
+const REQUEST_TIMEOUT = 15000;
+const MAX_ROUNDS = 3;
+
+function isSyncKey(key) {
+  return SYNC_KEYS.includes(key) || key.startsWith(BRANCH_DATA_PREFIX);
+}
+
+function parseOrNull(raw) {
+  try {
+    return raw === null ? null : JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+// ── 설정 / 상태 ──
+
+/**
+ * @returns {{ serverUrl: string, workspace: string, token: string, autoSync: boolean, deviceId: string }}
+ */
+export function loadSyncSettings() {
+  const saved = parseOrNull(kvStore.getItem(SETTINGS_KEY)) || {};
+  return {
+    serverUrl: saved.serverUrl || '',
+    workspace: saved.workspace || '',
+    token: saved.token || '',
+    autoSync: Boolean(saved.autoSync),
+    deviceId: saved.deviceId || '',
+  };
+}
+
+/**
+ * 설정 저장 후 자동 동기화 다시 시작
+ * @param {{ serverUrl: string, workspace: string, token?: string, autoSync: boolean }} settings
+ */
+export function saveSyncSettings(settings) {
+  const deviceId = loadSyncSettings().deviceId || `pc-${Math.random().toString(36).slice(2, 10)}`;
+  kvStore.setItem(SETTINGS_KEY, JSON.stringify({
+    serverUrl: settings.serverUrl.trim().replace(/\/+$/, ''),
+    workspace: settings.workspace.trim(),
+    token: (settings.token || '').trim(),
+    autoSync: Boolean(settings.autoSync),
+    deviceId,
+  }));
+  startAutoSync();
+}
+
+function targetOf(settings) {
+  return `${settings.serverUrl}|${settings.workspace}`;
+}
+
+function loadSyncState(settings) {
+  const saved = parseOrNull(kvStore.getItem(STATE_KEY));
+  if (!saved || saved.target !== targetOf(settings)) {
+    return { target: targetOf(settings), seq: 0, entries: {} };
+  }
+  return { ...saved, entries: saved.entries || {} };
+}
+
+function saveSyncState(state) {
+  kvStore.setItem(STATE_KEY, JSON.stringify(state));
+}
+
+// ── 상태 알림 (useSyncExternalStore) ──
+
+let _status = { running: false, lastSyncedAt: null, lastResult: null, error: null };
+const _listeners = new Set();
+
+function setStatus(patch) {
+  _status = { ..._status, ...patch };
+  _listeners.forEach((listener) => listener());
+}
+
+/**
+ * @param {() => void} listener
+ * @returns {() => void} 구독 해제
+ */
+export function subscribeSyncStatus(listener) {
+  _listeners.add(listener);
+  return () => _listeners.delete(listener);
+}
+
+/**
+ * @returns {{ running: boolean, lastSyncedAt: string|null, lastResult: object|null, error: string|null }}
+ */
+export function getSyncStatus() {
+  return _status;
+}
+
+// ── 서버 요청 ──
+
+async function request(url, { token, ...options } = {}) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+  const headers = {};
+  if (options.body) headers['Content-Type'] = 'application/json';
+  if (token) headers.Authorization = `Bearer ${token}`;
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal, headers });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(body.error || `서버 응답 오류 (${res.status})`);
+    return body;
+  } catch (err) {
+    if (err.name === 'AbortError') throw new Error('서버 응답이 없습니다.');
+    if (err instanceof TypeError) throw new Error('서버에 연결할 수 없습니다.');
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function workspaceUrl(settings) {
+  return `${settings.serverUrl}/workspaces/${encodeURIComponent(settings.workspace)}`;
+}
+
+/**
+ * 서버 연결 확인 (토큰을 주면 작업 공간 요청으로 토큰까지 확인)
+ * @param {string} serverUrl
+ * @param {{ workspace?: string, token?: string }} [options]
+ * @returns {Promise<void>} 실패 시 예외
+ */
+export async function checkSyncServer(serverUrl, { workspace = '', token = '' } = {}) {
+  const base = serverUrl.trim().replace(/\/+$/, '');
+  await request(`${base}/health`);
+  if (workspace.trim()) {
+    await request(`${base}/workspaces/${encodeURIComponent(workspace.trim())}?since=${Number.MAX_SAFE_INTEGER}`, { token: token.trim() });
+  }
+}
+
+// ── 병합 ──
+
+function entityIdOf(key) {
+  if (MERGE_ID[key]) return MERGE_ID[key];
+  if (key.startsWith(BRANCH_DATA_PREFIX)) return (p) => `${p?.category ?? ''}|${p?.name ?? ''}`;
+  return null;
+}
+
+/**
+ * 양쪽에서 바뀐 키 하나를 항목 단위로 병합
+ * @param {string} key
+ * @param {string|null} baseRaw   - 마지막으로 맞춘 값
+ * @param {string|null} localRaw  - 이 PC 값
+ * @param {string|null} remoteRaw - 서버 값
+ * @returns {{ value: string|null, conflicts: number }}
+ */
+function mergeEntity(key, baseRaw, localRaw, remoteRaw) {
+  // 한쪽 삭제 + 다른 쪽 수정 → 수정된 쪽 유지
+  if (localRaw === null || remoteRaw === null) {
+    return { value: localRaw ?? remoteRaw, conflicts: 1 };
+  }
+
+  const base = parseOrNull(baseRaw);
+  const local = parseOrNull(localRaw);
+  const remote = parseOrNull(remoteRaw);
+
+  if (key === MANIFEST_KEY && local && remote) {
+    const byName = (b) => b?.name;
+    const { merged, conflicts } = mergeLists(base?.branches || [], local.branches || [], remote.branches || [], byName);
+    return { value: JSON.stringify({ ...local, branches: merged }), conflicts };
+  }
+
+  const idOf = entityIdOf(key);
+  if (idOf && Array.isArray(local) && Array.isArray(remote)) {
+    const { merged, conflicts } = mergeLists(Array.isArray(base) ? base : [], local, remote, idOf);
+    return { value: JSON.stringify(merged), conflicts };
+  }
+
+  // 항목 구분이 없는 값: 이 PC 값 유지
+  return { value: localRaw, conflicts: 1 };
+}
+
+// ── 동기화 ──
+
+let _applying = false;
+
+function writeLocal(key, value) {
+  _applying = true;
+  try {
+    if (value === null) kvStore.removeItem(key);
+    else kvStore.setItem(key, value);
+  } finally {
+    _applying = false;
+  }
+}
+
+/**
+ * 서버 값 → 이 앱의 현재 스키마로 변환
+ * @returns {{ ok: true, value: string|null } | { ok: false, reason: string }}
+ */
+function decodeRemote(key, entry) {
+  const schema = SCHEMAS[key];
+  if (entry.value === null || !schema) return { ok: true, value: entry.value };
+  const from = Number(entry.schema) || 0;
+  if (from > schema.version) return { ok: false, reason: '다른 PC의 앱이 더 최신 버전입니다' };
+  if (from === schema.version) return { ok: true, value: entry.value };
+  try {
+    return { ok: true, value: JSON.stringify(migrateValue(key, JSON.parse(entry.value), from)) };
+  } catch (err) {
+    return { ok: false, reason: err.message };
+  }
+}
+
+/**
+ * 한 번 동기화
+ * @returns {Promise<{ pulled: number, pushed: number, merged: number, conflicts: number, skipped: Array<{ key, reason }> }>}
+ */
+async function runSync(settings) {
+  const state = loadSyncState(settings);
+  const result = { pulled: 0, pushed: 0, merged: 0, conflicts: 0, skipped: [] };
+
+  const pulled = await request(`${workspaceUrl(settings)}?since=${state.seq}`, { token: settings.token });
+  let remoteEntries = Object.fromEntries(Object.entries(pulled.entries || {}).filter(([key]) => isSyncKey(key)));
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const keys = new Set([
+      ...SYNC_KEYS,
+      ...kvStore.keys().filter(isSyncKey),
+      ...Object.keys(state.entries),
+      ...Object.keys(remoteEntries),
+    ]);
+    const changes = [];
+
+    for (const key of keys) {
+      const known = state.entries[key] || { rev: 0, base: null };
+      const local = kvStore.getItem(key);
+      const entry = remoteEntries[key];
+
+      if (entry && entry.rev > known.rev) {
+        const incoming = decodeRemote(key, entry);
+        if (!incoming.ok) {
+          if (round === 0) result.skipped.push({ key, reason: incoming.reason });
+          continue;
+        }
+        if (local === known.base || local === incoming.value) {
+          if (local !== incoming.value) {
+            writeLocal(key, incoming.value);
+            result.pulled += 1;
+          }
+          state.entries[key] = { rev: entry.rev, base: incoming.value };
+          continue;
+        }
+        const { value, conflicts } = mergeEntity(key, known.base, local, incoming.value);
+        if (value !== local) writeLocal(key, value);
+        state.entries[key] = { rev: entry.rev, base: incoming.value };
+        changes.push({ key, value, baseRev: entry.rev, schema: SCHEMAS[key]?.version ?? null });
+        result.merged += 1;
+        result.conflicts += conflicts;
+      } else if (local !== known.base) {
+        changes.push({ key, value: local, baseRev: known.rev, schema: SCHEMAS[key]?.version ?? null });
+      }
+    }
+
+    if (changes.length === 0) break;
+
+    const pushed = await request(`${workspaceUrl(settings)}/entries`, {
+      method: 'POST',
+      token: settings.token,
+      body: JSON.stringify({ clientId: settings.deviceId, changes }),
+    });
+    for (const { key, rev } of pushed.accepted) {
+      state.entries[key] = { rev, base: changes.find((c) => c.key === key).value };
+    }
+    result.pushed += pushed.accepted.length;
+    // 거부된 키는 돌려받은 서버 값으로 다음 회차에 다시 병합
+    remoteEntries = Object.fromEntries(pushed.rejected.map((entry) => [entry.key, entry]));
+    if (pushed.rejected.length === 0) break;
+  }
+
+  // 건너뛴 키가 있으면 다음에 다시 받도록 순번을 올리지 않음
+  if (result.skipped.length === 0) state.seq = pulled.seq;
+  saveSyncState(state);
+  return result;
+}
+
+let _running = null;
+
+/**
+ * 지금 동기화 (이미 진행 중이면 그 결과를 기다림)
+ * @returns {Promise<object>} runSync 결과
+ */
+export function syncNow() {
+  if (_running) return _running;
+  const settings = loadSyncSettings();
+  if (!settings.serverUrl || !settings.workspace) {
+    return Promise.reject(new Error('서버 주소와 작업 공간 이름을 먼저 저장하세요.'));
+  }
+
+  setStatus({ running: true });
+  _running = runSync(settings)
+    .then((result) => {
+      setStatus({ running: false, lastSyncedAt: new Date().toISOString(), lastResult: result, error: null });
+      return result;
+    })
+    .catch((err) => {
+      setStatus({ running: false, error: err.message });
+      throw err;
+    })
+    .finally(() => {
+      _running = null;
+    });
+  return _running;
+}
+
+// ── 자동 동기화 ──
+
+let _timer = null;
+let _debounce = null;
+let _unsubscribe = null;
+
+function stopAutoSync() {
+  clearInterval(_timer);
+  clearTimeout(_debounce);
+  _unsubscribe?.();
+  _timer = null;
+  _debounce = null;
+  _unsubscribe = null;
+}
+
+/**
+ * 설정에 따라 자동 동기화 시작/중지 (앱 시작 시, 설정 저장 시)
+ *   - SYNC_INTERVAL마다 서버 변경 받기
+ *   - 동기화 대상 데이터를 편집하면 PUSH_DEBOUNCE 뒤 올리기
+ */
+export function startAutoSync() {
+  stopAutoSync();
+  const settings = loadSyncSettings();
+  if (!settings.autoSync || !settings.serverUrl || !settings.workspace) return;
+
+  const run = () => syncNow().catch((err) => console.error('동기화 실패:', err));
+  _timer = setInterval(run, SYNC_INTERVAL);
+  _unsubscribe = subscribeChanges((change) => {
+    if (_applying || change.remote || !isSyncKey(change.key)) return;
+    clearTimeout(_debounce);
+    _debounce = setTimeout(run, PUSH_DEBOUNCE);
+  });
+  run();
+}
@@ -1,28 +1,133 @@
 /**
- * validation.js - Monotonic Discount Rule 검증
+ * validation.js - 가격 규칙 검증 (Monotonic Discount Rule + 설정 가능한 규칙 레지스트리)
  *
  * 핵심 규칙:
  *   - 회차↑ → 회당가 반드시 ↓
  *   - 샷수↑ → 샷당가 반드시 ↓
  *   - 혼합형: 총샷수(샷×회) 기준, 총량↑ → 샷당가↓
+ *   - 용량 기반: cc/유닛↑ → cc·유닛당가 반드시 ↓
+ *   - 부위 기반: 총 부위·회 기준 비교에 더해,
+ *     부위 수와 회차가 모두 같거나 많은 구간은 부위당가가 반드시 ↓
+ *     (예: 2부위×5회는 2부위×3회, 1부위×5회보다 싸야 함)
  *
  * 위반 시 해당 행에 violation 플래그를 설정하고,
  * violations 배열에 위반 메시지를 추가합니다.
+ *
+ * 최소 마진 규칙:
+ *   - 원가 분석이 켜진 시술은 마진율이 최소 마진율 미만이면 위반
+ *   - 위반 행에 marginViolation 플래그 설정
+ *
+ * 규칙 레지스트리 (VALIDATION_RULES):
+ *   - 규칙별 사용 여부 / 심각도(error·warning·info) / 임계값을 설정으로 조정
+ *   - runItemRules(): 수가 책정 시술, runPackageRules(): 이벤트 패키지
+ *   - 결과는 { ruleId, severity, message } 형태 → groupResultsByRule()로 배너에 표시
+ *
+ * 자동 수정 제안 (Monotonic 위반):
+ *   - 위반 행 가격을 낮추거나, 비교 대상(이전 구간) 가격을 올리는 구체적 금액을 제안
+ *   - 금액은 반올림 단위에 맞추고, 실제 단가 반올림·VAT 환산 후에도 규칙을 만족하는지 확인
+ *
+ * 교차 검증 (패키지 ↔ 단품):
+ *   - 패키지 구성 시술을 수가 책정 탭 / 시술 라이브러리 / 지점 수가표에서 찾아 단품 가격과 비교
+ *   - 패키지가를 정가 비율로 배분한 회당 금액이 단품 이벤트가보다 기준% 넘게 싸면 잠식 경고
  */
 
+import {
+  calcUnitPrice,
+  normalizeRounding,
+  fromVatDisplay,
+  getUnitLabel,
+  formatNumber,
+} from './pricing';
+import { computePackageSummary } from './packagePricing';
+
+const MAX_FIX_STEPS = 500;
+
 /**
- * Monotonic Discount Rule 검증
- * rows 배열을 받아서, 총량이 증가했는데 단가가 내리지 않은 행을 찾아
- * violation = true 로 표시하고, violations 메시지 배열을 반환합니다.
- *
- * @param {Array<object>} rows     - computeItemRows()의 결과
- * @param {string}        itemName - 시술명 (경고 메시지용)
- * @returns {{ rows: Array<object>, violations: Array<string> }}
+ * 조건을 만족하는 가장 가까운 반올림 단위 가격 탐색
+ * @param {number}   start     - 표시 기준 시작 금액 (단위에 맞춘 값)
+ * @param {number}   step      - 이동 폭 (+단위 / -단위)
+ * @param {Function} satisfies - (표시 가격) → boolean
+ * @returns {number|null} 표시 기준 가격, 찾지 못하면 null
  */
-export function validateMonotonic(rows, itemName = '') {
-  const violations = [];
-  // 위반 행의 label을 Set으로 추적 (불변성 유지를 위해 원본 객체를 변경하지 않음)
-  const violationLabels = new Set();
+function searchFixPrice(start, step, satisfies) {
+  let candidate = start;
+  for (let i = 0; i < MAX_FIX_STEPS && candidate > 0; i++) {
+    if (satisfies(candidate)) return candidate;
+    candidate += step;
+  }
+  return null;
+}
+
+/**
+ * Monotonic 위반 1건에 대한 수정 제안
+ *   1) 위반 행(curr) 가격을 낮춰 단가를 이전 구간보다 싸게
+ *   2) 이전 구간(prev) 가격을 올려 단가를 위반 행보다 비싸게
+ * 바로 앞·뒤 구간(before / after)과 새로 위반이 생기는 금액은 제안하지 않습니다.
+ * @param {object} prev - 단가가 더 낮아야 하는 기준 행
+ * @param {object} curr - 위반 행
+ * @param {{ before?: object, after?: object }} neighbors - prev 앞 구간 / curr 뒤 구간
+ * @param {{ type, unitName?, rounding, vatMode, taxable }} fixCtx
+ * @returns {Array<{ rowType, optionIndex?, rowLabel, price, displayPrice, unitPrice, text }>}
+ *   price - 적용할 공급가 (VAT 별도, 입력값 기준)
+ */
+function suggestMonotonicFixes(prev, curr, neighbors, fixCtx) {
+  const { type, rounding, vatMode, taxable } = fixCtx;
+  const { unit } = normalizeRounding(rounding);
+  const vat = { mode: vatMode, taxable };
+  const unitLabel = getUnitLabel(type, fixCtx.unitName);
+
+  const unitPriceOf = (row, displayPrice) => calcUnitPrice(
+    type,
+    fromVatDisplay(displayPrice, vatMode, taxable),
+    row.sessions,
+    row.quantity,
+    rounding,
+    vat,
+  );
+  const { before, after } = neighbors;
+  const toFix = (row, displayPrice, direction) => {
+    const unitPrice = unitPriceOf(row, displayPrice);
+    return {
+      rowType: row.rowType,
+      optionIndex: row.optionIndex,
+      rowLabel: row.label,
+      price: fromVatDisplay(displayPrice, vatMode, taxable),
+      displayPrice,
+      unitPrice,
+      text:
+        `"${row.label}" 가격을 ${formatNumber(displayPrice)}원 ${direction} ` +
+        `(${unitLabel} ${formatNumber(unitPrice)}원)`,
+    };
+  };
+
+  const fixes = [];
+
+  // 1) 위반 행 가격 인하: 단가 = 가격 ÷ 총량 이므로 이전 단가 × 총량 아래에서 탐색
+  const lowerStart = Math.floor((prev.unitPrice * curr.totalQuantity) / unit) * unit;
+  const lowered = searchFixPrice(lowerStart, -unit, (p) => {
+    const u = unitPriceOf(curr, p);
+    return u > 0 && u < prev.unitPrice && (!after || u > after.unitPrice);
+  });
+  if (lowered !== null) fixes.push(toFix(curr, lowered, '이하로'));
+
+  // 2) 이전 구간 가격 인상
+  const raiseStart = Math.ceil((curr.unitPrice * prev.totalQuantity) / unit) * unit;
+  const raised = searchFixPrice(raiseStart, unit, (p) => {
+    const u = unitPriceOf(prev, p);
+    return u > curr.unitPrice && (!before || u < before.unitPrice);
+  });
+  if (raised !== null) fixes.push(toFix(prev, raised, '이상으로'));
+
+  return fixes;
+}
+
+/**
+ * Monotonic 위반 목록 수집 (validateMonotonic / 규칙 레지스트리 공용)
+ * fixCtx(반올림 전략 / VAT 모드)를 넘기면 위반마다 수정 제안(fixes)을 붙입니다.
+ * @returns {Array<{ rowLabel: string, message: string, fixes?: Array<object> }>}
+ */
+function collectMonotonicViolations(rows, itemName, type, fixCtx = null) {
+  const findings = [];
 
   // 경쟁사 행은 Monotonic 검증 대상이 아님
   // trial, event, option 행만 순서대로 검증
@@ -40,6 +145,31 @@ export function validateMonotonic(rows, itemName = '') {
     (a, b) => a.totalQuantity - b.totalQuantity,
   );
 
+  const prefix = itemName ? `[${itemName}] ` : '';
+  const reported = new Set();
+  const report = (prev, curr, rule) => {
+    const key = `${prev.label}→${curr.label}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    const finding = {
+      rowLabel: curr.label,
+      message:
+        `${prefix}"${curr.label}" 단가(${curr.unitPrice.toLocaleString('ko-KR')}원)가 ` +
+        `"${prev.label}" 단가(${prev.unitPrice.toLocaleString('ko-KR')}원)보다 ` +
+        `높거나 같습니다. ${rule} 규칙 위반!`,
+    };
+    if (fixCtx) {
+      const prevIdx = sorted.indexOf(prev);
+      const currIdx = sorted.indexOf(curr);
+      const neighbors = {
+        before: sorted.slice(0, prevIdx).reverse().find((r) => r.totalQuantity < prev.totalQuantity),
+        after: sorted.slice(currIdx + 1).find((r) => r.totalQuantity > curr.totalQuantity),
+      };
+      finding.fixes = suggestMonotonicFixes(prev, curr, neighbors, { ...fixCtx, type });
+    }
+    findings.push(finding);
+  };
+
   // 인접한 두 행 비교: 총량↑ 인데 단가가 ↓가 아닌 경우 위반
   for (let i = 1; i < sorted.length; i++) {
     const prev = sorted[i - 1];
@@ -49,17 +179,44 @@ export function validateMonotonic(rows, itemName = '') {
     if (curr.totalQuantity <= prev.totalQuantity) continue;
 
     // 총량이 증가했는데 단가가 같거나 더 비싸면 위반
-    if (curr.unitPrice >= prev.unitPrice) {
-      violationLabels.add(curr.label);
-      const prefix = itemName ? `[${itemName}] ` : '';
-      violations.push(
-        `${prefix}"${curr.label}" 단가(${curr.unitPrice.toLocaleString('ko-KR')}원)가 ` +
-        `"${prev.label}" 단가(${prev.unitPrice.toLocaleString('ko-KR')}원)보다 ` +
-        `높거나 같습니다. 수량↑ → 단가↓ 규칙 위반!`,
-      );
+    if (curr.unitPrice >= prev.unitPrice) report(prev, curr, '수량↑ → 단가↓');
+  }
+
+  // 부위 기반: 부위 수·회차가 모두 같거나 많은(한쪽은 더 많은) 구간끼리 비교
+  // 총량 정렬상 인접하지 않아도 검사합니다. (예: 1부위×5회 → 2부위×5회 사이에 3부위×2회)
+  if (type === 'area') {
+    for (const prev of sorted) {
+      for (const curr of sorted) {
+        const dominates =
+          curr.quantity >= prev.quantity &&
+          curr.sessions >= prev.sessions &&
+          curr.totalQuantity > prev.totalQuantity;
+        if (dominates && curr.unitPrice >= prev.unitPrice) {
+          report(prev, curr, '부위·회차↑ → 부위당가↓');
+        }
+      }
     }
   }
 
+  return findings;
+}
+
+/**
+ * Monotonic Discount Rule 검증
+ * rows 배열을 받아서, 총량이 증가했는데 단가가 내리지 않은 행을 찾아
+ * violation = true 로 표시하고, violations 메시지 배열을 반환합니다.
+ *
+ * @param {Array<object>} rows     - computeItemRows()의 결과
+ * @param {string}        itemName - 시술명 (경고 메시지용)
+ * @param {string}        [type]   - 시술 유형 (부위 기반은 부위/회차 각각도 검증)
+ * @returns {{ rows: Array<object>, violations: Array<string> }}
+ */
+export function validateMonotonic(rows, itemName = '', type = '') {
+  const findings = collectMonotonicViolations(rows, itemName, type);
+  // 위반 행의 label을 Set으로 추적 (불변성 유지를 위해 원본 객체를 변경하지 않음)
+  const violationLabels = new Set(findings.map((f) => f.rowLabel));
+  const violations = findings.map((f) => f.message);
+
   // 불변적으로 새 배열 반환: violation 플래그를 새 객체로 설정
   const updatedRows = rows.map((row) => ({
     ...row,
@@ -69,18 +226,401 @@ export function validateMonotonic(rows, itemName = '') {
   return { rows: updatedRows, violations };
 }
 
+/**
+ * 최소 마진 규칙 검증
+ * 원가 정보가 있는 행 중 마진율이 기준 미만인 행을 marginViolation = true 로 표시합니다.
+ *
+ * @param {Array<object>} rows             - computeItemRows()의 결과
+ * @param {string}        itemName         - 시술명 (경고 메시지용)
+ * @param {number}        minMarginPercent - 최소 마진율 (%)
+ * @returns {{ rows: Array<object>, violations: Array<string> }}
+ */
+export function validateMargin(rows, itemName = '', minMarginPercent = 0) {
+  const violations = [];
+  const prefix = itemName ? `[${itemName}] ` : '';
+
+  const updatedRows = rows.map((row) => {
+    if (row.rowType === 'competitor') return { ...row, marginViolation: false };
+    if (!(row.price > 0) || row.marginPercent === null || row.marginPercent === undefined) {
+      return { ...row, marginViolation: false };
+    }
+
+    const below = row.marginPercent < minMarginPercent;
+    if (below) {
+      violations.push(
+        `${prefix}"${row.label}" 마진율(${row.marginPercent}%)이 ` +
+        `최소 마진율(${minMarginPercent}%)보다 낮습니다. ` +
+        `(원가 ${row.cost.toLocaleString('ko-KR')}원)`,
+      );
+    }
+    return { ...row, marginViolation: below };
+  });
+
+  return { rows: updatedRows, violations };
+}
+
 /**
  * 전체 시술 목록의 모든 violations를 모아서 반환
- * @param {Array<{ name: string, rows: Array<object> }>} allItems
+ * @param {Array<{ name: string, type?: string, rows: Array<object> }>} allItems
  * @returns {Array<string>} 모든 위반 메시지
  */
 export function validateAll(allItems) {
   const allViolations = [];
 
-  for (const { name, rows } of allItems) {
-    const { violations } = validateMonotonic(rows, name);
+  for (const { name, type, rows } of allItems) {
+    const { violations } = validateMonotonic(rows, name, type);
     allViolations.push(...violations);
   }
 
   return allViolations;
 }
+
+// ── 규칙 레지스트리 ──
+
+/** 심각도 라벨 (정렬 순서: error → warning → info) */
+export const SEVERITY_LABELS = {
+  error: '오류',
+  warning: '경고',
+  info: '참고',
+};
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+const won = (n) => `${Math.round(n).toLocaleString('ko-KR')}원`;
+const prefixOf = (name) => (name ? `[${name}] ` : '');
+
+/**
+ * 검증 규칙 목록
+ *   scope    - 'item' (수가 책정 시술 rows) | 'package' (이벤트 패키지)
+ *   severity - 기본 심각도 (설정에서 변경 가능)
+ *   params   - 임계값 정의 [{ key, label, default }]
+ *   rowFlag  - 위반 행에 설정할 플래그 (결과표 강조용)
+ *   check(subject, params, ctx) → [{ message, rowLabel? }]
+ *     item ctx:    { itemName, type, unitName, costEnabled, minMarginPercent, eventPrice, branchPrice,
+ *                    rounding, vatMode, taxable }  (rounding이 있으면 수정 제안 생성)
+ *     package ctx: { procedures, referencePrices }
+ *                  procedures      - 시술 라이브러리 (이벤트가 조회용)
+ *                  referencePrices - buildReferencePrices() 결과 (단품 가격 교차 검증용)
+ */
+export const VALIDATION_RULES = [
+  {
+    id: 'monotonic',
+    label: '수량↑ → 단가↓',
+    description: '수량이 많은 구간일수록 단가가 낮아야 합니다.',
+    scope: 'item',
+    severity: 'error',
+    rowFlag: 'violation',
+    params: [],
+    check: (rows, _params, ctx) => collectMonotonicViolations(
+      rows,
+      ctx.itemName,
+      ctx.type,
+      ctx.rounding ? ctx : null,
+    ),
+  },
+  {
+    id: 'minMargin',
+    label: '최소 마진율',
+    description: '원가 분석을 켠 시술은 시술별 최소 마진율 이상이어야 합니다.',
+    scope: 'item',
+    severity: 'error',
+    rowFlag: 'marginViolation',
+    params: [],
+    check: (rows, _params, ctx) => {
+      if (!ctx.costEnabled) return [];
+      const { rows: checked, violations } = validateMargin(rows, ctx.itemName, ctx.minMarginPercent);
+      const flagged = checked.filter((r) => r.marginViolation);
+      return violations.map((message, i) => ({ message, rowLabel: flagged[i]?.label }));
+    },
+  },
+  {
+    id: 'trialAboveEvent',
+    label: '체험가 > 이벤트가',
+    description: '1회 체험가는 이벤트가보다 비싸야 합니다.',
+    scope: 'item',
+    severity: 'warning',
+    params: [],
+    check: (rows, _params, ctx) => {
+      const trial = rows.find((r) => r.rowType === 'trial');
+      const event = rows.find((r) => r.rowType === 'event');
+      if (!trial || !event || !(trial.unitPrice > 0) || !(event.unitPrice > 0)) return [];
+      if (trial.unitPrice > event.unitPrice) return [];
+      return [{
+        rowLabel: trial.label,
+        message:
+          `${prefixOf(ctx.itemName)}체험가 단가(${won(trial.unitPrice)})가 ` +
+          `이벤트가 단가(${won(event.unitPrice)})보다 높지 않습니다.`,
+      }];
+    },
+  },
+  {
+    id: 'maxOptionDiscount',
+    label: '옵션 최대 할인율',
+    description: '옵션 단가의 이벤트가 대비 할인율이 기준을 넘으면 안 됩니다.',
+    scope: 'item',
+    severity: 'warning',
+    params: [{ key: 'maxPercent', label: '최대 할인율 (%)', default: 50 }],
+    check: (rows, params, ctx) => rows
+      .filter((r) => r.rowType === 'option' && r.price > 0 && r.discountFromEvent > params.maxPercent)
+      .map((r) => ({
+        rowLabel: r.label,
+        message:
+          `${prefixOf(ctx.itemName)}"${r.label}" 할인율(${r.discountFromEvent}%)이 ` +
+          `최대 할인율(${params.maxPercent}%)을 넘습니다.`,
+      })),
+  },
+  {
+    id: 'beatCompetitor',
+    label: '경쟁사보다 저렴',
+    description: '경쟁사 가격이 있는 구간은 가장 싼 경쟁사보다 기준% 이상 저렴해야 합니다.',
+    scope: 'item',
+    severity: 'warning',
+    params: [{ key: 'minPercent', label: '최소 가격 우위 (%)', default: 0 }],
+    check: (rows, params, ctx) => rows
+      .filter((r) => r.rowType !== 'competitor' && r.rowType !== 'trial' && r.market && r.unitPrice > 0)
+      .filter((r) => {
+        const advantage = ((r.market.min - r.unitPrice) / r.market.min) * 100;
+        return params.minPercent > 0 ? advantage < params.minPercent : advantage <= 0;
+      })
+      .map((r) => ({
+        rowLabel: r.label,
+        message:
+          `${prefixOf(ctx.itemName)}"${r.label}" 단가(${won(r.unitPrice)})가 ` +
+          `최저 경쟁사 단가(${won(r.market.min)})보다 ` +
+          `${params.minPercent > 0 ? `${params.minPercent}% 이상 ` : ''}저렴하지 않습니다.`,
+      })),
+  },
+  {
+    id: 'branchAboveEvent',
+    label: '지점 표준가 ≥ 이벤트가',
+    description: '선택한 지점 수가표의 표준가격이 이벤트가보다 낮으면 안 됩니다.',
+    scope: 'item',
+    severity: 'warning',
+    params: [],
+    check: (rows, _params, ctx) => {
+      const event = rows.find((r) => r.rowType === 'event');
+      // 지점 수가표와 같은 기준(저장값, VAT 별도)으로 비교
+      if (!ctx.branchPrice || !event || !(ctx.eventPrice > 0)) return [];
+      if (ctx.branchPrice >= ctx.eventPrice) return [];
+      return [{
+        rowLabel: event.label,
+        message:
+          `${prefixOf(ctx.itemName)}지점 표준가(${won(ctx.branchPrice)})가 ` +
+          `이벤트가(${won(ctx.eventPrice)})보다 낮습니다.`,
+      }];
+    },
+  },
+  {
+    id: 'packageAboveComponent',
+    label: '패키지 ≥ 최저 구성 시술 이벤트가',
+    description: '패키지 가격이 구성 시술 중 가장 싼 시술의 이벤트가보다 낮으면 안 됩니다.',
+    scope: 'package',
+    severity: 'error',
+    params: [],
+    check: (pkg, _params, ctx) => {
+      const price = Number(pkg.packagePrice) || 0;
+      if (price <= 0) return [];
+      const eventPrices = (pkg.items || [])
+        .map((item) => getComponentEventPrice(item, ctx.procedures))
+        .filter((p) => p > 0);
+      if (eventPrices.length === 0) return [];
+      const cheapest = Math.min(...eventPrices);
+      if (price >= cheapest) return [];
+      return [{
+        message:
+          `${prefixOf(pkg.name)}패키지 가격(${won(price)})이 ` +
+          `가장 싼 구성 시술 이벤트가(${won(cheapest)})보다 낮습니다.`,
+      }];
+    },
+  },
+  {
+    id: 'packageCannibalization',
+    label: '패키지 단품 잠식',
+    description: '패키지가를 구성 시술에 배분한 회당 금액이 단품 가격보다 기준% 넘게 싸면 안 됩니다.',
+    scope: 'package',
+    severity: 'warning',
+    params: [{ key: 'maxUndercutPercent', label: '허용 할인폭 (%)', default: 10 }],
+    check: (pkg, params, ctx) => {
+      const refs = ctx.referencePrices;
+      if (!refs || refs.size === 0 || !(Number(pkg.packagePrice) > 0)) return [];
+
+      const { perItemBreakdown } = computePackageSummary(pkg, 'excluded');
+      return perItemBreakdown.flatMap((part) => {
+        const ref = refs.get(normalizeName(part.name));
+        if (!ref || !(part.allocatedExVat > 0)) return [];
+        const perUnit = part.allocatedExVat / part.quantity;
+        const undercut = Math.round((1 - perUnit / ref.price) * 1000) / 10;
+        if (undercut <= params.maxUndercutPercent) return [];
+        return [{
+          message:
+            `${prefixOf(pkg.name)}"${part.name}" 배분가 ${won(perUnit)}/회가 ` +
+            `${ref.source}(${won(ref.price)})보다 ${undercut}% 저렴합니다. ` +
+            `(허용 ${params.maxUndercutPercent}%)`,
+        }];
+      });
+    },
+  },
+];
+
+const normalizeName = (name) => String(name || '').replace(/\s+/g, '').toLowerCase();
+
+/**
+ * 단품 가격 참조표 생성 (패키지 잠식 교차 검증용)
+ * 같은 시술이 여러 곳에 있으면 수가 책정 탭 → 시술 라이브러리 → 지점 수가표 순으로 우선합니다.
+ * 가격은 모두 공급가(VAT 별도) 기준입니다.
+ * @param {{ pricingItems?: Array<object>, procedures?: Array<object>, branchProcedures?: Array<object> }} sources
+ *   pricingItems     - 수가 책정 탭 시술 (autoLoad().items)
+ *   procedures       - 시술 라이브러리
+ *   branchProcedures - 선택된 지점 수가표
+ * @returns {Map<string, { name: string, price: number, source: string }>} 정규화 시술명 → 단품 가격
+ */
+export function buildReferencePrices({ pricingItems = [], procedures = [], branchProcedures = [] } = {}) {
+  const refs = new Map();
+  const add = (name, price, source) => {
+    const key = normalizeName(name);
+    const value = Number(price) || 0;
+    if (!key || value <= 0 || refs.has(key)) return;
+    refs.set(key, { name, price: value, source });
+  };
+
+  pricingItems.forEach((item) => add(item.name, item.eventPrice, '수가 책정 이벤트가'));
+  procedures.forEach((p) => add(p.name, p.eventPrice, '시술 라이브러리 이벤트가'));
+  branchProcedures.forEach((p) => add(p.name, p.standardPrice, '지점 표준가'));
+  return refs;
+}
+
+/**
+ * 패키지 구성 시술의 이벤트가 (이벤트가로 매칭된 항목 또는 시술 라이브러리 조회)
+ * @returns {number} 모르면 0
+ */
+function getComponentEventPrice(item, procedures = []) {
+  if (item.priceSource === 'event' && item.individualPrice > 0) return Number(item.individualPrice);
+  const name = (item.procedureName || '').replace(/\s+/g, '');
+  const match = procedures.find((p) =>
+    (item.procedureId && p.id === item.procedureId) ||
+    (name && (p.name || '').replace(/\s+/g, '') === name),
+  );
+  return Number(match?.eventPrice) || 0;
+}
+
+/** 같은 행·같은 금액 제안 중복 제거 */
+function uniqueFixes(fixes) {
+  const seen = new Set();
+  return fixes.filter((fix) => {
+    const key = `${fix.rowLabel}:${fix.price}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * 저장된 설정을 기본값과 합쳐 규칙별 설정으로 변환
+ * @param {object} saved - { [ruleId]: { enabled?, severity?, params? } }
+ * @returns {{ [ruleId]: { enabled: boolean, severity: string, params: object } }}
+ */
+export function resolveRuleSettings(saved = {}) {
+  const settings = {};
+  for (const rule of VALIDATION_RULES) {
+    const s = saved?.[rule.id] || {};
+    const params = {};
+    for (const p of rule.params) {
+      const value = s.params?.[p.key];
+      params[p.key] = value === '' || value === undefined || value === null || isNaN(Number(value))
+        ? p.default
+        : Number(value);
+    }
+    settings[rule.id] = {
+      enabled: s.enabled !== false,
+      severity: SEVERITY_LABELS[s.severity] ? s.severity : rule.severity,
+      params,
+    };
+  }
+  return settings;
+}
+
+/**
+ * 한 규칙 실행 → 결과 객체 목록
+ */
+function runRule(rule, subject, ctx, setting) {
+  return rule.check(subject, setting.params, ctx).map((finding) => ({
+    ruleId: rule.id,
+    severity: setting.severity,
+    ...finding,
+  }));
+}
+
+/**
+ * 시술(item) 규칙 실행
+ * 활성화된 규칙의 위반 행에 rowFlag(violation / marginViolation)를 설정하고,
+ * 수정 제안이 있으면 해당 행에 fixes로 붙인 새 rows를 반환합니다.
+ *
+ * @param {Array<object>} rows     - computeItemRows()의 결과
+ * @param {object}        ctx      - VALIDATION_RULES의 item ctx 참고
+ * @param {object}        settings - resolveRuleSettings() 결과
+ * @returns {{ rows: Array<object>, results: Array<{ ruleId, severity, message, rowLabel?, fixes? }> }}
+ */
+export function runItemRules(rows, ctx, settings = resolveRuleSettings()) {
+  const results = [];
+  const flags = {};
+
+  for (const rule of VALIDATION_RULES) {
+    if (rule.scope !== 'item' || !settings[rule.id]?.enabled) continue;
+    const ruleResults = runRule(rule, rows, ctx, settings[rule.id]);
+    results.push(...ruleResults);
+    if (rule.rowFlag) {
+      flags[rule.rowFlag] = new Set(ruleResults.map((r) => r.rowLabel));
+    }
+  }
+
+  const flagged = rows.map((row) => ({
+    ...row,
+    violation: Boolean(flags.violation?.has(row.label)),
+    marginViolation: Boolean(flags.marginViolation?.has(row.label)),
+    fixes: uniqueFixes(results.filter((r) => r.rowLabel === row.label && r.fixes).flatMap((r) => r.fixes)),
+  }));
+
+  return { rows: flagged, results };
+}
+
+/**
+ * 패키지 규칙 실행
+ * @param {object} pkg      - 패키지 데이터
+ * @param {object} ctx      - { procedures }
+ * @param {object} settings - resolveRuleSettings() 결과
+ * @returns {Array<{ ruleId, severity, message }>}
+ */
+export function runPackageRules(pkg, ctx = {}, settings = resolveRuleSettings()) {
+  const results = [];
+  for (const rule of VALIDATION_RULES) {
+    if (rule.scope !== 'package' || !settings[rule.id]?.enabled) continue;
+    results.push(...runRule(rule, pkg, ctx, settings[rule.id]));
+  }
+  return results;
+}
+
+/**
+ * 결과를 규칙별로 묶기 (심각도 순 정렬)
+ * @param {Array<{ ruleId, severity, message }>} results
+ * @returns {Array<{ ruleId: string, label: string, severity: string, messages: string[], results: object[] }>}
+ */
+export function groupResultsByRule(results) {
+  const groups = new Map();
+  for (const r of results) {
+    if (!groups.has(r.ruleId)) {
+      const rule = VALIDATION_RULES.find((x) => x.id === r.ruleId);
+      groups.set(r.ruleId, {
+        ruleId: r.ruleId,
+        label: rule ? rule.label : r.ruleId,
+        severity: r.severity,
+        messages: [],
+        results: [],
+      });
+    }
+    groups.get(r.ruleId).messages.push(r.message);
+    groups.get(r.ruleId).results.push(r);
+  }
+  return [...groups.values()].sort(
+    (a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity],
+  );
+}
@@ -0,0 +1,412 @@
+/**
+ * workspaceBackup.js - 작업 공간 전체 백업 / 복원
+ *
+ * 백업 형식 (version 2):
+ *   { format: 'vans-workspace', version: 2, exportedAt, schemaVersions,
+ *     sections: { [섹션 id]: { [저장소 키]: 원본 문자열 } } }
+ *   저장소 값은 문자열 그대로 담아 손실 없이 되돌립니다.
+ *   BranchTab의 기존 백업(version 1: manifest / branches / procedures / packages)도 읽을 수 있습니다.
+ *
+ * 암호화 백업: 같은 내용을 fileCrypto.js 형식으로 감싼 파일 — 복원 화면에서 비밀번호를 받아 먼저 풀어 줍니다.
+ *
+ * 복원 흐름:
+ *   1. parseWorkspaceBackup()  - 파일 검증 (형식, JSON, 스키마 변환 가능 여부, 필드 검증) — 아직 아무것도 쓰지 않음
+ *      수가 책정 / 패키지 / 아카이브 / 지점 데이터는 dataValidation.js로 필드를 검사해
+ *      자동 복구 모드면 고친 값을, 아니면 문제가 있는 항목을 오류로 제외합니다.
+ *   2. previewRestore()        - 섹션·모드(merge | replace)별로 키마다 추가/교체/병합/삭제 미리보기
+ *   3. applyRestore()          - 미리보기와 같은 계산으로 실제 기록
+ *
+ * 병합(merge) 규칙:
+ *   - 배열 데이터: id(없으면 name)가 같은 항목은 현재 것을 유지하고, 없는 항목만 추가
+ *   - 지점 목록: 지점 이름 기준 합집합, 지점 데이터는 현재 없는 지점만 추가
+ *   - 그 밖의 값(설정, 메모 등): 현재 값이 없을 때만 채움
+ */
+
+import { kvStore } from './kvStore';
+import { SCHEMAS, migrateValue, markSchemaCurrent } from './schema';
+import { encryptText } from './fileCrypto';
+import { validateStoreValue } from './dataValidation';
+
+export const BACKUP_FORMAT = 'vans-workspace';
+export const BACKUP_VERSION = 2;
+
+const BRANCH_DATA_PREFIX = 'vans-branch-data-';
+const SCHEMA_VERSIONS_KEY = 'vans-schema-versions';
+
+/**
+ * 백업 섹션
+ *   keys   - 포함되는 저장소 키
+ *   prefix - 접두사로 포함되는 키 (지점 데이터)
+ */
+export const BACKUP_SECTIONS = [
+  { id: 'pricing', label: '수가 책정', keys: ['vans-pricing-data'] },
+  { id: 'history', label: '수가 변경 이력', keys: ['vans-pricing-history'] },
+  { id: 'presets', label: '프리셋', keys: ['vans-pricing-presets'] },
+  { id: 'procedures', label: '시술 라이브러리', keys: ['vans-pricing-procedures'] },
+  { id: 'packages', label: '이벤트 패키지', keys: ['vans-pricing-packages', 'vans-pricing-draft-packages'] },
+  { id: 'archive', label: '패키지 아카이브', keys: ['vans-pricing-archive'] },
+  { id: 'memberships', label: '회원권', keys: ['vans-pricing-memberships'] },
+  { id: 'branches', label: '지점 수가', keys: ['vans-branch-manifest', 'vans-branch-column-mappings'], prefix: BRANCH_DATA_PREFIX },
+  { id: 'notes', label: '메모 · 최근 시술', keys: ['vans-pricing-floating-memo', 'vans-pricing-recent-procedures'] },
+  {
+    id: 'settings',
+    label: '설정',
+    keys: [
+      'vans-pricing-vat-mode',
+      'vans-pricing-rounding',
+      'vans-pricing-round-unit',
+      'vans-pricing-rule-settings',
+      'vans-pricing-card-container-height',
+      'vans-pricing-memo-pos',
+      'vans-pricing-memo-size',
+      'vans-pricing-memo-minimized',
+      'vans-pricing-calc-pos',
+      'vans-pricing-calc-size',
+      'vans-pricing-calc-minimized',
+    ],
+  },
+];
+
+/** 배열 항목을 병합할 때 쓰는 식별자 (동기화 병합도 같은 기준 사용) */
+export const MERGE_ID = {
+  'vans-pricing-history': (s) => s?.id,
+  'vans-pricing-presets': (p) => p?.name,
+  'vans-pricing-memberships': (m) => m?.id,
+  'vans-pricing-procedures': (p) => p?.id ?? p?.name,
+  'vans-pricing-packages': (p) => p?.id ?? p?.name,
+  'vans-pricing-draft-packages': (p) => p?.id ?? p?.name,
+  'vans-pricing-archive': (g) => g?.id ?? g?.groupName,
+  'vans-pricing-recent-procedures': (r) => (typeof r === 'string' ? r : r?.name),
+};
+
+function sectionKeys(section) {
+  const keys = [...section.keys];
+  if (section.prefix) {
+    keys.push(...kvStore.keys().filter((key) => key.startsWith(section.prefix)));
+  }
+  return keys;
+}
+
+function belongsTo(section, key) {
+  return section.keys.includes(key) || Boolean(section.prefix && key.startsWith(section.prefix));
+}
+
+function loadSchemaVersions() {
+  try {
+    return JSON.parse(kvStore.getItem(SCHEMA_VERSIONS_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+// ── 백업 ──
+
+/**
+ * 현재 작업 공간 전체 백업 객체 생성
+ * @returns {object} BACKUP_VERSION 형식
+ */
+export function createWorkspaceBackup() {
+  const sections = {};
+  for (const section of BACKUP_SECTIONS) {
+    const entries = {};
+    for (const key of sectionKeys(section)) {
+      const raw = kvStore.getItem(key);
+      if (raw !== null) entries[key] = raw;
+    }
+    sections[section.id] = entries;
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    schemaVersions: loadSchemaVersions(),
+    sections,
+  };
+}
+
+/**
+ * 백업 파일 다운로드
+ * @param {{ passphrase?: string }} [options] - passphrase를 주면 암호화 파일로 저장 (fileCrypto.js)
+ * @returns {Promise<{ keyCount: number }>}
+ */
+export async function downloadWorkspaceBackup({ passphrase } = {}) {
+  const backup = createWorkspaceBackup();
+  const json = JSON.stringify(backup, null, 2);
+  const content = passphrase ? await encryptText(json, passphrase, 'workspace') : json;
+  const blob = new Blob([content], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `vans-workspace-${backup.exportedAt.slice(0, 10)}${passphrase ? '-encrypted' : ''}.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+  return {
+    keyCount: Object.values(backup.sections).reduce((sum, entries) => sum + Object.keys(entries).length, 0),
+  };
+}
+
+// ── 검증 ──
+
+/** 기존 BranchTab 백업(version 1) → version 2 섹션 */
+function convertLegacyBackup(legacy) {
+  const branches = { 'vans-branch-manifest': JSON.stringify(legacy.manifest) };
+  for (const [name, data] of Object.entries(legacy.branches || {})) {
+    branches[BRANCH_DATA_PREFIX + name] = JSON.stringify(data);
+  }
+  const sections = { branches };
+  if (legacy.procedures) {
+    sections.procedures = { 'vans-pricing-procedures': JSON.stringify(legacy.procedures) };
+  }
+  if (legacy.packages) {
+    sections.packages = { 'vans-pricing-packages': JSON.stringify(legacy.packages) };
+  }
+  return {
+    format: BACKUP_FORMAT,
+    version: 1,
+    exportedAt: legacy.exportedAt || null,
+    schemaVersions: {},
+    sections,
+  };
+}
+
+/**
+ * 백업 값 하나를 최신 스키마로 변환 + 필드 검증
+ * 잘못된 값 때문에 스키마 변환이 실패하면, 자동 복구 모드에서는 먼저 복구한 뒤 다시 변환합니다.
+ * @returns {{ value: string|null, error: string|null, issues: Array<{ path, message, fix }> }}
+ */
+function checkEntry(key, raw, from, repair) {
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (err) {
+    return { value: null, error: err.message, issues: [] };
+  }
+
+  const issues = [];
+  let data;
+  try {
+    data = migrateValue(key, parsed, from);
+  } catch (err) {
+    const pre = validateStoreValue(key, parsed, { repair: true });
+    if (!pre || pre.fatal || !repair) return { value: null, error: err.message, issues: pre?.issues || [] };
+    try {
+      data = migrateValue(key, pre.value, from);
+    } catch {
+      return { value: null, error: err.message, issues: [] };
+    }
+    issues.push(...pre.issues);
+  }
+
+  const checked = validateStoreValue(key, data, { repair });
+  if (!checked) return { value: JSON.stringify(data), error: null, issues };
+  if (checked.fatal) return { value: null, error: checked.fatal, issues };
+  issues.push(...checked.issues);
+  if (checked.issues.length > 0 && !repair) {
+    return { value: null, error: `잘못된 값 ${checked.issues.length}건 (자동 복구를 켜면 고쳐서 복원할 수 있습니다)`, issues };
+  }
+  return { value: JSON.stringify(checked.value), error: null, issues };
+}
+
+/**
+ * 백업 파일 내용 검증 (아무것도 기록하지 않음)
+ * 스키마가 등록된 값은 최신 버전으로 변환해 두고, 변환할 수 없는 값은 섹션 오류로 보고합니다.
+ *
+ * @param {string} text - 파일 내용
+ * @param {{ repair?: boolean }} [options] - repair: 필드 문제를 자동 복구해 포함 (끄면 해당 항목 제외)
+ * @returns {{
+ *   backup: object|null,
+ *   sections: Array<{ id, label, keyCount, errors: string[], issues: Array<{ key, path, message, fix }> }>,
+ *   errors: string[],
+ * }}
+ *   issues - 필드 검증에서 나온 문제 (dataValidation.js) — repair면 고쳐서 포함, 아니면 해당 항목 제외
+ */
+export function parseWorkspaceBackup(text, { repair = true } = {}) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    return { backup: null, sections: [], errors: ['JSON 파일이 아닙니다.'] };
+  }
+  if (!parsed || typeof parsed !== 'object') {
+    return { backup: null, sections: [], errors: ['백업 형식이 아닙니다.'] };
+  }
+
+  let backup;
+  if (parsed.format === BACKUP_FORMAT) {
+    if (!(parsed.version <= BACKUP_VERSION)) {
+      return {
+        backup: null,
+        sections: [],
+        errors: [`더 새 버전(v${parsed.version})의 백업입니다. 앱을 업데이트한 뒤 복원하세요.`],
+      };
+    }
+    backup = parsed;
+  } else if (parsed.version === 1 && parsed.manifest && parsed.branches) {
+    backup = convertLegacyBackup(parsed);
+  } else {
+    return { backup: null, sections: [], errors: ['VANS 백업 파일이 아닙니다.'] };
+  }
+
+  const normalized = {};
+  const sections = [];
+  for (const section of BACKUP_SECTIONS) {
+    const entries = backup.sections?.[section.id];
+    if (!entries || typeof entries !== 'object') continue;
+
+    const errors = [];
+    const issues = [];
+    const valid = {};
+    for (const [key, raw] of Object.entries(entries)) {
+      if (!belongsTo(section, key)) {
+        errors.push(`알 수 없는 항목: ${key}`);
+        continue;
+      }
+      if (typeof raw !== 'string') {
+        errors.push(`${key}: 문자열 값이 아닙니다.`);
+        continue;
+      }
+      if (SCHEMAS[key] || key.startsWith(BRANCH_DATA_PREFIX)) {
+        const result = checkEntry(key, raw, Number(backup.schemaVersions?.[key]) || 0, repair);
+        issues.push(...result.issues.map((issue) => ({ key, ...issue })));
+        if (result.error) {
+          errors.push(`${key}: ${result.error}`);
+          continue;
+        }
+        valid[key] = result.value;
+      } else {
+        valid[key] = raw;
+      }
+    }
+
+    normalized[section.id] = valid;
+    sections.push({ id: section.id, label: section.label, keyCount: Object.keys(valid).length, errors, issues });
+  }
+
+  return {
+    backup: { ...backup, sections: normalized },
+    sections,
+    errors: sections.length === 0 ? ['복원할 데이터가 없습니다.'] : [],
+  };
+}
+
+// ── 미리보기 / 적용 ──
+
+function parseOrNull(raw) {
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 키 하나의 병합 결과 (현재 값이 있을 때)
+ * @returns {{ value: string|null, added: number }} value가 null이면 변경 없음
+ */
+function mergeValue(key, currentRaw, incomingRaw) {
+  const current = parseOrNull(currentRaw);
+  const incoming = parseOrNull(incomingRaw);
+
+  if (key === 'vans-branch-manifest' && current && incoming) {
+    const names = new Set((current.branches || []).map((b) => b.name));
+    const extra = (incoming.branches || []).filter((b) => !names.has(b.name));
+    if (extra.length === 0) return { value: null, added: 0 };
+    return {
+      value: JSON.stringify({ ...current, branches: [...(current.branches || []), ...extra] }),
+      added: extra.length,
+    };
+  }
+
+  const idOf = MERGE_ID[key];
+  if (idOf && Array.isArray(current) && Array.isArray(incoming)) {
+    const ids = new Set(current.map(idOf));
+    const extra = incoming.filter((item) => !ids.has(idOf(item)));
+    if (extra.length === 0) return { value: null, added: 0 };
+    return { value: JSON.stringify([...current, ...extra]), added: extra.length };
+  }
+
+  // 설정·메모·지점 데이터 등: 현재 값 유지
+  return { value: null, added: 0 };
+}
+
+/**
+ * 복원 계획 계산 (미리보기와 적용이 같은 계산을 사용)
+ * @param {object}   backup     - parseWorkspaceBackup().backup
+ * @param {string[]} sectionIds - 복원할 섹션
+ * @param {'merge'|'replace'} mode
+ * @returns {Array<{ sectionId, key, action: 'add'|'replace'|'merge'|'remove'|'keep', added?: number, value?: string }>}
+ */
+function planRestore(backup, sectionIds, mode) {
+  const plan = [];
+  for (const section of BACKUP_SECTIONS) {
+    if (!sectionIds.includes(section.id)) continue;
+    const entries = backup.sections[section.id] || {};
+
+    for (const [key, raw] of Object.entries(entries)) {
+      const current = kvStore.getItem(key);
+      if (current === raw) {
+        plan.push({ sectionId: section.id, key, action: 'keep' });
+      } else if (current === null) {
+        plan.push({ sectionId: section.id, key, action: 'add', value: raw });
+      } else if (mode === 'replace') {
+        plan.push({ sectionId: section.id, key, action: 'replace', value: raw });
+      } else {
+        const { value, added } = mergeValue(key, current, raw);
+        plan.push(value === null
+          ? { sectionId: section.id, key, action: 'keep' }
+          : { sectionId: section.id, key, action: 'merge', added, value });
+      }
+    }
+
+    // 교체 모드: 백업에 없는 현재 키는 삭제 (지점 데이터 등)
+    if (mode === 'replace') {
+      for (const key of sectionKeys(section)) {
+        if (!(key in entries) && kvStore.getItem(key) !== null) {
+          plan.push({ sectionId: section.id, key, action: 'remove' });
+        }
+      }
+    }
+  }
+  return plan;
+}
+
+/**
+ * 복원 미리보기
+ * @returns {Array<{ id, label, changes: Array<{ key, action, added? }>, counts: object }>}
+ *   counts - { add, replace, merge, remove, keep }
+ */
+export function previewRestore(backup, sectionIds, mode) {
+  const plan = planRestore(backup, sectionIds, mode);
+  return BACKUP_SECTIONS
+    .filter((section) => sectionIds.includes(section.id) && backup.sections[section.id])
+    .map((section) => {
+      const changes = plan
+        .filter((p) => p.sectionId === section.id)
+        .map(({ key, action, added }) => ({ key, action, added }));
+      const counts = { add: 0, replace: 0, merge: 0, remove: 0, keep: 0 };
+      changes.forEach((c) => { counts[c.action] += 1; });
+      return { id: section.id, label: section.label, changes, counts };
+    });
+}
+
+/**
+ * 복원 실행
+ * @returns {{ written: number, removed: number }}
+ */
+export function applyRestore(backup, sectionIds, mode) {
+  const plan = planRestore(backup, sectionIds, mode);
+  let written = 0;
+  let removed = 0;
+  for (const step of plan) {
+    if (step.action === 'remove') {
+      kvStore.removeItem(step.key);
+      removed += 1;
+    } else if (step.value !== undefined) {
+      kvStore.setItem(step.key, step.value);
+      // parseWorkspaceBackup에서 최신 스키마로 변환해 두었음
+      markSchemaCurrent(step.key);
+      written += 1;
+    }
+  }
+  return { written, removed };
+}
@@ -0,0 +1,287 @@
+/**
+ * xlsxParser.js - XLSX(엑셀) 수가표 읽기 (외부 라이브러리·네트워크 없이 브라우저에서 처리)
+ *
+ * XLSX는 XML 파일 묶음을 zip으로 압축한 형식입니다.
+ *   1. zip 목차(central directory)를 읽고, 압축된 항목은 DecompressionStream('deflate-raw')으로 풉니다.
+ *   2. workbook.xml + 관계 파일로 시트 이름 → 시트 XML 경로를 찾습니다.
+ *   3. 시트 XML의 셀을 공유 문자열(sharedStrings.xml)과 합쳐 문자열 2차원 배열로 만듭니다.
+ *   4. 병합 셀(mergeCells)은 범위 안 모든 칸에 왼쪽 위 값을 채웁니다 (대분류 병합 셀 등).
+ *
+ * 이후 헤더 찾기 / 컬럼 매핑 / 행 정리는 CSV와 같은 경로(csvParser.processTableRows)를 사용합니다.
+ * 날짜·서식은 해석하지 않고 셀에 저장된 값을 그대로 문자열로 돌려줍니다.
+ */
+
+import { findHeaderRow, processTableRows } from './csvParser';
+
+// ── zip ──
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/**
+ * zip 목차 읽기
+ * @param {ArrayBuffer} buffer
+ * @returns {Map<string, { method: number, offset: number, compressedSize: number }>}
+ */
+function readZipDirectory(buffer) {
+  const view = new DataView(buffer);
+  // 끝에서부터 EOCD(목차 끝 레코드) 찾기 — 뒤에 최대 64KB 주석이 붙을 수 있음
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('XLSX 파일이 아니거나 손상되었습니다');
+
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = new Map();
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pos, true) !== CENTRAL_SIGNATURE) throw new Error('XLSX 파일 목차가 손상되었습니다');
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, pos + 46, nameLength));
+    entries.set(name, { method, offset, compressedSize });
+    pos += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+async function inflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('이 브라우저에서는 XLSX를 열 수 없습니다. 엑셀에서 CSV로 저장해 가져오세요');
+  }
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * zip 항목 하나를 UTF-8 문자열로 읽기
+ * @returns {Promise<string|null>} 항목이 없으면 null
+ */
+async function readZipText(buffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) return null;
+
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.offset, true) !== LOCAL_SIGNATURE) throw new Error('XLSX 파일이 손상되었습니다');
+  const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  let bytes;
+  if (entry.method === 0) bytes = data;
+  else if (entry.method === 8) bytes = await inflateRaw(data);
+  else throw new Error(`지원하지 않는 압축 방식입니다 (${entry.method})`);
+  return new TextDecoder().decode(bytes);
+}
+
+// ── XML ──
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      const point = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+    }
+    return XML_ENTITIES[code] ?? match;
+  });
+}
+
+/** 태그 속성 → 객체 (네임스페이스 접두사는 떼어 냄: r:id → id) */
+function readAttributes(tag) {
+  const attrs = {};
+  for (const [, name, value] of tag.matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    attrs[name.includes(':') ? name.split(':').pop() : name] = decodeXml(value);
+  }
+  return attrs;
+}
+
+/** 요소 안의 <t> 텍스트 모두 이어 붙이기 (서식 run 포함, 윗주 rPh 제외) */
+function readRichText(xml) {
+  const body = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+  return [...body.matchAll(/<t(?:\s[^>]*?)?(?<!\/)>([\s\S]*?)<\/t>/g)].map(([, text]) => decodeXml(text)).join('');
+}
+
+/** 셀 주소 → 0부터 시작하는 { row, col } (예: 'B3' → { row: 2, col: 1 }) */
+function parseCellRef(ref) {
+  const match = /^([A-Z]+)(\d+)$/i.exec(ref || '');
+  if (!match) return null;
+  let col = 0;
+  for (const ch of match[1].toUpperCase()) col = col * 26 + (ch.charCodeAt(0) - 64);
+  return { row: Number(match[2]) - 1, col: col - 1 };
+}
+
+/** 관계 대상 경로 → zip 항목 이름 ('worksheets/sheet1.xml' → 'xl/worksheets/sheet1.xml') */
+function resolveTarget(target) {
+  if (target.startsWith('/')) return target.slice(1);
+  const parts = ['xl'];
+  for (const part of target.split('/')) {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  }
+  return parts.join('/');
+}
+
+/**
+ * 숫자 셀 값 → 문자열 (수식 결과의 부동소수점 오차 제거: 990000.0000000001 → 990000)
+ * 엑셀이 화면에 보여 주는 유효숫자 15자리로 맞춥니다.
+ */
+function formatNumberCell(raw) {
+  if (raw === undefined) return '';
+  const num = Number(raw);
+  return Number.isFinite(num) ? String(Number(num.toPrecision(15))) : decodeXml(raw);
+}
+
+/**
+ * 시트 XML → 문자열 2차원 배열 (병합 셀 채움)
+ * @param {string} xml
+ * @param {string[]} sharedStrings
+ * @returns {{ rows: string[][], mergedCount: number }}
+ */
+function readSheetRows(xml, sharedStrings) {
+  const rows = [];
+  let nextRow = 0;
+
+  for (const [, rowAttrs, rowBody = ''] of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const { r } = readAttributes(rowAttrs);
+    const rowIndex = r ? Number(r) - 1 : nextRow;
+    nextRow = rowIndex + 1;
+    const cells = [];
+    let nextCol = 0;
+
+    for (const [, cellAttrs, cellBody = ''] of rowBody.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const attrs = readAttributes(cellAttrs);
+      const col = parseCellRef(attrs.r)?.col ?? nextCol;
+      nextCol = col + 1;
+
+      const raw = /<v\b[^>]*>([\s\S]*?)<\/v>/.exec(cellBody)?.[1];
+      let value = '';
+      if (attrs.t === 's') value = sharedStrings[Number(raw)] ?? '';
+      else if (attrs.t === 'inlineStr') value = readRichText(cellBody);
+      else if (attrs.t === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (!attrs.t || attrs.t === 'n') value = formatNumberCell(raw);
+      else if (raw !== undefined) value = decodeXml(raw);
+      cells[col] = value.trim();
+    }
+    rows[rowIndex] = Array.from(cells, (cell) => cell ?? '');
+  }
+
+  // 병합 셀: 범위 전체에 왼쪽 위 값 채우기
+  let mergedCount = 0;
+  for (const [, ref] of xml.matchAll(/<mergeCell\b[^>]*\bref="([^"]+)"/gi)) {
+    const [from, to] = ref.split(':').map(parseCellRef);
+    if (!from || !to) continue;
+    const value = rows[from.row]?.[from.col] ?? '';
+    if (!value) continue;
+    for (let r = from.row; r <= to.row; r++) {
+      rows[r] = rows[r] || [];
+      for (let c = from.col; c <= to.col; c++) {
+        if (!rows[r][c]) rows[r][c] = value;
+      }
+    }
+    mergedCount += 1;
+  }
+
+  return {
+    rows: Array.from(rows, (row) => Array.from(row || [], (cell) => cell ?? '')),
+    mergedCount,
+  };
+}
+
+// ── 통합 문서 ──
+
+/**
+ * XLSX 파일 읽기
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Array<{ name: string, hidden: boolean, rows: string[][], mergedCount: number }>>} 시트 목록 (통합 문서 순서)
+ */
+export async function readXlsxWorkbook(buffer) {
+  const entries = readZipDirectory(buffer);
+  const workbook = await readZipText(buffer, entries, 'xl/workbook.xml');
+  if (!workbook) throw new Error('엑셀 통합 문서(xl/workbook.xml)가 없습니다');
+
+  const relsXml = (await readZipText(buffer, entries, 'xl/_rels/workbook.xml.rels')) || '';
+  const targets = new Map();
+  for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const { Id, Target } = readAttributes(tag);
+    if (Id && Target) targets.set(Id, resolveTarget(Target));
+  }
+
+  const sharedXml = (await readZipText(buffer, entries, 'xl/sharedStrings.xml')) || '';
+  const sharedStrings = [...sharedXml.matchAll(/<si\b[^>]*\/>|<si\b[^>]*>([\s\S]*?)<\/si>/g)]
+    .map(([, body = '']) => readRichText(body));
+
+  const sheets = [];
+  for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    const attrs = readAttributes(tag);
+    const path = targets.get(attrs.id) || `xl/worksheets/sheet${attrs.sheetId}.xml`;
+    const xml = await readZipText(buffer, entries, path);
+    if (xml === null) continue;
+    sheets.push({ name: attrs.name || path, hidden: Boolean(attrs.state && attrs.state !== 'visible'), ...readSheetRows(xml, sharedStrings) });
+  }
+  if (sheets.length === 0) throw new Error('읽을 수 있는 시트가 없습니다');
+  return sheets;
+}
+
+/**
+ * 시트 하나 → 헤더 + 행 (컬럼 매핑 전, CSV의 readCSVFile과 같은 형식)
+ * @param {{ rows: string[][] }} sheet - readXlsxWorkbook() 결과의 시트
+ * @returns {{ headers: string[], rows: string[][], rowLines: number[], headerRow: number }}
+ *   rowLines - 각 행의 시트 행 번호 (1부터), headerRow - 0부터 시작하는 헤더 행 번호
+ * @throws 시트가 비어 있으면
+ */
+export function readXlsxTable(sheet) {
+  const headerRow = findHeaderRow(sheet.rows);
+  if (headerRow < 0) throw new Error('시트가 비어 있습니다');
+  const body = sheet.rows
+    .map((row, idx) => ({ row, line: idx + 1 }))
+    .slice(headerRow + 1)
+    .filter(({ row }) => row.some(Boolean));
+  return {
+    headers: sheet.rows[headerRow],
+    rows: body.map(({ row }) => row),
+    rowLines: body.map(({ line }) => line),
+    headerRow,
+  };
+}
+
+/**
+ * 시트 하나 → 지점 수가표 (CSV 가져오기와 같은 결과 형식)
+ * @param {{ rows: string[][] }} sheet - readXlsxWorkbook() 결과의 시트
+ * @param {object} [columnMap] - 사용자가 지정한 컬럼 매핑 (없으면 자동매핑)
+ * @returns {{ headers: string[], data: Array, columnMap: object, rawRowCount: number, warnings: Array, headerRow: number }}
+ * @throws 헤더 / 항목명 / 가격 컬럼을 찾지 못하면
+ */
+export function processXlsxSheet(sheet, columnMap) {
+  const { headers, rows, rowLines, headerRow } = readXlsxTable(sheet);
+  return { ...processTableRows(headers, rows, columnMap, { rowLines }), headerRow };
+}
+
+/**
+ * File 객체에서 XLSX 읽기
+ * @param {File} file
+ * @returns {Promise<Array<{ name: string, hidden: boolean, rows: string[][], mergedCount: number }>>}
+ */
+export async function parseXlsxFile(file) {
+  return readXlsxWorkbook(await file.arrayBuffer());
+}
+
+/**
+ * 파일이 XLSX인지 (확장자 기준)
+ * @param {File} file
+ * @returns {boolean}
+ */
+export function isXlsxFile(file) {
+  return /\.xlsx$/i.test(file?.name || '');
+}